@@ -0,0 +1,98 @@
+// app.js
+const express = require("express");
+const { apiKeyAuth, parseApiKeys } = require("./middleware/apiKeyAuth.js");
+const { errorHandler } = require("./middleware/errorHandler.js");
+const { createSendGridRouter } = require("./routes/sendGridRoutes.js");
+const { createSmsRouter, createSmsWebhookRouter } = require("./routes/smsRoutes.js");
+const { createEventWebhookRouter } = require("./routes/eventWebhookRoutes.js");
+const { createTemplateRouter } = require("./routes/templateRoutes.js");
+const { createOutboxRouter } = require("./routes/outboxRoutes.js");
+const { createMetricsRouter } = require("./routes/metricsRoutes.js");
+
+/**
+ * Builds the Express application in front of the TwilioSendGrid service.
+ *
+ * @since 1.0
+ * @version 1.5
+ * @author Linden May
+ * @param {Object} [options={}] - Application options.
+ * @param {Object} [options.service] - Service implementation; defaults to `services/TwilioSendGrid.js`.
+ * @param {Object} [options.smsService] - SMS service implementation; defaults to `services/TwilioSms.js`.
+ * @param {Object} [options.twilioSignature] - Options for Twilio webhook signature verification.
+ * @param {Object} [options.eventWebhook] - Event webhook implementation; defaults to `services/SendGridEventWebhook.js`.
+ * @param {Object} [options.eventWebhookOptions] - Options for SendGrid event webhook verification (`publicKey`);
+ *   events are applied through `service`.
+ * @param {Object} [options.renderer] - Template renderer implementation; defaults to `services/TemplateRenderer.js`.
+ * @param {Object} [options.templateSync] - Template sync implementation; defaults to `services/TemplateSync.js`.
+ * @param {Object} [options.outbox] - Email outbox implementation; defaults to `services/EmailOutbox.js`.
+ * @param {Object} [options.metrics] - Metrics served at `GET /metrics`, e.g. a `PrometheusMetrics`;
+ *   the route is only added when given.
+ * @param {string[]} [options.apiKeys] - Accepted API keys; defaults to the comma separated `API_KEYS` env variable.
+ *   An empty list disables authentication.
+ * @returns {import("express").Express} The configured application.
+ */
+function createApp({
+  service,
+  smsService,
+  eventWebhook,
+  apiKeys,
+  twilioSignature,
+  eventWebhookOptions,
+  renderer,
+  templateSync,
+  outbox,
+  metrics,
+} = {}) {
+  // Resolve the services lazily so tests can inject their own
+  const resolvedService = service || require("./services/TwilioSendGrid.js");
+  const resolvedSmsService = smsService || require("./services/TwilioSms.js");
+  const resolvedEventWebhook =
+    eventWebhook || require("./services/SendGridEventWebhook.js");
+  const resolvedRenderer = renderer || require("./services/TemplateRenderer.js");
+  const resolvedTemplateSync = templateSync || require("./services/TemplateSync.js");
+  const resolvedOutbox = outbox || require("./services/EmailOutbox.js");
+
+  // Resolve accepted API keys from options or environment
+  const keys = apiKeys ?? parseApiKeys(process.env.API_KEYS);
+
+  const app = express();
+  app.disable("x-powered-by");
+  app.use(
+    express.json({
+      limit: "1mb",
+      // Keep the raw body for webhook signature verification
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  // Unauthenticated liveness probe
+  app.get("/health", (req, res) => res.json({ status: "ok" }));
+
+  // Provider webhooks authenticate with their own signatures
+  app.use(createSmsWebhookRouter(resolvedSmsService, twilioSignature));
+  app.use(createEventWebhookRouter(resolvedEventWebhook, { service: resolvedService, ...eventWebhookOptions }));
+
+  // Require an API key for everything else when keys are configured
+  if (keys.length) app.use(apiKeyAuth(keys));
+
+  app.use(createSendGridRouter(resolvedService));
+  app.use(createSmsRouter(resolvedSmsService));
+  app.use(createTemplateRouter(resolvedRenderer, resolvedTemplateSync));
+  app.use(createOutboxRouter(resolvedOutbox));
+  if (metrics) app.use(createMetricsRouter(metrics));
+
+  // Fallback for unknown routes
+  app.use((req, res) => {
+    res.status(404).json({
+      error: { code: "NOT_FOUND", message: `Route not found: ${req.method} ${req.path}` },
+    });
+  });
+
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,18 @@
+// contactFieldsMap.js
+
+// Contact custom fields provisioned in SendGrid by `syncCustomFields`. Types are
+// the template field types; `tag: true` marks fields campaigns can target.
+const ContactFieldMap = {
+  weekly_newsletter: {
+    type: 'boolean',
+    tag: true,
+    description: 'Subscribed to the weekly newsletter'
+  },
+  promo: {
+    type: 'boolean',
+    tag: true,
+    description: 'Opted in to promotional emails'
+  }
+};
+
+module.exports = { ContactFieldMap };
@@ -2,7 +2,7 @@
 
 const EmailTemplateMap = {
   'new-order-email': {
-    templateId: 'd-1234567890abcdef1234567890abcdef', // real SendGrid ID
+    templateId: 'd-1234567890abcdef1234567890abcdef',
     path: 'templates/new-order-email.html',
     supportsLooping: true,
     requiredFields: ['order_id', 'user_name', 'items'],
@@ -10,7 +10,19 @@ const EmailTemplateMap = {
     customFieldTypes: {
       order_id: 'string',
       user_name: 'string',
-      items: 'array' // each item should be an object with item_name, price, etc.
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['item_name', 'price'],
+          properties: {
+            item_name: 'string',
+            price: 'currency',
+            quantity: 'number',
+            image_url: 'url'
+          }
+        }
+      }
     }
   },
   'password-reset': {
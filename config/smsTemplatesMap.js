@@ -0,0 +1,33 @@
+// smsTemplatesMap.js
+
+const SmsTemplateMap = {
+  'order-shipped': {
+    body: 'Hi {{user_name}}, your order {{order_id}} has shipped. Track it at {{tracking_url}}',
+    requiredFields: ['user_name', 'order_id', 'tracking_url'],
+    description: 'Shipping notification with tracking link',
+    customFieldTypes: {
+      user_name: 'string',
+      order_id: 'string',
+      tracking_url: 'string'
+    }
+  },
+  'verification-code': {
+    body: 'Your verification code is {{code}}. It expires in 10 minutes.',
+    requiredFields: ['code'],
+    description: 'One-time verification code',
+    customFieldTypes: {
+      code: 'string'
+    }
+  },
+  'creator-broadcast': {
+    body: '{{creator_name}}: {{message_body}} Reply STOP to unsubscribe.',
+    requiredFields: ['creator_name', 'message_body'],
+    description: 'Short creator message sent to subscribed fans',
+    customFieldTypes: {
+      creator_name: 'string',
+      message_body: 'string'
+    }
+  }
+};
+
+module.exports = { SmsTemplateMap };
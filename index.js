@@ -0,0 +1,57 @@
+// index.js
+require("dotenv").config();
+
+const { createApp } = require("./app.js");
+const { parseApiKeys } = require("./middleware/apiKeyAuth.js");
+const EmailOutbox = require("./services/EmailOutbox.js");
+const TwilioSendGrid = require("./services/TwilioSendGrid.js");
+const PrometheusMetrics = require("./services/metrics.js");
+
+/**
+ * Starts the HTTP API on the given port, along with the email outbox worker.
+ *
+ * The email template map is validated first, so a broken map stops the
+ * server from starting, and is reloaded when its files change. Metrics of
+ * the default SendGrid client are served at `GET /metrics`.
+ *
+ * @since 1.0
+ * @version 1.3
+ * @author Linden May
+ * @param {number} [port=process.env.PORT || 3000] - Port to listen on.
+ * @returns {import("http").Server} The listening server.
+ * @throws {Error} If the email template map is invalid, listing every problem.
+ */
+function start(port = Number(process.env.PORT) || 3000) {
+  // Warn loudly when the API is started without authentication
+  if (!parseApiKeys(process.env.API_KEYS).length) {
+    console.warn(
+      "API_KEYS is not set: the HTTP API is running without authentication."
+    );
+  }
+
+  // Count sends, requests, retries and cache lookups from the start
+  const metrics = new PrometheusMetrics();
+  const stopMetrics = metrics.observe(TwilioSendGrid.events);
+
+  // Fail fast on template map errors, then pick up later edits
+  TwilioSendGrid.loadEmailTemplateConfig();
+  TwilioSendGrid.watchEmailTemplateConfig();
+
+  // Resume sending messages queued before the last shutdown
+  EmailOutbox.start().catch((err) => console.error("Failed to start email outbox:", err));
+
+  const server = createApp({ metrics }).listen(port, () => {
+    console.log(`twilio-sendgrid-backend listening on port ${port}`);
+  });
+  server.on("close", () => {
+    EmailOutbox.stop();
+    TwilioSendGrid.unwatchEmailTemplateConfig();
+    stopMetrics();
+  });
+  return server;
+}
+
+// Start the server when run directly (`npm start`)
+if (require.main === module) start();
+
+module.exports = { createApp, start };
@@ -0,0 +1,76 @@
+// middleware/apiKeyAuth.js
+const crypto = require("crypto");
+
+/**
+ * Parses a comma separated list of API keys into an array.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} [raw=""] - Comma separated API keys, e.g. from `API_KEYS`.
+ * @returns {string[]} The trimmed, non-empty API keys.
+ */
+function parseApiKeys(raw = "") {
+  return raw
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Compares two strings in constant time to avoid leaking key contents.
+ *
+ * @param {string} a - The provided key.
+ * @param {string} b - The expected key.
+ * @returns {boolean} True if both keys are identical.
+ */
+function _safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Extracts the API key from the `x-api-key` header or a Bearer token.
+ *
+ * @param {import("express").Request} req - The incoming request.
+ * @returns {string|null} The API key supplied by the caller, if any.
+ */
+function _extractApiKey(req) {
+  const header = req.get("x-api-key");
+  if (header) return header;
+
+  const auth = req.get("authorization") || "";
+  const [scheme, token] = auth.split(" ");
+  if (scheme?.toLowerCase() === "bearer" && token) return token;
+
+  return null;
+}
+
+/**
+ * Creates middleware that only lets through requests carrying one of the given API keys.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string[]} apiKeys - Accepted API keys for internal callers.
+ * @returns {Function} Express middleware responding 401 on a missing or unknown key.
+ */
+function apiKeyAuth(apiKeys) {
+  return (req, res, next) => {
+    // Read the key supplied by the caller
+    const provided = _extractApiKey(req);
+
+    // Reject requests without a matching key
+    if (!provided || !apiKeys.some((key) => _safeEqual(provided, key))) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Missing or invalid API key" },
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { apiKeyAuth, parseApiKeys };
@@ -0,0 +1,120 @@
+// middleware/errorHandler.js
+
+// Typed errors thrown by the SendGrid services
+const {
+  SendGridServiceError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ForbiddenError,
+  RateLimitError,
+  ProviderError,
+} = require("../services/errors.js");
+
+// HTTP status of each typed error, subclasses before their parents
+const TYPED_ERROR_STATUSES = [
+  [ValidationError, 400],
+  [ForbiddenError, 403],
+  [NotFoundError, 404],
+  [ConflictError, 409],
+  [RateLimitError, 429],
+  [ProviderError, 502],
+];
+
+/**
+ * Returns the SendGrid response attached to an error or to its cause.
+ *
+ * @param {Error} err - The thrown error.
+ * @returns {Object|undefined} The upstream response, if any.
+ */
+function _upstreamResponse(err) {
+  return err.response ?? err.cause?.response;
+}
+
+/**
+ * Returns the open circuit breaker error behind an error, if any.
+ *
+ * @param {Error} err - The thrown error.
+ * @returns {Error|undefined} The circuit breaker error.
+ */
+function _circuitOpenError(err) {
+  return [err, err.cause].find((e) => e?.code === "CIRCUIT_OPEN");
+}
+
+/**
+ * Maps an error thrown by the service layer to an HTTP status and error code.
+ *
+ * Typed service errors are mapped by class and keep their own code. Other
+ * errors that carried a SendGrid response are provider failures; anything
+ * else is an internal error.
+ *
+ * @since 1.0
+ * @version 1.4
+ * @author Linden May
+ * @param {Error} err - The thrown error.
+ * @returns {{ status: number, code: string }} The HTTP status and machine-readable code.
+ */
+function mapError(err) {
+  // Honor errors raised by Express itself (e.g. malformed JSON bodies)
+  if (err.status >= 400 && err.status < 500) {
+    return { status: err.status, code: err.type === "entity.parse.failed" ? "INVALID_JSON" : "BAD_REQUEST" };
+  }
+
+  // Fail fast while SendGrid is known to be down
+  if (_circuitOpenError(err)) return { status: 503, code: "PROVIDER_UNAVAILABLE" };
+
+  // Typed errors say what went wrong themselves
+  if (err instanceof SendGridServiceError) {
+    const [, status = 500] = TYPED_ERROR_STATUSES.find(([type]) => err instanceof type) || [];
+    return { status, code: err.code };
+  }
+
+  // Pass SendGrid rate limiting through so callers can back off
+  const upstream = _upstreamResponse(err);
+  const upstreamStatus = upstream && (err.code ?? err.cause?.code);
+  if (upstreamStatus === 429) return { status: 429, code: "RATE_LIMITED" };
+
+  // Anything else that carried an upstream response is a provider failure
+  if (upstream) return { status: 502, code: "PROVIDER_ERROR" };
+
+  return { status: 500, code: "INTERNAL_ERROR" };
+}
+
+/**
+ * Express error middleware that renders service errors as JSON responses.
+ *
+ * @since 1.0
+ * @version 1.1
+ * @author Linden May
+ * @param {Error} err - The thrown error.
+ * @param {import("express").Request} req - The request.
+ * @param {import("express").Response} res - The response.
+ * @param {Function} _next - The next middleware; Express needs it to recognise error middleware.
+ * @returns {void}
+ */
+function errorHandler(err, req, res, _next) {
+  const { status, code } = mapError(err);
+
+  // Forward the upstream reset hint on rate limiting
+  const retryAfter = err.retryAfter ?? _upstreamResponse(err)?.headers?.["retry-after"];
+  if (status === 429 && retryAfter) res.set("Retry-After", String(retryAfter));
+
+  // Tell callers when the circuit breaker lets calls through again
+  if (status === 503) res.set("Retry-After", String(_circuitOpenError(err).retryAfter));
+
+  // Hide internal details from callers on unexpected failures
+  if (status === 500) console.error("Unhandled error:", err);
+
+  res.status(status).json({
+    error: {
+      code,
+      message: status === 500 ? "Internal server error" : err.message,
+      // Structured template data violations, when the service provides them
+      ...(status === 400 && err.violations && { details: err.violations }),
+      // Input fields the caller should fix
+      ...(status < 500 && err.fields?.length && { fields: err.fields }),
+    },
+  });
+}
+
+module.exports = { errorHandler, mapError };
@@ -0,0 +1,78 @@
+// middleware/twilioSignature.js
+const crypto = require("crypto");
+
+/**
+ * Computes the `X-Twilio-Signature` for a webhook request.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} authToken - The Twilio auth token.
+ * @param {string} url - The full public URL Twilio called, including the query string.
+ * @param {Object} [params={}] - The POST parameters of the request.
+ * @returns {string} The base64 encoded HMAC-SHA1 signature.
+ */
+function computeTwilioSignature(authToken, url, params = {}) {
+  // Append each parameter name and value, sorted by name
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+
+  return crypto.createHmac("sha1", authToken).update(data).digest("base64");
+}
+
+/**
+ * Compares two signatures in constant time, by their UTF-8 bytes.
+ *
+ * @param {string} a - The provided signature.
+ * @param {string} b - The expected signature.
+ * @returns {boolean} True if both signatures are identical.
+ */
+function _safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Creates middleware rejecting webhook requests without a valid Twilio signature.
+ *
+ * The public URL is rebuilt from `TWILIO_WEBHOOK_BASE_URL` when set, which is
+ * needed behind proxies that rewrite the host or protocol.
+ *
+ * @since 1.0
+ * @version 1.1
+ * @author Linden May
+ * @param {Object} [options={}] - Middleware options.
+ * @param {string} [options.authToken] - Twilio auth token; defaults to `TWILIO_AUTH_TOKEN`.
+ * @param {string} [options.baseUrl] - Public base URL; defaults to `TWILIO_WEBHOOK_BASE_URL`.
+ * @returns {Function} Express middleware responding 403 on a missing or invalid signature.
+ */
+function verifyTwilioSignature({ authToken, baseUrl } = {}) {
+  return (req, res, next) => {
+    const token = authToken || process.env.TWILIO_AUTH_TOKEN;
+    const base =
+      baseUrl ||
+      process.env.TWILIO_WEBHOOK_BASE_URL ||
+      `${req.protocol}://${req.get("host")}`;
+
+    // Compare the provided signature with the expected one
+    const provided = req.get("x-twilio-signature") || "";
+    const expected = token
+      ? computeTwilioSignature(token, `${base}${req.originalUrl}`, req.body)
+      : "";
+
+    const valid = expected && _safeEqual(provided, expected);
+
+    if (!valid) {
+      return res.status(403).json({
+        error: { code: "INVALID_SIGNATURE", message: "Invalid Twilio signature" },
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { computeTwilioSignature, verifyTwilioSignature };
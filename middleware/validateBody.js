@@ -0,0 +1,93 @@
+// middleware/validateBody.js
+
+/**
+ * Checks a single value against a simple type name.
+ *
+ * @param {*} value - The value to check.
+ * @param {string} type - One of `string`, `boolean`, `number`, `object`, `array`, `string[]`, `string|number`.
+ * @returns {boolean} True if the value matches the type.
+ */
+function _matchesType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string" && value.length > 0;
+    case "boolean":
+      return typeof value === "boolean";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "string[]":
+      return Array.isArray(value) && value.every((v) => typeof v === "string");
+    case "string|number":
+      return (typeof value === "string" && value.length > 0) ||
+        (typeof value === "number" && Number.isFinite(value));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validates a request body against a flat schema of `{ field: { type, required } }`.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} body - The request body to validate.
+ * @param {Object} schema - The field definitions to validate against.
+ * @returns {Object[]} A list of `{ field, message }` violations, empty if valid.
+ */
+function validate(body, schema) {
+  const errors = [];
+
+  // Reject anything that is not a JSON object up front
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return [{ field: null, message: "Request body must be a JSON object" }];
+  }
+
+  for (const [field, { type, required }] of Object.entries(schema)) {
+    const value = body[field];
+
+    // Report missing required fields
+    if (value === undefined || value === null) {
+      if (required) errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+
+    // Report values of the wrong type
+    if (!_matchesType(value, type)) {
+      errors.push({ field, message: `${field} must be of type ${type}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Creates middleware that validates `req.body` and responds 400 with every violation.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} schema - The field definitions to validate against.
+ * @returns {Function} Express middleware.
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const errors = validate(req.body, schema);
+    if (errors.length) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid request body",
+          details: errors,
+        },
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { validate, validateBody };
@@ -0,0 +1,35 @@
+// routes/eventWebhookRoutes.js
+const express = require("express");
+
+/**
+ * Creates the router receiving SendGrid Event Webhook notifications.
+ *
+ * Requests authenticate with SendGrid's signed event webhook headers instead
+ * of an API key. A 500 is returned when any event fails so SendGrid redelivers
+ * the batch; already processed events are skipped on redelivery. Bad signatures
+ * and malformed payloads are left to the error handler.
+ *
+ * @since 1.0
+ * @version 1.1
+ * @author Linden May
+ * @param {Object} eventWebhook - The webhook service, usually the `SendGridEventWebhook` class.
+ * @param {Object} [options={}] - Options passed to `ingest` (`publicKey`, `toleranceSeconds`, `service`).
+ * @returns {import("express").Router} The configured router.
+ */
+function createEventWebhookRouter(eventWebhook, options = {}) {
+  const router = express.Router();
+
+  router.post("/webhooks/sendgrid/events", async (req, res) => {
+    const summary = await eventWebhook.ingest({
+      ...options,
+      payload: req.rawBody || "",
+      headers: req.headers,
+    });
+
+    res.status(summary.errors.length ? 500 : 200).json(summary);
+  });
+
+  return router;
+}
+
+module.exports = { createEventWebhookRouter };
@@ -0,0 +1,27 @@
+// routes/metricsRoutes.js
+const express = require("express");
+
+/**
+ * Creates the router exposing metrics for Prometheus to scrape.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} metrics - The metrics, usually a `PrometheusMetrics` observing the service's events.
+ * @returns {import("express").Router} The configured router.
+ */
+function createMetricsRouter(metrics) {
+  const router = express.Router();
+
+  // ------------------------------
+  // Metrics
+  // ------------------------------
+
+  router.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4; charset=utf-8").send(metrics.render());
+  });
+
+  return router;
+}
+
+module.exports = { createMetricsRouter };
@@ -0,0 +1,58 @@
+// routes/outboxRoutes.js
+const express = require("express");
+const { validateBody } = require("../middleware/validateBody.js");
+const { EMAIL_BODY_SCHEMA, emailFromBody } = require("./sendGridRoutes.js");
+
+/**
+ * Creates the router exposing the email outbox.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} outbox - The outbox implementation, usually the `EmailOutbox` class.
+ * @returns {import("express").Router} The configured router.
+ */
+function createOutboxRouter(outbox) {
+  const router = express.Router();
+
+  // ------------------------------
+  // Queue Emails
+  // ------------------------------
+
+  router.post("/outbox/emails", validateBody(EMAIL_BODY_SCHEMA), async (req, res) => {
+    const message = await outbox.enqueue(emailFromBody(req.body));
+    res.status(202).json({ queued: true, id: message.id, status: message.status });
+  });
+
+  // ------------------------------
+  // Queue Status
+  // ------------------------------
+
+  router.get("/outbox", async (req, res) => {
+    const stats = await outbox.getStats();
+    res.json(stats);
+  });
+
+  router.get("/outbox/messages/:id", async (req, res) => {
+    const message = await outbox.getMessage(req.params.id);
+    res.json(message);
+  });
+
+  // ------------------------------
+  // Dead Letters
+  // ------------------------------
+
+  router.get("/outbox/dead-letters", async (req, res) => {
+    const deadLetters = await outbox.listDeadLetters();
+    res.json({ deadLetters });
+  });
+
+  router.post("/outbox/dead-letters/:id/retry", async (req, res) => {
+    const message = await outbox.retryDeadLetter(req.params.id);
+    res.status(202).json(message);
+  });
+
+  return router;
+}
+
+module.exports = { createOutboxRouter };
@@ -0,0 +1,385 @@
+// routes/sendGridRoutes.js
+const express = require("express");
+const { validateBody } = require("../middleware/validateBody.js");
+
+// Body accepted by the email sending routes
+const EMAIL_BODY_SCHEMA = {
+  to: { type: "string", required: true },
+  from: { type: "string", required: true },
+  templateKey: { type: "string", required: true },
+  dynamicTemplateData: { type: "object", required: true },
+  cc: { type: "string[]" },
+  bcc: { type: "string[]" },
+  senderId: { type: "string" },
+  replyTo: { type: "string" },
+  headers: { type: "object" },
+  categories: { type: "string[]" },
+  customArgs: { type: "object" },
+  attachments: { type: "array" },
+  sendAt: { type: "string|number" },
+  batchId: { type: "string" },
+};
+
+/**
+ * Picks the email options from a request body validated against `EMAIL_BODY_SCHEMA`.
+ *
+ * Attachments sent over HTTP carry base64 `content`; `path` and `stream` are
+ * dropped so callers cannot make the server read its own files.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} body - The request body.
+ * @returns {Object} Options for `sendSimpleEmail` or `EmailOutbox.enqueue`.
+ */
+function emailFromBody(body) {
+  const { to, from, templateKey, dynamicTemplateData, cc, bcc, senderId } = body;
+  const { replyTo, headers, categories, customArgs, attachments, sendAt, batchId } = body;
+  return {
+    to,
+    from,
+    templateKey,
+    dynamicTemplateData,
+    cc,
+    bcc,
+    senderId,
+    replyTo,
+    headers,
+    categories,
+    customArgs,
+    attachments: attachments?.map((a) =>
+      a && typeof a === "object"
+        ? {
+          content: a.content,
+          filename: a.filename,
+          type: a.type,
+          disposition: a.disposition,
+          contentId: a.contentId,
+        }
+        : a
+    ),
+    sendAt,
+    batchId,
+  };
+}
+
+/**
+ * Creates the router exposing the TwilioSendGrid service over HTTP.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} service - The service implementation, usually the `TwilioSendGrid` class.
+ * @returns {import("express").Router} The configured router.
+ */
+function createSendGridRouter(service) {
+  const router = express.Router();
+
+  // ------------------------------
+  // Send Emails
+  // ------------------------------
+
+  router.post(
+    "/emails",
+    validateBody(EMAIL_BODY_SCHEMA),
+    async (req, res) => {
+      const result = await service.sendSimpleEmail({
+        ...emailFromBody(req.body),
+        idempotencyKey: req.get("Idempotency-Key"),
+      });
+      const [response] = result;
+      res.status(202).json({
+        accepted: true,
+        messageId: response?.headers?.["x-message-id"] ?? null,
+        sanitized: result.sanitized ?? [],
+        ...(result.batchId && { batchId: result.batchId, sendAt: result.sendAt }),
+      });
+    }
+  );
+
+  router.post(
+    "/emails/batch",
+    validateBody({
+      from: { type: "string", required: true },
+      templateKey: { type: "string", required: true },
+      recipients: { type: "array", required: true },
+      senderId: { type: "string" },
+    }),
+    async (req, res) => {
+      const { from, templateKey, recipients, senderId } = req.body;
+      const result = await service.sendBatchEmail({
+        from,
+        templateKey,
+        recipients,
+        senderId,
+        idempotencyKey: req.get("Idempotency-Key"),
+      });
+      res.json(result);
+    }
+  );
+
+  router.post(
+    "/templates/:templateKey/validate",
+    validateBody({ dynamicTemplateData: { type: "object", required: true } }),
+    (req, res) => {
+      const result = service.validateTemplateData(
+        req.params.templateKey,
+        req.body.dynamicTemplateData
+      );
+      res.json(result);
+    }
+  );
+
+  router.post(
+    "/campaigns",
+    validateBody({
+      target: { type: "object" },
+      listId: { type: "string" },
+      tag: { type: "string" },
+      templateKey: { type: "string", required: true },
+      dynamicData: { type: "object", required: true },
+      sendAt: { type: "string|number" },
+    }),
+    async (req, res) => {
+      const { target, listId, tag, templateKey, dynamicData, sendAt } = req.body;
+      const result = await service.sendCampaignEmail({
+        target,
+        listId,
+        tag,
+        templateKey,
+        dynamicData,
+        sendAt,
+        idempotencyKey: req.get("Idempotency-Key"),
+      });
+      res.status(201).json(result);
+    }
+  );
+
+  // ------------------------------
+  // Scheduled Sends
+  // ------------------------------
+
+  router.get("/scheduled-sends", async (req, res) => {
+    const scheduledSends = await service.listScheduledSends();
+    res.json({ scheduledSends });
+  });
+
+  router.post("/scheduled-sends/batches", async (req, res) => {
+    const batch = await service.createSendBatch();
+    res.status(201).json(batch);
+  });
+
+  router.post("/scheduled-sends/:batchId/pause", async (req, res) => {
+    const batch = await service.pauseScheduledSend(req.params.batchId);
+    res.json(batch);
+  });
+
+  router.post("/scheduled-sends/:batchId/cancel", async (req, res) => {
+    const batch = await service.cancelScheduledSend(req.params.batchId);
+    res.json(batch);
+  });
+
+  router.post("/scheduled-sends/:batchId/resume", async (req, res) => {
+    const batch = await service.resumeScheduledSend(req.params.batchId);
+    res.json(batch);
+  });
+
+  // ------------------------------
+  // Campaign Lifecycle
+  // ------------------------------
+
+  router.get("/campaigns/:campaignId", async (req, res) => {
+    const campaign = await service.getCampaignStatus(req.params.campaignId);
+    res.json(campaign);
+  });
+
+  router.patch(
+    "/campaigns/:campaignId",
+    validateBody({
+      name: { type: "string" },
+      templateKey: { type: "string" },
+    }),
+    async (req, res) => {
+      const { name, templateKey } = req.body;
+      const campaign = await service.updateCampaignContent(req.params.campaignId, {
+        name,
+        templateKey,
+      });
+      res.json(campaign);
+    }
+  );
+
+  router.delete("/campaigns/:campaignId", async (req, res) => {
+    const result = await service.deleteCampaign(req.params.campaignId);
+    res.json(result);
+  });
+
+  router.put(
+    "/campaigns/:campaignId/schedule",
+    validateBody({ sendAt: { type: "string|number", required: true } }),
+    async (req, res) => {
+      const campaign = await service.rescheduleCampaign(
+        req.params.campaignId,
+        req.body.sendAt
+      );
+      res.json(campaign);
+    }
+  );
+
+  router.delete("/campaigns/:campaignId/schedule", async (req, res) => {
+    const campaign = await service.unscheduleCampaign(req.params.campaignId);
+    res.json(campaign);
+  });
+
+  router.post(
+    "/campaigns/:campaignId/duplicate",
+    validateBody({ name: { type: "string" } }),
+    async (req, res) => {
+      const campaign = await service.duplicateCampaign(req.params.campaignId, {
+        name: req.body.name,
+      });
+      res.status(201).json(campaign);
+    }
+  );
+
+  router.get("/campaigns/:campaignId/stats", async (req, res) => {
+    const stats = await service.getCampaignStats(req.params.campaignId);
+    res.json(stats);
+  });
+
+  // ------------------------------
+  // Subscribe, Unsubscribe, Remove
+  // ------------------------------
+
+  router.put(
+    "/lists/:listId/recipients",
+    validateBody({
+      email: { type: "string", required: true },
+      customFields: { type: "object" },
+      subscribe: { type: "boolean", required: true },
+    }),
+    async (req, res) => {
+      const { email, customFields, subscribe } = req.body;
+      const result =
+        await service.subscribeOrUnsubscribeRecipientFromSenderListByTag(
+          email,
+          req.params.listId,
+          customFields,
+          subscribe
+        );
+      res.json(result);
+    }
+  );
+
+  router.delete("/recipients/:email/lists", async (req, res) => {
+    const result = await service.removeRecipientFromAllSenderLists(
+      req.params.email
+    );
+    res.json(result);
+  });
+
+  // ------------------------------
+  // Custom Fields
+  // ------------------------------
+
+  router.post("/custom-fields/sync", async (req, res) => {
+    const result = await service.syncCustomFields({ dryRun: req.query.dryRun === "true" });
+    res.json(result);
+  });
+
+  // ------------------------------
+  // Sender Lists
+  // ------------------------------
+
+  router.put("/senders/:senderId/list", async (req, res) => {
+    const list = await service.ensureSenderListExists(req.params.senderId);
+    res.json(list);
+  });
+
+  router.get("/senders/:senderId/recipients", async (req, res) => {
+    const { tag } = req.query;
+    if (typeof tag !== "string" || !tag) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid query string",
+          details: [{ field: "tag", message: "tag is required" }],
+        },
+      });
+    }
+
+    const result = await service.getSenderListAndRecipientsByTag(
+      req.params.senderId,
+      tag
+    );
+    res.json(result);
+  });
+
+  // ------------------------------
+  // Block User
+  // ------------------------------
+
+  router.post(
+    "/senders/:senderId/blocks",
+    validateBody({
+      email: { type: "string", required: true },
+      permanent: { type: "boolean" },
+      suppressionGroupId: { type: "number" },
+    }),
+    async (req, res) => {
+      const { email, permanent, suppressionGroupId } = req.body;
+      const result = await service.blockRecipient(email, req.params.senderId, {
+        permanent,
+        suppressionGroupId,
+      });
+      res.status(201).json(result);
+    }
+  );
+
+  router.delete("/senders/:senderId/blocks/:email", async (req, res) => {
+    const { permanent, suppressionGroupId } = req.query;
+    const result = await service.unblockRecipient(
+      req.params.email,
+      req.params.senderId,
+      {
+        permanent: permanent === "true",
+        suppressionGroupId: suppressionGroupId && Number(suppressionGroupId),
+      }
+    );
+    res.json(result);
+  });
+
+  router.get("/senders/:senderId/blocks/:email", async (req, res) => {
+    const blocked = await service.isRecipientBlocked(
+      req.params.email,
+      req.params.senderId
+    );
+    res.json({ blocked });
+  });
+
+  // ------------------------------
+  // Campaign Segments
+  // ------------------------------
+
+  router.get("/senders/:senderId/segments", async (req, res) => {
+    const segments = await service.listSenderSegments(req.params.senderId);
+    res.json({ segments });
+  });
+
+  router.delete("/senders/:senderId/segments/:segmentId", async (req, res) => {
+    const result = await service.deleteSenderSegment(
+      req.params.senderId,
+      req.params.segmentId
+    );
+    res.json(result);
+  });
+
+  router.post("/senders/:senderId/segments/cleanup", async (req, res) => {
+    const result = await service.cleanupSenderSegments(req.params.senderId);
+    res.json(result);
+  });
+
+  return router;
+}
+
+module.exports = { createSendGridRouter, EMAIL_BODY_SCHEMA, emailFromBody };
@@ -0,0 +1,71 @@
+// routes/smsRoutes.js
+const express = require("express");
+const { validateBody } = require("../middleware/validateBody.js");
+const { verifyTwilioSignature } = require("../middleware/twilioSignature.js");
+
+/**
+ * Creates the router exposing SMS sending over HTTP.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} smsService - The SMS service, usually the `TwilioSms` class.
+ * @returns {import("express").Router} The configured router.
+ */
+function createSmsRouter(smsService) {
+  const router = express.Router();
+
+  router.post(
+    "/sms",
+    validateBody({
+      to: { type: "string", required: true },
+      templateKey: { type: "string", required: true },
+      templateData: { type: "object", required: true },
+      from: { type: "string" },
+    }),
+    async (req, res) => {
+      const { to, templateKey, templateData, from } = req.body;
+      const message = await smsService.sendSms({
+        to,
+        templateKey,
+        templateData,
+        from,
+      });
+      res.status(201).json({ sid: message.sid, status: message.status });
+    }
+  );
+
+  return router;
+}
+
+/**
+ * Creates the router receiving Twilio inbound SMS webhooks.
+ *
+ * These routes authenticate with the Twilio signature instead of an API key.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} smsService - The SMS service, usually the `TwilioSms` class.
+ * @param {Object} [signatureOptions] - Options for `verifyTwilioSignature`.
+ * @returns {import("express").Router} The configured router.
+ */
+function createSmsWebhookRouter(smsService, signatureOptions) {
+  const router = express.Router();
+
+  router.post(
+    "/webhooks/twilio/sms",
+    express.urlencoded({ extended: false }),
+    verifyTwilioSignature(signatureOptions),
+    async (req, res) => {
+      await smsService.handleInboundSms(req.body);
+
+      // Reply with empty TwiML and let Twilio send its own keyword replies
+      res.type("text/xml").send("<Response></Response>");
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createSmsRouter, createSmsWebhookRouter };
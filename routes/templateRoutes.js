@@ -0,0 +1,98 @@
+// routes/templateRoutes.js
+const express = require("express");
+const { validateBody } = require("../middleware/validateBody.js");
+
+/**
+ * Treats a request without a body as an empty object, for routes whose fields are all optional.
+ *
+ * @param {import("express").Request} req - The incoming request.
+ * @param {import("express").Response} res - The response.
+ * @param {Function} next - Passes control to the next handler.
+ * @returns {void}
+ */
+function _defaultEmptyBody(req, res, next) {
+  // Express leaves `req.body` undefined when nothing was sent
+  req.body ??= {};
+  next();
+}
+
+/**
+ * Creates the router exposing local template previews and syncing with SendGrid.
+ *
+ * @since 1.0
+ * @version 1.2
+ * @author Linden May
+ * @param {Object} renderer - The renderer implementation, usually the `TemplateRenderer` class.
+ * @param {Object} templateSync - The sync implementation, usually the `TemplateSync` class.
+ * @returns {import("express").Router} The configured router.
+ */
+function createTemplateRouter(renderer, templateSync) {
+  const router = express.Router();
+
+  // ------------------------------
+  // Preview Templates
+  // ------------------------------
+
+  router.post(
+    "/templates/:templateKey/preview",
+    validateBody({ dynamicTemplateData: { type: "object", required: true } }),
+    async (req, res) => {
+      const preview = await renderer.previewTemplate(
+        req.params.templateKey,
+        req.body.dynamicTemplateData
+      );
+
+      // Serve the rendered HTML directly for viewing in a browser
+      if (req.query.format === "html") {
+        return res.type("html").send(preview.html);
+      }
+      if (req.query.format === "text") {
+        return res.type("text").send(preview.text);
+      }
+
+      res.json(preview);
+    }
+  );
+
+  // ------------------------------
+  // Sync With SendGrid
+  // ------------------------------
+
+  router.get("/templates/drift", async (req, res) => {
+    res.json(await templateSync.checkDrift());
+  });
+
+  router.post(
+    "/templates/sync",
+    _defaultEmptyBody,
+    validateBody({
+      activate: { type: "boolean" },
+      force: { type: "boolean" },
+    }),
+    async (req, res) => {
+      res.json(await templateSync.pushAll({ activate: req.body.activate, force: req.body.force }));
+    }
+  );
+
+  router.post(
+    "/templates/:templateKey/versions",
+    _defaultEmptyBody,
+    validateBody({
+      activate: { type: "boolean" },
+      force: { type: "boolean" },
+      testData: { type: "object" },
+    }),
+    async (req, res) => {
+      const result = await templateSync.pushTemplate(req.params.templateKey, {
+        activate: req.body.activate,
+        testData: req.body.testData,
+        force: req.body.force,
+      });
+      res.status(result.created ? 201 : 200).json(result);
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createTemplateRouter };
@@ -0,0 +1,665 @@
+// services/EmailOutbox.js
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { resolveAttachments } = require("./messageOptions.js");
+const { SendGridServiceError, ValidationError, NotFoundError } = require("./errors.js");
+const { createConsoleLogger } = require("./observability.js");
+
+// Message states; `sending` messages found after a restart are queued again
+const STATUSES = ["queued", "sending", "sent", "dead"];
+
+// Message IDs double as file names, so only plain IDs are accepted
+const MESSAGE_ID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * A message in the outbox.
+ *
+ * @typedef {Object} OutboxMessage
+ * @property {string} id - Outbox message ID.
+ * @property {string} status - `queued`, `sending`, `sent` or `dead`.
+ * @property {Object} payload - The `sendSimpleEmail` options.
+ * @property {string|null} account - Name of the registered account sending it; null for the default client.
+ * @property {number} attempts - Send attempts made so far.
+ * @property {string} nextAttemptAt - When the message may be sent next (ISO 8601).
+ * @property {string|null} lastError - Message of the last failure.
+ * @property {string|null} messageId - SendGrid `x-message-id` once sent.
+ * @property {string} createdAt - When the message was enqueued.
+ * @property {string} updatedAt - When the message last changed.
+ * @property {string|null} sentAt - When the message was accepted by SendGrid.
+ */
+
+/**
+ * Outbox store keeping messages in process memory. Useful for tests; messages
+ * do not survive a restart.
+ *
+ * Any object with async `put`, `get`, `all` and `delete` methods can be used
+ * as a store via `EmailOutbox.setStores()`.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class MemoryOutboxStore {
+  constructor() {
+    this.messages = new Map();
+  }
+
+  async put(message) {
+    this.messages.set(message.id, structuredClone(message));
+  }
+
+  async get(id) {
+    const message = this.messages.get(id);
+    return message ? structuredClone(message) : null;
+  }
+
+  async all() {
+    return [...this.messages.values()].map((m) => structuredClone(m));
+  }
+
+  async delete(id) {
+    this.messages.delete(id);
+  }
+}
+
+/**
+ * Outbox store keeping one JSON file per message in a directory.
+ *
+ * Files are written to a temporary name and renamed into place, so a crash
+ * mid-write never leaves a truncated message behind.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class FileOutboxStore {
+  /**
+   * @param {string} dir - Directory holding the message files; created on first write.
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async put(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = this._file(message.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(message));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._file(id), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async all() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+
+    const messages = [];
+    for (const name of names.filter((n) => n.endsWith(".json"))) {
+      const message = await this.get(name.slice(0, -5));
+      if (message) messages.push(message);
+    }
+    return messages;
+  }
+
+  async delete(id) {
+    try {
+      await fs.promises.unlink(this._file(id));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  _file(id) {
+    if (!MESSAGE_ID.test(id)) throw new ValidationError(`Invalid outbox message ID: ${id}`, { fields: ["id"] });
+    return path.join(this.dir, `${id}.json`);
+  }
+}
+
+/**
+ * Token bucket rate limiter.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options - Bucket options.
+   * @param {number} options.ratePerSecond - Tokens added per second.
+   * @param {number} [options.burst] - Bucket capacity; defaults to `ratePerSecond`.
+   * @param {Function} [options.now] - Clock returning milliseconds, for tests.
+   */
+  constructor({ ratePerSecond, burst = ratePerSecond, now = Date.now }) {
+    if (!(ratePerSecond > 0)) {
+      throw new ValidationError(`Invalid outbox rate: ${ratePerSecond}`, { fields: ["ratePerSecond"] });
+    }
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = Math.max(1, burst);
+    this.now = now;
+    this.tokens = this.capacity;
+    this.refilledAt = now();
+  }
+
+  /**
+   * Takes a token if one is available.
+   *
+   * @returns {boolean} True if a token was taken.
+   */
+  tryTake() {
+    this._refill();
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Milliseconds until the next token is available.
+   *
+   * @returns {number} The wait, 0 if a token is available now.
+   */
+  waitTime() {
+    this._refill();
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+  }
+
+  _refill() {
+    const now = this.now();
+    const elapsed = Math.max(0, now - this.refilledAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.ratePerSecond);
+    this.refilledAt = now;
+  }
+}
+
+class EmailOutbox {
+  // Store of queued and sent messages, created lazily from OUTBOX_DIR
+  static store = null;
+
+  // Store of messages that will not be retried
+  static deadLetterStore = null;
+
+  // Service used to validate and send messages; defaults to TwilioSendGrid
+  static service = null;
+
+  // Clients of other SendGrid accounts, keyed by the account name stored with each message
+  static accounts = new Map();
+
+  // Rate limiter shared by every drain
+  static bucket = null;
+
+  // Worker timer while started
+  static timer = null;
+
+  // Drain in progress, so overlapping ticks share it
+  static draining = null;
+
+  // Clock returning milliseconds, replaceable in tests
+  static now = () => Date.now();
+
+  // Sending and retry settings, overridable via `configure()`
+  static options = {
+    ratePerSecond: Number(process.env.OUTBOX_RATE_PER_SECOND) || 10,
+    burst: Number(process.env.OUTBOX_BURST) || undefined,
+    maxAttempts: Number(process.env.OUTBOX_MAX_ATTEMPTS) || 5,
+    backoffMs: 1000,
+    maxBackoffMs: 5 * 60 * 1000,
+    intervalMs: 1000,
+    sentRetentionMs: 24 * 60 * 60 * 1000,
+  };
+
+  // ------------------------------
+  // Configuration
+  // ------------------------------
+
+  /**
+   * Overrides sending and retry settings.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {Object} options - Settings to override.
+   * @param {number} [options.ratePerSecond] - Sustained sends per second (`OUTBOX_RATE_PER_SECOND`, default 10).
+   * @param {number} [options.burst] - Sends allowed at once after idling (`OUTBOX_BURST`, default the rate).
+   * @param {number} [options.maxAttempts] - Attempts before a message is dead-lettered (`OUTBOX_MAX_ATTEMPTS`, default 5).
+   * @param {number} [options.backoffMs] - Delay after the first failure, doubled after each further one.
+   * @param {number} [options.maxBackoffMs] - Upper bound for the retry delay.
+   * @param {number} [options.intervalMs] - How often the worker drains the outbox.
+   * @param {number} [options.sentRetentionMs] - How long sent messages stay queryable.
+   * @returns {void}
+   */
+  static configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.bucket = null;
+  }
+
+  /**
+   * Replaces the message and dead-letter stores.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {Object} store - Store for queued and sent messages.
+   * @param {Object} deadLetterStore - Store for dead-lettered messages.
+   * @returns {void}
+   */
+  static setStores(store, deadLetterStore) {
+    this.store = store;
+    this.deadLetterStore = deadLetterStore;
+  }
+
+  /**
+   * Returns the message and dead-letter stores, creating file stores under
+   * `OUTBOX_DIR` (default `.outbox`) on first use.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {{ store: Object, deadLetterStore: Object }} The stores.
+   */
+  static getStores() {
+    if (!this.store || !this.deadLetterStore) {
+      const dir = process.env.OUTBOX_DIR || path.join(process.cwd(), ".outbox");
+      this.store = this.store || new FileOutboxStore(path.join(dir, "messages"));
+      this.deadLetterStore = this.deadLetterStore || new FileOutboxStore(path.join(dir, "dead"));
+    }
+    return { store: this.store, deadLetterStore: this.deadLetterStore };
+  }
+
+  /**
+   * Registers the client of another SendGrid account under a name, so
+   * messages enqueued for that account are sent through it.
+   *
+   * Messages only store the name, so register every account again after a
+   * restart before starting the worker.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} name - Account name stored with each message, e.g. `brand-a`.
+   * @param {Object} client - The account's `TwilioSendGridClient`.
+   * @returns {void}
+   * @throws {ValidationError} If the name is not a plain name.
+   */
+  static registerAccount(name, client) {
+    if (typeof name !== "string" || !MESSAGE_ID.test(name)) {
+      throw new ValidationError(`Invalid outbox account: ${name}`, { fields: ["account"] });
+    }
+    this.accounts.set(name, client);
+  }
+
+  /**
+   * Returns the service used to validate and send messages.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string|null} [account] - Registered account name; the default service when omitted.
+   * @returns {Object} The account's client, or the service, `TwilioSendGrid` unless replaced.
+   * @throws {ValidationError} If the account is not registered.
+   */
+  static getService(account) {
+    if (account != null) {
+      const client = this.accounts.get(account);
+      if (!client) throw new ValidationError(`Unknown outbox account: ${account}`, { fields: ["account"] });
+      return client;
+    }
+
+    // Resolved lazily so the outbox can be loaded without the service
+    if (!this.service) this.service = require("./TwilioSendGrid.js");
+    return this.service;
+  }
+
+  // ------------------------------
+  // Enqueueing
+  // ------------------------------
+
+  /**
+   * Validates an email and stores it for the worker to send.
+   *
+   * Attachments are read and base64-encoded now, so buffers, streams and
+   * files are stored with the message. The account is stored too, and the
+   * message is always sent through that account's client.
+   *
+   * @since 1.0
+   * @version 1.2
+   * @author Linden May
+   * @param {Object} options - Email options, as taken by `sendSimpleEmail`.
+   * @param {Object} [queueOptions={}] - Queueing options.
+   * @param {string} [queueOptions.account] - Account registered with `registerAccount`; defaults to the service.
+   * @returns {Promise<OutboxMessage>} The queued message.
+   * @throws {Error} If the account is unknown or the email is invalid, exactly as `sendSimpleEmail` would throw.
+   */
+  static async enqueue(options, { account = null } = {}) {
+    // Reject invalid emails now rather than dead-lettering them later
+    this.getService(account).prepareSimpleEmail(options);
+    const payload = options.attachments
+      ? { ...options, attachments: await resolveAttachments(options.attachments) }
+      : options;
+
+    const now = new Date(this.now()).toISOString();
+    const message = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      payload: structuredClone(payload),
+      account,
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      messageId: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null,
+    };
+
+    await this.getStores().store.put(message);
+    return message;
+  }
+
+  // ------------------------------
+  // Draining
+  // ------------------------------
+
+  /**
+   * Sends due messages until the outbox is empty or the rate limit is reached.
+   *
+   * Transient failures (rate limits, 5xx and network errors) are retried with
+   * exponential backoff; permanent failures and messages out of attempts move
+   * to the dead-letter store. Concurrent calls share the same drain.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Promise<Object>} `{ sent, retried, dead }`, the number of messages in each outcome.
+   */
+  static drain() {
+    if (!this.draining) {
+      this.draining = this._drain().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  /**
+   * Starts the worker, first requeueing messages interrupted by a restart.
+   * Drains that fail are logged through the service's `logger`.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @returns {Promise<void>}
+   */
+  static async start() {
+    if (this.timer) return;
+    await this.recover();
+
+    this.timer = setInterval(() => {
+      this.drain().catch((err) => {
+        this._getLogger().error("Email outbox drain failed", { code: err.code, error: err.message });
+      });
+    }, this.options.intervalMs);
+
+    // Do not keep the process alive just for the worker
+    this.timer.unref();
+  }
+
+  /**
+   * Stops the worker and waits for a drain in progress.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Promise<void>}
+   */
+  static async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.draining) await this.draining;
+  }
+
+  /**
+   * Requeues messages left in `sending` by a crash. They may have reached
+   * SendGrid already, so delivery is at least once.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Promise<number>} The number of requeued messages.
+   */
+  static async recover() {
+    const { store } = this.getStores();
+    const interrupted = (await store.all()).filter((m) => m.status === "sending");
+
+    for (const message of interrupted) {
+      await store.put({ ...message, status: "queued", updatedAt: new Date(this.now()).toISOString() });
+    }
+    return interrupted.length;
+  }
+
+  // ------------------------------
+  // Status
+  // ------------------------------
+
+  /**
+   * Looks up a message, whether queued, sent or dead-lettered.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} id - Outbox message ID.
+   * @returns {Promise<OutboxMessage>} The message.
+   * @throws {NotFoundError} If no such message exists.
+   */
+  static async getMessage(id) {
+    const { store, deadLetterStore } = this.getStores();
+    const message =
+      MESSAGE_ID.test(id) && ((await store.get(id)) || (await deadLetterStore.get(id)));
+    if (!message) throw new NotFoundError(`Outbox message not found: ${id}`, { fields: ["id"] });
+    return message;
+  }
+
+  /**
+   * Counts messages by status.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Promise<Object>} `{ depth, queued, sending, sent, dead }`, where `depth` is the
+   *   number of messages still to be sent.
+   */
+  static async getStats() {
+    const { store, deadLetterStore } = this.getStores();
+    const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+
+    for (const message of await store.all()) counts[message.status]++;
+    counts.dead = (await deadLetterStore.all()).length;
+
+    return { depth: counts.queued + counts.sending, ...counts };
+  }
+
+  /**
+   * Lists dead-lettered messages, oldest first.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Promise<OutboxMessage[]>} The dead letters.
+   */
+  static async listDeadLetters() {
+    const dead = await this.getStores().deadLetterStore.all();
+    return dead.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Moves a dead letter back into the outbox with a fresh set of attempts.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} id - Outbox message ID.
+   * @returns {Promise<OutboxMessage>} The requeued message.
+   * @throws {NotFoundError} If no such dead letter exists.
+   */
+  static async retryDeadLetter(id) {
+    const { store, deadLetterStore } = this.getStores();
+    const message = MESSAGE_ID.test(id) && (await deadLetterStore.get(id));
+    if (!message) throw new NotFoundError(`Dead letter not found: ${id}`, { fields: ["id"] });
+
+    const now = new Date(this.now()).toISOString();
+    const requeued = { ...message, status: "queued", attempts: 0, nextAttemptAt: now, updatedAt: now };
+
+    // Write the copy first so a crash cannot lose the message
+    await store.put(requeued);
+    await deadLetterStore.delete(id);
+    return requeued;
+  }
+
+  // ------------------------------
+  // Utilities
+  // ------------------------------
+
+  /**
+   * Sends due messages in order of their next attempt while tokens are available.
+   *
+   * @returns {Promise<Object>} `{ sent, retried, dead }`.
+   */
+  static async _drain() {
+    const { store } = this.getStores();
+    const summary = { sent: 0, retried: 0, dead: 0 };
+    const now = this.now();
+
+    const messages = await store.all();
+    const due = messages
+      .filter((m) => m.status === "queued" && Date.parse(m.nextAttemptAt) <= now)
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+    for (const message of due) {
+      // Leave the rest for the next tick once the rate limit is reached
+      if (!this._getBucket().tryTake()) break;
+      summary[await this._sendOne(message)]++;
+    }
+
+    // Forget sent messages past their retention
+    const expired = now - this.options.sentRetentionMs;
+    for (const message of messages) {
+      if (message.status === "sent" && Date.parse(message.sentAt) < expired) {
+        await store.delete(message.id);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Attempts to send one message and records the outcome.
+   *
+   * @param {OutboxMessage} message - The message to send.
+   * @returns {Promise<string>} `sent`, `retried` or `dead`.
+   */
+  static async _sendOne(message) {
+    const { store, deadLetterStore } = this.getStores();
+    const stamp = () => new Date(this.now()).toISOString();
+
+    // Mark the message in flight so a crash requeues it
+    const attempt = { ...message, status: "sending", attempts: message.attempts + 1, updatedAt: stamp() };
+    await store.put(attempt);
+
+    try {
+      // Messages from before accounts were stored belong to the default service
+      const [response] = await this.getService(attempt.account).sendSimpleEmail(attempt.payload);
+      await store.put({
+        ...attempt,
+        status: "sent",
+        lastError: null,
+        messageId: response?.headers?.["x-message-id"] ?? null,
+        sentAt: stamp(),
+        updatedAt: stamp(),
+      });
+      return "sent";
+    } catch (err) {
+      const failed = { ...attempt, lastError: err.message, updatedAt: stamp() };
+
+      // Poison messages and exhausted retries go to the dead-letter store
+      if (!this._isRetryable(err) || attempt.attempts >= this.options.maxAttempts) {
+        await deadLetterStore.put({ ...failed, status: "dead" });
+        await store.delete(message.id);
+        return "dead";
+      }
+
+      const delay = Math.min(
+        this.options.backoffMs * 2 ** (attempt.attempts - 1),
+        this.options.maxBackoffMs
+      );
+      await store.put({
+        ...failed,
+        status: "queued",
+        nextAttemptAt: new Date(this.now() + delay).toISOString(),
+      });
+      return "retried";
+    }
+  }
+
+  /**
+   * Checks whether a send failure may succeed later.
+   *
+   * @param {Error} err - The error thrown by `sendSimpleEmail`.
+   * @returns {boolean} True for rate limits, 5xx, network errors and an open circuit.
+   */
+  static _isRetryable(err) {
+    // Typed errors know whether they may succeed later
+    if (err instanceof SendGridServiceError) return err.retryable;
+
+    const status = err.cause?.code ?? err.code;
+    if (typeof status === "number") return status === 429 || status >= 500;
+
+    // The circuit breaker failed the send fast during an outage
+    if (status === "CIRCUIT_OPEN") return true;
+
+    // Failures without an HTTP status are network errors if they reached the transport
+    return Boolean(err.cause);
+  }
+
+  /**
+   * Returns the service's logger, or a console logger for services without one.
+   *
+   * @returns {import("./observability.js").Logger} The logger.
+   */
+  static _getLogger() {
+    return this.getService().logger ?? createConsoleLogger();
+  }
+
+  /**
+   * Returns the rate limiter, creating it from the current options.
+   *
+   * @returns {TokenBucket} The bucket.
+   */
+  static _getBucket() {
+    if (!this.bucket) {
+      this.bucket = new TokenBucket({
+        ratePerSecond: this.options.ratePerSecond,
+        burst: this.options.burst,
+        now: () => this.now(),
+      });
+    }
+    return this.bucket;
+  }
+}
+
+module.exports = EmailOutbox;
+module.exports.MemoryOutboxStore = MemoryOutboxStore;
+module.exports.FileOutboxStore = FileOutboxStore;
+module.exports.TokenBucket = TokenBucket;
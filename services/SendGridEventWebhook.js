@@ -0,0 +1,342 @@
+// services/SendGridEventWebhook.js
+const crypto = require("crypto");
+const { ValidationError, NotFoundError, ForbiddenError } = require("./errors.js");
+
+// Event types SendGrid posts to the Event Webhook
+const EVENT_TYPES = [
+  "processed",
+  "deferred",
+  "delivered",
+  "bounce",
+  "dropped",
+  "spamreport",
+  "unsubscribe",
+  "group_unsubscribe",
+  "group_resubscribe",
+  "open",
+  "click",
+];
+
+// Event types that clear the recipient's tag fields by default
+const TAG_CLEARING_EVENTS = ["bounce", "spamreport"];
+
+// Headers carrying the signature and the signed timestamp
+const SIGNATURE_HEADER = "x-twilio-email-event-webhook-signature";
+const TIMESTAMP_HEADER = "x-twilio-email-event-webhook-timestamp";
+
+// Number of processed `sg_event_id`s remembered to skip redelivered events
+const SEEN_EVENT_LIMIT = 10000;
+
+/**
+ * Fields present on every Event Webhook event.
+ *
+ * @typedef {Object} SendGridEvent
+ * @property {string} event - Event type, e.g. `delivered`.
+ * @property {string} email - Recipient email address.
+ * @property {number} timestamp - Unix timestamp of the event.
+ * @property {string} [sg_event_id] - Unique event ID, used to skip redeliveries.
+ * @property {string} [sg_message_id] - Message ID, prefixed by the `x-message-id` of the send.
+ * @property {string} [singlesend_id] - Single send ID for campaign events.
+ * @property {string[]|string} [category] - Categories attached to the message.
+ */
+
+/**
+ * @typedef {SendGridEvent & { response: string }} DeliveredEvent
+ * @typedef {SendGridEvent & { reason: string, status: string, type: "bounce"|"blocked" }} BounceEvent
+ * @typedef {SendGridEvent & { reason: string }} DroppedEvent
+ * @typedef {SendGridEvent} SpamReportEvent
+ * @typedef {SendGridEvent & { asm_group_id?: number }} UnsubscribeEvent
+ * @typedef {SendGridEvent & { useragent: string, ip: string }} OpenEvent
+ * @typedef {SendGridEvent & { url: string, useragent: string, ip: string }} ClickEvent
+ */
+
+class SendGridEventWebhook {
+  // Registered handlers keyed by event type, `*` receives every event
+  static handlers = new Map();
+
+  // Whether bounces and spam reports clear the recipient's tag fields
+  static autoClearTags = true;
+
+  // Recently processed `sg_event_id`s
+  static seenEventIds = new Set();
+
+  // Client whose contacts the default handlers update; defaults to TwilioSendGrid
+  static service = null;
+
+  // ------------------------------
+  // Configuration
+  // ------------------------------
+
+  /**
+   * Returns the client the default handlers use when a batch names none.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Object} The client, `TwilioSendGrid` unless replaced.
+   */
+  static getService() {
+    // Resolved lazily so the webhook can be loaded without the service
+    if (!this.service) this.service = require("./TwilioSendGrid.js");
+    return this.service;
+  }
+
+  // ------------------------------
+  // Verification
+  // ------------------------------
+
+  /**
+   * Verifies the ECDSA signature and timestamp of an Event Webhook request.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {Object} options - Verification options.
+   * @param {string} options.publicKey - Base64 encoded verification key from the SendGrid settings.
+   * @param {Buffer|string} options.payload - The raw, unparsed request body.
+   * @param {string} options.signature - Value of the signature header.
+   * @param {string} options.timestamp - Value of the timestamp header.
+   * @param {number} [options.toleranceSeconds=300] - Maximum accepted age of the timestamp.
+   * @param {number} [options.now=Date.now()] - Current time in milliseconds.
+   * @returns {boolean} True if the signature is valid and the timestamp is recent.
+   */
+  static verifySignature({
+    publicKey,
+    payload,
+    signature,
+    timestamp,
+    toleranceSeconds = 300,
+    now = Date.now(),
+  }) {
+    if (!publicKey || !payload || !signature || !timestamp) return false;
+
+    // Reject stale or future timestamps to limit replays
+    const signedAt = Number(timestamp);
+    if (!Number.isFinite(signedAt)) return false;
+    if (Math.abs(now / 1000 - signedAt) > toleranceSeconds) return false;
+
+    try {
+      // SendGrid signs the timestamp followed by the raw body
+      const key = crypto.createPublicKey({
+        key: Buffer.from(publicKey, "base64"),
+        format: "der",
+        type: "spki",
+      });
+      return crypto.verify(
+        "sha256",
+        Buffer.concat([Buffer.from(String(timestamp)), Buffer.from(payload)]),
+        key,
+        Buffer.from(signature, "base64")
+      );
+    } catch {
+      // Malformed keys or signatures never verify
+      return false;
+    }
+  }
+
+  // ------------------------------
+  // Parsing & Dispatch
+  // ------------------------------
+
+  /**
+   * Parses a batched Event Webhook payload.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {Buffer|string} payload - The raw request body.
+   * @returns {SendGridEvent[]} The parsed events.
+   * @throws {ValidationError} If the payload is not a JSON array of events.
+   */
+  static parseEvents(payload) {
+    let events;
+    try {
+      events = JSON.parse(payload.toString());
+    } catch {
+      throw new ValidationError("Invalid event payload: not valid JSON");
+    }
+
+    if (!Array.isArray(events)) {
+      throw new ValidationError("Invalid event payload: expected an array of events");
+    }
+
+    // Check the fields every event must carry
+    events.forEach((e, index) => {
+      if (!e || typeof e.event !== "string" || typeof e.email !== "string") {
+        throw new ValidationError(
+          `Invalid event payload: event ${index} is missing event or email`
+        );
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Registers a handler for an event type.
+   *
+   * Handlers must be idempotent: SendGrid redelivers the whole batch when the
+   * webhook does not answer with a 2xx.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} eventType - One of the SendGrid event types, or `*` for every event.
+   * @param {function(SendGridEvent): (void|Promise<void>)} handler - The handler.
+   * @returns {Function} A function that unregisters the handler.
+   * @throws {ValidationError} If the event type is unknown.
+   */
+  static on(eventType, handler) {
+    if (eventType !== "*" && !EVENT_TYPES.includes(eventType)) {
+      throw new ValidationError(`Invalid event type: ${eventType}`);
+    }
+
+    if (!this.handlers.has(eventType)) this.handlers.set(eventType, []);
+    this.handlers.get(eventType).push(handler);
+
+    return () => {
+      const list = this.handlers.get(eventType) || [];
+      this.handlers.set(
+        eventType,
+        list.filter((h) => h !== handler)
+      );
+    };
+  }
+
+  /**
+   * Dispatches parsed events to the registered handlers.
+   *
+   * Every event is attempted even if an earlier one fails. Each SendGrid
+   * account posts to its own webhook, so pass the account's client as
+   * `service`; bounces and spam reports clear tags through it.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {SendGridEvent[]} events - The events to dispatch.
+   * @param {Object} [options={}] - Dispatch options.
+   * @param {Object} [options.service] - Client of the account that sent the events; defaults to `getService()`.
+   * @returns {Promise<Object>} `{ received, processed, skipped, errors }`, where `errors`
+   *   lists `{ event, sg_event_id, message }` for failed events.
+   */
+  static async processEvents(events, { service } = {}) {
+    const summary = { received: events.length, processed: 0, skipped: 0, errors: [] };
+
+    for (const event of events) {
+      // Skip events already handled in an earlier delivery
+      if (event.sg_event_id && this.seenEventIds.has(event.sg_event_id)) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        // Apply the built-in behaviour before custom handlers
+        if (this.autoClearTags && TAG_CLEARING_EVENTS.includes(event.event)) {
+          await this._clearTagsForEvent(event, service || this.getService());
+        }
+
+        const handlers = [
+          ...(this.handlers.get(event.event) || []),
+          ...(this.handlers.get("*") || []),
+        ];
+        for (const handler of handlers) await handler(event);
+
+        this._rememberEvent(event);
+        summary.processed++;
+      } catch (err) {
+        summary.errors.push({
+          event: event.event,
+          sg_event_id: event.sg_event_id,
+          message: err.message,
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Verifies, parses and dispatches an Event Webhook request.
+   *
+   * @since 1.0
+   * @version 1.2
+   * @author Linden May
+   * @param {Object} options - Ingestion options.
+   * @param {Buffer|string} options.payload - The raw request body.
+   * @param {Object} options.headers - Request headers (lower-cased names).
+   * @param {string} [options.publicKey] - Verification key; defaults to `SENDGRID_WEBHOOK_PUBLIC_KEY`.
+   * @param {number} [options.toleranceSeconds] - Maximum accepted age of the timestamp.
+   * @param {Object} [options.service] - Client of the account that sent the events, as for `processEvents`.
+   * @returns {Promise<Object>} The dispatch summary from `processEvents`.
+   * @throws {Error} A `ForbiddenError` if the signature is invalid, a `ValidationError` if the
+   *   payload is malformed.
+   */
+  static async ingest({ payload, headers, publicKey, toleranceSeconds, service }) {
+    const verified = this.verifySignature({
+      publicKey: publicKey || process.env.SENDGRID_WEBHOOK_PUBLIC_KEY,
+      payload,
+      signature: headers[SIGNATURE_HEADER],
+      timestamp: headers[TIMESTAMP_HEADER],
+      toleranceSeconds,
+    });
+    if (!verified) {
+      throw new ForbiddenError("Invalid event webhook signature", { code: "INVALID_SIGNATURE" });
+    }
+
+    return this.processEvents(this.parseEvents(payload), { service });
+  }
+
+  // ------------------------------
+  // Utilities
+  // ------------------------------
+
+  /**
+   * Clears the tag fields of the recipient of a bounce or spam report.
+   *
+   * @param {SendGridEvent} event - The event.
+   * @param {Object} service - Client of the account that sent the event.
+   * @returns {Promise<void>}
+   */
+  static async _clearTagsForEvent(event, service) {
+    try {
+      await service.clearRecipientTags(event.email);
+    } catch (err) {
+      // Recipients that are not marketing contacts have no tags to clear
+      if (err instanceof NotFoundError) return;
+      throw err;
+    }
+  }
+
+  /**
+   * Remembers a processed event ID, evicting the oldest past the limit.
+   *
+   * @param {SendGridEvent} event - The processed event.
+   * @returns {void}
+   */
+  static _rememberEvent(event) {
+    if (!event.sg_event_id) return;
+    this.seenEventIds.add(event.sg_event_id);
+    if (this.seenEventIds.size > SEEN_EVENT_LIMIT) {
+      this.seenEventIds.delete(this.seenEventIds.values().next().value);
+    }
+  }
+
+  /**
+   * Removes all handlers and forgets processed events.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {void}
+   */
+  static reset() {
+    this.handlers = new Map();
+    this.seenEventIds = new Set();
+    this.autoClearTags = true;
+  }
+}
+
+module.exports = SendGridEventWebhook;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+module.exports.TIMESTAMP_HEADER = TIMESTAMP_HEADER;
@@ -0,0 +1,363 @@
+// services/TemplateRenderer.js
+const fs = require("fs");
+const path = require("path");
+const Handlebars = require("handlebars");
+
+// Import the shared template data validation
+const { validateTemplateSchema } = require("./templateValidation.js");
+
+// Import the template data sanitization applied before sending
+const { sanitizeTemplateData } = require("./templateSanitizer.js");
+
+// Typed errors with machine-readable codes
+const { ValidationError, NotFoundError } = require("./errors.js");
+
+// Month and weekday names used by `formatDate`
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * Formats a date with the Moment-style tokens SendGrid's `formatDate` accepts.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string|number|Date} value - The date, as ISO string, epoch milliseconds or Date.
+ * @param {string} format - Format such as `MM/DD/YYYY h:mm a`.
+ * @param {string} [offset] - Timezone offset such as `-0800`; defaults to UTC.
+ * @returns {string} The formatted date, or an empty string for invalid dates.
+ */
+function formatDate(value, format, offset) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+
+  // Shift into the requested offset and read the UTC parts
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(offset || "");
+  const shiftMinutes = match
+    ? (match[1] === "-" ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]))
+    : 0;
+  const d = new Date(date.getTime() + shiftMinutes * 60000);
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const hours12 = d.getUTCHours() % 12 || 12;
+  const tokens = {
+    YYYY: String(d.getUTCFullYear()),
+    YY: String(d.getUTCFullYear()).slice(-2),
+    MMMM: MONTHS[d.getUTCMonth()],
+    MMM: MONTHS[d.getUTCMonth()].slice(0, 3),
+    MM: pad(d.getUTCMonth() + 1),
+    M: String(d.getUTCMonth() + 1),
+    dddd: WEEKDAYS[d.getUTCDay()],
+    ddd: WEEKDAYS[d.getUTCDay()].slice(0, 3),
+    DD: pad(d.getUTCDate()),
+    D: String(d.getUTCDate()),
+    HH: pad(d.getUTCHours()),
+    H: String(d.getUTCHours()),
+    hh: pad(hours12),
+    h: String(hours12),
+    mm: pad(d.getUTCMinutes()),
+    m: String(d.getUTCMinutes()),
+    ss: pad(d.getUTCSeconds()),
+    s: String(d.getUTCSeconds()),
+    A: d.getUTCHours() < 12 ? "AM" : "PM",
+    a: d.getUTCHours() < 12 ? "am" : "pm",
+  };
+
+  return format.replace(
+    /YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|H|hh|h|mm|m|ss|s|A|a/g,
+    (token) => tokens[token]
+  );
+}
+
+/**
+ * Decodes the entities Handlebars produces when escaping values.
+ *
+ * @param {string} value - The escaped text.
+ * @returns {string} The decoded text.
+ */
+function _decodeEntities(value) {
+  return value
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;|&#39;/g, "'")
+    .replace(/&#x3D;/g, "=")
+    .replace(/&#x60;/g, "`")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Converts rendered HTML to a readable plain text alternative.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} html - The HTML to convert.
+ * @returns {string} The plain text.
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    // Source line breaks carry no meaning in HTML
+    .replace(/\s+/g, " ")
+    // Write links as "label (url)"
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+      const linkText = label.replace(/<[^>]+>/g, "").trim();
+      return linkText && linkText !== href ? `${linkText} (${href})` : href;
+    })
+    // Turn block elements into line breaks and drop every other tag
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|table|ul|ol)>/gi, "\n\n")
+    .replace(/<\/(tr|li)>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<\/t[dh]>/gi, " ")
+    .replace(/<[^>]+>/g, "");
+
+  // Trim every line and collapse runs of blank lines
+  return _decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/ +/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Creates a Handlebars environment with SendGrid's dynamic template helpers.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @returns {Object} An isolated Handlebars instance.
+ */
+function createSendGridHandlebars() {
+  const hbs = Handlebars.create();
+
+  // Comparison block helpers, e.g. {{#equals status "shipped"}}...{{else}}...{{/equals}}
+  const block = (test) =>
+    function (...args) {
+      const options = args.pop();
+      return test(...args) ? options.fn(this) : options.inverse(this);
+    };
+
+  hbs.registerHelper("equals", block((a, b) => a == b));
+  hbs.registerHelper("notEquals", block((a, b) => a != b));
+  hbs.registerHelper("greaterThan", block((a, b) => Number(a) > Number(b)));
+  hbs.registerHelper("lessThan", block((a, b) => Number(a) < Number(b)));
+  hbs.registerHelper("and", block((...values) => values.every(Boolean)));
+  hbs.registerHelper("or", block((...values) => values.some(Boolean)));
+
+  // {{length items}}
+  hbs.registerHelper("length", (value) =>
+    Array.isArray(value) || typeof value === "string" ? value.length : 0
+  );
+
+  // {{formatDate timestamp "MM/DD/YYYY" "-0800"}}
+  hbs.registerHelper("formatDate", (value, format, ...rest) => {
+    const offset = rest.length > 1 ? rest[0] : undefined;
+    return formatDate(value, typeof format === "string" ? format : "YYYY-MM-DD", offset);
+  });
+
+  // {{insert name "default=Customer"}}
+  hbs.registerHelper("insert", (value, ...rest) => {
+    const fallback = rest.length > 1 ? String(rest[0]) : "";
+    const defaultValue = fallback.startsWith("default=") ? fallback.slice(8) : "";
+    return value === undefined || value === null || value === "" ? defaultValue : value;
+  });
+
+  return hbs;
+}
+
+class TemplateRenderer {
+  // Directory that template `path` entries are relative to
+  static rootDir = path.join(__dirname, "..");
+
+  // Template map used to resolve template keys; defaults to the service's, so reloads apply
+  static templateMap = null;
+
+  // Service providing the email template map; defaults to TwilioSendGrid
+  static service = null;
+
+  // Compiled templates keyed by file path, invalidated on modification time
+  static compiledCache = new Map();
+
+  // Handlebars environment with SendGrid helpers
+  static handlebars = createSendGridHandlebars();
+
+  // ------------------------------
+  // Configuration
+  // ------------------------------
+
+  /**
+   * Returns the template map used to resolve template keys.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Object} `templateMap` if set, otherwise the service's current email template map.
+   */
+  static getTemplateMap() {
+    if (this.templateMap) return this.templateMap;
+
+    // Resolved lazily so the renderer can be loaded without the service
+    if (!this.service) this.service = require("./TwilioSendGrid.js");
+    return this.service.loadEmailTemplateConfig();
+  }
+
+  // ------------------------------
+  // Rendering
+  // ------------------------------
+
+  /**
+   * Renders a template from the template map to HTML and plain text.
+   *
+   * The data is sanitized first, exactly as `sendSimpleEmail` does before
+   * handing it to SendGrid.
+   *
+   * @since 1.0
+   * @version 1.3
+   * @author Linden May
+   * @param {string} templateKey - Key to identify the email template.
+   * @param {Object} dynamicTemplateData - Dynamic data for the email template.
+   * @returns {Promise<Object>} `{ subject, html, text, sanitized }`; `subject` comes from the
+   *   `<title>` tag and `sanitized` reports what was stripped or removed.
+   * @throws {Error} If the template key is unknown, the file is missing, it loops without
+   *   `supportsLooping`, or it fails to compile.
+   */
+  static async renderTemplate(templateKey, dynamicTemplateData = {}) {
+    // Retrieve template configuration by key
+    const template = this.getTemplateMap()[templateKey];
+    if (!template) throw new ValidationError(`Unknown templateKey: ${templateKey}`, { fields: ["templateKey"] });
+
+    const render = await this._compile(templateKey, template);
+    const { data, report } = sanitizeTemplateData(template, dynamicTemplateData);
+    const html = render(data);
+
+    // Take the subject from the <title> tag, if any, as SendGrid does: plain text, not decoded
+    const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1];
+
+    return {
+      subject: title ? title.replace(/\s+/g, " ").trim() : null,
+      html,
+      text: htmlToText(html),
+      sanitized: report,
+    };
+  }
+
+  /**
+   * Renders a template for preview, reporting data violations instead of failing on them.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} templateKey - Key to identify the email template.
+   * @param {Object} dynamicTemplateData - Dynamic data for the email template.
+   * @returns {Promise<Object>} `{ templateKey, templateId, subject, html, text, sanitized, valid, violations }`.
+   * @throws {Error} If the template cannot be rendered.
+   */
+  static async previewTemplate(templateKey, dynamicTemplateData = {}) {
+    const template = this.getTemplateMap()[templateKey];
+    if (!template) throw new ValidationError(`Unknown templateKey: ${templateKey}`, { fields: ["templateKey"] });
+
+    // Validate, but still render so designers see what goes wrong
+    const { valid, violations } = validateTemplateSchema(template, dynamicTemplateData);
+    const rendered = await this.renderTemplate(templateKey, dynamicTemplateData);
+
+    return {
+      templateKey,
+      templateId: template.templateId,
+      ...rendered,
+      valid,
+      violations,
+    };
+  }
+
+  /**
+   * Loads a template's Handlebars source, checked the same way as for rendering.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} templateKey - Key to identify the email template.
+   * @returns {Promise<string>} The template file's contents.
+   * @throws {Error} If the template key is unknown or the template cannot be compiled.
+   */
+  static async loadTemplateSource(templateKey) {
+    const template = this.getTemplateMap()[templateKey];
+    if (!template) throw new ValidationError(`Unknown templateKey: ${templateKey}`, { fields: ["templateKey"] });
+
+    // Compiling validates the file and caches its source
+    await this._compile(templateKey, template);
+    return this.compiledCache.get(path.resolve(this.rootDir, template.path)).source;
+  }
+
+  // ------------------------------
+  // Utilities
+  // ------------------------------
+
+  /**
+   * Loads and compiles a template file, reusing the compiled version until the file changes.
+   *
+   * @param {string} templateKey - Key of the template, used in errors.
+   * @param {Object} template - Template config with `path` and `supportsLooping`.
+   * @returns {Promise<Function>} The compiled template.
+   * @throws {Error} If the file is missing, loops without `supportsLooping`, or fails to compile.
+   */
+  static async _compile(templateKey, template) {
+    if (!template.path) {
+      throw new ValidationError(`Missing path in template config for ${templateKey}`);
+    }
+
+    const file = path.resolve(this.rootDir, template.path);
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch {
+      throw new NotFoundError(`Template file not found for ${templateKey}: ${template.path}`);
+    }
+
+    // Reuse the compiled template until the file is modified
+    const cached = this.compiledCache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.render;
+
+    const source = await fs.promises.readFile(file, "utf8");
+
+    // Only looping templates may iterate over arrays
+    if (!template.supportsLooping && /\{\{~?#each\b/.test(source)) {
+      throw new ValidationError(
+        `Invalid template ${templateKey}: uses {{#each}} but supportsLooping is false`
+      );
+    }
+
+    let render;
+    try {
+      render = this.handlebars.compile(source, { strict: false });
+      // Compilation is lazy, so force it to surface syntax errors now
+      render({});
+    } catch (err) {
+      throw new ValidationError(`Invalid template ${templateKey}: ${err.message}`, { cause: err });
+    }
+
+    this.compiledCache.set(file, { mtimeMs: stat.mtimeMs, render, source });
+    return render;
+  }
+
+  /**
+   * Clears compiled templates.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {void}
+   */
+  static resetInternalCache() {
+    this.compiledCache = new Map();
+  }
+}
+
+module.exports = TemplateRenderer;
+module.exports.htmlToText = htmlToText;
+module.exports.formatDate = formatDate;
+module.exports.createSendGridHandlebars = createSendGridHandlebars;
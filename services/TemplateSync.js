@@ -0,0 +1,345 @@
+// services/TemplateSync.js
+
+// Import the shared template data validation
+const { validateTemplateData, validateTemplateSchema } = require("./templateValidation.js");
+
+// Typed errors with machine-readable codes
+const { ValidationError, fromUpstreamError } = require("./errors.js");
+
+// SendGrid dynamic template IDs are `d-` followed by 32 hex digits
+const DYNAMIC_TEMPLATE_ID = /^d-[0-9a-f]{32}$/;
+
+// SendGrid allows up to 200 templates per page
+const TEMPLATES_PAGE_SIZE = 200;
+
+/**
+ * Differences between the local template map and SendGrid.
+ *
+ * @typedef {Object} TemplateDrift
+ * @property {boolean} inSync - True when every list below is empty.
+ * @property {Object[]} templates - `{ templateKey, templateId, name, activeVersion }` per mapped template found in SendGrid.
+ * @property {Object[]} missing - `{ templateKey, templateId, reason }` per map entry without a SendGrid template;
+ *   `reason` is `invalid_id` or `not_found`.
+ * @property {Object[]} unknown - `{ templateId, name }` per SendGrid dynamic template not in the map.
+ * @property {Object[]} noActiveVersion - `{ templateKey, templateId }` per mapped template without an active version.
+ * @property {Object[]} testData - `{ templateKey, templateId, versionId, violations }` per active version whose
+ *   test data fails the map's `requiredFields` or `customFieldTypes`.
+ */
+
+/**
+ * Result of pushing a local template to SendGrid.
+ *
+ * @typedef {Object} TemplatePushResult
+ * @property {string} templateKey - Key of the template in the map.
+ * @property {string} templateId - SendGrid template ID.
+ * @property {string} versionId - The version holding the local HTML.
+ * @property {boolean} created - False if an existing version already had the same content.
+ * @property {boolean} activated - True if the version was activated by this push.
+ */
+
+class TemplateSync {
+  // Service whose transport reaches SendGrid; defaults to TwilioSendGrid
+  static service = null;
+
+  // Renderer providing the template map and sources; defaults to TemplateRenderer
+  static renderer = null;
+
+  // ------------------------------
+  // Configuration
+  // ------------------------------
+
+  /**
+   * Returns the service whose transport is used for SendGrid requests.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Object} The service, `TwilioSendGrid` unless replaced.
+   */
+  static getService() {
+    // Resolved lazily so the sync can be loaded without the service
+    if (!this.service) this.service = require("./TwilioSendGrid.js");
+    return this.service;
+  }
+
+  /**
+   * Returns the renderer holding the template map and template files.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Object} The renderer, `TemplateRenderer` unless replaced.
+   */
+  static getRenderer() {
+    if (!this.renderer) this.renderer = require("./TemplateRenderer.js");
+    return this.renderer;
+  }
+
+  // ------------------------------
+  // Drift
+  // ------------------------------
+
+  /**
+   * Fetches every dynamic template in SendGrid, following pagination.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Promise<Object[]>} The templates, each with a summary of its `versions`.
+   * @throws {Error} If a request fails.
+   */
+  static async fetchDynamicTemplates() {
+    const templates = [];
+    let url = `/v3/templates?generations=dynamic&page_size=${TEMPLATES_PAGE_SIZE}`;
+
+    while (url) {
+      const body = await this._request("list templates", { method: "GET", url });
+      templates.push(...(body?.result || []));
+
+      // Follow the next page link, keeping only the path and query
+      const next = body?._metadata?.next;
+      url = next ? next.replace(/^https?:\/\/[^/]+/, "") : null;
+    }
+
+    return templates;
+  }
+
+  /**
+   * Compares the template map with the dynamic templates in SendGrid.
+   *
+   * Reports map entries whose ID is malformed or unknown to SendGrid, SendGrid
+   * templates the map does not reference, templates without an active version,
+   * and active versions whose test data would fail the map's validation.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @returns {Promise<TemplateDrift>} The drift report.
+   * @throws {Error} If a request fails.
+   */
+  static async checkDrift() {
+    const templateMap = this.getRenderer().getTemplateMap();
+    const remote = new Map((await this.fetchDynamicTemplates()).map((t) => [t.id, t]));
+
+    const report = { templates: [], missing: [], unknown: [], noActiveVersion: [], testData: [] };
+
+    for (const [templateKey, config] of Object.entries(templateMap)) {
+      const { templateId } = config;
+
+      // Entries must point at an existing dynamic template
+      if (!DYNAMIC_TEMPLATE_ID.test(templateId || "")) {
+        report.missing.push({ templateKey, templateId, reason: "invalid_id" });
+        continue;
+      }
+      const template = remote.get(templateId);
+      if (!template) {
+        report.missing.push({ templateKey, templateId, reason: "not_found" });
+        continue;
+      }
+
+      const active = (template.versions || []).find((v) => v.active === 1);
+      report.templates.push({
+        templateKey,
+        templateId,
+        name: template.name,
+        activeVersion: active
+          ? { id: active.id, name: active.name, subject: active.subject, updatedAt: active.updated_at }
+          : null,
+      });
+      if (!active) {
+        report.noActiveVersion.push({ templateKey, templateId });
+        continue;
+      }
+
+      // Listings leave out test data, so fetch the active version itself
+      const version = await this._request("fetch template version", {
+        method: "GET",
+        url: `/v3/templates/${encodeURIComponent(templateId)}/versions/${encodeURIComponent(active.id)}`,
+      });
+      const violations = this._testDataViolations(config, version?.test_data);
+      if (violations.length) {
+        report.testData.push({ templateKey, templateId, versionId: active.id, violations });
+      }
+    }
+
+    // Templates in SendGrid that no map entry references
+    const mappedIds = new Set(Object.values(templateMap).map((t) => t.templateId));
+    for (const template of remote.values()) {
+      if (!mappedIds.has(template.id)) {
+        report.unknown.push({ templateId: template.id, name: template.name });
+      }
+    }
+
+    return {
+      inSync: ["missing", "unknown", "noActiveVersion", "testData"].every((k) => !report[k].length),
+      ...report,
+    };
+  }
+
+  // ------------------------------
+  // Pushing
+  // ------------------------------
+
+  /**
+   * Pushes a template's local HTML to SendGrid as a new version and activates it.
+   *
+   * The subject is taken from the template's `<title>`. If a version with the
+   * same subject and HTML already exists, it is activated instead of creating
+   * another one, unless `force` is set. Test data defaults to the active
+   * version's, so a push does not drop it.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} templateKey - Key of the template in the map.
+   * @param {Object} [options] - Push options.
+   * @param {boolean} [options.activate=true] - Make the version the one SendGrid sends.
+   * @param {Object} [options.testData] - Test data for SendGrid's preview, validated against the map.
+   * @param {boolean} [options.force=false] - Create a new version even if the content is unchanged.
+   * @returns {Promise<TemplatePushResult>} The pushed version.
+   * @throws {Error} If the template key or ID is invalid, the template has no `<title>`,
+   *   the test data is invalid, the template does not exist in SendGrid or a request fails.
+   */
+  static async pushTemplate(templateKey, { activate = true, testData, force = false } = {}) {
+    const renderer = this.getRenderer();
+    const config = renderer.getTemplateMap()[templateKey];
+    if (!config) throw new ValidationError(`Unknown templateKey: ${templateKey}`, { fields: ["templateKey"] });
+    if (!DYNAMIC_TEMPLATE_ID.test(config.templateId || "")) {
+      throw new ValidationError(
+        `Invalid templateId for ${templateKey}: ${config.templateId} is not a dynamic template ID`
+      );
+    }
+    if (testData !== undefined) validateTemplateData(config, testData);
+
+    // Read the local HTML and its subject line
+    const html = await renderer.loadTemplateSource(templateKey);
+    const subject = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1].trim();
+    if (!subject) {
+      throw new ValidationError(`Invalid template ${templateKey}: a <title> is required for the subject`);
+    }
+
+    const { templateId } = config;
+    const template = await this._request(
+      "fetch template",
+      { method: "GET", url: `/v3/templates/${encodeURIComponent(templateId)}` },
+      templateId
+    );
+    const versions = template?.versions || [];
+    const active = versions.find((v) => v.active === 1);
+    const test_data = testData !== undefined ? JSON.stringify(testData) : active?.test_data;
+
+    // Reuse a version with the same content
+    const existing = force
+      ? null
+      : versions.find((v) =>
+        v.html_content === html &&
+        v.subject === subject &&
+        (testData === undefined || v.test_data === test_data)
+      );
+
+    let version = existing;
+    if (!version) {
+      version = await this._request(
+        "create template version",
+        {
+          method: "POST",
+          url: `/v3/templates/${encodeURIComponent(templateId)}/versions`,
+          body: {
+            name: `${templateKey} ${new Date().toISOString()}`,
+            subject,
+            html_content: html,
+            generate_plain_content: true,
+            editor: "code",
+            active: 0,
+            ...(test_data !== undefined && { test_data }),
+          },
+        },
+        templateId
+      );
+    }
+
+    // Activate unless it already is
+    const activated = activate && version.active !== 1;
+    if (activated) {
+      await this._request(
+        "activate template version",
+        {
+          method: "POST",
+          url: `/v3/templates/${encodeURIComponent(templateId)}/versions/${encodeURIComponent(version.id)}/activate`,
+        },
+        templateId
+      );
+    }
+
+    return { templateKey, templateId, versionId: version.id, created: !existing, activated };
+  }
+
+  /**
+   * Pushes every template in the map, collecting failures instead of stopping at the first.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {Object} [options] - `activate` and `force`, as for `pushTemplate`.
+   * @returns {Promise<Object>} `{ pushed: TemplatePushResult[], failed: [{ templateKey, error }] }`.
+   */
+  static async pushAll({ activate = true, force = false } = {}) {
+    const pushed = [];
+    const failed = [];
+
+    for (const templateKey of Object.keys(this.getRenderer().getTemplateMap())) {
+      try {
+        pushed.push(await this.pushTemplate(templateKey, { activate, force }));
+      } catch (err) {
+        failed.push({ templateKey, error: err.message });
+      }
+    }
+
+    return { pushed, failed };
+  }
+
+  // ------------------------------
+  // Utilities
+  // ------------------------------
+
+  /**
+   * Checks a version's `test_data` JSON against a map entry.
+   *
+   * @param {Object} config - Template config with `requiredFields` and `customFieldTypes`.
+   * @param {string} [testData] - The version's test data as JSON.
+   * @returns {Object[]} The violations, empty if the data is valid.
+   */
+  static _testDataViolations(config, testData) {
+    let data;
+    try {
+      data = testData ? JSON.parse(testData) : {};
+    } catch {
+      return [{ field: "", code: "json", message: "Invalid test data: not valid JSON" }];
+    }
+    return validateTemplateSchema(config, data).violations;
+  }
+
+  /**
+   * Sends a templates API request, turning failures into readable errors.
+   *
+   * @param {string} action - What the request does, used in errors.
+   * @param {Object} request - The transport request.
+   * @param {string} [templateId] - Template the request is about, for not found errors.
+   * @returns {Promise<Object>} The response body.
+   * @throws {import("./errors.js").SendGridServiceError} `Template not found in SendGrid` on 404,
+   *   otherwise `Failed to <action>`.
+   */
+  static async _request(action, request, templateId) {
+    try {
+      const [response] = await this.getService().getTransport().request(request);
+      return response.body;
+    } catch (err) {
+      throw fromUpstreamError(err, action, {
+        notFound: templateId && `Template not found in SendGrid: ${templateId}`,
+      });
+    }
+  }
+}
+
+module.exports = TemplateSync;
+module.exports.DYNAMIC_TEMPLATE_ID = DYNAMIC_TEMPLATE_ID;
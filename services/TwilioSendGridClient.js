@@ -0,0 +1,3371 @@
+// services/TwilioSendGridClient.js
+require("dotenv").config();
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// Import the default SendGrid transport and the retry policy applied to every call
+const SendGridTransport = require("./transports/SendGridTransport.js");
+const ResilientTransport = require("./transports/ResilientTransport.js");
+const ObservedTransport = require("./transports/ObservedTransport.js");
+
+// Import the SGQL query builder
+const sgql = require("./sgqlBuilder.js");
+
+// Import the shared template data validation
+const {
+  validateTemplateData,
+  validateTemplateSchema,
+  getFieldType,
+} = require("./templateValidation.js");
+
+// Import the template data sanitization
+const { sanitizeTemplateData } = require("./templateSanitizer.js");
+
+// Import the campaign targeting condition compiler
+const { buildFieldTypes, compileSegmentConditions } = require("./segmentConditions.js");
+
+// Attachments, headers, categories and custom arguments
+const { validateMessageOptions, resolveAttachments } = require("./messageOptions.js");
+
+// Scheduled transactional sends
+const {
+  MemoryScheduledSendStore,
+  validateScheduledSendAt,
+  CANCEL_CUTOFF_MS,
+} = require("./scheduledSends.js");
+
+// Idempotency keys for sends
+const {
+  MemoryIdempotencyStore,
+  assertIdempotencyKey,
+  fingerprintRequest,
+} = require("./idempotency.js");
+
+// Import the email template map configuration
+const { EmailTemplateMap: EMAIL_TEMPLATE_MAP } = require("../config/emailTemplatesMap.js");
+
+// Import the contact custom field configuration
+const { ContactFieldMap: CONTACT_FIELD_MAP } = require("../config/contactFieldsMap.js");
+
+// Typed errors with machine-readable codes
+const {
+  SendGridServiceError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ForbiddenError,
+  ProviderError,
+  fromUpstreamError,
+} = require("./errors.js");
+
+// Template maps loaded from JSON and YAML files
+const {
+  loadTemplateMap,
+  assertValidTemplateMap,
+  watchTemplateMap,
+} = require("./templateMaps.js");
+
+// Pluggable logging
+const { createConsoleLogger } = require("./observability.js");
+
+// SendGrid custom field type for each template field type; tags are stored as "true"
+const SENDGRID_FIELD_TYPES = {
+  string: "Text",
+  html: "Text",
+  email: "Text",
+  url: "Text",
+  currency: "Text",
+  boolean: "Text",
+  number: "Number",
+  date: "Date",
+};
+
+// Mail Send limits per request: personalizations, and to/cc/bcc addresses across them
+const MAX_PERSONALIZATIONS_PER_REQUEST = 1000;
+const MAX_ADDRESSES_PER_REQUEST = 1000;
+
+// Log level of each service event; failed requests and sends are logged at info
+const EVENT_LOG_LEVELS = {
+  request: "debug",
+  retry: "info",
+  send: "info",
+  cache: "debug",
+  listVerification: "debug",
+};
+
+/**
+ * Events emitted on a client's `events`, with their data. Each carries a
+ * `requestId`, shared by a send and the SendGrid requests it made, except `cache`.
+ *
+ * @typedef {Object} ServiceEvents
+ * @property {Object} request - A SendGrid API call settled: `{ requestId, method, url, status?,
+ *   attempts, durationMs, error? }`; `status` is missing when no response came back.
+ * @property {Object} retry - A call is about to be repeated: `{ requestId, source, attempt, delayMs,
+ *   error }`; `source` is `transport` (with `method`, `url`, `status?`) or `poll` (with `operation`).
+ * @property {Object} send - An email, batch or campaign send settled: `{ requestId, kind, templateKey,
+ *   outcome, durationMs, code?, error? }`, plus `recipients` and `messageId` for emails and batches,
+ *   and `segmentId` and `campaignId` for campaigns. `kind` is `email`, `batch` or `campaign`, and
+ *   `outcome` is `sent`, `scheduled` or `failed`.
+ * @property {Object} cache - A cache was read: `{ cache, hit }`; `cache` is `lists`, `fieldDefinitions`,
+ *   `templates` or `fieldTypes`.
+ * @property {Object} listVerification - Polling for a newly created list ended: `{ requestId, listName,
+ *   attempts, durationMs, ok }`.
+ */
+
+/**
+ * A campaign (single send) as returned by the lifecycle APIs.
+ *
+ * @typedef {Object} CampaignStatus
+ * @property {string} campaignId - Single send ID.
+ * @property {string} name - Campaign name.
+ * @property {"draft"|"scheduled"|"triggered"} status - Draft, scheduled, or sent.
+ * @property {string|null} sendAt - ISO date the campaign is or was sent at.
+ * @property {string[]} segmentIds - Segments the campaign is sent to.
+ * @property {string[]} listIds - Lists the campaign is sent to.
+ * @property {string|null} templateId - Dynamic template of the campaign.
+ * @property {string} createdAt - ISO creation date.
+ * @property {string} updatedAt - ISO date of the last change.
+ */
+
+/**
+ * Outcome of a batch send.
+ *
+ * @typedef {Object} BatchSendResult
+ * @property {Object[]} accepted - `{ index, to, messageId, sanitized }` for every recipient SendGrid accepted.
+ * @property {Object[]} rejected - `{ index, to, reason, code, transient, status?, violations? }` for every
+ *   recipient not sent to; `status` is SendGrid's answer when a request failed.
+ * @property {number} requests - Mail Send requests made.
+ */
+
+/**
+ * Delivery and engagement totals of a campaign.
+ *
+ * @typedef {Object} CampaignStats
+ * @property {string} campaignId - Single send ID.
+ * @property {number} requests - Messages SendGrid attempted to send.
+ * @property {number} delivered - Messages accepted by the receiving server.
+ * @property {number} bounces - Bounced messages.
+ * @property {number} opens - Total opens.
+ * @property {number} uniqueOpens - Recipients who opened.
+ * @property {number} clicks - Total clicks.
+ * @property {number} uniqueClicks - Recipients who clicked.
+ * @property {number} spamReports - Spam reports.
+ * @property {number} unsubscribes - Unsubscribes.
+ * @property {number} deliveryRate - `delivered / requests`, 0 when nothing was sent.
+ * @property {number} openRate - `uniqueOpens / delivered`, 0 when nothing was delivered.
+ * @property {number} clickRate - `uniqueClicks / delivered`, 0 when nothing was delivered.
+ */
+
+/**
+ * Client for one SendGrid account, such as a brand's subuser.
+ *
+ * Every instance has its own credentials, transport, template map, stores and
+ * caches, so several accounts can be served from one process. Settings left
+ * out are read from the environment when they are needed. `TwilioSendGrid`
+ * exposes the same methods statically, backed by a default instance.
+ *
+ * Activity is reported on `events` (see `ServiceEvents`) and logged through
+ * the `logger`.
+ *
+ * @since 1.0
+ * @version 1.1
+ * @author Linden May
+ */
+class TwilioSendGridClient {
+  /**
+   * @param {Object} [options] - Client options.
+   * @param {string} [options.apiKey] - SendGrid API key (`SENDGRID_API_KEY`).
+   * @param {string|number} [options.senderId] - Verified sender used by campaigns (`SENDGRID_SENDER_ID`).
+   * @param {number} [options.blockGroupId] - ASM group used for permanent blocks (`SENDGRID_BLOCK_GROUP_ID`).
+   * @param {Object} [options.templateMap] - Email template map, validated on first use; by default it is
+   *   read from `templatesDir`, else `config/emailTemplatesMap.js`.
+   * @param {string} [options.templatesDir] - Directory of JSON/YAML template maps (`EMAIL_TEMPLATES_DIR`).
+   * @param {Object} [options.contactFieldMap] - Contact custom fields to provision; defaults to
+   *   `config/contactFieldsMap.js`.
+   * @param {import("./transports/SendGridTransport.js").Transport} [options.transport] - Transport to use
+   *   instead of the live SendGrid API.
+   * @param {Object} [options.retryPolicy] - Retry policy overrides, as taken by `configureRetryPolicy`.
+   * @param {Object} [options.idempotencyStore] - Store for idempotency keys; in memory by default.
+   * @param {Object} [options.scheduledSendStore] - Store for scheduled sends; in memory by default.
+   * @param {import("./observability.js").Logger} [options.logger] - Logger for events and failures;
+   *   JSON lines on the console at `LOG_LEVEL` by default.
+   */
+  constructor({
+    apiKey,
+    senderId,
+    blockGroupId,
+    templateMap,
+    templatesDir,
+    contactFieldMap = CONTACT_FIELD_MAP,
+    transport = null,
+    retryPolicy = {},
+    idempotencyStore = null,
+    scheduledSendStore = null,
+    logger = createConsoleLogger(),
+  } = {}) {
+    // Account settings; unset ones fall back to the environment when used
+    this.apiKey = apiKey;
+    this.senderId = senderId;
+    this.blockGroupId = blockGroupId;
+    this.templateMap = templateMap;
+    this.templatesDir = templatesDir;
+
+    // Cache for email templates
+    this.templateCache = null;
+
+    // Cache for custom field mappings
+    this.fieldMapCache = null;
+
+    // Watcher reloading the template map directory while running
+    this.templateWatcher = null;
+
+    // Cache for contact lists
+    this.listCache = null;
+
+    // Cache for SendGrid field types, keyed by field name
+    this.fieldTypeCache = null;
+
+    // Cache for SendGrid field definitions with their IDs, keyed by field name
+    this.fieldDefinitionCache = null;
+
+    // Contact custom fields to provision, keyed by field name
+    this.contactFieldMap = contactFieldMap;
+
+    // Transport used for every SendGrid call, created lazily from the API key
+    this.transport = transport;
+
+    // Overrides for the retry policy and circuit breaker applied to the transport
+    this.retryPolicy = { ...retryPolicy };
+
+    // The transport wrapped with the retry policy, rebuilt when either changes
+    this.resilientTransport = null;
+
+    // The retrying transport wrapped to report each request
+    this.observedTransport = null;
+
+    // Results of sends made with an idempotency key
+    this.idempotencyStore = idempotencyStore;
+
+    // Idempotent sends still running, by scoped key
+    this.idempotentCalls = new Map();
+
+    // Batches of scheduled transactional emails
+    this.scheduledSendStore = scheduledSendStore;
+
+    // Delay in milliseconds before re-reading lists after creating one
+    this.listCreationDelay = 1000;
+
+    // Sends, retries, requests and cache lookups, as described by `ServiceEvents`
+    this.events = new EventEmitter();
+
+    // Logger for events and failures
+    this.logger = logger;
+  }
+
+  // ------------------------------
+  // Transport
+  // ------------------------------
+
+  /**
+   * Replaces the transport used for every SendGrid call.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {import("./transports/SendGridTransport.js").Transport|null} transport - The transport
+   *   to use, e.g. an `InMemorySendGridTransport`; `null` restores the default.
+   * @returns {void}
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Returns the active transport wrapped with the retry policy, creating the
+   * live SendGrid transport on first use. Its requests and retries are
+   * reported on `events`.
+   *
+   * @since 1.0
+   * @version 1.3
+   * @author Linden May
+   * @returns {ObservedTransport} The active transport, retrying and failing fast per the policy.
+   * @throws {Error} If no transport is set and the API key or sender ID is missing.
+   */
+  getTransport() {
+    if (!this.transport) {
+      // Throw error if the client has no credentials of its own or from the environment
+      const apiKey = this.apiKey ?? process.env.SENDGRID_API_KEY;
+      if (!apiKey || !this._senderId()) {
+        throw new SendGridServiceError(
+          "Missing required environment variables: SENDGRID_API_KEY and/or SENDGRID_SENDER_ID",
+          { code: "CONFIGURATION_ERROR" }
+        );
+      }
+
+      this.transport = new SendGridTransport({ apiKey });
+    }
+
+    // Wrap the transport once, keeping the circuit breaker state between calls
+    if (this.resilientTransport?.inner !== this.transport) {
+      this.resilientTransport = new ResilientTransport(this.transport, this.retryPolicy);
+      this.observedTransport = new ObservedTransport(this.resilientTransport, (event, data) =>
+        this._emit(event, data)
+      );
+    }
+    return this.observedTransport;
+  }
+
+  /**
+   * Replaces the retry policy and circuit breaker settings applied to every SendGrid call.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {Partial<import("./transports/ResilientTransport.js").RetryPolicy>} [policy={}] - Overrides
+   *   for the defaults (3 retries, 500 ms base backoff, 30 s max wait, circuit opening after
+   *   5 consecutive outage failures for 30 s); no argument restores the defaults.
+   * @returns {void}
+   */
+  configureRetryPolicy(policy = {}) {
+    this.retryPolicy = { ...policy };
+    this.resilientTransport = null;
+  }
+
+  /**
+   * Reports the circuit breaker state of the active transport.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {string} `closed`, `open` (failing fast) or `half-open` (letting a trial call through).
+   */
+  getCircuitState() {
+    return this.getTransport().breaker.state;
+  }
+
+  /**
+   * Sends an API request, turning transport failures into typed errors.
+   *
+   * @param {string} action - What the request does, used in errors.
+   * @param {Object} request - The transport request.
+   * @returns {Promise<[Object, Object]>} The response and its body.
+   * @throws {import("./errors.js").SendGridServiceError} `Failed to <action>` with the upstream status and errors.
+   */
+  async _request(action, request) {
+    try {
+      return await this.getTransport().request(request);
+    } catch (err) {
+      throw fromUpstreamError(err, action);
+    }
+  }
+
+  /**
+   * Sends a Mail Send message, turning transport failures into typed errors.
+   *
+   * @param {string} action - What the send does, used in errors.
+   * @param {Object} msg - The message.
+   * @param {Object} [options] - Transport options, such as the `requestId`.
+   * @returns {Promise<[Object, Object]>} The response and its body.
+   * @throws {import("./errors.js").SendGridServiceError} `Failed to <action>` with the upstream status and errors.
+   */
+  async _send(action, msg, options = {}) {
+    try {
+      return await this.getTransport().send(msg, false, options);
+    } catch (err) {
+      throw fromUpstreamError(err, action);
+    }
+  }
+
+  // ------------------------------
+  // Events
+  // ------------------------------
+
+  /**
+   * Emits a service event on `events` and logs it.
+   *
+   * @param {string} event - The event, one of `ServiceEvents`.
+   * @param {Object} data - The event data.
+   * @returns {void}
+   */
+  _emit(event, data) {
+    const level = data.error ? "info" : EVENT_LOG_LEVELS[event];
+    this.logger[level](`SendGrid ${event}`, { event, ...data });
+    this.events.emit(event, data);
+  }
+
+  /**
+   * Emits the `send` event of a settled send.
+   *
+   * @param {string} kind - `email`, `batch` or `campaign`.
+   * @param {number} startedAt - When the send started, in milliseconds.
+   * @param {Object} details - `{ requestId, templateKey, recipients, scheduled }` and any IDs to report.
+   * @param {Error} [error] - Why the send failed.
+   * @returns {void}
+   */
+  _emitSend(kind, startedAt, { scheduled, ...details }, error) {
+    this._emit("send", {
+      kind,
+      ...details,
+      outcome: error ? "failed" : scheduled ? "scheduled" : "sent",
+      durationMs: Date.now() - startedAt,
+      ...(error && { code: error.code, error: error.message }),
+    });
+  }
+
+  // ------------------------------
+  // Idempotency
+  // ------------------------------
+
+  /**
+   * Replaces the store remembering idempotency keys and their results.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {Object|null} store - A store with async `get`, `put` and `delete`, such as a
+   *   `MemoryIdempotencyStore`; `null` restores the default in-memory store.
+   * @returns {void}
+   */
+  setIdempotencyStore(store) {
+    this.idempotencyStore = store;
+  }
+
+  /**
+   * Returns the idempotency store, creating an in-memory one on first use.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Object} The idempotency store.
+   */
+  getIdempotencyStore() {
+    if (!this.idempotencyStore) this.idempotencyStore = new MemoryIdempotencyStore();
+    return this.idempotencyStore;
+  }
+
+  /**
+   * Runs a call at most once per idempotency key.
+   *
+   * A key seen before returns the remembered result. A duplicate arriving while
+   * the first call is still running waits for it and shares its outcome. Failed
+   * calls are not remembered, so the caller can retry with the same key. Calls
+   * that succeed only in part can pass `retry`, which gets the remembered result
+   * and repeats the failed part.
+   *
+   * @param {string} scope - Which API the key belongs to, e.g. `email`.
+   * @param {string} key - The caller's idempotency key.
+   * @param {Object} request - The call's options, compared against the first use of the key.
+   * @param {Function} fn - The call.
+   * @param {Object} [options] - Replay options.
+   * @param {Function} [options.retry] - Returns the remembered result with its failed part
+   *   repeated, or null when there is nothing to repeat.
+   * @returns {Promise<*>} The call's result, or the remembered one.
+   * @throws {Error} If the key is invalid or was used for a different request.
+   */
+  async _runIdempotent(scope, key, request, fn, { retry } = {}) {
+    assertIdempotencyKey(key);
+    const scopedKey = `${scope}:${key}`;
+    const fingerprint = fingerprintRequest(request);
+
+    // Join a call with the same key that is still running
+    const running = this.idempotentCalls.get(scopedKey);
+    if (running) {
+      this._assertSameRequest(key, running.fingerprint, fingerprint);
+      return running.promise;
+    }
+
+    const promise = (async () => {
+      // Return the remembered result of an earlier call
+      const store = this.getIdempotencyStore();
+      const record = await store.get(scopedKey);
+      if (record) {
+        this._assertSameRequest(key, record.fingerprint, fingerprint);
+        if (!retry) return record.result;
+      }
+
+      // Repeat the failed part of a remembered result, or make the call
+      const result = record ? await retry(record.result) : await fn();
+      if (record && !result) return record.result;
+      await store.put({ key: scopedKey, fingerprint, result });
+      return result;
+    })();
+
+    this.idempotentCalls.set(scopedKey, { fingerprint, promise });
+    try {
+      return await promise;
+    } finally {
+      this.idempotentCalls.delete(scopedKey);
+    }
+  }
+
+  /**
+   * Refuses an idempotency key reused for a different request.
+   *
+   * @param {string} key - The caller's idempotency key.
+   * @param {string} expected - Fingerprint of the request the key was first used with.
+   * @param {string} actual - Fingerprint of this request.
+   * @returns {void}
+   * @throws {Error} If the fingerprints differ.
+   */
+  _assertSameRequest(key, expected, actual) {
+    if (expected !== actual) {
+      throw new ConflictError(`Idempotency key reused with a different request: ${key}`, {
+        code: "IDEMPOTENCY_CONFLICT",
+        fields: ["idempotencyKey"],
+      });
+    }
+  }
+
+  // ------------------------------
+  // Mapping
+  // ------------------------------
+
+  /**
+   * Loads the email template configuration from cache or source map.
+   *
+   * The map is the client's `templateMap` if one was given, else it is read
+   * from the JSON and YAML files in `templatesDir` (default `EMAIL_TEMPLATES_DIR`),
+   * with the `TEMPLATE_ENV` (default `NODE_ENV`) subdirectory applied on top,
+   * else it is `config/emailTemplatesMap.js`. Either way it is validated before
+   * being cached.
+   *
+   * @since 1.0
+   * @version 1.3
+   * @author Linden May
+   * @returns {Object} The cached or loaded email template configuration.
+   * @throws {Error} Listing every problem in the map, with the structured list in `err.violations`.
+   */
+  loadEmailTemplateConfig() {
+    this._emit("cache", { cache: "templates", hit: Boolean(this.templateCache) });
+    if (!this.templateCache) {
+      // Assign template map to cache if not already cached
+      this.templateCache = this._readEmailTemplateConfig();
+    }
+    return this.templateCache;
+  }
+
+  /**
+   * Re-reads the email template configuration and rebuilds the field map.
+   *
+   * Both are built before either cache is replaced, so a map with errors
+   * leaves the previous one in use.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Object} The new email template configuration.
+   * @throws {Error} If the new map is invalid; the previous map stays cached.
+   */
+  reloadEmailTemplateConfig() {
+    const map = this._readEmailTemplateConfig();
+    const fieldMap = this._fieldTypesFromTemplates(map);
+
+    // Swap both caches together
+    this.templateCache = map;
+    this.fieldMapCache = fieldMap;
+    return map;
+  }
+
+  /**
+   * Reloads the email template configuration whenever a file in the template
+   * directory (`templatesDir` or `EMAIL_TEMPLATES_DIR`) changes. Invalid maps are logged and ignored,
+   * as are directories that can no longer be watched.
+   *
+   * @since 1.0
+   * @version 1.3
+   * @author Linden May
+   * @param {Object} [options] - Watch options.
+   * @param {Function} [options.onReload] - Called with the new map after a reload.
+   * @param {Function} [options.onError] - Called with the error when a reload or watching a directory
+   *   fails; logs a warning by default.
+   * @returns {boolean} False if no template directory is configured.
+   */
+  watchEmailTemplateConfig({ onReload, onError } = {}) {
+    // An explicit template map takes precedence over any directory
+    const dir = this._templatesDir();
+    if (!dir || this.templateMap) return false;
+
+    // Report failures to the caller, or log them
+    const report = (err, msg, fields) => {
+      if (onError) onError(err);
+      else this.logger.warn(msg, { ...fields, error: err.message });
+    };
+
+    this.unwatchEmailTemplateConfig();
+    this.templateWatcher = watchTemplateMap(
+      dir,
+      () => {
+        try {
+          const map = this.reloadEmailTemplateConfig();
+          onReload?.(map);
+        } catch (err) {
+          report(err, "Email template map not reloaded, keeping the previous one", { dir });
+        }
+      },
+      {
+        env: this._templateEnv(),
+        onError: (err, watched) => {
+          report(err, "Email template directory no longer watched", { dir: watched });
+        },
+      }
+    );
+    return true;
+  }
+
+  /**
+   * Stops reloading the email template configuration on file changes.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {void}
+   */
+  unwatchEmailTemplateConfig() {
+    this.templateWatcher?.close();
+    this.templateWatcher = null;
+  }
+
+  /**
+   * Reads and validates the email template configuration from its source.
+   *
+   * @returns {Object} The template map.
+   * @throws {Error} If the map is invalid.
+   */
+  _readEmailTemplateConfig() {
+    if (this.templateMap) return assertValidTemplateMap(this.templateMap);
+    const dir = this._templatesDir();
+    if (dir) return loadTemplateMap(dir, { env: this._templateEnv() });
+    return assertValidTemplateMap(EMAIL_TEMPLATE_MAP);
+  }
+
+  /**
+   * Returns the directory template maps are read from, if any.
+   *
+   * @returns {string|undefined} `templatesDir`, else `EMAIL_TEMPLATES_DIR`.
+   */
+  _templatesDir() {
+    return this.templatesDir ?? process.env.EMAIL_TEMPLATES_DIR;
+  }
+
+  /**
+   * Returns the verified sender ID campaigns are sent from.
+   *
+   * @returns {string|number|undefined} `senderId`, else `SENDGRID_SENDER_ID`.
+   */
+  _senderId() {
+    return this.senderId ?? process.env.SENDGRID_SENDER_ID;
+  }
+
+  /**
+   * Returns the name of the template override subdirectory.
+   *
+   * @returns {string|undefined} `TEMPLATE_ENV`, else `NODE_ENV`.
+   */
+  _templateEnv() {
+    return process.env.TEMPLATE_ENV || process.env.NODE_ENV || undefined;
+  }
+
+  /**
+ * Validates if a given string is a proper email address.
+ *
+ * @param {string} email - The email string to validate.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+  _isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+  }
+
+  /**
+   * Builds a map of custom field types from email template configurations.
+   *
+   * @since 1.0
+   * @version 1.2
+   * @author Linden May
+   * @returns {Object} A map of field keys to their respective types.
+   * @throws {Error} If a template config is missing `customFieldTypes`.
+   */
+  buildFieldTypeFromEmailTemplateConfig() {
+    this._emit("cache", { cache: "fieldTypes", hit: Boolean(this.fieldMapCache) });
+    if (this.fieldMapCache) return this.fieldMapCache;
+
+    // Load email template configuration, then build and cache the field map
+    this.fieldMapCache = this._fieldTypesFromTemplates(this.loadEmailTemplateConfig());
+    return this.fieldMapCache;
+  }
+
+  /**
+   * Maps every custom field in a template map to its top-level type.
+   *
+   * @param {Object} map - The template map.
+   * @returns {Object} Field keys mapped to types.
+   * @throws {Error} If a template config is missing `customFieldTypes`.
+   */
+  _fieldTypesFromTemplates(map) {
+    return Object.values(map).reduce((acc, t) => {
+      // Throw error if template lacks custom field types
+      if (!t.customFieldTypes) {
+        throw new ValidationError(
+          `Missing customFieldTypes in template config for ${t.templateId}`
+        );
+      }
+
+      // Map each custom field to its top-level type
+      for (const [key, schema] of Object.entries(t.customFieldTypes)) {
+        acc[key] = getFieldType(schema);
+      }
+
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Validates dynamic template data against a template without sending anything.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} templateKey - Key to identify the email template.
+   * @param {Object} dynamicTemplateData - Dynamic data for the email template.
+   * @returns {{ valid: boolean, violations: Object[] }} Every violation found.
+   * @throws {Error} If the template key is unknown.
+   */
+  validateTemplateData(templateKey, dynamicTemplateData) {
+    // Retrieve template configuration by key
+    const template = this.loadEmailTemplateConfig()[templateKey];
+    if (!template) throw new ValidationError(`Unknown templateKey: ${templateKey}`, { fields: ["templateKey"] });
+
+    return validateTemplateSchema(template, dynamicTemplateData);
+  }
+
+  // ------------------------------
+  // Subscribe, Unsubscribe, Remove
+  // ------------------------------
+
+  /**
+   * Removes a recipient from all sender lists in SendGrid.
+   *
+   * Sender blocklists are kept, so removing a recipient never lifts a block.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} email - The email address of the recipient to remove.
+   * @returns {Object} An object indicating successful removal.
+   * @throws {Error} If the email is invalid or the recipient is not found.
+   */
+  async removeRecipientFromAllSenderLists(email) {
+    // Validate the email format
+    if (!this._isValidEmail(email)) {
+      throw new ValidationError(`Invalid email format: ${email}`, { fields: ["email"] });
+    }
+
+    // Query SendGrid for contact by email
+    const [contactRes] = await this._request("search contacts", {
+      method: "POST",
+      url: "/v3/marketing/contacts/search",
+      // Searches only read, so they are safe to retry
+      idempotent: true,
+      body: { query: sgql.eq("email", email).toString() },
+    });
+
+    // Extract the first matching contact
+    const contact = contactRes.body.result?.[0];
+    if (!contact) {
+      // Throw error if contact is not found
+      throw new NotFoundError(`Recipient not found for removal: ${email}`, { fields: ["email"] });
+    }
+
+    // Remove the contact from each list except the blocklists, one list at a time
+    const blockListIds = new Set(
+      (await this.fetchAllSenderLists(true))
+        .filter((l) => /^sender_.+_blocklist$/.test(l.name))
+        .map((l) => l.id)
+    );
+    for (const listId of contact.list_ids || []) {
+      if (blockListIds.has(listId)) continue;
+      await this._request("remove recipient from lists", {
+        method: "DELETE",
+        url: `/v3/marketing/lists/${listId}/contacts?contact_ids=${contact.id}`,
+      });
+    }
+
+    // Return success confirmation
+    return { removed: true };
+  }
+
+  /**
+   * Subscribes or unsubscribes a recipient from a sender list and verifies custom field updates.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author AI & Linden May
+   * @param {string} email - The email address of the recipient.
+   * @param {string} listId - The ID of the sender list.
+   * @param {Object} [customFields={}] - Custom fields to apply or clear.
+   * @param {boolean} subscribe - Whether to subscribe or unsubscribe the recipient.
+   * @returns {Promise<Object>} The response body from SendGrid.
+   * @throws {Error} A `ValidationError` if the email is invalid, a `ForbiddenError` if the sender
+   *   blocked the recipient, or a `ProviderError` with SendGrid's `upstreamErrors` if the update
+   *   fails or the fields did not change.
+   */
+  async subscribeOrUnsubscribeRecipientFromSenderListByTag(
+    email,
+    listId,
+    customFields = {},
+    subscribe
+  ) {
+    // Validate the email format
+    if (!this._isValidEmail(email)) {
+      throw new ValidationError(`Invalid email format: ${email}`, { fields: ["email"] });
+    }
+
+    // Refuse to subscribe recipients the list's sender has blocked
+    if (subscribe) {
+      const senderId = await this._getSenderIdForList(listId);
+      if (senderId) await this._assertRecipientNotBlocked(email, senderId);
+    }
+
+    // Construct contact payload for subscription or field update
+    const payload = {
+      contacts: [
+        {
+          email,
+          list_ids: subscribe ? [listId] : undefined, // Only include list_ids if subscribing
+          custom_fields: subscribe
+            ? customFields
+            : Object.fromEntries(
+              Object.keys(customFields).map((key) => [key, null])
+            ),
+        },
+      ],
+    };
+
+    // Send request to update contact
+    const [res] = await this._request("update recipient fields", {
+      method: "PUT",
+      url: "/v3/marketing/contacts",
+      body: payload,
+    });
+
+    // Re-fetch contact to verify updates
+    const [checkRes] = await this._request("update recipient fields", {
+      method: "POST",
+      url: "/v3/marketing/contacts/search",
+      // Searches only read, so they are safe to retry
+      idempotent: true,
+      body: { query: sgql.eq("email", email).toString() },
+    });
+
+    // Extract updated contact
+    const contact = checkRes.body.result?.[0];
+    if (!contact) {
+      throw new ProviderError("Failed to update recipient fields: contact not found after update", {
+        transient: true,
+        fields: ["email"],
+      });
+    }
+
+    // Validate custom field values
+    for (const [field, value] of Object.entries(customFields)) {
+      const current = contact.custom_fields?.[field];
+
+      if (subscribe && current !== value) {
+        throw new ProviderError(`Failed to update recipient fields: '${field}' was not set to '${value}'`, {
+          fields: [field],
+        });
+      }
+
+      if (!subscribe && current !== null && current !== undefined) {
+        throw new ProviderError(`Failed to update recipient fields: '${field}' was not cleared`, {
+          fields: [field],
+        });
+      }
+    }
+
+    return res.body;
+  }
+
+  /**
+   * Clears every tag field set on a recipient, e.g. after a bounce or spam report.
+   *
+   * Tag fields are the contact's custom fields currently set to `true`; they are
+   * cleared through `subscribeOrUnsubscribeRecipientFromSenderListByTag`.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} email - The email address of the recipient.
+   * @returns {Promise<Object>} `{ cleared }`, the names of the cleared tag fields.
+   * @throws {Error} If the email is invalid, the recipient is not found, or the update fails.
+   */
+  async clearRecipientTags(email) {
+    // Validate the email format
+    if (!this._isValidEmail(email)) {
+      throw new ValidationError(`Invalid email format: ${email}`, { fields: ["email"] });
+    }
+
+    // Lookup recipient by email
+    const contact = await this._findContactByEmail(email);
+    if (!contact) {
+      throw new NotFoundError(`Recipient not found for tag clearing: ${email}`, { fields: ["email"] });
+    }
+
+    // Collect the tags that are currently set
+    const tags = Object.keys(contact.custom_fields || {}).filter(
+      (field) => contact.custom_fields[field] === true || contact.custom_fields[field] === "true"
+    );
+    if (!tags.length) return { cleared: [] };
+
+    // Clear them using the regular unsubscribe flow
+    await this.subscribeOrUnsubscribeRecipientFromSenderListByTag(
+      email,
+      null,
+      Object.fromEntries(tags.map((tag) => [tag, true])),
+      false
+    );
+
+    return { cleared: tags };
+  }
+
+  // ------------------------------
+  // Send Emails
+  // ------------------------------
+
+  /**
+   * Validates an email and builds the SendGrid message for it, without sending.
+   *
+   * Template data is checked against the template's field schema and then
+   * sanitized by field type. Attachments are only checked here; they are read
+   * by `sendSimpleEmail`, so `msg` never includes them, nor the batch ID.
+   *
+   * @since 1.0
+   * @version 1.2
+   * @author Linden May
+   * @param {Object} options - Email options, as taken by `sendSimpleEmail`.
+   * @returns {{ msg: Object, sanitized: Object[] }} The message payload and the sanitization report.
+   * @throws {Error} If an address, the template key, the template data or another message
+   *   option is invalid.
+   */
+  prepareSimpleEmail({
+    to,
+    from,
+    templateKey,
+    dynamicTemplateData,
+    cc,
+    bcc,
+    replyTo,
+    headers,
+    categories,
+    customArgs,
+    attachments,
+    sendAt,
+    batchId,
+  }) {
+    // Validate recipient email
+    if (!this._isValidEmail(to))
+      throw new ValidationError(`Invalid recipient email: ${to}`, { fields: ["to"] });
+
+    // Validate sender email
+    if (!this._isValidEmail(from))
+      throw new ValidationError(`Invalid sender email: ${from}`, { fields: ["from"] });
+
+    // Validate CC email list if provided
+    if (
+      cc &&
+      (!Array.isArray(cc) || cc.some((email) => !this._isValidEmail(email)))
+    ) {
+      throw new ValidationError("Invalid CC email list", { fields: ["cc"] });
+    }
+
+    // Validate BCC email list if provided
+    if (
+      bcc &&
+      (!Array.isArray(bcc) || bcc.some((email) => !this._isValidEmail(email)))
+    ) {
+      throw new ValidationError("Invalid BCC email list", { fields: ["bcc"] });
+    }
+
+    // Validate the reply-to address, given as an email or `{ email, name }`
+    const replyToEmail = typeof replyTo === "object" ? replyTo?.email : replyTo;
+    if (replyTo !== undefined && !this._isValidEmail(replyToEmail)) {
+      throw new ValidationError(`Invalid reply-to email: ${replyToEmail}`, { fields: ["replyTo"] });
+    }
+
+    // Validate headers, categories, custom arguments and attachments
+    const extras = validateMessageOptions({ headers, categories, customArgs, attachments });
+
+    // Validate the send time against SendGrid's scheduling window
+    if (batchId !== undefined && (typeof batchId !== "string" || !batchId)) {
+      throw new ValidationError(`Invalid batchId: ${batchId}`, { fields: ["batchId"] });
+    }
+    if (batchId !== undefined && sendAt === undefined) {
+      throw new ValidationError("Invalid batchId: only scheduled emails can join a batch", {
+        fields: ["batchId", "sendAt"],
+      });
+    }
+    const scheduledAt = sendAt === undefined ? undefined : validateScheduledSendAt(sendAt);
+
+    // Retrieve template configuration by key
+    const template = this.loadEmailTemplateConfig()[templateKey];
+    if (!template) throw new ValidationError(`Unknown templateKey: ${templateKey}`, { fields: ["templateKey"] });
+
+    // Validate required fields and field types
+    validateTemplateData(template, dynamicTemplateData);
+
+    // Sanitize user-generated values by field type
+    const { data, report } = sanitizeTemplateData(template, dynamicTemplateData);
+
+    // Construct email message payload
+    const msg = {
+      to,
+      from,
+      templateId: template.templateId,
+      dynamicTemplateData: data,
+      cc,
+      bcc,
+      ...(replyTo !== undefined && { replyTo }),
+      ...extras,
+      ...(scheduledAt && { sendAt: Math.floor(scheduledAt.getTime() / 1000) }),
+    };
+
+    return { msg, sanitized: report };
+  }
+
+  /**
+   * Sends an email using a predefined dynamic template.
+   *
+   * Template data is sanitized by field type before sending; the report of
+   * what was stripped or removed is attached to the result as `sanitized`.
+   * With an `idempotencyKey`, repeating the call returns the first result
+   * instead of sending again. Attachments are read and checked against the
+   * size limits before anything is sent. With `sendAt`, SendGrid holds the
+   * email until then under a batch ID, which can pause or cancel it. The
+   * outcome is reported as a `send` event.
+   *
+   * @since 1.0
+   * @version 1.7
+   * @author Linden May
+   * @param {Object} options - Email sending options.
+   * @param {string} options.to - Recipient email address.
+   * @param {string} options.from - Sender email address.
+   * @param {string} options.templateKey - Key to identify the email template.
+   * @param {Object} options.dynamicTemplateData - Dynamic data for the email template.
+   * @param {string[]} [options.cc] - Optional array of CC email addresses.
+   * @param {string[]} [options.bcc] - Optional array of BCC email addresses.
+   * @param {string} [options.senderId] - Sending creator; if given, recipients they blocked are refused.
+   * @param {string|{ email: string, name?: string }} [options.replyTo] - Reply-to address.
+   * @param {Object<string, string>} [options.headers] - Custom email headers.
+   * @param {string[]} [options.categories] - Up to 10 categories for SendGrid statistics.
+   * @param {Object<string, string>} [options.customArgs] - Values echoed back in event webhooks.
+   * @param {import("./messageOptions.js").AttachmentInput[]} [options.attachments] - Files to attach,
+   *   or inline images referenced from the template as `cid:<contentId>`.
+   * @param {string|number|Date} [options.sendAt] - When to send, at most 72 hours ahead.
+   * @param {string} [options.batchId] - Batch from `createSendBatch` to schedule the email in;
+   *   a new batch is created if omitted.
+   * @param {string} [options.idempotencyKey] - Caller-chosen key identifying this send.
+   * @returns {Promise<Object>} The SendGrid email response, with a `sanitized` report of
+   *   `{ field, action, removed? }` entries, and `batchId` and `sendAt` when scheduled.
+   * @throws {Error} If validation fails, email sending fails, or the idempotency key was
+   *   used for a different email.
+   */
+  async sendSimpleEmail({
+    to,
+    from,
+    templateKey,
+    dynamicTemplateData,
+    cc,
+    bcc,
+    senderId,
+    replyTo,
+    headers,
+    categories,
+    customArgs,
+    attachments,
+    sendAt,
+    batchId,
+    idempotencyKey,
+  }) {
+    // Validate and build the message
+    const { msg, sanitized } = this.prepareSimpleEmail({
+      to,
+      from,
+      templateKey,
+      dynamicTemplateData,
+      cc,
+      bcc,
+      replyTo,
+      headers,
+      categories,
+      customArgs,
+      attachments,
+      sendAt,
+      batchId,
+    });
+
+    // Read attachments up front, so streams are consumed once and sizes are checked
+    const resolved = attachments && (await resolveAttachments(attachments));
+
+    // Send at most once per idempotency key
+    if (idempotencyKey !== undefined) {
+      const options = {
+        to,
+        from,
+        templateKey,
+        dynamicTemplateData,
+        cc,
+        bcc,
+        senderId,
+        replyTo,
+        headers,
+        categories,
+        customArgs,
+        attachments: resolved,
+        sendAt,
+        batchId,
+      };
+      return this._runIdempotent("email", idempotencyKey, options, () =>
+        this.sendSimpleEmail(options)
+      );
+    }
+    if (resolved) msg.attachments = resolved;
+
+    // Refuse recipients the sender has blocked
+    if (senderId) await this._assertRecipientNotBlocked(to, senderId);
+
+    // Group scheduled emails under a batch so they can be paused or cancelled
+    if (msg.sendAt !== undefined) {
+      if (batchId !== undefined) await this._assertSendBatchExists(batchId);
+      msg.batchId = batchId ?? (await this.createSendBatch()).batchId;
+    }
+
+    // Report the send under the ID of its Mail Send request
+    const startedAt = Date.now();
+    const report = {
+      requestId: crypto.randomUUID(),
+      templateKey,
+      recipients: this._countAddresses(msg),
+      scheduled: Boolean(msg.batchId),
+    };
+
+    let response;
+    try {
+      // Send email using SendGrid
+      response = await this.getTransport().send(msg, false, { requestId: report.requestId });
+      response.sanitized = sanitized;
+    } catch (err) {
+      // Throw error if email sending fails, keeping the upstream response
+      const error = fromUpstreamError(err, "send email");
+      this._emitSend("email", startedAt, report, error);
+      throw error;
+    }
+    const messageId = response[0]?.headers?.["x-message-id"] ?? null;
+
+    // Remember scheduled emails so pending batches can be listed
+    if (msg.batchId) {
+      response.batchId = msg.batchId;
+      response.sendAt = new Date(msg.sendAt * 1000).toISOString();
+      await this._recordScheduledSend(msg.batchId, {
+        to,
+        templateKey,
+        sendAt: response.sendAt,
+        messageId,
+      });
+    }
+
+    this._emitSend("email", startedAt, { ...report, messageId });
+    return response;
+  }
+
+  /**
+   * Sends one template to many recipients, each with their own template data.
+   *
+   * Every entry is validated and sanitized like a `sendSimpleEmail` call.
+   * Invalid entries, duplicates and recipients the sender blocked are reported
+   * as rejected; the rest are packed into as few Mail Send requests as the
+   * per-request limits allow, one personalization per recipient. A request that
+   * fails rejects only the recipients in it. Each request is reported as a
+   * `send` event.
+   *
+   * Rejected entries carry the error's `code`, and `transient` when sending
+   * them again may succeed. With an `idempotencyKey`, repeating the call sends
+   * the transiently rejected recipients again instead of returning the first
+   * result, and never sends to accepted recipients twice.
+   *
+   * @since 1.0
+   * @version 1.3
+   * @author Linden May
+   * @param {Object} options - Batch options.
+   * @param {string} options.from - Sender email address.
+   * @param {string} options.templateKey - Key to identify the email template.
+   * @param {Object[]} options.recipients - `{ to, dynamicTemplateData, cc?, bcc? }` per recipient.
+   * @param {string} [options.senderId] - Sending creator; recipients they blocked are rejected.
+   * @param {string} [options.idempotencyKey] - Caller-chosen key identifying this batch.
+   * @returns {Promise<BatchSendResult>} Which recipients were accepted and which were rejected, and why.
+   * @throws {Error} If the sender, template key or recipient list is invalid, or the
+   *   idempotency key was used for a different batch.
+   */
+  async sendBatchEmail({ from, templateKey, recipients, senderId, idempotencyKey }) {
+    // Send at most once per idempotency key
+    if (idempotencyKey !== undefined) {
+      const options = { from, templateKey, recipients, senderId };
+      return this._runIdempotent("batch", idempotencyKey, options, () => this.sendBatchEmail(options), {
+        retry: (previous) => this._retryBatch(options, previous),
+      });
+    }
+
+    // Validate what the whole batch shares
+    if (!this._isValidEmail(from)) {
+      throw new ValidationError(`Invalid sender email: ${from}`, { fields: ["from"] });
+    }
+    const template = this.loadEmailTemplateConfig()[templateKey];
+    if (!template) throw new ValidationError(`Unknown templateKey: ${templateKey}`, { fields: ["templateKey"] });
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new ValidationError("Invalid recipients: expected a non-empty array", { fields: ["recipients"] });
+    }
+
+    // Look the sender's blocklist up once instead of once per recipient
+    const blocked = senderId ? await this._findBlockedEmails(senderId) : new Set();
+
+    const accepted = [];
+    const rejected = [];
+    const entries = [];
+    const seen = new Set();
+
+    recipients.forEach((recipient, index) => {
+      const to = recipient?.to;
+      try {
+        // Validate and sanitize the entry as a single email
+        const { msg, sanitized } = this.prepareSimpleEmail({
+          to,
+          from,
+          templateKey,
+          dynamicTemplateData: recipient?.dynamicTemplateData,
+          cc: recipient?.cc,
+          bcc: recipient?.bcc,
+        });
+
+        // Refuse duplicates and blocked recipients
+        const email = to.toLowerCase();
+        if (seen.has(email)) throw new ValidationError(`Duplicate recipient: ${to}`, { fields: ["to"] });
+        if (blocked.has(email)) {
+          throw new ForbiddenError(`Recipient is blocked by sender ${senderId}: ${to}`, {
+            code: "RECIPIENT_BLOCKED",
+            fields: ["to"],
+          });
+        }
+        seen.add(email);
+
+        entries.push({ index, to, msg, sanitized });
+      } catch (err) {
+        rejected.push({
+          index,
+          to: to ?? null,
+          ...this._rejection(err),
+          ...(err.violations && { violations: err.violations }),
+        });
+      }
+    });
+
+    // Send each request's worth of personalizations
+    const batches = this._packPersonalizations(entries);
+    for (const batch of batches) {
+      const startedAt = Date.now();
+      const report = {
+        requestId: crypto.randomUUID(),
+        templateKey,
+        recipients: batch.reduce((sum, { msg }) => sum + this._countAddresses(msg), 0),
+      };
+
+      try {
+        const [response] = await this._send(
+          "send email",
+          {
+            from,
+            templateId: template.templateId,
+            personalizations: batch.map(({ msg }) => ({
+              to: msg.to,
+              ...(msg.cc && { cc: msg.cc }),
+              ...(msg.bcc && { bcc: msg.bcc }),
+              dynamicTemplateData: msg.dynamicTemplateData,
+            })),
+          },
+          { requestId: report.requestId }
+        );
+        const messageId = response?.headers?.["x-message-id"] ?? null;
+        for (const { index, to, sanitized } of batch) {
+          accepted.push({ index, to, messageId, sanitized });
+        }
+        this._emitSend("batch", startedAt, { ...report, messageId });
+      } catch (err) {
+        this._emitSend("batch", startedAt, report, err);
+
+        // Only the recipients in the failed request are affected
+        for (const { index, to } of batch) {
+          rejected.push({ index, to, ...this._rejection(err) });
+        }
+      }
+    }
+
+    // Report in the caller's order
+    const byIndex = (a, b) => a.index - b.index;
+    return { accepted: accepted.sort(byIndex), rejected: rejected.sort(byIndex), requests: batches.length };
+  }
+
+  /**
+   * Describes why a batch recipient was rejected.
+   *
+   * @param {Error} err - The validation or send error.
+   * @returns {{ reason: string, code: string, transient: boolean, status?: number }} The rejection.
+   */
+  _rejection(err) {
+    return {
+      reason: err.message,
+      code: err.code,
+      transient: err.retryable === true,
+      ...(err.upstreamStatus !== undefined && { status: err.upstreamStatus }),
+    };
+  }
+
+  /**
+   * Sends the transiently rejected recipients of a remembered batch again.
+   *
+   * @param {Object} options - The batch's options.
+   * @param {BatchSendResult} previous - The remembered result.
+   * @returns {Promise<BatchSendResult|null>} The combined result, or null if nothing failed transiently.
+   */
+  async _retryBatch(options, previous) {
+    const failed = previous.rejected.filter((r) => r.transient);
+    if (!failed.length) return null;
+
+    // Send the failed entries as a batch of their own, then map them back to their places
+    const result = await this.sendBatchEmail({
+      ...options,
+      recipients: failed.map(({ index }) => options.recipients[index]),
+    });
+    const restore = (entry) => ({ ...entry, index: failed[entry.index].index });
+
+    const byIndex = (a, b) => a.index - b.index;
+    return {
+      accepted: [...previous.accepted, ...result.accepted.map(restore)].sort(byIndex),
+      rejected: [...previous.rejected.filter((r) => !r.transient), ...result.rejected.map(restore)].sort(byIndex),
+      requests: previous.requests + result.requests,
+    };
+  }
+
+  /**
+   * Splits prepared entries into groups that fit in one Mail Send request.
+   *
+   * @param {Object[]} entries - Prepared entries, each with its `msg`.
+   * @returns {Object[][]} The groups, in order.
+   */
+  _packPersonalizations(entries) {
+    const batches = [];
+    let batch = [];
+    let addresses = 0;
+
+    for (const entry of entries) {
+      const count = this._countAddresses(entry.msg);
+
+      // Start a new request when this entry would break a limit
+      if (
+        batch.length === MAX_PERSONALIZATIONS_PER_REQUEST ||
+        addresses + count > MAX_ADDRESSES_PER_REQUEST
+      ) {
+        batches.push(batch);
+        batch = [];
+        addresses = 0;
+      }
+
+      batch.push(entry);
+      addresses += count;
+    }
+
+    if (batch.length) batches.push(batch);
+    return batches;
+  }
+
+  /**
+   * Counts the to, cc and bcc addresses of a prepared message.
+   *
+   * @param {Object} msg - The message.
+   * @returns {number} The number of addresses.
+   */
+  _countAddresses(msg) {
+    return 1 + (msg.cc?.length ?? 0) + (msg.bcc?.length ?? 0);
+  }
+
+  /**
+   * Creates and sends a marketing campaign email to a specific segment.
+   *
+   * The audience is either `target`, a set of lists plus a condition tree
+   * validated against SendGrid's field definitions, or the `listId` and `tag`
+   * shorthand for `{ listIds: [listId], conditions: { field: tag, operator: "eq", value: true } }`.
+   * The segment comes from the sender's segment registry, so campaigns with
+   * the same audience share one segment instead of creating a new one. With an
+   * `idempotencyKey`, repeating the call returns the first campaign instead of
+   * creating another. The outcome, including a failure to build or create the
+   * segment, is reported as a `send` event.
+   *
+   * Single sends render the template for each contact from their contact
+   * fields, so no per-send template data reaches SendGrid and there is
+   * nothing to sanitize; `dynamicData` only carries the `senderId`. The send
+   * time is checked before anything is created; if the campaign still cannot
+   * be scheduled, its draft and any segment created for it are deleted again.
+   *
+   * @since 1.0
+   * @version 1.11
+   * @author Linden May
+   * @param {Object} options - Campaign sending options.
+   * @param {Object} [options.target] - Campaign audience.
+   * @param {string[]} options.target.listIds - Lists to draw from; contacts in any of them match.
+   * @param {import("./segmentConditions.js").SegmentCondition} [options.target.conditions] - Condition
+   *   tree the contacts must also match.
+   * @param {string} [options.listId] - ID of the marketing list, when `target` is not given.
+   * @param {string} [options.tag] - Custom field tag used to filter the segment, when `target` is not given.
+   * @param {string} options.templateKey - Key for the email template.
+   * @param {Object} options.dynamicData - Campaign data; only `senderId` is used.
+   * @param {string|number|Date} [options.sendAt] - Optional future time to send the campaign, or 'now'.
+   * @param {string} [options.idempotencyKey] - Caller-chosen key identifying this campaign.
+   * @returns {Promise<Object>} An object containing `campaignId`, `segmentId` and `segmentReused`.
+   * @throws {Error} If senderId is missing, the target, tag, conditions or send time are invalid, segment
+   *   creation fails, campaign setup/scheduling fails, or the idempotency key was used for a
+   *   different campaign.
+   */
+  async sendCampaignEmail({
+    target,
+    listId,
+    tag,
+    templateKey,
+    dynamicData,
+    sendAt,
+    idempotencyKey,
+  }) {
+    // Create at most one campaign per idempotency key
+    if (idempotencyKey !== undefined) {
+      const options = { target, listId, tag, templateKey, dynamicData, sendAt };
+      return this._runIdempotent("campaign", idempotencyKey, options, () =>
+        this.sendCampaignEmail(options)
+      );
+    }
+
+    // Campaign segments are registered per sender
+    const senderId = dynamicData?.senderId;
+    if (senderId === undefined || senderId === null || senderId === "") {
+      throw new ValidationError("Missing required senderId in dynamicData", { fields: ["dynamicData.senderId"] });
+    }
+
+    if (!target) {
+      if (!listId || !tag) {
+        throw new ValidationError("Missing required target, or listId and tag", {
+          fields: ["target", "listId", "tag"],
+        });
+      }
+
+      // Validate the tag against the declared tag fields and field mapping
+      const customFieldMapping = this.buildFieldTypeFromEmailTemplateConfig();
+      if (!customFieldMapping[tag] && !this.contactFieldMap[tag]?.tag) {
+        throw new ValidationError(`Invalid tag: ${tag}`, { fields: ["tag"] });
+      }
+
+      target = {
+        listIds: [listId],
+        conditions: { field: tag, operator: "eq", value: true },
+      };
+    }
+
+    // Retrieve template configuration by key
+    const template = this.loadEmailTemplateConfig()[templateKey];
+    if (!template) throw new ValidationError(`Unknown templateKey: ${templateKey}`, { fields: ["templateKey"] });
+
+    // Refuse past or malformed send times before anything is created
+    const sendTime = this._normalizeSendAt(sendAt || "now");
+
+    // Report the send, timed from the segment step, under one request ID
+    const startedAt = Date.now();
+    const requestId = crypto.randomUUID();
+    const sendReport = {
+      requestId,
+      templateKey,
+      scheduled: sendTime !== "now",
+    };
+
+    let segmentId;
+    let created = false;
+    let campaignId;
+    try {
+      // Compile the audience, then reuse a segment with the same query or create one
+      const definition = await this.buildSegmentQuery(target);
+      const ensured = await this.ensureSenderSegment(senderId, definition);
+      segmentId = ensured.segment.id;
+      created = ensured.created;
+
+      // Create a campaign using the provided template and segment
+      const [campaignRes] = await this._request("create campaign", {
+        requestId,
+        method: "POST",
+        url: "/v3/marketing/singlesends",
+        body: {
+          name: `Campaign_${templateKey}_${Date.now()}`,
+          send_to: { segment_ids: [segmentId] },
+          email_config: {
+            sender_id: parseInt(this._senderId()),
+            template_id: template.templateId,
+          },
+        },
+      });
+
+      // Extract campaign ID from the response
+      campaignId = campaignRes.body.id;
+
+      // Schedule the campaign to send immediately or at specified time
+      await this._request("schedule campaign", {
+        requestId,
+        method: "PUT",
+        url: `/v3/marketing/singlesends/${campaignId}/schedule`,
+        body: { send_at: sendTime },
+      });
+    } catch (err) {
+      // Do not leave a draft, or a segment created for it, behind
+      if (campaignId) await this._deleteCampaignQuietly(campaignId);
+      if (created) await this._deleteSegmentQuietly(segmentId);
+      this._emitSend(
+        "campaign",
+        startedAt,
+        { ...sendReport, ...(segmentId && { segmentId }), ...(campaignId && { campaignId }) },
+        err
+      );
+      throw err;
+    }
+    this._emitSend("campaign", startedAt, { ...sendReport, segmentId, campaignId });
+
+    // Return campaign and segment IDs
+    return { campaignId, segmentId, segmentReused: !created };
+  }
+
+  // ------------------------------
+  // Scheduled Sends
+  // ------------------------------
+
+  /**
+   * Replaces the store remembering scheduled transactional emails.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {Object|null} store - A store with async `put`, `get`, `all` and `delete`, such as a
+   *   `MemoryScheduledSendStore`; `null` restores the default in-memory store.
+   * @returns {void}
+   */
+  setScheduledSendStore(store) {
+    this.scheduledSendStore = store;
+  }
+
+  /**
+   * Returns the scheduled send store, creating an in-memory one on first use.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Object} The scheduled send store.
+   */
+  getScheduledSendStore() {
+    if (!this.scheduledSendStore) this.scheduledSendStore = new MemoryScheduledSendStore();
+    return this.scheduledSendStore;
+  }
+
+  /**
+   * Creates a SendGrid batch ID to schedule transactional emails under.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Promise<{ batchId: string }>} The new batch.
+   * @throws {Error} If SendGrid refuses to create the batch.
+   */
+  async createSendBatch() {
+    const body = await this._scheduledSendRequest(null, "create send batch", {
+      method: "POST",
+      url: "/v3/mail/batch",
+    });
+    return { batchId: body.batch_id };
+  }
+
+  /**
+   * Lists batches of scheduled emails that have not gone out yet.
+   *
+   * SendGrid only reports paused and cancelled batches, so pending emails come
+   * from the scheduled send store. Cancelled batches are left out, and batches
+   * whose emails have all been sent are forgotten.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Promise<import("./scheduledSends.js").ScheduledSend[]>} Pending batches, soonest first.
+   * @throws {Error} If the paused and cancelled batches cannot be fetched.
+   */
+  async listScheduledSends() {
+    const store = this.getScheduledSendStore();
+    const now = Date.now();
+
+    // Statuses of paused and cancelled batches
+    const changes = await this._scheduledSendRequest(null, "list scheduled sends", {
+      method: "GET",
+      url: "/v3/user/scheduled_sends",
+    });
+    const statuses = new Map((changes || []).map((c) => [c.batch_id, c.status]));
+
+    const pending = [];
+    for (const batch of await store.all()) {
+      const status = statuses.get(batch.batchId);
+      const emails = batch.emails.filter((e) => Date.parse(e.sendAt) > now);
+
+      // Paused batches are held by SendGrid until resumed
+      if (!emails.length && status !== "pause") {
+        await store.delete(batch.batchId);
+        continue;
+      }
+      if (status === "cancel") continue;
+
+      pending.push({
+        batchId: batch.batchId,
+        sendAt: this._earliestSendAt(batch.emails),
+        status: status === "pause" ? "paused" : "scheduled",
+        emails: status === "pause" ? batch.emails : emails,
+      });
+    }
+
+    return pending.sort((a, b) => Date.parse(a.sendAt) - Date.parse(b.sendAt));
+  }
+
+  /**
+   * Pauses a batch of scheduled emails until it is resumed.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} batchId - The batch ID.
+   * @returns {Promise<{ batchId: string, status: string }>} The batch, now `paused`.
+   * @throws {Error} If the batch does not exist, has been sent, sends within 10 minutes, or the update fails.
+   */
+  pauseScheduledSend(batchId) {
+    return this._setScheduledSendStatus(batchId, "pause");
+  }
+
+  /**
+   * Cancels a batch of scheduled emails.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} batchId - The batch ID.
+   * @returns {Promise<{ batchId: string, status: string }>} The batch, now `cancelled`.
+   * @throws {Error} If the batch does not exist, has been sent, sends within 10 minutes, or the update fails.
+   */
+  cancelScheduledSend(batchId) {
+    return this._setScheduledSendStatus(batchId, "cancel");
+  }
+
+  /**
+   * Resumes a paused or cancelled batch, so its emails go out as scheduled.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} batchId - The batch ID.
+   * @returns {Promise<{ batchId: string, status: string }>} The batch, now `scheduled`.
+   * @throws {Error} If the batch does not exist or the update fails.
+   */
+  async resumeScheduledSend(batchId) {
+    await this._assertSendBatchExists(batchId);
+
+    // A batch that was never paused or cancelled is already scheduled
+    if (await this._findScheduledSendStatus(batchId)) {
+      await this._scheduledSendRequest(batchId, "resume scheduled send", {
+        method: "DELETE",
+        url: `/v3/user/scheduled_sends/${encodeURIComponent(batchId)}`,
+      });
+    }
+    return { batchId, status: "scheduled" };
+  }
+
+  /**
+   * Pauses or cancels a batch, checking it can still be stopped.
+   *
+   * @param {string} batchId - The batch ID.
+   * @param {"pause"|"cancel"} status - The SendGrid status to set.
+   * @returns {Promise<{ batchId: string, status: string }>} The batch and its new status.
+   * @throws {Error} If the batch does not exist, has been sent, sends within 10 minutes, or the update fails.
+   */
+  async _setScheduledSendStatus(batchId, status) {
+    await this._assertSendBatchExists(batchId);
+
+    // SendGrid cannot reliably stop a batch that is about to go out
+    const batch = await this.getScheduledSendStore().get(batchId);
+    if (batch) {
+      const now = Date.now();
+      const pending = batch.emails.filter((e) => Date.parse(e.sendAt) > now);
+      if (!pending.length) {
+        throw new ValidationError(`Invalid schedule change: batch ${batchId} has already been sent`);
+      }
+      if (Date.parse(this._earliestSendAt(pending)) - now < CANCEL_CUTOFF_MS) {
+        throw new ValidationError(`Invalid schedule change: batch ${batchId} sends in less than 10 minutes`);
+      }
+    }
+
+    // Update an existing pause or cancellation, otherwise add one
+    const existing = await this._findScheduledSendStatus(batchId);
+    await this._scheduledSendRequest(batchId, `${status} scheduled send`, {
+      method: existing ? "PATCH" : "POST",
+      url: existing
+        ? `/v3/user/scheduled_sends/${encodeURIComponent(batchId)}`
+        : "/v3/user/scheduled_sends",
+      body: existing ? { status } : { batch_id: batchId, status },
+    });
+
+    return { batchId, status: status === "pause" ? "paused" : "cancelled" };
+  }
+
+  /**
+   * Adds a scheduled email to its batch in the scheduled send store.
+   *
+   * @param {string} batchId - The batch ID.
+   * @param {Object} email - `{ to, templateKey, sendAt, messageId }`.
+   * @returns {Promise<void>}
+   */
+  async _recordScheduledSend(batchId, email) {
+    const store = this.getScheduledSendStore();
+    const batch = (await store.get(batchId)) ?? { batchId, emails: [] };
+    batch.emails.push(email);
+    await store.put(batch);
+  }
+
+  /**
+   * Ensures a batch ID was issued by SendGrid.
+   *
+   * @param {string} batchId - The batch ID.
+   * @returns {Promise<void>}
+   * @throws {Error} `Send batch not found` if SendGrid does not know the batch.
+   */
+  async _assertSendBatchExists(batchId) {
+    try {
+      await this.getTransport().request({
+        method: "GET",
+        url: `/v3/mail/batch/${encodeURIComponent(batchId)}`,
+      });
+    } catch (err) {
+      // SendGrid answers unknown batch IDs with a 400
+      const status = err.code ?? err.response?.statusCode;
+      if (status === 400 || status === 404) {
+        throw new NotFoundError(`Send batch not found: ${batchId}`, {
+          fields: ["batchId"],
+          upstreamStatus: status,
+          upstreamErrors: err.response?.body?.errors,
+          cause: err,
+        });
+      }
+      throw fromUpstreamError(err, "look up send batch");
+    }
+  }
+
+  /**
+   * Fetches the pause or cancellation set on a batch.
+   *
+   * @param {string} batchId - The batch ID.
+   * @returns {Promise<string|null>} `pause`, `cancel`, or null if the batch is scheduled as normal.
+   */
+  async _findScheduledSendStatus(batchId) {
+    try {
+      const [response] = await this.getTransport().request({
+        method: "GET",
+        url: `/v3/user/scheduled_sends/${encodeURIComponent(batchId)}`,
+      });
+      return response.body?.status ?? null;
+    } catch (err) {
+      if ((err.code ?? err.response?.statusCode) === 404) return null;
+      throw fromUpstreamError(err, "look up scheduled send");
+    }
+  }
+
+  /**
+   * Performs a scheduled send request, translating failures.
+   *
+   * @param {string|null} batchId - Batch ID, used in errors.
+   * @param {string} action - Description of the request, used in errors.
+   * @param {Object} request - The transport request.
+   * @returns {Promise<Object>} The response body.
+   * @throws {Error} `Send batch not found` for a 404, otherwise `Failed to {action}` with the cause.
+   */
+  async _scheduledSendRequest(batchId, action, request) {
+    try {
+      const [response] = await this.getTransport().request(request);
+      return response.body;
+    } catch (err) {
+      throw fromUpstreamError(err, action, { notFound: batchId && `Send batch not found: ${batchId}` });
+    }
+  }
+
+  /**
+   * Returns the earliest send time of some scheduled emails.
+   *
+   * @param {Object[]} emails - Emails with an ISO `sendAt`.
+   * @returns {string} The earliest `sendAt`.
+   */
+  _earliestSendAt(emails) {
+    return emails.map((e) => e.sendAt).sort((a, b) => Date.parse(a) - Date.parse(b))[0];
+  }
+
+  // ------------------------------
+  // Campaign Lifecycle
+  // ------------------------------
+
+  /**
+   * Fetches a campaign's current status.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} campaignId - Single send ID.
+   * @returns {Promise<CampaignStatus>} The campaign.
+   * @throws {Error} If the campaign does not exist or the request fails.
+   */
+  async getCampaignStatus(campaignId) {
+    const singleSend = await this._campaignRequest(campaignId, "fetch campaign", {
+      method: "GET",
+      url: `/v3/marketing/singlesends/${encodeURIComponent(campaignId)}`,
+    });
+    return this._toCampaignStatus(singleSend);
+  }
+
+  /**
+   * Cancels a scheduled campaign, returning it to draft.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} campaignId - Single send ID.
+   * @returns {Promise<CampaignStatus>} The campaign, now a draft.
+   * @throws {Error} If the campaign is not scheduled or the request fails.
+   */
+  async unscheduleCampaign(campaignId) {
+    const campaign = await this.getCampaignStatus(campaignId);
+    this._assertCampaignStatus(campaign, ["scheduled"], "unschedule");
+
+    await this._campaignRequest(campaignId, "unschedule campaign", {
+      method: "DELETE",
+      url: `/v3/marketing/singlesends/${encodeURIComponent(campaignId)}/schedule`,
+    });
+
+    return this.getCampaignStatus(campaignId);
+  }
+
+  /**
+   * Schedules a draft campaign or moves a scheduled one to a new time.
+   *
+   * If the new time is refused, a scheduled campaign keeps its original time.
+   * Should that fail too, the refusal is still thrown, with the failure logged
+   * and attached as `restoreError`.
+   *
+   * @since 1.0
+   * @version 1.2
+   * @author Linden May
+   * @param {string} campaignId - Single send ID.
+   * @param {string|number|Date} sendAt - `now`, or a future ISO date, Date or epoch milliseconds.
+   * @returns {Promise<CampaignStatus>} The rescheduled campaign.
+   * @throws {Error} If `sendAt` is invalid or in the past, the campaign was already sent,
+   *   or the request fails.
+   */
+  async rescheduleCampaign(campaignId, sendAt) {
+    const normalized = this._normalizeSendAt(sendAt);
+
+    const campaign = await this.getCampaignStatus(campaignId);
+    this._assertCampaignStatus(campaign, ["draft", "scheduled"], "reschedule");
+
+    // A scheduled campaign has to be unscheduled before it can move
+    if (campaign.status === "scheduled") {
+      await this._campaignRequest(campaignId, "unschedule campaign", {
+        method: "DELETE",
+        url: `/v3/marketing/singlesends/${encodeURIComponent(campaignId)}/schedule`,
+      });
+    }
+
+    try {
+      await this._campaignRequest(campaignId, "schedule campaign", {
+        method: "PUT",
+        url: `/v3/marketing/singlesends/${encodeURIComponent(campaignId)}/schedule`,
+        body: { send_at: normalized },
+      });
+    } catch (err) {
+      // Put the campaign back on its original schedule rather than leave it a draft
+      if (campaign.status === "scheduled") {
+        const restoreError = await this._restoreCampaignSchedule(campaign);
+        if (restoreError) err.restoreError = restoreError;
+      }
+      throw err;
+    }
+
+    return this.getCampaignStatus(campaignId);
+  }
+
+  /**
+   * Updates a campaign's name or template before it is sent.
+   *
+   * Scheduled campaigns are unscheduled for the update and scheduled again for
+   * the same time. If scheduling them again fails, the failure is logged and
+   * the returned campaign shows it as a draft; if the update fails, its error
+   * is thrown with any scheduling failure attached as `restoreError`.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} campaignId - Single send ID.
+   * @param {Object} changes - The changes.
+   * @param {string} [changes.name] - New campaign name.
+   * @param {string} [changes.templateKey] - Key of the new email template.
+   * @returns {Promise<CampaignStatus>} The updated campaign.
+   * @throws {Error} If there is nothing to change, the template key is unknown, the
+   *   campaign was already sent, or the request fails.
+   */
+  async updateCampaignContent(campaignId, { name, templateKey } = {}) {
+    // Build the patch from the requested changes
+    const patch = {};
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        throw new ValidationError("Invalid campaign name: must be a non-empty string", { fields: ["name"] });
+      }
+      patch.name = name;
+    }
+    let template;
+    if (templateKey !== undefined) {
+      template = this.loadEmailTemplateConfig()[templateKey];
+      if (!template) throw new ValidationError(`Unknown templateKey: ${templateKey}`, { fields: ["templateKey"] });
+    }
+    if (!patch.name && !template) {
+      throw new ValidationError("Missing required campaign changes: name or templateKey", {
+        fields: ["name", "templateKey"],
+      });
+    }
+
+    const singleSend = await this._campaignRequest(campaignId, "fetch campaign", {
+      method: "GET",
+      url: `/v3/marketing/singlesends/${encodeURIComponent(campaignId)}`,
+    });
+    const campaign = this._toCampaignStatus(singleSend);
+    this._assertCampaignStatus(campaign, ["draft", "scheduled"], "update");
+
+    // Send the whole email config so the sender and other settings are kept
+    if (template) {
+      patch.email_config = { ...singleSend.email_config, template_id: template.templateId };
+    }
+
+    // Only drafts can be edited, so lift the schedule for the update
+    if (campaign.status === "scheduled") {
+      await this._campaignRequest(campaignId, "unschedule campaign", {
+        method: "DELETE",
+        url: `/v3/marketing/singlesends/${encodeURIComponent(campaignId)}/schedule`,
+      });
+    }
+
+    try {
+      await this._campaignRequest(campaignId, "update campaign", {
+        method: "PATCH",
+        url: `/v3/marketing/singlesends/${encodeURIComponent(campaignId)}`,
+        body: patch,
+      });
+    } catch (err) {
+      // Put the campaign back on its original schedule, keeping the update error
+      if (campaign.status === "scheduled") {
+        const restoreError = await this._restoreCampaignSchedule(campaign);
+        if (restoreError) err.restoreError = restoreError;
+      }
+      throw err;
+    }
+
+    // Schedule the updated campaign again; a failure is logged, not thrown over the update
+    if (campaign.status === "scheduled") await this._restoreCampaignSchedule(campaign);
+
+    return this.getCampaignStatus(campaignId);
+  }
+
+  /**
+   * Copies a campaign into a new, unscheduled draft.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} campaignId - Single send ID.
+   * @param {Object} [options={}] - Duplicate options.
+   * @param {string} [options.name] - Name of the copy; SendGrid defaults to `Copy of {name}`.
+   * @returns {Promise<CampaignStatus>} The new draft campaign.
+   * @throws {Error} If the campaign does not exist or the request fails.
+   */
+  async duplicateCampaign(campaignId, { name } = {}) {
+    const copy = await this._campaignRequest(campaignId, "duplicate campaign", {
+      method: "POST",
+      url: `/v3/marketing/singlesends/${encodeURIComponent(campaignId)}`,
+      body: name ? { name } : {},
+    });
+    return this._toCampaignStatus(copy);
+  }
+
+  /**
+   * Deletes a campaign and any of its segments no other campaign uses.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} campaignId - Single send ID.
+   * @returns {Promise<Object>} `{ deleted: true, segmentsDeleted }` with the removed segment IDs.
+   * @throws {Error} If the campaign does not exist or the request fails.
+   */
+  async deleteCampaign(campaignId) {
+    const campaign = await this.getCampaignStatus(campaignId);
+
+    await this._campaignRequest(campaignId, "delete campaign", {
+      method: "DELETE",
+      url: `/v3/marketing/singlesends/${encodeURIComponent(campaignId)}`,
+    });
+
+    // Release segments that were only used by this campaign
+    const singleSends = await this._fetchAllSingleSends();
+    const segmentsDeleted = [];
+    for (const segmentId of campaign.segmentIds) {
+      const stillUsed = singleSends.some((ss) =>
+        ss.send_to?.segment_ids?.includes(segmentId)
+      );
+      if (stillUsed) continue;
+
+      await this._deleteSegmentQuietly(segmentId);
+      segmentsDeleted.push(segmentId);
+    }
+
+    return { deleted: true, segmentsDeleted };
+  }
+
+  /**
+   * Fetches a campaign's delivery and engagement totals.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} campaignId - Single send ID.
+   * @returns {Promise<CampaignStats>} The totals; all zero before the campaign is sent.
+   * @throws {Error} If the campaign does not exist or the request fails.
+   */
+  async getCampaignStats(campaignId) {
+    const body = await this._campaignRequest(campaignId, "fetch campaign stats", {
+      method: "GET",
+      url: `/v3/marketing/stats/singlesends/${encodeURIComponent(campaignId)}`,
+    });
+
+    // Use the totals across A/B variations
+    const stats =
+      (body?.results || []).find((r) => r.aggregation === "total" || r.ab_variation === "all")
+        ?.stats || {};
+    const count = (key) => Number(stats[key]) || 0;
+    const ratio = (a, b) => (b ? Math.round((a / b) * 10000) / 10000 : 0);
+
+    const result = {
+      campaignId,
+      requests: count("requests"),
+      delivered: count("delivered"),
+      bounces: count("bounces"),
+      opens: count("opens"),
+      uniqueOpens: count("unique_opens"),
+      clicks: count("clicks"),
+      uniqueClicks: count("unique_clicks"),
+      spamReports: count("spam_reports"),
+      unsubscribes: count("unsubscribes"),
+    };
+
+    return {
+      ...result,
+      deliveryRate: ratio(result.delivered, result.requests),
+      openRate: ratio(result.uniqueOpens, result.delivered),
+      clickRate: ratio(result.uniqueClicks, result.delivered),
+    };
+  }
+
+  /**
+   * Puts a campaign back on the schedule it had before it was lifted.
+   *
+   * @param {CampaignStatus} campaign - The campaign as it was while scheduled.
+   * @returns {Promise<Error|null>} The error if it could not be scheduled again, which is logged.
+   */
+  async _restoreCampaignSchedule(campaign) {
+    try {
+      await this._campaignRequest(campaign.campaignId, "restore campaign schedule", {
+        method: "PUT",
+        url: `/v3/marketing/singlesends/${encodeURIComponent(campaign.campaignId)}/schedule`,
+        body: { send_at: campaign.sendAt },
+      });
+      return null;
+    } catch (err) {
+      this.logger.error("Failed to restore campaign schedule", {
+        campaignId: campaign.campaignId,
+        sendAt: campaign.sendAt,
+        code: err.code,
+        error: err.message,
+      });
+      return err;
+    }
+  }
+
+  /**
+   * Sends a campaign request, mapping a 404 to a not found error.
+   *
+   * @param {string} campaignId - Single send ID, used in errors.
+   * @param {string} action - Description of the request, used in errors.
+   * @param {Object} request - The transport request.
+   * @returns {Promise<Object>} The response body.
+   * @throws {Error} `Campaign not found` for a 404, otherwise `Failed to {action}` with the cause.
+   */
+  async _campaignRequest(campaignId, action, request) {
+    try {
+      const [response] = await this.getTransport().request(request);
+      return response.body;
+    } catch (err) {
+      throw fromUpstreamError(err, action, { notFound: `Campaign not found: ${campaignId}` });
+    }
+  }
+
+  /**
+   * Ensures a campaign is in one of the allowed states.
+   *
+   * @param {CampaignStatus} campaign - The campaign.
+   * @param {string[]} allowed - Allowed statuses.
+   * @param {string} action - The attempted action, used in errors.
+   * @returns {void}
+   * @throws {Error} If the campaign is in another state.
+   */
+  _assertCampaignStatus(campaign, allowed, action) {
+    if (!allowed.includes(campaign.status)) {
+      throw new ConflictError(
+        `Invalid campaign state: cannot ${action} campaign ${campaign.campaignId} with status ${campaign.status}`,
+        { code: "CAMPAIGN_STATE_CONFLICT" }
+      );
+    }
+  }
+
+  /**
+   * Normalizes a send time to `now` or a future ISO date.
+   *
+   * @param {string|number|Date} sendAt - `now`, an ISO date, Date or epoch milliseconds.
+   * @returns {string} `now` or the ISO date.
+   * @throws {Error} If the time is invalid or not in the future.
+   */
+  _normalizeSendAt(sendAt) {
+    if (sendAt === "now") return sendAt;
+
+    const date = sendAt instanceof Date ? sendAt : new Date(sendAt);
+    if (sendAt === undefined || sendAt === null || Number.isNaN(date.getTime())) {
+      throw new ValidationError(`Invalid sendAt: ${sendAt}`, { fields: ["sendAt"] });
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new ValidationError(`Invalid sendAt: ${date.toISOString()} is in the past`, { fields: ["sendAt"] });
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Maps a SendGrid single send to a `CampaignStatus`.
+   *
+   * @param {Object} singleSend - The single send.
+   * @returns {CampaignStatus} The campaign.
+   */
+  _toCampaignStatus(singleSend) {
+    return {
+      campaignId: singleSend.id,
+      name: singleSend.name,
+      status: singleSend.status,
+      sendAt: singleSend.send_at ?? null,
+      segmentIds: singleSend.send_to?.segment_ids || [],
+      listIds: singleSend.send_to?.list_ids || [],
+      templateId: singleSend.email_config?.template_id ?? null,
+      createdAt: singleSend.created_at,
+      updatedAt: singleSend.updated_at,
+    };
+  }
+
+  // ------------------------------
+  // Campaign Segments
+  // ------------------------------
+
+  /**
+   * Compiles a campaign audience into a segment query.
+   *
+   * Contacts match when they are in any of the lists and satisfy the
+   * condition tree, which is validated against the account's custom and
+   * reserved field definitions.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {Object} target - Campaign audience.
+   * @param {string[]} target.listIds - Lists to draw from.
+   * @param {import("./segmentConditions.js").SegmentCondition} [target.conditions] - Condition tree.
+   * @returns {Promise<Object>} `{ parentListIds, queryDsl }`, as taken by `ensureSenderSegment`.
+   * @throws {Error} If no list is given or the conditions are invalid; condition errors list
+   *   every violation in `err.violations`.
+   */
+  async buildSegmentQuery({ listIds, conditions } = {}) {
+    if (
+      !Array.isArray(listIds) ||
+      !listIds.length ||
+      !listIds.every((id) => typeof id === "string" && id)
+    ) {
+      throw new ValidationError("Invalid campaign target: listIds must be a non-empty array of list IDs", {
+        fields: ["target.listIds"],
+      });
+    }
+
+    // Contacts in any of the lists
+    const lists = [...new Set(listIds)];
+    const where = [sgql.or(lists.map((id) => sgql.inList(id)))];
+
+    // ...that also match the condition tree
+    if (conditions !== undefined && conditions !== null) {
+      where.push(compileSegmentConditions(conditions, await this.fetchFieldTypes()));
+    }
+
+    return {
+      // SendGrid only scopes segments to a single parent list
+      parentListIds: lists.length === 1 ? lists : [],
+      queryDsl: `SELECT contact_id, updated_at FROM contact_data WHERE ${sgql.and(where)}`,
+    };
+  }
+
+  /**
+   * Finds a sender's segment with the given query, creating it if needed.
+   *
+   * Segments are named `sender_{id}_segment_{hash}`, where the hash covers the
+   * sorted parent list IDs and the query, so identical audiences map to the
+   * same segment across campaigns and restarts.
+   *
+   * @since 1.0
+   * @version 1.2
+   * @author Linden May
+   * @param {string} senderId - Sender unique ID.
+   * @param {Object} definition - Segment definition, usually from `buildSegmentQuery`.
+   * @param {string[]} [definition.parentListIds] - Parent list of the segment, at most one.
+   * @param {string} definition.queryDsl - The segment query.
+   * @returns {Promise<Object>} `{ segment, created }`.
+   * @throws {Error} If segment creation fails.
+   */
+  async ensureSenderSegment(senderId, { parentListIds = [], queryDsl }) {
+    const key = this._segmentKey({ parentListIds, queryDsl });
+    const name = this._formatSegmentNameForSender(senderId, key);
+
+    // Reuse the sender's segment with the same definition
+    const existing = (await this._fetchAllSegments()).find((s) => s.name === name);
+    if (existing) return { segment: existing, created: false };
+
+    // Create a segment with the specified parent list and query
+    const [segmentRes] = await this._request("create segment", {
+      method: "POST",
+      url: "/v3/marketing/segments/2.0",
+      body: {
+        name,
+        query_dsl: queryDsl,
+        parent_list_ids: parentListIds,
+      },
+    });
+    return { segment: segmentRes.body, created: true };
+  }
+
+  /**
+   * Lists a sender's campaign segments and the single sends using them.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} senderId - Sender unique ID.
+   * @returns {Promise<Object[]>} Segments with `singleSendIds` (every single send using the
+   *   segment) and `inUse` (true while a draft or scheduled single send uses it).
+   */
+  async listSenderSegments(senderId) {
+    const [segments, singleSends] = await Promise.all([
+      this._fetchAllSegments(),
+      this._fetchAllSingleSends(),
+    ]);
+
+    return segments
+      .filter((s) => this._isSenderSegment(s, senderId))
+      .map((segment) => {
+        const users = singleSends.filter((ss) =>
+          ss.send_to?.segment_ids?.includes(segment.id)
+        );
+        return {
+          ...segment,
+          singleSendIds: users.map((ss) => ss.id),
+          inUse: users.some((ss) => this._isPendingSingleSend(ss)),
+        };
+      });
+  }
+
+  /**
+   * Deletes one of a sender's segments.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} senderId - Sender unique ID.
+   * @param {string} segmentId - The segment to delete.
+   * @returns {Promise<Object>} `{ deleted: true }`.
+   * @throws {Error} If the segment is not the sender's or a pending single send still uses it.
+   */
+  async deleteSenderSegment(senderId, segmentId) {
+    const segment = (await this.listSenderSegments(senderId)).find(
+      (s) => s.id === segmentId
+    );
+    if (!segment) {
+      throw new NotFoundError(`Segment not found for sender ${senderId}: ${segmentId}`);
+    }
+
+    // Refuse to pull the segment out from under a pending campaign
+    if (segment.inUse) {
+      throw new ConflictError(`Invalid segment deletion: ${segmentId} is used by a pending single send`, {
+        code: "SEGMENT_IN_USE",
+      });
+    }
+
+    await this._request("delete segment", {
+      method: "DELETE",
+      url: `/v3/marketing/segments/2.0/${segmentId}`,
+    });
+
+    return { deleted: true };
+  }
+
+  /**
+   * Deletes a sender's segments that no draft or scheduled single send uses.
+   *
+   * Segments of campaigns that were already sent are removed too; SendGrid
+   * keeps the stats of a sent single send without its segment.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} senderId - Sender unique ID.
+   * @returns {Promise<Object>} `{ deleted, kept }`, the IDs of removed and retained segments.
+   */
+  async cleanupSenderSegments(senderId) {
+    const deleted = [];
+    const kept = [];
+
+    for (const segment of await this.listSenderSegments(senderId)) {
+      if (segment.inUse) {
+        kept.push(segment.id);
+        continue;
+      }
+
+      await this._request("delete segment", {
+        method: "DELETE",
+        url: `/v3/marketing/segments/2.0/${segment.id}`,
+      });
+      deleted.push(segment.id);
+    }
+
+    return { deleted, kept };
+  }
+
+  /**
+   * Fetches every segment in the account.
+   *
+   * @returns {Promise<Object[]>} The segments.
+   */
+  async _fetchAllSegments() {
+    const [response] = await this._request("list segments", { method: "GET", url: "/v3/marketing/segments/2.0" });
+    return response.body?.results || [];
+  }
+
+  /**
+   * Fetches every single send, following pagination.
+   *
+   * @returns {Promise<Object[]>} The single sends.
+   */
+  async _fetchAllSingleSends() {
+    const singleSends = [];
+    let url = "/v3/marketing/singlesends?page_size=100";
+
+    while (url) {
+      const [response] = await this._request("list campaigns", { method: "GET", url });
+      singleSends.push(...(response.body?.result || []));
+
+      // Follow the next page link, keeping only the path and query
+      const next = response.body?._metadata?.next;
+      url = next ? next.replace(/^https?:\/\/[^/]+/, "") : null;
+    }
+
+    return singleSends;
+  }
+
+  /**
+   * Deletes a segment, ignoring failures. Used to roll back segments created for a failed campaign.
+   *
+   * @param {string} segmentId - The segment to delete.
+   * @returns {Promise<void>}
+   */
+  async _deleteSegmentQuietly(segmentId) {
+    try {
+      await this.getTransport().request({
+        method: "DELETE",
+        url: `/v3/marketing/segments/2.0/${segmentId}`,
+      });
+    } catch {
+      // Left for cleanupSenderSegments
+    }
+  }
+
+  /**
+   * Deletes a single send, ignoring failures. Used to roll back drafts a failed campaign created.
+   *
+   * @param {string} campaignId - The single send to delete.
+   * @returns {Promise<void>}
+   */
+  async _deleteCampaignQuietly(campaignId) {
+    try {
+      await this.getTransport().request({
+        method: "DELETE",
+        url: `/v3/marketing/singlesends/${encodeURIComponent(campaignId)}`,
+      });
+    } catch {
+      // A leftover draft is never sent
+    }
+  }
+
+  /**
+   * Checks whether a single send has not been sent yet.
+   *
+   * @param {Object} singleSend - The single send.
+   * @returns {boolean} True for drafts and scheduled sends.
+   */
+  _isPendingSingleSend(singleSend) {
+    return ["draft", "scheduled"].includes(singleSend.status);
+  }
+
+  /**
+   * Checks whether a segment belongs to a sender, including segments named by older releases.
+   *
+   * @param {Object} segment - The segment.
+   * @param {string} senderId - Sender unique ID.
+   * @returns {boolean} True if the segment is the sender's.
+   */
+  _isSenderSegment(segment, senderId) {
+    const name = segment.name || "";
+    return (
+      name.startsWith(`sender_${senderId}_segment_`) ||
+      (name.startsWith("segment_") && name.endsWith(`__sender_${senderId}`))
+    );
+  }
+
+  /**
+   * Builds a stable hash of a segment's parent lists and query.
+   *
+   * @param {Object} definition - Definition with `parentListIds` and `queryDsl`.
+   * @returns {string} The hash.
+   */
+  _segmentKey({ parentListIds = [], queryDsl }) {
+    const canonical = JSON.stringify({
+      parent_list_ids: [...parentListIds].sort(),
+      query_dsl: queryDsl,
+    });
+    return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 16);
+  }
+
+  /**
+   * Formats the segment name for a sender and definition hash.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} senderId - The ID of the sender.
+   * @param {string} key - Hash of the segment definition.
+   * @returns {string} The formatted segment name.
+   */
+  _formatSegmentNameForSender(senderId, key) {
+    // Return formatted sender segment name
+    return `sender_${senderId}_segment_${key}`;
+  }
+
+  // ------------------------------
+  // Filtering & Querying Recipients
+  // ------------------------------
+
+  /**
+   * Iterates over every contact matching a list, tag and/or SGQL condition.
+   *
+   * The filter runs server side through contact search. Search only returns a
+   * capped sample per request, so whenever `contact_count` exceeds the returned
+   * results the query is split into two email ranges at the sample's median
+   * email and each range is searched again, until every range is complete.
+   * Contacts are yielded in ascending email order.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {Object} options - Traversal options.
+   * @param {string} [options.listId] - Only contacts in this list.
+   * @param {string} [options.tag] - Only contacts whose custom field tag is `true`.
+   * @param {import("./sgqlBuilder.js").Condition} [options.query] - Additional condition built with `sgqlBuilder`.
+   * @returns {AsyncGenerator<Object>} The matching contacts.
+   * @throws {Error} If no filter is given, the tag name is invalid, or a search fails.
+   */
+  async *iterateContacts({ listId, tag, query } = {}) {
+    // Build the server-side filter
+    const conditions = [];
+    if (listId) conditions.push(sgql.inList(listId));
+    if (tag) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(tag)) {
+        throw new ValidationError(`Invalid tag: ${tag}`, { fields: ["tag"] });
+      }
+      conditions.push(sgql.eq(tag, true));
+    }
+    if (query) conditions.push(query);
+    if (!conditions.length) {
+      throw new ValidationError("Invalid contact query: listId, tag or query is required", {
+        fields: ["listId", "tag", "query"],
+      });
+    }
+
+    // Email ranges still to search, as [from, to) with null meaning unbounded
+    const ranges = [{ from: null, to: null }];
+
+    while (ranges.length) {
+      const { from, to } = ranges.shift();
+      const rangeQuery = sgql
+        .and(
+          conditions,
+          from !== null && sgql.compare("email", ">=", from),
+          to !== null && sgql.compare("email", "<", to)
+        )
+        .toString();
+
+      // Search the current range with retry
+      const [res] = await this._request("search contacts", {
+        method: "POST",
+        url: "/v3/marketing/contacts/search",
+        // Searches only read, so they are safe to retry
+        idempotent: true,
+        body: { query: rangeQuery },
+      });
+
+      const result = res.body.result || [];
+      const total = res.body.contact_count ?? result.length;
+
+      // Yield the range once search returned all of it
+      if (result.length >= total) {
+        yield* result.sort((a, b) => (a.email < b.email ? -1 : 1));
+        continue;
+      }
+
+      // A split needs at least two distinct emails to make progress
+      if (result.length < 2) {
+        throw new ProviderError(`Failed to paginate contacts: search returned ${result.length} of ${total}`);
+      }
+
+      // Split the range at the median email of the sample, lower half first
+      const emails = result.map((c) => c.email).sort();
+      const pivot = emails[Math.floor(emails.length / 2)];
+      ranges.unshift({ from, to: pivot }, { from: pivot, to });
+    }
+  }
+
+  /**
+   * Filters recipients in a list by a custom field tag value of `true`.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {Object} options - Filter options.
+   * @param {string} options.listId - The ID of the list to search.
+   * @param {string} options.tag - The custom field tag to filter by.
+   * @returns {Promise<Object[]>} Array of all recipients matching the tag condition.
+   * @throws {Error} If the request to fetch contacts fails.
+   */
+  async filterRecipientsByTag({ listId, tag }) {
+    // Collect every recipient in the list with the tag set
+    const recipients = [];
+    for await (const recipient of this.iterateContacts({ listId, tag })) {
+      recipients.push(recipient);
+    }
+    return recipients;
+  }
+
+  /**
+   * Fetches all sender lists from SendGrid with optional cache bypass.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {boolean} [force=false] - Whether to bypass cache and force a fresh fetch.
+   * @returns {Promise<Object[]>} Array of sender list objects.
+   * @throws {Error} If the request to fetch lists fails.
+   */
+  async fetchAllSenderLists(force = false) {
+    // Return cached list if available and force is not set
+    if (!force) this._emit("cache", { cache: "lists", hit: Boolean(this.listCache) });
+    if (this.listCache && !force) return this.listCache;
+
+    // Fetch sender lists with retry logic
+    const [res] = await this._request("fetch lists", { method: "GET", url: "/v3/marketing/lists" });
+
+    // Cache and return the list data
+    this.listCache = res.body.result;
+    return this.listCache;
+  }
+
+  /**
+   * Retrieves a sender's list and filters recipients by a custom field tag.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} senderId - ID of the sender.
+   * @param {string} tag - Custom field tag to filter recipients by.
+   * @returns {Promise<Object>} An object containing the list and matching recipients.
+   * @throws {Error} If the request to fetch contacts fails.
+   */
+  async getSenderListAndRecipientsByTag(senderId, tag) {
+    // Format the sender's list name
+    const listName = this._formatListNameForSender(senderId);
+
+    // Fetch all sender lists
+    const lists = await this.fetchAllSenderLists();
+
+    // Find the target list by name
+    const targetList = lists.find((list) => list.name === listName);
+    if (!targetList) return { list: null, recipients: [] };
+
+    // Fetch every recipient in the target list with the tag set to true
+    const matchingRecipients = await this.filterRecipientsByTag({
+      listId: targetList.id,
+      tag,
+    });
+
+    // Return both list info and matching recipients
+    return { list: targetList, recipients: matchingRecipients };
+  }
+
+  /**
+   * Fetches all recipients from a specific sender list with retry logic.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} listId - ID of the sender list to retrieve recipients from.
+   * @returns {Promise<Object>} Response-shaped object whose `body.result` holds every
+   *   recipient and `body.contact_count` their number.
+   * @throws {Error} If the request fails after retries.
+   */
+  async getRecipientsInSenderList(listId) {
+    // Collect every recipient in the list
+    const result = [];
+    for await (const recipient of this.iterateContacts({ listId })) {
+      result.push(recipient);
+    }
+
+    // Keep the shape of the SendGrid response callers rely on
+    return { statusCode: 200, body: { result, contact_count: result.length } };
+  }
+
+  // ------------------------------
+  // Utilities
+  // ------------------------------
+
+  /**
+   * Ensures a sender list exists and verifies its availability in SendGrid.
+   *
+   * The polling is reported as a `listVerification` event.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} senderId - The ID of the sender.
+   * @returns {Promise<Object>} The verified sender list object.
+   * @throws {Error} If the list is not verified within retry attempts.
+   */
+  async ensureSenderListExists(senderId) {
+    // Generate the sender list name
+    const listName = this._formatListNameForSender(senderId);
+
+    // Retrieve or create the list by name
+    const list = await this.ensureListExistsByName(listName);
+
+    // Poll for list verification with retries, timing the polling
+    const requestId = crypto.randomUUID();
+    const startedAt = Date.now();
+    let attempts = 0;
+    const poll = async () => {
+      attempts++;
+      const lists = await this.fetchAllSenderLists(true);
+      const verified = lists.find((l) => l.name === listName);
+      if (!verified) throw new ProviderError("List not yet verified", { transient: true });
+      return verified;
+    };
+
+    const report = (ok) => {
+      const durationMs = Date.now() - startedAt;
+      this._emit("listVerification", { requestId, listName, attempts, durationMs, ok });
+    };
+
+    try {
+      // Retry list verification using exponential backoff
+      const verified = await this._withRetry(poll, 5, 500, 1000, {
+        operation: "verify list",
+        requestId,
+      });
+      report(true);
+      return verified;
+    } catch {
+      // Throw error if list verification fails
+      report(false);
+      throw new ProviderError(`List creation failed: ${listName}`, { transient: true });
+    }
+  }
+
+  /**
+   * Ensures a sender list with the specified name exists, creating it if necessary.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} listName - The name of the sender list to ensure.
+   * @returns {Promise<Object>} The existing or newly created sender list.
+   * @throws {Error} If the list cannot be created or found after retry.
+   */
+  async ensureListExistsByName(listName) {
+    // Fetch all sender lists with fresh data
+    const lists = await this.fetchAllSenderLists(true);
+
+    // Find list by name
+    let list = lists.find((l) => l.name === listName);
+
+    // Create the list if not found
+    if (!list) {
+      await this._request("create list", {
+        method: "POST",
+        url: "/v3/marketing/lists",
+        body: { name: listName },
+      });
+
+      // Wait before refreshing lists
+      await new Promise((r) => setTimeout(r, this.listCreationDelay));
+
+      // Re-fetch lists to confirm creation
+      const newLists = await this.fetchAllSenderLists(true);
+      list = newLists.find((l) => l.name === listName);
+
+      // Throw error if list is still not found
+      if (!list) {
+        throw new ProviderError(`List creation failed after retry: ${listName}`, { transient: true });
+      }
+    }
+
+    return list;
+  }
+
+  /**
+   * Fetches the type of every custom and reserved contact field.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {boolean} [force=false] - Bypass the cache.
+   * @returns {Promise<Object<string, string>>} Field name to SendGrid type, e.g. `{ country: "Text" }`.
+   */
+  async fetchFieldTypes(force = false) {
+    // Return cached field types unless forced
+    if (this.fieldTypeCache && !force) return this.fieldTypeCache;
+
+    // Types are cached together with the definitions
+    await this.fetchFieldDefinitions(true);
+    return this.fieldTypeCache;
+  }
+
+  /**
+   * Fetches every custom and reserved contact field definition.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {boolean} [force=false] - Bypass the cache.
+   * @returns {Promise<Object<string, Object>>} Field name to `{ id, name, field_type, reserved }`.
+   */
+  async fetchFieldDefinitions(force = false) {
+    // Return cached definitions unless forced
+    if (!force) {
+      this._emit("cache", { cache: "fieldDefinitions", hit: Boolean(this.fieldDefinitionCache) });
+    }
+    if (this.fieldDefinitionCache && !force) return this.fieldDefinitionCache;
+
+    const [res] = await this._request("fetch custom fields", {
+      method: "GET",
+      url: "/v3/marketing/field_definitions",
+    });
+
+    // Cache the definitions and the types derived from them together
+    this.fieldDefinitionCache = Object.fromEntries([
+      ...(res.body?.reserved_fields || []).map((f) => [f.name, { ...f, reserved: true }]),
+      ...(res.body?.custom_fields || []).map((f) => [f.name, { ...f, reserved: false }]),
+    ]);
+    this.fieldTypeCache = buildFieldTypes(res.body);
+    return this.fieldDefinitionCache;
+  }
+
+  /**
+   * Returns the SendGrid ID of a contact field, from the cache where possible.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} name - The field name.
+   * @returns {Promise<string>} The field ID, e.g. `e1_T`.
+   * @throws {Error} If the field does not exist in SendGrid.
+   */
+  async getCustomFieldId(name) {
+    let field = (await this.fetchFieldDefinitions())[name];
+
+    // The field may have been created elsewhere since the cache was filled
+    if (!field) field = (await this.fetchFieldDefinitions(true))[name];
+    if (!field) throw new NotFoundError(`Custom field not found: ${name}`, { fields: [name] });
+
+    return field.id;
+  }
+
+  /**
+   * Ensures a custom field exists in SendGrid, creating it if missing.
+   *
+   * @since 1.0
+   * @version 1.3
+   * @author Linden May
+   * @param {string} name - The name of the custom field to ensure.
+   * @param {string} [type="text"] - A SendGrid type (`text`, `number`, `date`) or a template
+   *   field type such as `boolean` or `email`.
+   * @returns {Promise<Object>} The existing or newly created custom field object.
+   * @throws {Error} If the type cannot be stored on contacts, the field exists with another
+   *   type, or creation fails for a reason other than an existing conflict.
+   */
+  async ensureCustomFieldExists(name, type = "text") {
+    const fieldType = this._toSendGridFieldType(name, type);
+
+    // Check the cached definitions for the field
+    const existing = (await this.fetchFieldDefinitions())[name];
+    if (existing) return this._assertFieldType(existing, fieldType);
+
+    try {
+      // Create the custom field if it doesn't exist
+      const [createRes] = await this._request("create custom field", {
+        method: "POST",
+        url: "/v3/marketing/field_definitions",
+        body: { name, field_type: fieldType },
+      });
+
+      // Campaign targeting and ID lookups must see the new field
+      this._rememberFieldDefinition(createRes.body);
+      return createRes.body;
+    } catch (err) {
+      // Return existing field if error is due to conflict
+      if (err.upstreamErrors?.[0]?.message?.includes("already exists")) {
+        const field = (await this.fetchFieldDefinitions(true))[name];
+        if (field) return this._assertFieldType(field, fieldType);
+      }
+      // Log and rethrow error for other failures
+      this.logger.error("Failed to create custom field", {
+        field: name,
+        code: err.code,
+        error: err.message,
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Creates the contact custom fields declared in `config/contactFieldsMap.js`
+   * and reports fields whose type in SendGrid differs from the config.
+   *
+   * Conflicting fields are left as they are: SendGrid cannot change a field's
+   * type, so they have to be renamed or recreated by hand.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {Object} [options] - Sync options.
+   * @param {boolean} [options.dryRun=false] - Only report what would be created.
+   * @returns {Promise<Object>} `{ created, existing, conflicts, failed }`; `created` and
+   *   `existing` hold `{ name, fieldType, fieldId }`, `conflicts` hold
+   *   `{ name, expected, actual, fieldId }` and `failed` hold `{ name, fieldType, error }`.
+   *   With `dryRun`, `created` lists the missing fields without IDs.
+   * @throws {Error} If the config declares a type contacts cannot store, listing every
+   *   problem in `err.violations`, or if the field definitions cannot be fetched.
+   */
+  async syncCustomFields({ dryRun = false } = {}) {
+    const required = this._requiredContactFields();
+
+    // Compare against the current definitions, not the cache
+    const definitions = await this.fetchFieldDefinitions(true);
+    const report = { created: [], existing: [], conflicts: [], failed: [] };
+
+    for (const { name, fieldType } of required) {
+      const field = definitions[name];
+      if (field && field.field_type !== fieldType) {
+        report.conflicts.push({ name, expected: fieldType, actual: field.field_type, fieldId: field.id });
+      } else if (field) {
+        report.existing.push({ name, fieldType, fieldId: field.id });
+      } else if (dryRun) {
+        report.created.push({ name, fieldType, fieldId: null });
+      } else {
+        try {
+          const created = await this.ensureCustomFieldExists(name, fieldType);
+          report.created.push({ name, fieldType, fieldId: created.id });
+        } catch (err) {
+          report.failed.push({ name, fieldType, error: err.message });
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Lists the contact fields declared in the config with their SendGrid types.
+   *
+   * @returns {Object[]} `{ name, type, fieldType, tag }` per declared field.
+   * @throws {Error} If a name or type is invalid, listing every problem in `err.violations`.
+   */
+  _requiredContactFields() {
+    const fields = [];
+    const violations = [];
+
+    for (const [name, definition] of Object.entries(this.contactFieldMap)) {
+      const type = typeof definition === "string" ? definition : definition?.type;
+
+      // SendGrid field names are letters, digits and underscores
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        violations.push({ field: name, code: "name", message: `Invalid contact field name: ${name}` });
+      } else if (!SENDGRID_FIELD_TYPES[type]) {
+        violations.push({
+          field: name,
+          code: "unknown_type",
+          message: `Invalid contact field ${name}: type ${type} cannot be stored on contacts`,
+        });
+      } else {
+        fields.push({ name, type, fieldType: SENDGRID_FIELD_TYPES[type], tag: Boolean(definition?.tag) });
+      }
+    }
+
+    if (violations.length) {
+      throw new ValidationError(violations.map((v) => v.message).join("; "), { violations });
+    }
+    return fields;
+  }
+
+  /**
+   * Maps a field type to the SendGrid type it is stored as.
+   *
+   * @param {string} name - The field name, used in errors.
+   * @param {string} type - A SendGrid type in any case, or a template field type.
+   * @returns {string} `Text`, `Number` or `Date`.
+   * @throws {Error} If contacts cannot store the type.
+   */
+  _toSendGridFieldType(name, type) {
+    if (SENDGRID_FIELD_TYPES[type]) return SENDGRID_FIELD_TYPES[type];
+
+    // SendGrid expects capitalized types such as "Text"
+    const capitalized = String(type).charAt(0).toUpperCase() + String(type).slice(1).toLowerCase();
+    if (["Text", "Number", "Date"].includes(capitalized)) return capitalized;
+
+    throw new ValidationError(`Invalid custom field type for ${name}: ${type}`, { fields: [name] });
+  }
+
+  /**
+   * Checks that an existing field has the expected type.
+   *
+   * @param {Object} field - The field definition.
+   * @param {string} fieldType - The expected SendGrid type.
+   * @returns {Object} A copy of the field definition.
+   * @throws {Error} If the types differ.
+   */
+  _assertFieldType(field, fieldType) {
+    if (field.field_type !== fieldType) {
+      throw new ConflictError(
+        `Custom field type conflict: ${field.name} is ${field.field_type} in SendGrid, expected ${fieldType}`,
+        { code: "FIELD_TYPE_CONFLICT", fields: [field.name] }
+      );
+    }
+    const { reserved, ...definition } = field;
+    return definition;
+  }
+
+  /**
+   * Adds a newly created field to the definition and type caches, if they are filled.
+   *
+   * @param {Object} field - The created field definition.
+   * @returns {void}
+   */
+  _rememberFieldDefinition(field) {
+    if (this.fieldDefinitionCache) this.fieldDefinitionCache[field.name] = { ...field, reserved: false };
+    if (this.fieldTypeCache) this.fieldTypeCache[field.name] = field.field_type;
+  }
+
+  /**
+   * Resets all internal caches for templates, fields, and lists.
+   *
+   * @since 1.0
+   * @version 1.2
+   * @author Linden May
+   * @returns {void}
+   */
+  resetInternalCache() {
+    // Clear the template cache
+    this.templateCache = null;
+
+    // Clear the field map cache
+    this.fieldMapCache = null;
+
+    // Clear the sender list cache
+    this.listCache = null;
+
+    // Clear the field type and definition caches
+    this.fieldTypeCache = null;
+    this.fieldDefinitionCache = null;
+  }
+
+  /**
+   * Formats the list name string for a given sender ID.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} senderId - The ID of the sender.
+   * @returns {string} The formatted list name.
+   */
+  _formatListNameForSender(senderId) {
+    // Return formatted sender list name
+    return `sender_${senderId}_list`;
+  }
+
+  /**
+   * Resolves the sender ID owning a `sender_{id}_list`.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} listId - The ID of the list.
+   * @returns {Promise<string|null>} The sender ID, or null if the list is not a sender list.
+   */
+  async _getSenderIdForList(listId) {
+    // Look the list up in cache first, then refresh once
+    let list = (await this.fetchAllSenderLists()).find((l) => l.id === listId);
+    if (!list) {
+      list = (await this.fetchAllSenderLists(true)).find((l) => l.id === listId);
+    }
+
+    const match = /^sender_(.+)_list$/.exec(list?.name || "");
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Retries a given asynchronous function with exponential backoff on any error.
+   *
+   * SendGrid calls are retried by the transport already; this is for polling
+   * until a condition holds, such as a new list becoming visible. Every
+   * backoff is reported as a `retry` event with source `poll`.
+   *
+   * @since 1.0
+   * @version 1.2
+   * @author Linden May
+   * @param {Function} fn - The asynchronous function to retry.
+   * @param {number} [retries=3] - Maximum number of retry attempts.
+   * @param {number} [delay=500] - Initial delay in milliseconds between attempts.
+   * @param {number} [maxDelay=3000] - Maximum delay in milliseconds between retries.
+   * @param {Object} [options] - Reporting options.
+   * @param {string} [options.operation="poll"] - What is being polled, e.g. `verify list`.
+   * @param {string} [options.requestId] - ID carried by the retry events; generated if omitted.
+   * @returns {Promise<any>} The result of the successful function call.
+   * @throws {Error} If the function fails after all retry attempts.
+   */
+  async _withRetry(
+    fn,
+    retries = 3,
+    delay = 500,
+    maxDelay = 3000,
+    { operation = "poll", requestId } = {}
+  ) {
+    requestId ??= crypto.randomUUID();
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        // Attempt to execute the function
+        return await fn();
+      } catch (err) {
+        // Rethrow on the final attempt
+        if (attempt === retries) throw err;
+
+        // Calculate exponential backoff delay
+        const waitTime = Math.min(delay * 2 ** (attempt - 1), maxDelay);
+        this._emit("retry", {
+          requestId,
+          source: "poll",
+          operation,
+          attempt,
+          delayMs: waitTime,
+          error: err.message,
+        });
+
+        // Wait before next attempt
+        await new Promise((res) => setTimeout(res, waitTime));
+      }
+    }
+  }
+
+  // ------------------------------
+  // Block User
+  // ------------------------------
+
+  /**
+   * Blocks a recipient for a single sender and optionally suppresses them permanently.
+   *
+   * The recipient is removed from `sender_{id}_list` only (their other creators are
+   * unaffected) and added to `sender_{id}_blocklist`, which subscriptions and sends
+   * for that sender are checked against. When `permanent` is set, the address is also
+   * added to an ASM suppression group; note that SendGrid only enforces a group for
+   * mail sent with that group's `asm.group_id`.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {string} email - Recipient email address.
+   * @param {string} senderId - Sender unique ID.
+   * @param {Object} [options={}] - Block options.
+   * @param {boolean} [options.permanent=false] - Whether to also add the recipient to a suppression group.
+   * @param {number} [options.suppressionGroupId] - ASM group to use; defaults to `SENDGRID_BLOCK_GROUP_ID`.
+   * @returns {Promise<Object>} `{ blocked, removedFromList, suppressed }`.
+   * @throws {Error} If the email is invalid or a permanent block has no suppression group.
+   */
+  async blockRecipient(email, senderId, options = {}) {
+    const { permanent = false } = options;
+
+    // Validate the email format
+    if (!this._isValidEmail(email)) {
+      throw new ValidationError(`Invalid email format: ${email}`, { fields: ["email"] });
+    }
+
+    // Resolve the suppression group up front so nothing changes on a bad request
+    const groupId = permanent ? this._resolveSuppressionGroupId(options) : null;
+
+    // Lookup recipient by email
+    const contact = await this._findContactByEmail(email);
+
+    // Remove recipient from sender_{id}_list only
+    let removedFromList = false;
+    const senderList = (await this.fetchAllSenderLists(true)).find(
+      (l) => l.name === this._formatListNameForSender(senderId)
+    );
+    if (contact && senderList && contact.list_ids?.includes(senderList.id)) {
+      await this._request("remove recipient from sender list", {
+        method: "DELETE",
+        url: `/v3/marketing/lists/${senderList.id}/contacts?contact_ids=${contact.id}`,
+      });
+      removedFromList = true;
+    }
+
+    // Add recipient to the sender's blocklist
+    const blockList = await this.ensureListExistsByName(
+      this._formatBlockListNameForSender(senderId)
+    );
+    await this._request("add recipient to blocklist", {
+      method: "PUT",
+      url: "/v3/marketing/contacts",
+      body: { list_ids: [blockList.id], contacts: [{ email }] },
+    });
+
+    // Optionally add recipient to suppression group for permanent block
+    if (groupId) {
+      await this._request("add recipient to suppression group", {
+        method: "POST",
+        url: `/v3/asm/groups/${groupId}/suppressions`,
+        body: { recipient_emails: [email] },
+      });
+    }
+
+    return { blocked: true, removedFromList, suppressed: Boolean(groupId) };
+  }
+
+  /**
+   * Lifts a sender's block on a recipient.
+   *
+   * The recipient is not re-subscribed to the sender's list; they have to opt in again.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} email - Recipient email address.
+   * @param {string} senderId - Sender unique ID.
+   * @param {Object} [options={}] - Unblock options.
+   * @param {boolean} [options.permanent=false] - Whether to also remove the recipient from the suppression group.
+   * @param {number} [options.suppressionGroupId] - ASM group to use; defaults to `SENDGRID_BLOCK_GROUP_ID`.
+   * @returns {Promise<Object>} `{ unblocked, unsuppressed }`, where `unblocked` is false if no block existed.
+   * @throws {Error} If the email is invalid.
+   */
+  async unblockRecipient(email, senderId, options = {}) {
+    const { permanent = false } = options;
+
+    // Validate the email format
+    if (!this._isValidEmail(email)) {
+      throw new ValidationError(`Invalid email format: ${email}`, { fields: ["email"] });
+    }
+
+    const groupId = permanent ? this._resolveSuppressionGroupId(options) : null;
+
+    // Remove the recipient from the sender's blocklist
+    let unblocked = false;
+    const blockList = await this._findBlockList(senderId, true);
+    const contact = blockList && (await this._findContactByEmail(email));
+    if (contact?.list_ids?.includes(blockList.id)) {
+      await this._request("remove recipient from blocklist", {
+        method: "DELETE",
+        url: `/v3/marketing/lists/${blockList.id}/contacts?contact_ids=${contact.id}`,
+      });
+      unblocked = true;
+    }
+
+    // Remove the recipient from the suppression group
+    if (groupId) {
+      await this._request("remove recipient from suppression group", {
+        method: "DELETE",
+        url: `/v3/asm/groups/${groupId}/suppressions/${encodeURIComponent(email)}`,
+      });
+    }
+
+    return { unblocked, unsuppressed: Boolean(groupId) };
+  }
+
+  /**
+   * Checks whether a sender has blocked a recipient.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} email - Recipient email address.
+   * @param {string} senderId - Sender unique ID.
+   * @returns {Promise<boolean>} True if the recipient is on the sender's blocklist.
+   * @throws {Error} If the email is invalid.
+   */
+  async isRecipientBlocked(email, senderId) {
+    // Validate the email format
+    if (!this._isValidEmail(email)) {
+      throw new ValidationError(`Invalid email format: ${email}`, { fields: ["email"] });
+    }
+
+    // Nobody is blocked if the sender never blocked anyone
+    const blockList = await this._findBlockList(senderId);
+    if (!blockList) return false;
+
+    const contact = await this._findContactByEmail(email);
+    return Boolean(contact?.list_ids?.includes(blockList.id));
+  }
+
+  /**
+   * Throws if a sender has blocked a recipient.
+   *
+   * @param {string} email - Recipient email address.
+   * @param {string} senderId - Sender unique ID.
+   * @returns {Promise<void>}
+   * @throws {Error} If the recipient is blocked.
+   */
+  async _assertRecipientNotBlocked(email, senderId) {
+    if (await this.isRecipientBlocked(email, senderId)) {
+      throw new ForbiddenError(`Recipient is blocked by sender ${senderId}: ${email}`, {
+        code: "RECIPIENT_BLOCKED",
+        fields: ["email"],
+      });
+    }
+  }
+
+  /**
+   * Collects the lowercased emails on a sender's blocklist.
+   *
+   * @param {string} senderId - Sender unique ID.
+   * @returns {Promise<Set<string>>} The blocked emails, empty if the sender never blocked anyone.
+   */
+  async _findBlockedEmails(senderId) {
+    const blocked = new Set();
+    const blockList = await this._findBlockList(senderId);
+    if (!blockList) return blocked;
+
+    for await (const contact of this.iterateContacts({ listId: blockList.id })) {
+      blocked.add(contact.email.toLowerCase());
+    }
+    return blocked;
+  }
+
+  /**
+   * Finds a sender's blocklist without creating it.
+   *
+   * @param {string} senderId - Sender unique ID.
+   * @param {boolean} [force=false] - Whether to bypass the list cache.
+   * @returns {Promise<Object|undefined>} The blocklist, if it exists.
+   */
+  async _findBlockList(senderId, force = false) {
+    const lists = await this.fetchAllSenderLists(force);
+    return lists.find(
+      (l) => l.name === this._formatBlockListNameForSender(senderId)
+    );
+  }
+
+  /**
+   * Looks up a single contact by email address.
+   *
+   * @param {string} email - The email address to look up.
+   * @returns {Promise<Object|undefined>} The contact, if found.
+   */
+  async _findContactByEmail(email) {
+    const [res] = await this._request("search contacts", {
+      method: "POST",
+      url: "/v3/marketing/contacts/search",
+      // Searches only read, so they are safe to retry
+      idempotent: true,
+      body: { query: sgql.eq("email", email).toString() },
+    });
+    return res.body.result?.[0];
+  }
+
+  /**
+   * Resolves the ASM suppression group used for permanent blocks.
+   *
+   * @param {Object} options - Block options.
+   * @param {number} [options.suppressionGroupId] - Explicit group ID.
+   * @returns {number} The suppression group ID.
+   * @throws {Error} If no valid group ID is configured.
+   */
+  _resolveSuppressionGroupId({ suppressionGroupId } = {}) {
+    const groupId = Number(
+      suppressionGroupId ?? this.blockGroupId ?? process.env.SENDGRID_BLOCK_GROUP_ID
+    );
+    if (!Number.isInteger(groupId) || groupId <= 0) {
+      throw new ValidationError(
+        "Invalid suppression group: pass suppressionGroupId, configure blockGroupId or set SENDGRID_BLOCK_GROUP_ID",
+        { fields: ["suppressionGroupId"] }
+      );
+    }
+    return groupId;
+  }
+
+  /**
+   * Formats the blocklist name string for a given sender ID.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} senderId - The ID of the sender.
+   * @returns {string} The formatted blocklist name.
+   */
+  _formatBlockListNameForSender(senderId) {
+    // Return formatted sender blocklist name
+    return `sender_${senderId}_blocklist`;
+  }
+}
+
+module.exports = TwilioSendGridClient;
+
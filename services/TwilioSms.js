@@ -0,0 +1,341 @@
+// services/TwilioSms.js
+require("dotenv").config();
+
+// Import the shared template data validation
+const { validateTemplateData } = require("./templateValidation.js");
+
+// Typed errors shared with the SendGrid services
+const {
+  SendGridServiceError,
+  ValidationError,
+  ForbiddenError,
+  fromUpstreamError,
+} = require("./errors.js");
+
+// Import the SMS template map configuration
+const { SmsTemplateMap: SMS_TEMPLATE_MAP } = require("../config/smsTemplatesMap.js");
+
+// Keywords Twilio treats as opt-out, opt-in and help requests
+const OPT_OUT_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "REVOKE", "OPTOUT"];
+const OPT_IN_KEYWORDS = ["START", "YES", "UNSTOP"];
+const HELP_KEYWORDS = ["HELP", "INFO"];
+
+// Twilio error code returned when messaging a recipient who replied STOP
+const TWILIO_UNSUBSCRIBED_ERROR = 21610;
+
+// Maximum message body length accepted by the Messages endpoint
+const MAX_BODY_LENGTH = 1600;
+
+/**
+ * Default opt-out store, keeping opted-out numbers in process memory.
+ *
+ * Any object with async `has`, `add` and `delete` methods can replace it via
+ * `TwilioSms.setOptOutStore()`, e.g. one backed by a database.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class MemoryOptOutStore {
+  constructor() {
+    this.numbers = new Set();
+  }
+
+  async has(phone) {
+    return this.numbers.has(phone);
+  }
+
+  async add(phone) {
+    this.numbers.add(phone);
+  }
+
+  async delete(phone) {
+    this.numbers.delete(phone);
+  }
+}
+
+class TwilioSms {
+  // Cache for SMS templates
+  static templateCache = null;
+
+  // Base URL of the Twilio REST API, overridable for local stand-ins
+  static baseUrl = process.env.TWILIO_API_BASE_URL || "https://api.twilio.com";
+
+  // Store of numbers that opted out via STOP keywords
+  static optOutStore = new MemoryOptOutStore();
+
+  // ------------------------------
+  // Mapping
+  // ------------------------------
+
+  /**
+   * Loads the SMS template configuration from cache or source map.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {Object} The cached or loaded SMS template configuration.
+   */
+  static loadSmsTemplateConfig() {
+    if (!this.templateCache) {
+      // Assign template map to cache if not already cached
+      this.templateCache = SMS_TEMPLATE_MAP;
+    }
+    return this.templateCache;
+  }
+
+  /**
+   * Validates if a given string is an E.164 phone number.
+   *
+   * @param {string} phone - The phone number to validate.
+   * @returns {boolean} True if valid, false otherwise.
+   */
+  static _isValidPhone(phone) {
+    return typeof phone === "string" && /^\+[1-9]\d{1,14}$/.test(phone);
+  }
+
+  /**
+   * Renders an SMS template body by substituting `{{field}}` placeholders.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} body - The template body.
+   * @param {Object} data - Values for the placeholders.
+   * @returns {string} The rendered message body.
+   */
+  static renderSmsBody(body, data) {
+    return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) =>
+      data[key] === undefined || data[key] === null ? "" : String(data[key])
+    );
+  }
+
+  // ------------------------------
+  // Send SMS
+  // ------------------------------
+
+  /**
+   * Sends an SMS using a predefined template.
+   *
+   * @since 1.0
+   * @version 1.2
+   * @author Linden May
+   * @param {Object} options - SMS sending options.
+   * @param {string} options.to - Recipient phone number in E.164 format.
+   * @param {string} options.templateKey - Key to identify the SMS template.
+   * @param {Object} options.templateData - Dynamic data for the SMS template.
+   * @param {string} [options.from] - Sender phone number; defaults to `TWILIO_FROM_NUMBER`
+   *   or the `TWILIO_MESSAGING_SERVICE_SID` messaging service.
+   * @returns {Promise<Object>} The created Twilio message (`sid`, `status`, ...).
+   * @throws {Error} A `ValidationError` if validation fails, a `ForbiddenError` if the recipient
+   *   opted out, or a `ProviderError` if Twilio fails the send or cannot be reached.
+   */
+  static async sendSms({ to, templateKey, templateData, from }) {
+    // Validate recipient phone number
+    if (!this._isValidPhone(to))
+      throw new ValidationError(`Invalid recipient phone number: ${to}`, { fields: ["to"] });
+
+    // Validate sender phone number if provided
+    if (from !== undefined && !this._isValidPhone(from))
+      throw new ValidationError(`Invalid sender phone number: ${from}`, { fields: ["from"] });
+
+    // Retrieve template configuration by key
+    const template = this.loadSmsTemplateConfig()[templateKey];
+    if (!template) throw new ValidationError(`Unknown templateKey: ${templateKey}`, { fields: ["templateKey"] });
+
+    // Validate required fields and field types
+    validateTemplateData(template, templateData);
+
+    // Render and check the message body
+    const body = this.renderSmsBody(template.body, templateData);
+    if (body.length > MAX_BODY_LENGTH) {
+      throw new ValidationError(
+        `Invalid message body: exceeds ${MAX_BODY_LENGTH} characters`,
+        { fields: ["templateData"] }
+      );
+    }
+
+    // Refuse recipients who replied STOP
+    if (await this.optOutStore.has(to)) throw this._optedOutError(to);
+
+    const { accountSid, authToken, fromNumber, messagingServiceSid } =
+      this._getCredentials();
+
+    // Throw error if there is nothing to send from
+    if (!from && !fromNumber && !messagingServiceSid) {
+      throw new SendGridServiceError(
+        "Missing required environment variables: TWILIO_FROM_NUMBER or TWILIO_MESSAGING_SERVICE_SID",
+        { code: "CONFIGURATION_ERROR" }
+      );
+    }
+
+    // Construct the form payload for the Messages endpoint
+    const params = new URLSearchParams({ To: to, Body: body });
+    if (from || fromNumber) params.set("From", from || fromNumber);
+    else params.set("MessagingServiceSid", messagingServiceSid);
+
+    // Send the message through Twilio; network failures are transient
+    let res;
+    try {
+      res = await fetch(
+        `${this.baseUrl}/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`,
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+          body: params,
+        }
+      );
+    } catch (err) {
+      throw fromUpstreamError(err, "send SMS");
+    }
+    const payload = await res.json().catch(() => ({}));
+
+    if (!res.ok) {
+      // Remember recipients Twilio reports as unsubscribed
+      if (payload.code === TWILIO_UNSUBSCRIBED_ERROR) {
+        await this.optOutStore.add(to);
+        throw this._optedOutError(to);
+      }
+
+      // Throw error if SMS sending fails, keeping the upstream response
+      const cause = new Error(payload.message || res.statusText);
+      cause.code = res.status;
+      cause.response = {
+        headers: Object.fromEntries(res.headers.entries()),
+        body: payload,
+      };
+      throw fromUpstreamError(cause, "send SMS");
+    }
+
+    return payload;
+  }
+
+  // ------------------------------
+  // Opt-out Handling
+  // ------------------------------
+
+  /**
+   * Processes an inbound SMS and applies STOP/START keyword opt-outs.
+   *
+   * Twilio handles the keyword replies itself on long codes; this keeps our
+   * own store in sync so `sendSms` refuses opted-out numbers up front.
+   *
+   * @since 1.0
+   * @version 1.1
+   * @author Linden May
+   * @param {Object} message - Inbound message parameters from the Twilio webhook.
+   * @param {string} message.From - Sender phone number.
+   * @param {string} message.Body - Message text.
+   * @returns {Promise<Object>} `{ action }`, one of `opt-out`, `opt-in`, `help` or `null`.
+   * @throws {ValidationError} If the sender phone number is invalid.
+   */
+  static async handleInboundSms({ From: from, Body: body = "" }) {
+    // Validate sender phone number
+    if (!this._isValidPhone(from))
+      throw new ValidationError(`Invalid sender phone number: ${from}`, { fields: ["From"] });
+
+    // Keywords only count when they are the whole message
+    const keyword = body.trim().toUpperCase();
+
+    if (OPT_OUT_KEYWORDS.includes(keyword)) {
+      await this.optOutStore.add(from);
+      return { action: "opt-out" };
+    }
+
+    if (OPT_IN_KEYWORDS.includes(keyword)) {
+      await this.optOutStore.delete(from);
+      return { action: "opt-in" };
+    }
+
+    if (HELP_KEYWORDS.includes(keyword)) return { action: "help" };
+
+    return { action: null };
+  }
+
+  /**
+   * Checks whether a phone number has opted out of SMS.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {string} phone - Phone number in E.164 format.
+   * @returns {Promise<boolean>} True if the number opted out.
+   */
+  static async isOptedOut(phone) {
+    return this.optOutStore.has(phone);
+  }
+
+  /**
+   * Replaces the opt-out store.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {Object} store - Store with async `has`, `add` and `delete` methods.
+   * @returns {void}
+   */
+  static setOptOutStore(store) {
+    this.optOutStore = store;
+  }
+
+  // ------------------------------
+  // Utilities
+  // ------------------------------
+
+  /**
+   * Reads Twilio credentials from the environment.
+   *
+   * @returns {Object} `{ accountSid, authToken, fromNumber, messagingServiceSid }`.
+   * @throws {Error} If required Twilio environment variables are missing.
+   */
+  static _getCredentials() {
+    const {
+      TWILIO_ACCOUNT_SID: accountSid,
+      TWILIO_AUTH_TOKEN: authToken,
+      TWILIO_FROM_NUMBER: fromNumber,
+      TWILIO_MESSAGING_SERVICE_SID: messagingServiceSid,
+    } = process.env;
+
+    // Throw error if required Twilio environment variables are missing
+    if (!accountSid || !authToken) {
+      throw new SendGridServiceError(
+        "Missing required environment variables: TWILIO_ACCOUNT_SID and/or TWILIO_AUTH_TOKEN",
+        { code: "CONFIGURATION_ERROR" }
+      );
+    }
+
+    return { accountSid, authToken, fromNumber, messagingServiceSid };
+  }
+
+  /**
+   * Builds the error for a recipient who opted out of SMS.
+   *
+   * @param {string} to - Recipient phone number.
+   * @returns {ForbiddenError} The error.
+   */
+  static _optedOutError(to) {
+    return new ForbiddenError(`Recipient has opted out of SMS: ${to}`, {
+      code: "RECIPIENT_OPTED_OUT",
+      fields: ["to"],
+    });
+  }
+
+  /**
+   * Resets the SMS template cache.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {void}
+   */
+  static resetInternalCache() {
+    // Clear the template cache
+    this.templateCache = null;
+  }
+}
+
+module.exports = TwilioSms;
+module.exports.MemoryOptOutStore = MemoryOptOutStore;
@@ -0,0 +1,185 @@
+// services/errors.js
+
+/**
+ * Base class of the errors thrown by the SendGrid services.
+ *
+ * Every error carries a stable `code`, the offending `fields` when the caller
+ * can fix them, and for SendGrid failures the `upstreamStatus` and raw
+ * `upstreamErrors`. The transport error, if any, is kept as `cause`.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class SendGridServiceError extends Error {
+  // Code used when none is given
+  static defaultCode = "SERVICE_ERROR";
+
+  /**
+   * @param {string} message - Human-readable description.
+   * @param {Object} [options] - Error details.
+   * @param {string} [options.code] - Machine-readable code; defaults to the class's.
+   * @param {string[]} [options.fields] - Offending input fields; taken from `violations` if omitted.
+   * @param {Object[]} [options.violations] - Structured `{ field, code, message }` violations.
+   * @param {number} [options.upstreamStatus] - HTTP status SendGrid answered with.
+   * @param {Object[]} [options.upstreamErrors] - The `errors` array of SendGrid's response body.
+   * @param {Error} [options.cause] - The underlying error.
+   */
+  constructor(message, { code, fields, violations, upstreamStatus, upstreamErrors, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = this.constructor.name;
+    this.code = code ?? this.constructor.defaultCode;
+    this.fields = fields ?? [...new Set((violations || []).map((v) => v.field).filter(Boolean))];
+    if (violations) this.violations = violations;
+    if (upstreamStatus !== undefined) this.upstreamStatus = upstreamStatus;
+    if (upstreamErrors !== undefined) this.upstreamErrors = upstreamErrors;
+  }
+
+  /**
+   * Whether repeating the same call may succeed.
+   *
+   * @returns {boolean} False unless a subclass says otherwise.
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The caller's input or the configuration is invalid; repeating the call will not help.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class ValidationError extends SendGridServiceError {
+  static defaultCode = "VALIDATION_ERROR";
+}
+
+/**
+ * The recipient, contact, list, campaign or other resource does not exist.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class NotFoundError extends SendGridServiceError {
+  static defaultCode = "NOT_FOUND";
+}
+
+/**
+ * The call clashes with an earlier request or with existing state in SendGrid.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class ConflictError extends SendGridServiceError {
+  static defaultCode = "CONFLICT";
+}
+
+/**
+ * The call is valid but not allowed, e.g. emailing a blocked recipient.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class ForbiddenError extends SendGridServiceError {
+  static defaultCode = "FORBIDDEN";
+}
+
+/**
+ * SendGrid failed the call or could not be reached.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class ProviderError extends SendGridServiceError {
+  static defaultCode = "PROVIDER_ERROR";
+
+  /**
+   * @param {string} message - Human-readable description.
+   * @param {Object} [options] - As for `SendGridServiceError`, plus:
+   * @param {boolean} [options.transient=false] - True for outages, 5xx answers and network errors.
+   */
+  constructor(message, { transient = false, ...options } = {}) {
+    super(message, options);
+    this.transient = transient;
+  }
+
+  get retryable() {
+    return this.transient;
+  }
+}
+
+/**
+ * SendGrid rejected the call for exceeding its rate limit.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class RateLimitError extends ProviderError {
+  static defaultCode = "RATE_LIMITED";
+
+  /**
+   * @param {string} message - Human-readable description.
+   * @param {Object} [options] - As for `ProviderError`, plus:
+   * @param {number} [options.retryAfter] - Seconds SendGrid asked to wait, if it said.
+   */
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, { ...options, transient: true });
+    if (retryAfter !== undefined) this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Converts an error thrown by a transport into a typed error.
+ *
+ * The message is `Failed to <action>: <SendGrid's messages>`. A 404 becomes a
+ * `NotFoundError` with the `notFound` message when one is given, a 429 a
+ * `RateLimitError`, and anything else a `ProviderError`, transient for 5xx,
+ * network errors and an open circuit.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Error} err - The transport error.
+ * @param {string} action - What the call did, e.g. `create segment`.
+ * @param {Object} [options] - Conversion options.
+ * @param {string} [options.notFound] - Message for a 404, e.g. `Campaign not found: 42`.
+ * @returns {SendGridServiceError} The typed error, or `err` itself if it already is one.
+ */
+function fromUpstreamError(err, action, { notFound } = {}) {
+  if (err instanceof SendGridServiceError) return err;
+
+  // Transport errors carry the HTTP status in `code`, the circuit breaker `CIRCUIT_OPEN`
+  const status = typeof err.code === "number" ? err.code : err.response?.statusCode;
+  const upstreamErrors = err.response?.body?.errors;
+  const details = { upstreamStatus: status, upstreamErrors, cause: err };
+
+  if (status === 404 && notFound) return new NotFoundError(notFound, details);
+
+  const message = `Failed to ${action}: ${upstreamErrors?.map((e) => e.message).join("; ") || err.message}`;
+  if (status === 429) {
+    const retryAfter = Number(err.response?.headers?.["retry-after"]);
+    return new RateLimitError(message, { ...details, ...(retryAfter >= 0 && { retryAfter }) });
+  }
+  if (err.code === "CIRCUIT_OPEN") {
+    return new ProviderError(message, { code: "PROVIDER_UNAVAILABLE", transient: true, cause: err });
+  }
+  return new ProviderError(message, { ...details, transient: status === undefined || status >= 500 });
+}
+
+module.exports = {
+  SendGridServiceError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ForbiddenError,
+  ProviderError,
+  RateLimitError,
+  fromUpstreamError,
+};
@@ -0,0 +1,123 @@
+// services/idempotency.js
+const crypto = require("crypto");
+
+// Typed errors with machine-readable codes
+const { ValidationError } = require("./errors.js");
+
+// How long a key and its result are remembered by default
+const DEFAULT_TTL_MS = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Keys are caller-generated, e.g. an order ID or a UUID
+const IDEMPOTENCY_KEY = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * A remembered call.
+ *
+ * @typedef {Object} IdempotencyRecord
+ * @property {string} key - Scoped idempotency key, e.g. `email:order-42`.
+ * @property {string} fingerprint - Hash of the request the key was first used with.
+ * @property {*} result - What the call returned.
+ */
+
+/**
+ * Idempotency store keeping records in process memory for `ttlMs`. Keys are
+ * forgotten on restart.
+ *
+ * Any object with async `get`, `put` and `delete` methods, where `get` returns
+ * `null` once a record has expired, can be used via `TwilioSendGrid.setIdempotencyStore()`.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class MemoryIdempotencyStore {
+  /**
+   * @param {Object} [options] - Store options.
+   * @param {number} [options.ttlMs] - How long records are kept (`IDEMPOTENCY_TTL_HOURS`, default 24 hours).
+   * @param {Function} [options.now] - Clock returning milliseconds.
+   */
+  constructor({ ttlMs = DEFAULT_TTL_MS, now = Date.now } = {}) {
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const entry = this.records.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= this.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return entry.record;
+  }
+
+  async put(record) {
+    // Drop expired records so the map does not grow forever
+    for (const [key, entry] of this.records) {
+      if (entry.expiresAt <= this.now()) this.records.delete(key);
+    }
+    this.records.set(record.key, { record, expiresAt: this.now() + this.ttlMs });
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+/**
+ * Checks that an idempotency key is usable.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {*} key - The caller's key.
+ * @returns {void}
+ * @throws {ValidationError} If the key is not 1-255 printable ASCII characters.
+ */
+function assertIdempotencyKey(key) {
+  if (typeof key !== "string" || !IDEMPOTENCY_KEY.test(key)) {
+    throw new ValidationError("Invalid idempotency key: expected 1-255 printable ASCII characters", {
+      fields: ["idempotencyKey"],
+    });
+  }
+}
+
+/**
+ * Hashes a request so a key reused for a different request can be detected.
+ * Object keys are sorted, so property order does not matter.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {*} request - The call's options, without the idempotency key.
+ * @returns {string} A SHA-256 hex digest.
+ */
+function fingerprintRequest(request) {
+  return crypto.createHash("sha256").update(_stableStringify(request)).digest("hex");
+}
+
+/**
+ * Serializes a value as JSON with object keys in sorted order.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The JSON text.
+ */
+function _stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(_stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${_stableStringify(value[k])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+module.exports = {
+  MemoryIdempotencyStore,
+  assertIdempotencyKey,
+  fingerprintRequest,
+  DEFAULT_TTL_MS,
+};
@@ -0,0 +1,414 @@
+// services/messageOptions.js
+const fs = require("fs");
+const path = require("path");
+
+// Typed errors with machine-readable codes
+const { ValidationError } = require("./errors.js");
+
+// Attachment size limits; SendGrid caps a whole message at 30 MB and base64 adds a third
+const ATTACHMENT_LIMITS = {
+  maxAttachmentBytes: 10 * 1024 * 1024,
+  maxTotalBytes: 20 * 1024 * 1024,
+};
+
+// MIME types by file extension
+const MIME_TYPES = {
+  pdf: "application/pdf",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+  txt: "text/plain",
+  csv: "text/csv",
+  html: "text/html",
+  ics: "text/calendar",
+  json: "application/json",
+  zip: "application/zip",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Leading bytes of common formats, used when the extension is unknown
+const MAGIC_NUMBERS = [
+  [Buffer.from("%PDF-"), "application/pdf"],
+  [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), "image/png"],
+  [Buffer.from([0xff, 0xd8, 0xff]), "image/jpeg"],
+  [Buffer.from("GIF8"), "image/gif"],
+  [Buffer.from([0x50, 0x4b, 0x03, 0x04]), "application/zip"],
+];
+
+// Headers SendGrid sets itself and refuses in `headers`
+const RESERVED_HEADERS = [
+  "x-sg-id", "x-sg-eid", "received", "dkim-signature", "content-type",
+  "content-transfer-encoding", "to", "from", "subject", "reply-to", "cc", "bcc",
+];
+
+// RFC 7230 token, the characters allowed in a header name
+const HEADER_NAME = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+
+// SendGrid limits on categories and custom arguments
+const MAX_CATEGORIES = 10;
+const MAX_CATEGORY_LENGTH = 255;
+const MAX_CUSTOM_ARGS_BYTES = 10000;
+
+// Content IDs are referenced as `cid:<id>` from the template
+const CONTENT_ID = /^[A-Za-z0-9._@-]{1,100}$/;
+
+// Base64 content as SendGrid expects it
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/**
+ * An attachment as accepted by the send API. Exactly one of `content`,
+ * `stream` or `path` gives the data.
+ *
+ * @typedef {Object} AttachmentInput
+ * @property {Buffer|string} [content] - The data, or a base64 string of it.
+ * @property {import("stream").Readable} [stream] - A stream of the data.
+ * @property {string} [path] - A file to read the data from.
+ * @property {string} [filename] - File name shown to the recipient; defaults to the basename of `path`.
+ * @property {string} [type] - MIME type; detected from the file name or content if omitted.
+ * @property {"attachment"|"inline"} [disposition="attachment"] - `inline` for images shown in the body.
+ * @property {string} [contentId] - ID the template references as `cid:<id>`; required for inline images.
+ */
+
+/**
+ * Validates headers, categories, custom arguments and the shape of
+ * attachments, returning the first three as the SendGrid SDK expects them.
+ * Undefined options are left out.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} options - Message options.
+ * @param {Object<string, string>} [options.headers] - Custom email headers.
+ * @param {string[]} [options.categories] - Categories for SendGrid statistics.
+ * @param {Object<string, string>} [options.customArgs] - Values echoed back in event webhooks.
+ * @param {AttachmentInput[]} [options.attachments] - Attachments; only their shape is checked here.
+ * @returns {Object} `{ headers?, categories?, customArgs? }`.
+ * @throws {ValidationError} Describing the first invalid option.
+ */
+function validateMessageOptions({ headers, categories, customArgs, attachments } = {}) {
+  const result = {};
+
+  // Custom headers must be well formed and not clash with the ones SendGrid sets
+  if (headers !== undefined) {
+    _assertStringMap(headers, "headers");
+    for (const [name, value] of Object.entries(headers)) {
+      if (!HEADER_NAME.test(name)) {
+        throw new ValidationError(`Invalid header name: ${name}`, { fields: ["headers"] });
+      }
+      if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+        throw new ValidationError(`Invalid header: ${name} is set by SendGrid`, { fields: ["headers"] });
+      }
+      if (/[\r\n]/.test(value)) {
+        throw new ValidationError(`Invalid header value for ${name}: line breaks are not allowed`, {
+          fields: ["headers"],
+        });
+      }
+    }
+    result.headers = { ...headers };
+  }
+
+  // Categories are short ASCII labels, at most ten per message
+  if (categories !== undefined) {
+    if (!Array.isArray(categories) || categories.length > MAX_CATEGORIES) {
+      throw new ValidationError(
+        `Invalid categories: expected an array of at most ${MAX_CATEGORIES} strings`,
+        { fields: ["categories"] }
+      );
+    }
+    for (const category of categories) {
+      if (
+        typeof category !== "string" ||
+        !category ||
+        category.length > MAX_CATEGORY_LENGTH ||
+        !/^[\x20-\x7e]+$/.test(category)
+      ) {
+        throw new ValidationError(`Invalid category: ${category}`, { fields: ["categories"] });
+      }
+    }
+    if (new Set(categories).size !== categories.length) {
+      throw new ValidationError("Invalid categories: duplicates are not allowed", { fields: ["categories"] });
+    }
+    result.categories = [...categories];
+  }
+
+  // Custom arguments are string values within SendGrid's size limit
+  if (customArgs !== undefined) {
+    _assertStringMap(customArgs, "customArgs");
+    if (Buffer.byteLength(JSON.stringify(customArgs)) > MAX_CUSTOM_ARGS_BYTES) {
+      throw new ValidationError(`Invalid customArgs: larger than ${MAX_CUSTOM_ARGS_BYTES} bytes`, {
+        fields: ["customArgs"],
+      });
+    }
+    result.customArgs = { ...customArgs };
+  }
+
+  // Check attachments can be read before anything is sent
+  if (attachments !== undefined) {
+    if (!Array.isArray(attachments)) {
+      throw new ValidationError("Invalid attachments: expected an array", { fields: ["attachments"] });
+    }
+    attachments.forEach(_checkAttachmentShape);
+    _assertUniqueContentIds(attachments);
+  }
+
+  return result;
+}
+
+/**
+ * Reads, encodes and checks attachments.
+ *
+ * File names and MIME types are filled in when missing, every attachment and
+ * the total are checked against `limits`, and inline images must be images
+ * with a unique content ID. The result can be passed to the send API again.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {AttachmentInput[]} attachments - The attachments.
+ * @param {Object} [limits=ATTACHMENT_LIMITS] - `{ maxAttachmentBytes, maxTotalBytes }`.
+ * @returns {Promise<Object[]>} `{ content, filename, type, disposition, contentId? }` with base64 `content`.
+ * @throws {ValidationError} If an attachment is invalid, unreadable or too large.
+ */
+async function resolveAttachments(attachments, limits = ATTACHMENT_LIMITS) {
+  if (!Array.isArray(attachments)) {
+    throw new ValidationError("Invalid attachments: expected an array", { fields: ["attachments"] });
+  }
+  attachments.forEach(_checkAttachmentShape);
+  _assertUniqueContentIds(attachments);
+
+  const resolved = [];
+  let total = 0;
+
+  for (const attachment of attachments) {
+    const filename = attachment.filename ?? path.basename(attachment.path);
+    const label = `Invalid attachment ${filename}`;
+
+    // Read the data, stopping as soon as it is too large
+    const data = await _readAttachment(attachment, limits.maxAttachmentBytes, label);
+
+    total += data.length;
+    if (total > limits.maxTotalBytes) {
+      throw new ValidationError(
+        `Invalid attachments: larger than ${_formatBytes(limits.maxTotalBytes)} in total`,
+        { fields: ["attachments"] }
+      );
+    }
+
+    const type = attachment.type ?? detectMimeType(filename, data);
+    const disposition = attachment.disposition ?? "attachment";
+
+    // Inline attachments are shown in the body, so they must be images
+    if (disposition === "inline" && !type.startsWith("image/")) {
+      throw new ValidationError(`${label}: inline attachments must be images, got ${type}`, {
+        fields: ["attachments"],
+      });
+    }
+
+    resolved.push({
+      content: data.toString("base64"),
+      filename,
+      type,
+      disposition,
+      ...(attachment.contentId && { contentId: attachment.contentId }),
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Guesses a MIME type from a file name, falling back to the leading bytes.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} filename - The file name.
+ * @param {Buffer} [data] - The file content.
+ * @returns {string} The MIME type, `application/octet-stream` if unknown.
+ */
+function detectMimeType(filename, data) {
+  const extension = path.extname(filename || "").slice(1).toLowerCase();
+  if (MIME_TYPES[extension]) return MIME_TYPES[extension];
+
+  const match = data && MAGIC_NUMBERS.find(([magic]) => data.subarray(0, magic.length).equals(magic));
+  return match ? match[1] : "application/octet-stream";
+}
+
+/**
+ * Checks an attachment's options without reading its data.
+ *
+ * @param {AttachmentInput} attachment - The attachment.
+ * @param {number} index - Its position, used in error messages.
+ * @returns {void}
+ * @throws {ValidationError} If the attachment is malformed.
+ */
+function _checkAttachmentShape(attachment, index) {
+  const label = `Invalid attachment ${index}`;
+  if (!attachment || typeof attachment !== "object") {
+    throw new ValidationError(`${label}: expected an object`, { fields: ["attachments"] });
+  }
+
+  // Exactly one source of data
+  const sources = ["content", "stream", "path"].filter((key) => attachment[key] !== undefined);
+  if (sources.length !== 1) {
+    throw new ValidationError(`${label}: give exactly one of content, stream or path`, {
+      fields: ["attachments"],
+    });
+  }
+
+  const { content, stream, filename, type, disposition = "attachment", contentId } = attachment;
+  if (content !== undefined && !Buffer.isBuffer(content) && !(content instanceof Uint8Array)) {
+    if (typeof content !== "string" || !BASE64.test(content.replace(/\s/g, ""))) {
+      throw new ValidationError(`${label}: content must be a Buffer or a base64 string`, {
+        fields: ["attachments"],
+      });
+    }
+  }
+  if (stream !== undefined && typeof stream?.[Symbol.asyncIterator] !== "function") {
+    throw new ValidationError(`${label}: stream must be a readable stream`, { fields: ["attachments"] });
+  }
+  if (attachment.path !== undefined && (typeof attachment.path !== "string" || !attachment.path)) {
+    throw new ValidationError(`${label}: path must be a file path`, { fields: ["attachments"] });
+  }
+
+  // The file name is shown to the recipient and must not carry a path
+  const name = filename ?? (typeof attachment.path === "string" ? path.basename(attachment.path) : undefined);
+  if (typeof name !== "string" || !name || name.length > 255 || /[/\\\x00-\x1f\x7f]/.test(name)) {
+    throw new ValidationError(`${label}: a plain filename is required`, { fields: ["attachments"] });
+  }
+
+  if (type !== undefined && (typeof type !== "string" || !/^[\w.+-]+\/[\w.+-]+$/.test(type))) {
+    throw new ValidationError(`${label}: type must be a MIME type`, { fields: ["attachments"] });
+  }
+  if (!["attachment", "inline"].includes(disposition)) {
+    throw new ValidationError(`${label}: disposition must be attachment or inline`, {
+      fields: ["attachments"],
+    });
+  }
+  if (disposition === "inline" && contentId === undefined) {
+    throw new ValidationError(`${label}: inline attachments need a contentId`, { fields: ["attachments"] });
+  }
+  if (contentId !== undefined && (typeof contentId !== "string" || !CONTENT_ID.test(contentId))) {
+    throw new ValidationError(`${label}: contentId must be 1-100 letters, digits, '.', '_', '@' or '-'`, {
+      fields: ["attachments"],
+    });
+  }
+}
+
+/**
+ * Refuses two attachments with the same content ID.
+ *
+ * @param {AttachmentInput[]} attachments - The attachments.
+ * @returns {void}
+ * @throws {ValidationError} On a duplicate content ID.
+ */
+function _assertUniqueContentIds(attachments) {
+  const seen = new Set();
+  for (const { contentId } of attachments) {
+    if (contentId === undefined) continue;
+    if (seen.has(contentId)) {
+      throw new ValidationError(`Invalid attachments: duplicate contentId ${contentId}`, {
+        fields: ["attachments"],
+      });
+    }
+    seen.add(contentId);
+  }
+}
+
+/**
+ * Reads an attachment's data into a buffer.
+ *
+ * @param {AttachmentInput} attachment - The attachment.
+ * @param {number} maxBytes - Largest size allowed.
+ * @param {string} label - Error message prefix.
+ * @returns {Promise<Buffer>} The data.
+ * @throws {ValidationError} If the data cannot be read or is larger than `maxBytes`.
+ */
+async function _readAttachment(attachment, maxBytes, label) {
+  const tooLarge = () => new ValidationError(`${label}: larger than the ${_formatBytes(maxBytes)} limit`, {
+    fields: ["attachments"],
+  });
+
+  if (attachment.content !== undefined) {
+    const data =
+      typeof attachment.content === "string"
+        ? Buffer.from(attachment.content.replace(/\s/g, ""), "base64")
+        : Buffer.from(attachment.content);
+    if (data.length > maxBytes) throw tooLarge();
+    return data;
+  }
+
+  if (attachment.path !== undefined) {
+    // Check the size before reading the whole file into memory
+    let stat;
+    try {
+      stat = await fs.promises.stat(attachment.path);
+    } catch (err) {
+      throw new ValidationError(`${label}: cannot read ${attachment.path} (${err.code})`, {
+        fields: ["attachments"],
+        cause: err,
+      });
+    }
+    if (!stat.isFile()) {
+      throw new ValidationError(`${label}: ${attachment.path} is not a file`, { fields: ["attachments"] });
+    }
+    if (stat.size > maxBytes) throw tooLarge();
+    return fs.promises.readFile(attachment.path);
+  }
+
+  // Collect the stream, giving up as soon as it passes the limit
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of attachment.stream) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    size += buffer.length;
+    if (size > maxBytes) {
+      attachment.stream.destroy?.();
+      throw tooLarge();
+    }
+    chunks.push(buffer);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Checks that a value is a plain object of string values.
+ *
+ * @param {*} value - The value.
+ * @param {string} name - Option name used in error messages.
+ * @returns {void}
+ * @throws {ValidationError} If it is not.
+ */
+function _assertStringMap(value, name) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new ValidationError(`Invalid ${name}: expected an object of strings`, { fields: [name] });
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (typeof item !== "string") {
+      throw new ValidationError(`Invalid ${name}: value of ${key} must be a string`, { fields: [name] });
+    }
+  }
+}
+
+/**
+ * Formats a byte count for error messages.
+ *
+ * @param {number} bytes - The byte count.
+ * @returns {string} E.g. `10 MB`.
+ */
+function _formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${+(bytes / 1024 / 1024).toFixed(1)} MB` : `${bytes} bytes`;
+}
+
+module.exports = {
+  validateMessageOptions,
+  resolveAttachments,
+  detectMimeType,
+  ATTACHMENT_LIMITS,
+};
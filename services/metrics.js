@@ -0,0 +1,226 @@
+// services/metrics.js
+
+// Histogram buckets in seconds, from fast API calls to slow list verification
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Path segments kept in routes: resource names and API versions such as `v3` or `2.0`
+const ROUTE_SEGMENT = /^([a-z_]*|v\d+|\d+\.\d+)$/;
+
+/**
+ * Replaces the IDs and emails in an API path with `:id`, so each endpoint is
+ * one label value.
+ *
+ * @param {string} [url] - The request path, e.g. `/v3/marketing/lists/abc-123`.
+ * @returns {string} The route, e.g. `/v3/marketing/lists/:id`.
+ */
+function _route(url = "") {
+  return url
+    .split("?")[0]
+    .split("/")
+    .map((part) => (ROUTE_SEGMENT.test(part) ? part : ":id"))
+    .join("/");
+}
+
+/**
+ * Escapes a Prometheus label value.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The escaped value.
+ */
+function _escape(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set.
+ *
+ * @param {Object} labels - Label names to values.
+ * @returns {string} `{name="value",...}`, or an empty string without labels.
+ */
+function _labels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${_escape(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Prometheus metrics built from the events of `TwilioSendGridClient`.
+ *
+ * Counts sends, SendGrid requests, retries and cache lookups, and records how
+ * long requests, sends and list verification take. `render` returns the
+ * Prometheus text exposition format.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class PrometheusMetrics {
+  /**
+   * @param {Object} [options] - Metrics options.
+   * @param {string} [options.prefix="sendgrid"] - Prefix of every metric name.
+   * @param {number[]} [options.buckets] - Histogram upper bounds in seconds, ascending.
+   */
+  constructor({ prefix = "sendgrid", buckets = DEFAULT_BUCKETS } = {}) {
+    this.prefix = prefix;
+    this.buckets = buckets;
+
+    // Metric families by name, each with its samples by label set
+    this.families = new Map();
+    this._define("sends_total", "counter", "Emails, batches and campaigns sent, by outcome.");
+    this._define("send_recipients_total", "counter", "Recipients of emails and batches SendGrid accepted.");
+    this._define("send_duration_seconds", "histogram", "Time taken by sends, by kind.");
+    this._define("requests_total", "counter", "SendGrid API requests, counted once however often retried.");
+    this._define("request_duration_seconds", "histogram", "Time taken by SendGrid API requests.");
+    this._define("retries_total", "counter", "Retries of SendGrid requests and polling.");
+    this._define("cache_lookups_total", "counter", "Cache reads, by cache and result.");
+    this._define("list_verification_duration_seconds", "histogram", "Time spent polling for new lists.");
+  }
+
+  /**
+   * Updates the metrics from the events of a client.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @param {import("events").EventEmitter} events - The client's `events`.
+   * @returns {Function} Stops observing the events.
+   */
+  observe(events) {
+    const listeners = {
+      send: ({ kind, outcome, recipients, durationMs }) => {
+        this._inc("sends_total", { kind, outcome });
+        if (outcome !== "failed" && recipients) this._inc("send_recipients_total", { kind }, recipients);
+        this._observe("send_duration_seconds", { kind }, durationMs);
+      },
+      request: ({ method, url, status, durationMs }) => {
+        const route = _route(url);
+        this._inc("requests_total", { method, route, status: status ?? "error" });
+        this._observe("request_duration_seconds", { method, route }, durationMs);
+      },
+      retry: ({ source }) => {
+        this._inc("retries_total", { source });
+      },
+      cache: ({ cache, hit }) => {
+        this._inc("cache_lookups_total", { cache, result: hit ? "hit" : "miss" });
+      },
+      listVerification: ({ ok, durationMs }) => {
+        const outcome = ok ? "verified" : "failed";
+        this._observe("list_verification_duration_seconds", { outcome }, durationMs);
+      },
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) events.on(event, listener);
+    return () => {
+      for (const [event, listener] of Object.entries(listeners)) events.off(event, listener);
+    };
+  }
+
+  /**
+   * Renders every metric in the Prometheus text exposition format.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {string} The metrics, ending with a newline.
+   */
+  render() {
+    const lines = [];
+
+    for (const [name, { type, help, samples }] of this.families) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+      for (const { labels, value } of samples.values()) {
+        if (type === "counter") {
+          lines.push(`${name}${_labels(labels)} ${value}`);
+          continue;
+        }
+
+        // Histogram buckets are cumulative, ending with +Inf
+        this.buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${_labels({ ...labels, le })} ${value.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${_labels({ ...labels, le: "+Inf" })} ${value.count}`);
+        lines.push(`${name}_sum${_labels(labels)} ${value.sum}`);
+        lines.push(`${name}_count${_labels(labels)} ${value.count}`);
+      }
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Clears every sample, keeping the metric definitions.
+   *
+   * @since 1.0
+   * @version 1.0
+   * @author Linden May
+   * @returns {void}
+   */
+  reset() {
+    for (const family of this.families.values()) family.samples.clear();
+  }
+
+  /**
+   * Declares a metric family.
+   *
+   * @param {string} name - Name without the prefix.
+   * @param {string} type - `counter` or `histogram`.
+   * @param {string} help - Description.
+   * @returns {void}
+   */
+  _define(name, type, help) {
+    this.families.set(`${this.prefix}_${name}`, { type, help, samples: new Map() });
+  }
+
+  /**
+   * Returns the sample of a family for a label set, creating it if needed.
+   *
+   * @param {string} name - Name without the prefix.
+   * @param {Object} labels - The label set.
+   * @param {Function} initial - Creates the sample's value.
+   * @returns {Object} The `{ labels, value }` sample.
+   */
+  _sample(name, labels, initial) {
+    const { samples } = this.families.get(`${this.prefix}_${name}`);
+    const key = JSON.stringify(labels);
+    if (!samples.has(key)) samples.set(key, { labels, value: initial() });
+    return samples.get(key);
+  }
+
+  /**
+   * Increments a counter.
+   *
+   * @param {string} name - Name without the prefix.
+   * @param {Object} labels - The label set.
+   * @param {number} [amount=1] - How much to add.
+   * @returns {void}
+   */
+  _inc(name, labels, amount = 1) {
+    this._sample(name, labels, () => 0).value += amount;
+  }
+
+  /**
+   * Records a duration in a histogram.
+   *
+   * @param {string} name - Name without the prefix.
+   * @param {Object} labels - The label set.
+   * @param {number} durationMs - The duration in milliseconds.
+   * @returns {void}
+   */
+  _observe(name, labels, durationMs) {
+    const seconds = durationMs / 1000;
+    const { value } = this._sample(name, labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+
+    this.buckets.forEach((le, i) => {
+      if (seconds <= le) value.counts[i]++;
+    });
+    value.sum += seconds;
+    value.count++;
+  }
+}
+
+module.exports = PrometheusMetrics;
+module.exports.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
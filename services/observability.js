@@ -0,0 +1,54 @@
+// services/observability.js
+
+/**
+ * Logger taken by the SendGrid services. Each method receives a message and
+ * optional structured fields, e.g. `logger.info("SendGrid send", { requestId })`.
+ * Any object with these methods can be plugged in, such as a pino or winston logger.
+ *
+ * @typedef {Object} Logger
+ * @property {Function} debug - Logs `(message, fields)` at debug level.
+ * @property {Function} info - Logs `(message, fields)` at info level.
+ * @property {Function} warn - Logs `(message, fields)` at warn level.
+ * @property {Function} error - Logs `(message, fields)` at error level.
+ */
+
+// Log levels, from most to least verbose
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// Logger discarding everything
+const noopLogger = Object.freeze(Object.fromEntries(LOG_LEVELS.map((level) => [level, () => {}])));
+
+/**
+ * Creates a logger writing one JSON object per line: `time`, `level`, `msg`
+ * and the given fields.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} [options] - Logger options.
+ * @param {string} [options.level] - Least severe level written (`LOG_LEVEL`, `warn` by default).
+ * @param {Object} [options.sink=console] - Object whose `log`, `warn` and `error` methods receive each line.
+ * @returns {Logger} The logger.
+ * @throws {Error} If the level is unknown.
+ */
+function createConsoleLogger({ level = process.env.LOG_LEVEL || "warn", sink = console } = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) throw new Error(`Invalid log level: ${level}`);
+
+  const logger = {};
+  for (const [index, name] of LOG_LEVELS.entries()) {
+    // Discard levels below the threshold
+    if (index < threshold) {
+      logger[name] = () => {};
+      continue;
+    }
+
+    const write = name === "error" || name === "warn" ? sink[name] : sink.log;
+    logger[name] = (msg, fields = {}) => {
+      write.call(sink, JSON.stringify({ time: new Date().toISOString(), level: name, msg, ...fields }));
+    };
+  }
+  return logger;
+}
+
+module.exports = { LOG_LEVELS, noopLogger, createConsoleLogger };
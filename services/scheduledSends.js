@@ -0,0 +1,88 @@
+// services/scheduledSends.js
+
+// Typed errors with machine-readable codes
+const { ValidationError } = require("./errors.js");
+
+// SendGrid accepts `send_at` up to 72 hours ahead
+const MAX_SCHEDULE_AHEAD_MS = 72 * 60 * 60 * 1000;
+
+// SendGrid does not guarantee pausing or cancelling batches this close to sending
+const CANCEL_CUTOFF_MS = 10 * 60 * 1000;
+
+/**
+ * A batch of scheduled transactional emails.
+ *
+ * @typedef {Object} ScheduledSend
+ * @property {string} batchId - SendGrid batch ID.
+ * @property {string} sendAt - When the first pending email of the batch goes out (ISO 8601).
+ * @property {string} status - `scheduled` or `paused`; cancelled batches are not listed.
+ * @property {Object[]} emails - `{ to, templateKey, sendAt, messageId }` per email in the batch.
+ */
+
+/**
+ * Scheduled send store keeping batches in process memory. Batches are
+ * forgotten on restart, but stay scheduled in SendGrid.
+ *
+ * Any object with async `put`, `get`, `all` and `delete` methods, keyed by
+ * `batchId`, can be used via `TwilioSendGrid.setScheduledSendStore()`.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class MemoryScheduledSendStore {
+  constructor() {
+    this.batches = new Map();
+  }
+
+  async put(batch) {
+    this.batches.set(batch.batchId, structuredClone(batch));
+  }
+
+  async get(batchId) {
+    const batch = this.batches.get(batchId);
+    return batch ? structuredClone(batch) : null;
+  }
+
+  async all() {
+    return [...this.batches.values()].map((b) => structuredClone(b));
+  }
+
+  async delete(batchId) {
+    this.batches.delete(batchId);
+  }
+}
+
+/**
+ * Checks a transactional send time against SendGrid's scheduling window.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string|number|Date} sendAt - An ISO date, Date or epoch milliseconds.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {Date} The send time.
+ * @throws {ValidationError} If the time is invalid, in the past or more than 72 hours ahead.
+ */
+function validateScheduledSendAt(sendAt, now = Date.now()) {
+  const date = sendAt instanceof Date ? sendAt : new Date(sendAt);
+  if (sendAt === null || typeof sendAt === "boolean" || Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid sendAt: ${sendAt}`, { fields: ["sendAt"] });
+  }
+  if (date.getTime() <= now) {
+    throw new ValidationError(`Invalid sendAt: ${date.toISOString()} is in the past`, { fields: ["sendAt"] });
+  }
+  if (date.getTime() > now + MAX_SCHEDULE_AHEAD_MS) {
+    throw new ValidationError(`Invalid sendAt: ${date.toISOString()} is more than 72 hours ahead`, {
+      fields: ["sendAt"],
+    });
+  }
+  return date;
+}
+
+module.exports = {
+  MemoryScheduledSendStore,
+  validateScheduledSendAt,
+  MAX_SCHEDULE_AHEAD_MS,
+  CANCEL_CUTOFF_MS,
+};
@@ -0,0 +1,264 @@
+// services/segmentConditions.js
+
+// Import the SGQL query builder
+const sgql = require("./sgqlBuilder.js");
+
+// Import the date check shared with template validation
+const { TYPE_CHECKS } = require("./templateValidation.js");
+
+// Typed errors with machine-readable codes
+const { ValidationError } = require("./errors.js");
+
+// Deepest nesting of `and`/`or`/`not` groups accepted in a condition tree
+const MAX_DEPTH = 5;
+
+// Operators accepted for each SendGrid field type
+const OPERATORS_BY_TYPE = {
+  Text: ["eq", "neq", "in", "not_in", "like", "not_like", "is_empty", "is_not_empty"],
+  Number: ["eq", "neq", "gt", "gte", "lt", "lte", "in", "not_in", "is_empty", "is_not_empty"],
+  Date: ["gt", "gte", "lt", "lte", "within_last", "is_empty", "is_not_empty"],
+  Set: ["contains", "not_contains", "is_empty", "is_not_empty"],
+};
+
+// Comparison operators and their SGQL equivalent
+const COMPARISONS = {
+  eq: "=",
+  neq: "!=",
+  gt: ">",
+  gte: ">=",
+  lt: "<",
+  lte: "<=",
+  like: "LIKE",
+  not_like: "NOT LIKE",
+};
+
+// Checks for the value of a single comparison, per field type
+const VALUE_CHECKS = {
+  Text: (v) => typeof v === "string" || typeof v === "boolean",
+  Number: (v) => typeof v === "number" && Number.isFinite(v),
+  Date: (v) => TYPE_CHECKS.date(v),
+  Set: (v) => typeof v === "string" || (typeof v === "number" && Number.isFinite(v)),
+};
+
+/**
+ * A node of a segment condition tree.
+ *
+ * Groups are `{ and: [...] }`, `{ or: [...] }` or `{ not: node }`; leaves are
+ * `{ field, operator, value }`, with `unit` (`day`, `week`, `month`, `year`)
+ * for `within_last`.
+ *
+ * @typedef {Object} SegmentCondition
+ * @property {SegmentCondition[]} [and] - Every child must match.
+ * @property {SegmentCondition[]} [or] - At least one child must match.
+ * @property {SegmentCondition} [not] - The child must not match.
+ * @property {string} [field] - Custom or reserved field name, e.g. `country`.
+ * @property {string} [operator] - Operator allowed for the field's type.
+ * @property {*} [value] - Value to compare against; an array for `in`/`not_in`.
+ * @property {string} [unit] - Interval unit for `within_last`, defaults to `day`.
+ */
+
+/**
+ * Builds the field type map used for validation from a field definitions response.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} definitions - Body of `GET /v3/marketing/field_definitions`.
+ * @returns {Object<string, string>} Field name to SendGrid type (`Text`, `Number`, `Date`, `Set`).
+ */
+function buildFieldTypes(definitions) {
+  return Object.fromEntries(
+    [...(definitions?.reserved_fields || []), ...(definitions?.custom_fields || [])].map(
+      (f) => [f.name, f.field_type]
+    )
+  );
+}
+
+/**
+ * Validates one node of a condition tree, collecting violations.
+ *
+ * @param {SegmentCondition} node - The node.
+ * @param {Object<string, string>} fieldTypes - Known fields and their types.
+ * @param {string} path - Path of the node, used in violations.
+ * @param {number} depth - Nesting depth of the node.
+ * @param {Object[]} violations - Collected violations.
+ * @returns {void}
+ */
+function _validateNode(node, fieldTypes, path, depth, violations) {
+  const invalid = (field, code, message) => violations.push({ field, code, message });
+
+  if (node === null || typeof node !== "object" || Array.isArray(node)) {
+    invalid(path, "structure", `Invalid condition at ${path}: expected an object`);
+    return;
+  }
+
+  const keys = ["and", "or", "not", "field"].filter((k) => k in node);
+  if (keys.length !== 1) {
+    invalid(path, "structure", `Invalid condition at ${path}: expected one of and, or, not or field`);
+    return;
+  }
+
+  // Groups
+  if (keys[0] !== "field") {
+    if (depth >= MAX_DEPTH) {
+      invalid(path, "depth", `Invalid condition at ${path}: nested deeper than ${MAX_DEPTH} levels`);
+      return;
+    }
+
+    if (keys[0] === "not") {
+      _validateNode(node.not, fieldTypes, `${path}.not`, depth + 1, violations);
+      return;
+    }
+
+    const children = node[keys[0]];
+    if (!Array.isArray(children) || !children.length) {
+      invalid(
+        `${path}.${keys[0]}`,
+        "structure",
+        `Invalid condition at ${path}.${keys[0]}: expected a non-empty array`
+      );
+      return;
+    }
+    children.forEach((child, index) =>
+      _validateNode(child, fieldTypes, `${path}.${keys[0]}[${index}]`, depth + 1, violations)
+    );
+    return;
+  }
+
+  // Leaves: the field must exist and support the operator
+  const { field, operator, value, unit } = node;
+  const type = fieldTypes[field];
+  if (!type) {
+    invalid(`${path}.field`, "unknown_field", `Unknown field at ${path}: ${field}`);
+    return;
+  }
+
+  const operators = OPERATORS_BY_TYPE[type] || [];
+  if (!operators.includes(operator)) {
+    invalid(
+      `${path}.operator`,
+      "operator",
+      `Invalid operator at ${path}: ${operator} is not supported for ${type} field ${field}`
+    );
+    return;
+  }
+
+  const valuePath = `${path}.value`;
+  if (operator === "is_empty" || operator === "is_not_empty") return;
+
+  if (operator === "within_last") {
+    if (!Number.isInteger(value) || value <= 0) {
+      invalid(valuePath, "value", `Invalid value at ${path}: within_last expects a positive integer`);
+    }
+    if (unit !== undefined && !["day", "week", "month", "year"].includes(unit)) {
+      invalid(`${path}.unit`, "value", `Invalid unit at ${path}: ${unit}`);
+    }
+    return;
+  }
+
+  if (operator === "in" || operator === "not_in") {
+    if (!Array.isArray(value) || !value.length || !value.every(VALUE_CHECKS[type])) {
+      invalid(valuePath, "value", `Invalid value at ${path}: ${operator} expects a non-empty array of ${type} values`);
+    }
+    return;
+  }
+
+  if ((operator === "like" || operator === "not_like") && typeof value !== "string") {
+    invalid(valuePath, "value", `Invalid value at ${path}: ${operator} expects a string`);
+    return;
+  }
+
+  if (!VALUE_CHECKS[type](value)) {
+    invalid(valuePath, "value", `Invalid value at ${path}: expected a ${type} value for ${field}`);
+  }
+}
+
+/**
+ * Validates a condition tree against the known field definitions.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {SegmentCondition} conditions - The condition tree.
+ * @param {Object<string, string>} fieldTypes - Known fields and their types, see `buildFieldTypes`.
+ * @returns {{ valid: boolean, violations: Object[] }} Every violation found, with `field` holding
+ *   the path of the offending node, e.g. `conditions.and[1].operator`.
+ */
+function validateSegmentConditions(conditions, fieldTypes) {
+  const violations = [];
+  _validateNode(conditions, fieldTypes, "conditions", 0, violations);
+  return { valid: violations.length === 0, violations };
+}
+
+/**
+ * Compiles a validated node to an SGQL condition.
+ *
+ * @param {SegmentCondition} node - The node.
+ * @returns {import("./sgqlBuilder.js").Condition} The condition.
+ */
+function _compileNode(node) {
+  if (node.and) return sgql.and(node.and.map(_compileNode));
+  if (node.or) return sgql.or(node.or.map(_compileNode));
+  if (node.not) return sgql.not(_compileNode(node.not));
+
+  const { field, operator, value, unit } = node;
+  switch (operator) {
+    case "in":
+      return sgql.isIn(field, value);
+    case "not_in":
+      return sgql.not(sgql.isIn(field, value));
+    case "contains":
+      return sgql.contains(field, value);
+    case "not_contains":
+      return sgql.not(sgql.contains(field, value));
+    case "is_empty":
+      return sgql.isNull(field);
+    case "is_not_empty":
+      return sgql.isNull(field, true);
+    case "within_last":
+      return sgql.withinLast(field, value, unit || "day");
+    case "gt":
+    case "gte":
+    case "lt":
+    case "lte":
+      // Only Date fields take strings here; compare them as ISO timestamps
+      return sgql.compare(
+        field,
+        COMPARISONS[operator],
+        typeof value === "string" ? new Date(value) : value
+      );
+    default:
+      return sgql.compare(field, COMPARISONS[operator], value);
+  }
+}
+
+/**
+ * Validates a condition tree and compiles it to an SGQL condition.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {SegmentCondition} conditions - The condition tree.
+ * @param {Object<string, string>} fieldTypes - Known fields and their types, see `buildFieldTypes`.
+ * @returns {import("./sgqlBuilder.js").Condition} The compiled condition.
+ * @throws {ValidationError} Listing every violation, with the structured list in `err.violations`.
+ */
+function compileSegmentConditions(conditions, fieldTypes) {
+  const { violations } = validateSegmentConditions(conditions, fieldTypes);
+  if (violations.length) {
+    throw new ValidationError(
+      `Invalid segment conditions: ${violations.map((v) => v.message).join("; ")}`,
+      { violations }
+    );
+  }
+
+  return _compileNode(conditions);
+}
+
+module.exports = {
+  buildFieldTypes,
+  validateSegmentConditions,
+  compileSegmentConditions,
+  OPERATORS_BY_TYPE,
+  MAX_DEPTH,
+};
@@ -0,0 +1,306 @@
+// services/sgqlBuilder.js
+
+// Typed errors with machine-readable codes
+const { ValidationError } = require("./errors.js");
+
+// Field names allowed in queries, optionally prefixed like `custom_fields.tag`
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/;
+
+// Comparison operators accepted by `compare`
+const COMPARISON_OPERATORS = ["=", "!=", "<", "<=", ">", ">=", "LIKE", "NOT LIKE"];
+
+// Units accepted by `withinLast`
+const INTERVAL_UNITS = ["DAY", "WEEK", "MONTH", "YEAR"];
+
+// Held only by this module, so `condition.constructor` cannot create conditions elsewhere
+const BUILDER_TOKEN = Symbol("sgqlBuilder");
+
+// Conditions created by the builder; objects merely inheriting from `Condition` are not in it
+const BUILT_CONDITIONS = new WeakSet();
+
+/**
+ * A composable, already escaped SGQL condition.
+ *
+ * Instances are only created by the builder functions below, so a condition
+ * can never contain unescaped caller input. The class is not exported.
+ *
+ * @since 1.0
+ * @version 1.1
+ * @author Linden May
+ */
+class Condition {
+  /**
+   * @param {symbol} token - The module-private builder token.
+   * @param {string} sgql - The escaped SGQL fragment.
+   * @throws {ValidationError} If called from outside the builder.
+   */
+  constructor(token, sgql) {
+    if (token !== BUILDER_TOKEN) {
+      throw new ValidationError("Invalid SGQL condition: conditions must be built with the query builder");
+    }
+    this.sgql = sgql;
+    Object.freeze(this);
+    BUILT_CONDITIONS.add(this);
+  }
+
+  toString() {
+    return this.sgql;
+  }
+}
+
+/**
+ * Quotes a value as an SGQL literal.
+ *
+ * Strings are single quoted with backslashes and quotes escaped, numbers are
+ * written as-is, booleans and dates become quoted strings.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string|number|boolean|Date} value - The value to quote.
+ * @returns {string} The SGQL literal.
+ * @throws {ValidationError} If the value cannot be represented safely.
+ */
+function literal(value) {
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new ValidationError(`Invalid SGQL literal: ${value}`);
+    return String(value);
+  }
+  if (typeof value === "boolean") return `'${value}'`;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new ValidationError("Invalid SGQL literal: invalid date");
+    return `'${value.toISOString()}'`;
+  }
+  if (typeof value !== "string") {
+    throw new ValidationError(`Invalid SGQL literal: unsupported type ${typeof value}`);
+  }
+
+  // Escape backslashes first so escaped quotes stay escaped
+  return `'${value.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Validates a field name for use in a query.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} name - The field name.
+ * @returns {string} The field name.
+ * @throws {ValidationError} If the name is not a plain identifier.
+ */
+function field(name) {
+  if (typeof name !== "string" || !FIELD_NAME.test(name)) {
+    throw new ValidationError(`Invalid SGQL field: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Builds `field <operator> value`.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} name - The field name.
+ * @param {string} operator - One of `=`, `!=`, `<`, `<=`, `>`, `>=`, `LIKE`, `NOT LIKE`.
+ * @param {string|number|boolean|Date} value - The value to compare against.
+ * @returns {Condition} The condition.
+ * @throws {ValidationError} If the field, operator or value is invalid.
+ */
+function compare(name, operator, value) {
+  const op = String(operator).toUpperCase();
+  if (!COMPARISON_OPERATORS.includes(op)) {
+    throw new ValidationError(`Invalid SGQL operator: ${operator}`);
+  }
+  return new Condition(BUILDER_TOKEN, `${field(name)} ${op} ${literal(value)}`);
+}
+
+/**
+ * Builds `field = value`.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} name - The field name.
+ * @param {string|number|boolean|Date} value - The expected value.
+ * @returns {Condition} The condition.
+ */
+function eq(name, value) {
+  return compare(name, "=", value);
+}
+
+/**
+ * Builds `field IN (values...)`.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} name - The field name.
+ * @param {Array<string|number>} values - The accepted values.
+ * @returns {Condition} The condition.
+ * @throws {ValidationError} If `values` is empty.
+ */
+function isIn(name, values) {
+  if (!Array.isArray(values) || !values.length) {
+    throw new ValidationError("Invalid SGQL IN: values must be a non-empty array");
+  }
+  return new Condition(BUILDER_TOKEN, `${field(name)} IN (${values.map(literal).join(", ")})`);
+}
+
+/**
+ * Builds `CONTAINS(field, value)` for array fields such as `alternate_emails`.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} name - The array field name.
+ * @param {string|number} value - The value the array must contain.
+ * @returns {Condition} The condition.
+ */
+function contains(name, value) {
+  return new Condition(BUILDER_TOKEN, `CONTAINS(${field(name)}, ${literal(value)})`);
+}
+
+/**
+ * Builds `field IS NULL`, or `field IS NOT NULL` when negated.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} name - The field name.
+ * @param {boolean} [negate=false] - Whether to match fields that have a value.
+ * @returns {Condition} The condition.
+ */
+function isNull(name, negate = false) {
+  return new Condition(BUILDER_TOKEN, `${field(name)} IS ${negate ? "NOT " : ""}NULL`);
+}
+
+/**
+ * Builds a condition matching dates within the last `amount` units, relative
+ * to when the query runs, e.g. `created_at` in the last 30 days.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} name - The date field name.
+ * @param {number} amount - Positive whole number of units.
+ * @param {string} [unit="DAY"] - `DAY`, `WEEK`, `MONTH` or `YEAR`.
+ * @returns {Condition} The condition.
+ * @throws {ValidationError} If the amount or unit is invalid.
+ */
+function withinLast(name, amount, unit = "DAY") {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new ValidationError(`Invalid SGQL interval: ${amount}`);
+  }
+  const u = String(unit).toUpperCase();
+  if (!INTERVAL_UNITS.includes(u)) throw new ValidationError(`Invalid SGQL interval unit: ${unit}`);
+
+  return new Condition(
+    BUILDER_TOKEN,
+    `${field(name)} >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${amount} ${u})`
+  );
+}
+
+/**
+ * Builds a condition matching members of a contact list.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} listId - The list ID.
+ * @returns {Condition} The condition.
+ */
+function inList(listId) {
+  return contains("list_ids", listId);
+}
+
+/**
+ * Builds a comparison against a custom field.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} name - The custom field name, without prefix.
+ * @param {string} operator - A comparison operator accepted by `compare`.
+ * @param {string|number|boolean|Date} value - The value to compare against.
+ * @returns {Condition} The condition.
+ */
+function customField(name, operator, value) {
+  return compare(field(name), operator, value);
+}
+
+/**
+ * Joins conditions with a boolean operator, parenthesizing each one.
+ *
+ * @param {string} operator - `AND` or `OR`.
+ * @param {Condition[]} conditions - The conditions to join.
+ * @returns {Condition} The combined condition.
+ * @throws {ValidationError} If no conditions are given or one is not a `Condition`.
+ */
+function _join(operator, conditions) {
+  const parts = conditions.flat().filter(Boolean);
+  if (!parts.length) throw new ValidationError(`Invalid SGQL ${operator}: no conditions`);
+  for (const part of parts) {
+    if (!BUILT_CONDITIONS.has(part)) {
+      throw new ValidationError(`Invalid SGQL ${operator}: conditions must be built with the query builder`);
+    }
+  }
+  if (parts.length === 1) return parts[0];
+  return new Condition(BUILDER_TOKEN, parts.map((p) => `(${p.sgql})`).join(` ${operator} `));
+}
+
+/**
+ * Combines conditions with `AND`. Falsy entries are skipped.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {...(Condition|Condition[])} conditions - The conditions.
+ * @returns {Condition} The combined condition.
+ */
+function and(...conditions) {
+  return _join("AND", conditions);
+}
+
+/**
+ * Combines conditions with `OR`. Falsy entries are skipped.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {...(Condition|Condition[])} conditions - The conditions.
+ * @returns {Condition} The combined condition.
+ */
+function or(...conditions) {
+  return _join("OR", conditions);
+}
+
+/**
+ * Negates a condition.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Condition} condition - The condition to negate.
+ * @returns {Condition} The negated condition.
+ */
+function not(condition) {
+  return new Condition(BUILDER_TOKEN, `NOT (${_join("NOT", [condition]).sgql})`);
+}
+
+module.exports = {
+  literal,
+  field,
+  compare,
+  eq,
+  isIn,
+  contains,
+  inList,
+  isNull,
+  withinLast,
+  customField,
+  and,
+  or,
+  not,
+};
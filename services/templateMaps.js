@@ -0,0 +1,357 @@
+// services/templateMaps.js
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+// Import the field types template data can be checked against
+const { TYPE_CHECKS } = require("./templateValidation.js");
+
+// Typed errors with machine-readable codes
+const { ValidationError } = require("./errors.js");
+
+// File types a template map can be written in
+const MAP_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+// Properties a template map entry may have
+const ENTRY_PROPERTIES = [
+  "templateId",
+  "path",
+  "supportsLooping",
+  "requiredFields",
+  "description",
+  "customFieldTypes",
+];
+
+/**
+ * Reads a directory of JSON and YAML template maps into one map, applying the
+ * files in the `<env>` subdirectory on top.
+ *
+ * Every file maps template keys to entries. Override files may only change
+ * templates defined by the base files, e.g. to swap the `templateId` for
+ * production; their properties replace the base entry's.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} dir - Directory holding the base files.
+ * @param {Object} [options] - Loading options.
+ * @param {string} [options.env] - Name of the override subdirectory, e.g. `production`.
+ * @returns {Object} The validated template map.
+ * @throws {Error} Listing every unreadable file, duplicate key, unknown override and
+ *   schema violation, with the structured list in `err.violations`.
+ */
+function loadTemplateMap(dir, { env } = {}) {
+  const violations = [];
+  const map = {};
+  const sources = {};
+
+  // Merge the base files, refusing keys defined twice
+  for (const file of _listMapFiles(dir, violations)) {
+    for (const [key, entry] of Object.entries(_readMapFile(dir, file, violations))) {
+      if (sources[key]) {
+        violations.push({
+          field: key,
+          code: "duplicate",
+          message: `Duplicate template ${key} in ${file}, already defined in ${sources[key]}`,
+        });
+        continue;
+      }
+      map[key] = entry;
+      sources[key] = file;
+    }
+  }
+
+  // Apply the environment's overrides, if it has any
+  const envDir = env && path.join(dir, env);
+  if (envDir && fs.existsSync(envDir)) {
+    for (const file of _listMapFiles(envDir, violations)) {
+      const source = path.join(env, file);
+      for (const [key, override] of Object.entries(_readMapFile(envDir, file, violations, source))) {
+        if (!map[key]) {
+          violations.push({
+            field: key,
+            code: "unknown_template",
+            message: `Override for unknown template ${key} in ${source}`,
+          });
+          continue;
+        }
+        map[key] = _isObject(override) && _isObject(map[key]) ? { ...map[key], ...override } : override;
+      }
+    }
+  }
+
+  violations.push(...validateTemplateMap(map));
+  _throwIfInvalid(violations);
+  return map;
+}
+
+/**
+ * Checks a template map's entries, reporting every problem instead of the first.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} map - Template keys mapped to entries.
+ * @returns {Object[]} `{ field, code, message }` violations, empty if the map is valid.
+ */
+function validateTemplateMap(map) {
+  const violations = [];
+  const report = (field, code, message) => violations.push({ field, code, message });
+
+  if (!_isObject(map)) {
+    report("", "type", "Invalid template map: expected an object of templates");
+    return violations;
+  }
+
+  for (const [key, entry] of Object.entries(map)) {
+    if (!_isObject(entry)) {
+      report(key, "type", `Invalid template ${key}: expected an object`);
+      continue;
+    }
+
+    // Catch typos such as `requiredField`
+    for (const property of Object.keys(entry)) {
+      if (!ENTRY_PROPERTIES.includes(property)) {
+        report(`${key}.${property}`, "unknown_property", `Unknown property ${key}.${property}`);
+      }
+    }
+
+    for (const property of ["templateId", "path"]) {
+      if (entry[property] === undefined) {
+        report(`${key}.${property}`, "required", `Missing ${key}.${property}`);
+      } else if (typeof entry[property] !== "string" || !entry[property].trim()) {
+        report(`${key}.${property}`, "type", `Invalid ${key}.${property}: expected a non-empty string`);
+      }
+    }
+    if (entry.supportsLooping !== undefined && typeof entry.supportsLooping !== "boolean") {
+      report(`${key}.supportsLooping`, "type", `Invalid ${key}.supportsLooping: expected a boolean`);
+    }
+    if (entry.description !== undefined && typeof entry.description !== "string") {
+      report(`${key}.description`, "type", `Invalid ${key}.description: expected a string`);
+    }
+
+    // Every field type must be one the validator knows
+    const fieldTypes = entry.customFieldTypes;
+    if (fieldTypes === undefined) {
+      report(`${key}.customFieldTypes`, "required", `Missing ${key}.customFieldTypes`);
+    } else if (!_isObject(fieldTypes)) {
+      report(`${key}.customFieldTypes`, "type", `Invalid ${key}.customFieldTypes: expected an object`);
+    } else {
+      for (const [name, schema] of Object.entries(fieldTypes)) {
+        _validateFieldSchema(schema, `${key}.customFieldTypes.${name}`, report);
+      }
+    }
+
+    // Required fields must be declared so they can be type checked
+    const required = entry.requiredFields;
+    if (required !== undefined && (!Array.isArray(required) || required.some((f) => typeof f !== "string"))) {
+      report(`${key}.requiredFields`, "type", `Invalid ${key}.requiredFields: expected an array of strings`);
+    } else if (required && _isObject(fieldTypes)) {
+      for (const field of required) {
+        if (!fieldTypes[field]) {
+          report(
+            `${key}.requiredFields`,
+            "undeclared_field",
+            `Invalid ${key}.requiredFields: ${field} is not declared in customFieldTypes`
+          );
+        }
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Checks a template map, throwing if it has any problem.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} map - Template keys mapped to entries.
+ * @returns {Object} The map.
+ * @throws {Error} Listing every violation, with the structured list in `err.violations`.
+ */
+function assertValidTemplateMap(map) {
+  _throwIfInvalid(validateTemplateMap(map));
+  return map;
+}
+
+/**
+ * Watches a template map directory and its `<env>` subdirectory, calling
+ * `onChange` once a burst of file events has settled.
+ *
+ * A directory that can no longer be watched, e.g. because it was removed or
+ * renamed, stops being watched and is reported to `onError`.
+ *
+ * @since 1.0
+ * @version 1.1
+ * @author Linden May
+ * @param {string} dir - Directory holding the base files.
+ * @param {Function} onChange - Called without arguments after files change.
+ * @param {Object} [options] - Watch options.
+ * @param {string} [options.env] - Name of the override subdirectory.
+ * @param {number} [options.debounceMs=100] - Quiet period before `onChange` is called.
+ * @param {Function} [options.onError] - Called with the error and the directory when watching fails.
+ * @returns {{ close: Function }} Handle that stops watching.
+ */
+function watchTemplateMap(dir, onChange, { env, debounceMs = 100, onError } = {}) {
+  let timer = null;
+
+  // Editors write files in several steps, so wait for them to settle
+  const schedule = (event, file) => {
+    if (file && !MAP_EXTENSIONS.includes(path.extname(file).toLowerCase())) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+    timer.unref?.();
+  };
+
+  const dirs = [dir, env && path.join(dir, env)].filter((d) => d && fs.existsSync(d));
+  const watchers = dirs.map((d) => {
+    const watcher = fs.watch(d, { persistent: false }, schedule);
+
+    // An unhandled watcher error would crash the process
+    watcher.on("error", (err) => {
+      watcher.close();
+      onError?.(err, d);
+    });
+    return watcher;
+  });
+
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers) watcher.close();
+    },
+  };
+}
+
+// ------------------------------
+// Utilities
+// ------------------------------
+
+/**
+ * Lists the template map files in a directory, in name order.
+ *
+ * @param {string} dir - The directory.
+ * @param {Object[]} violations - Collected violations.
+ * @returns {string[]} File names.
+ */
+function _listMapFiles(dir, violations) {
+  let names;
+  try {
+    names = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    violations.push({ field: "", code: "read", message: `Cannot read template map directory ${dir} (${err.code})` });
+    return [];
+  }
+  return names
+    .filter((d) => d.isFile() && MAP_EXTENSIONS.includes(path.extname(d.name).toLowerCase()))
+    .map((d) => d.name)
+    .sort();
+}
+
+/**
+ * Reads and parses one template map file.
+ *
+ * @param {string} dir - Directory of the file.
+ * @param {string} file - File name.
+ * @param {Object[]} violations - Collected violations.
+ * @param {string} [source=file] - Name used in violations.
+ * @returns {Object} The templates in the file, empty if it cannot be used.
+ */
+function _readMapFile(dir, file, violations, source = file) {
+  let content;
+  try {
+    const text = fs.readFileSync(path.join(dir, file), "utf8");
+    content = path.extname(file).toLowerCase() === ".json" ? JSON.parse(text) : yaml.load(text);
+  } catch (err) {
+    violations.push({ field: "", code: "parse", message: `Cannot parse ${source}: ${err.message.split("\n")[0]}` });
+    return {};
+  }
+
+  // An empty YAML file is fine, anything else must be a mapping
+  if (content === undefined || content === null) return {};
+  if (!_isObject(content)) {
+    violations.push({ field: "", code: "type", message: `Invalid ${source}: expected templates keyed by name` });
+    return {};
+  }
+  return content;
+}
+
+/**
+ * Checks a field schema from `customFieldTypes`, including nested items and properties.
+ *
+ * @param {*} schema - The field schema.
+ * @param {string} field - Path of the schema, used in violations.
+ * @param {Function} report - Adds a violation.
+ * @returns {void}
+ */
+function _validateFieldSchema(schema, field, report) {
+  const normalized = typeof schema === "string" ? { type: schema } : schema;
+  if (!_isObject(normalized)) {
+    report(field, "type", `Invalid ${field}: expected a type name or a schema object`);
+    return;
+  }
+
+  const { type, items, properties, required } = normalized;
+  if (!TYPE_CHECKS[type]) {
+    report(field, "unknown_type", `Invalid ${field}: unknown type ${type}`);
+    return;
+  }
+  if (items !== undefined) {
+    if (type === "array") _validateFieldSchema(items, `${field}.items`, report);
+    else report(`${field}.items`, "unknown_property", `Invalid ${field}: items only applies to arrays`);
+  }
+  if (properties !== undefined) {
+    if (type !== "object" || !_isObject(properties)) {
+      report(`${field}.properties`, "type", `Invalid ${field}.properties: expected an object on an object type`);
+    } else {
+      for (const [name, child] of Object.entries(properties)) {
+        _validateFieldSchema(child, `${field}.properties.${name}`, report);
+      }
+    }
+  }
+  if (required !== undefined) {
+    if (!Array.isArray(required) || required.some((r) => typeof r !== "string")) {
+      report(`${field}.required`, "type", `Invalid ${field}.required: expected an array of strings`);
+    } else {
+      for (const name of required) {
+        if (!properties?.[name]) {
+          report(`${field}.required`, "undeclared_field", `Invalid ${field}.required: ${name} is not declared in properties`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Throws if any violations were collected.
+ *
+ * @param {Object[]} violations - Collected violations.
+ * @returns {void}
+ * @throws {ValidationError} Listing every violation, with the structured list in `err.violations`.
+ */
+function _throwIfInvalid(violations) {
+  if (!violations.length) return;
+  throw new ValidationError(`Invalid template map: ${violations.map((v) => v.message).join("; ")}`, {
+    violations,
+  });
+}
+
+/**
+ * Checks for a plain object.
+ *
+ * @param {*} value - The value.
+ * @returns {boolean} True for non-null, non-array objects.
+ */
+function _isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = {
+  loadTemplateMap,
+  validateTemplateMap,
+  assertValidTemplateMap,
+  watchTemplateMap,
+};
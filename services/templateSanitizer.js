@@ -0,0 +1,338 @@
+// services/templateSanitizer.js
+
+// Import the schema helpers shared with validation
+const { getFieldType, SAFE_URL_SCHEMES } = require("./templateValidation.js");
+
+// Tags kept in `html` fields; everything else is stripped, keeping its text
+const ALLOWED_TAGS = [
+  "a", "b", "blockquote", "br", "code", "div", "em", "h1", "h2", "h3", "h4",
+  "h5", "h6", "hr", "i", "img", "li", "ol", "p", "pre", "s", "small", "span",
+  "strong", "sub", "sup", "table", "tbody", "td", "th", "thead", "tr", "u", "ul",
+];
+
+// Tags removed together with their content
+const DROPPED_TAGS = [
+  "script", "style", "iframe", "frame", "frameset", "object", "embed", "applet",
+  "noscript", "template", "svg", "math", "textarea", "select", "title", "head",
+];
+
+// Tags without a closing tag
+const VOID_TAGS = ["br", "hr", "img"];
+
+// Attributes kept per tag
+const ALLOWED_ATTRIBUTES = {
+  a: ["href", "title", "target", "rel"],
+  img: ["src", "alt", "title", "width", "height"],
+  td: ["colspan", "rowspan", "align"],
+  th: ["colspan", "rowspan", "align"],
+};
+
+// Attributes holding URLs and the schemes allowed in each
+const URL_ATTRIBUTE_SCHEMES = {
+  href: [...SAFE_URL_SCHEMES, "mailto:", "tel:"],
+  src: [...SAFE_URL_SCHEMES, "cid:"],
+};
+
+// Characters escaped in attribute values
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#x27;",
+  "`": "&#x60;",
+};
+
+// A start or end tag with its attributes
+const TAG_PATTERN =
+  /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/;
+
+// A single attribute inside a tag
+const ATTRIBUTE_PATTERN =
+  /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * A single change made while sanitizing.
+ *
+ * @typedef {Object} SanitizationEntry
+ * @property {string} field - Path of the changed field, e.g. `items[0].item_name`.
+ * @property {string} action - `stripped` (html) or `removed` (unsafe url).
+ * @property {string[]} [removed] - What was stripped, e.g. `<script>`, `onclick`, `href`.
+ */
+
+/**
+ * Escapes HTML special characters.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} value - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, (ch) => ESCAPES[ch]);
+}
+
+/**
+ * Decodes numeric and basic named entities, so encoded schemes such as
+ * `jav&#x61;script:` are recognised.
+ *
+ * @param {string} value - The attribute value.
+ * @returns {string} The decoded value.
+ */
+function _decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&colon;/gi, ":")
+    .replace(/&tab;/gi, "\t")
+    .replace(/&newline;/gi, "\n")
+    .replace(/&quot;/gi, '"')
+    .replace(/&apos;/gi, "'")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&amp;/gi, "&");
+}
+
+/**
+ * Checks a URL against a scheme allowlist and normalizes it.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} value - The URL.
+ * @param {string[]} [schemes=SAFE_URL_SCHEMES] - Accepted schemes, e.g. `https:`.
+ * @returns {string|null} The normalized URL, or null if it is not absolute or its scheme is not allowed.
+ */
+function sanitizeUrl(value, schemes = SAFE_URL_SCHEMES) {
+  if (typeof value !== "string") return null;
+
+  // Browsers ignore control characters inside schemes
+  const cleaned = _decodeEntities(value).trim().replace(/[\u0000-\u001f\u007f]/g, "");
+
+  let url;
+  try {
+    url = new URL(cleaned);
+  } catch {
+    return null;
+  }
+
+  return schemes.includes(url.protocol) ? url.href : null;
+}
+
+/**
+ * Sanitizes an HTML fragment against the tag and attribute allowlist.
+ *
+ * Disallowed tags are stripped (keeping their text), script-like tags are
+ * removed with their content, event handlers and unsafe URLs are dropped,
+ * stray `<` and `>` are escaped and unclosed tags are closed.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string} html - The HTML to sanitize.
+ * @returns {{ html: string, removed: string[] }} The safe HTML and what was removed.
+ */
+function sanitizeHtml(html) {
+  const removed = new Set();
+  const open = [];
+  let out = "";
+  let rest = String(html);
+
+  while (rest.length) {
+    // Drop comments, which may hide conditional markup
+    if (rest.startsWith("<!--")) {
+      const end = rest.indexOf("-->", 4);
+      rest = end === -1 ? "" : rest.slice(end + 3);
+      removed.add("<!-- -->");
+      continue;
+    }
+
+    const tag = TAG_PATTERN.exec(rest);
+    if (!tag) {
+      // Copy text up to the next `<`, escaping stray angle brackets
+      const next = rest.indexOf("<", 1);
+      const text = next === -1 ? rest : rest.slice(0, next);
+      out += text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+      rest = rest.slice(text.length);
+      continue;
+    }
+
+    rest = rest.slice(tag[0].length);
+    const closing = tag[1] === "/";
+    const name = tag[2].toLowerCase();
+
+    // Remove script-like tags together with their content
+    if (DROPPED_TAGS.includes(name)) {
+      removed.add(`<${name}>`);
+      if (!closing) {
+        const end = new RegExp(`</${name}\\s*>`, "i").exec(rest);
+        rest = end ? rest.slice(end.index + end[0].length) : "";
+      }
+      continue;
+    }
+
+    // Strip other unknown tags but keep their text
+    if (!ALLOWED_TAGS.includes(name)) {
+      removed.add(`<${name}>`);
+      continue;
+    }
+
+    if (closing) {
+      // Only close tags that are open, closing any left open inside them
+      const index = open.lastIndexOf(name);
+      if (index === -1) continue;
+      out += open.splice(index).reverse().map((t) => `</${t}>`).join("");
+      continue;
+    }
+
+    out += `<${name}${_sanitizeAttributes(name, tag[3], removed)}>`;
+    if (!VOID_TAGS.includes(name)) open.push(name);
+  }
+
+  // Close tags left open so the fragment cannot swallow the template
+  out += open.reverse().map((t) => `</${t}>`).join("");
+
+  return { html: out, removed: [...removed] };
+}
+
+/**
+ * Keeps the allowed attributes of a tag, re-quoting their values.
+ *
+ * @param {string} tagName - The lower-cased tag name.
+ * @param {string} source - The raw attribute source.
+ * @param {Set<string>} removed - Collects removed attribute names.
+ * @returns {string} The safe attribute string, with a leading space when not empty.
+ */
+function _sanitizeAttributes(tagName, source, removed) {
+  const allowed = ALLOWED_ATTRIBUTES[tagName] || [];
+  const kept = [];
+
+  for (const [, rawName, dq, sq, bare] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = rawName.toLowerCase();
+    if (!allowed.includes(name)) {
+      removed.add(name);
+      continue;
+    }
+
+    let value = _decodeEntities(dq ?? sq ?? bare ?? "");
+
+    // Check URLs against the scheme allowlist for the attribute
+    if (URL_ATTRIBUTE_SCHEMES[name]) {
+      value = sanitizeUrl(value, URL_ATTRIBUTE_SCHEMES[name]);
+      if (value === null) {
+        removed.add(name);
+        continue;
+      }
+    }
+
+    kept.push(`${name}="${escapeHtml(value)}"`);
+  }
+
+  // Links opening a new window must not get access to the opener
+  if (tagName === "a" && kept.some((a) => a.startsWith("target="))) {
+    const rel = kept.findIndex((a) => a.startsWith("rel="));
+    if (rel !== -1) kept.splice(rel, 1);
+    kept.push('rel="noopener noreferrer"');
+  }
+
+  return kept.length ? ` ${kept.join(" ")}` : "";
+}
+
+/**
+ * Sanitizes one value according to its field schema, collecting report entries.
+ *
+ * @param {*} value - The value to sanitize.
+ * @param {import("./templateValidation.js").FieldSchema} [schema] - The field schema; undeclared
+ *   fields are treated as plain strings.
+ * @param {string} path - Path of the value, used in the report.
+ * @param {SanitizationEntry[]} report - Collected report entries.
+ * @returns {*} The sanitized value.
+ */
+function _sanitizeValue(value, schema, path, report) {
+  const spec = typeof schema === "string" ? { type: schema } : schema || {};
+  const type = getFieldType(schema);
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) =>
+      _sanitizeValue(item, spec.items, `${path}[${index}]`, report)
+    );
+  }
+
+  if (value !== null && typeof value === "object" && !(value instanceof Date)) {
+    return _sanitizeObject(value, spec.properties || {}, report, `${path}.`);
+  }
+
+  if (typeof value !== "string") return value;
+
+  // Allowlist-sanitize rich text
+  if (type === "html") {
+    const { html, removed } = sanitizeHtml(value);
+    if (removed.length || html !== value) {
+      report.push({ field: path, action: "stripped", removed });
+    }
+    return html;
+  }
+
+  // Drop URLs with schemes outside the allowlist
+  if (type === "url") {
+    const url = sanitizeUrl(value);
+    if (url === null) {
+      report.push({ field: path, action: "removed", removed: [value] });
+      return null;
+    }
+    return url;
+  }
+
+  // Leave every other string as is; templates escape it with `{{double-stash}}`
+  return value;
+}
+
+/**
+ * Sanitizes every property of an object.
+ *
+ * @param {Object} data - The object to sanitize.
+ * @param {Object<string, import("./templateValidation.js").FieldSchema>} properties - Declared property schemas.
+ * @param {SanitizationEntry[]} report - Collected report entries.
+ * @param {string} [prefix=""] - Path prefix for nested objects.
+ * @returns {Object} A sanitized copy of the object.
+ */
+function _sanitizeObject(data, properties, report, prefix = "") {
+  return Object.fromEntries(
+    Object.entries(data).map(([name, value]) => [
+      name,
+      _sanitizeValue(value, properties[name], `${prefix}${name}`, report),
+    ])
+  );
+}
+
+/**
+ * Sanitizes template data according to the field types in a template's `customFieldTypes`.
+ *
+ * `html` fields are sanitized against a tag and attribute allowlist, `url`
+ * fields are checked against the safe scheme allowlist. Every other string
+ * (including undeclared fields) is left as is, because the same values also
+ * end up in places that are not HTML, such as the subject line. Templates
+ * output them with `{{double-stash}}` in the body, where Handlebars escapes
+ * them, and keep `{{{triple-stash}}}` for `html` fields and the `<title>`.
+ *
+ * @since 1.0
+ * @version 1.1
+ * @author Linden May
+ * @param {Object} template - Template config with `customFieldTypes`.
+ * @param {Object} data - The dynamic data to sanitize; it is not modified.
+ * @returns {{ data: Object, report: SanitizationEntry[] }} The sanitized copy and what was changed.
+ */
+function sanitizeTemplateData(template, data) {
+  const report = [];
+  const sanitized = _sanitizeObject(data || {}, template.customFieldTypes || {}, report);
+  return { data: sanitized, report };
+}
+
+module.exports = {
+  sanitizeTemplateData,
+  sanitizeHtml,
+  sanitizeUrl,
+  escapeHtml,
+  ALLOWED_TAGS,
+};
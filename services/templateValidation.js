@@ -0,0 +1,225 @@
+// services/templateValidation.js
+
+// Typed errors with machine-readable codes
+const { ValidationError } = require("./errors.js");
+
+// Loose email format, shared with the service's `_isValidEmail`
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ISO 8601 date or date-time, e.g. 2026-01-31 or 2026-01-31T09:00:00Z
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Amount with optional ISO code or symbol, e.g. 19.99, $1,000, EUR 5.50
+const CURRENCY_PATTERN = /^(?:[A-Z]{3} ?|[$€£¥])?-?\d{1,3}(?:,?\d{3})*(?:\.\d{1,2})?$/;
+
+// URL schemes accepted for `url` fields
+const SAFE_URL_SCHEMES = ["http:", "https:"];
+
+// Checks for each scalar and container type a template field can declare
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  html: (v) => typeof v === "string",
+  boolean: (v) => typeof v === "boolean",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  email: (v) => typeof v === "string" && EMAIL_PATTERN.test(v),
+  url: (v) => {
+    if (typeof v !== "string") return false;
+    try {
+      return SAFE_URL_SCHEMES.includes(new URL(v).protocol);
+    } catch {
+      return false;
+    }
+  },
+  date: (v) =>
+    (v instanceof Date && !Number.isNaN(v.getTime())) ||
+    (typeof v === "string" && DATE_PATTERN.test(v) && !Number.isNaN(Date.parse(v))),
+  currency: (v) =>
+    (typeof v === "number" && Number.isFinite(v)) ||
+    (typeof v === "string" && CURRENCY_PATTERN.test(v.trim())),
+  array: (v) => Array.isArray(v),
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+};
+
+/**
+ * A field schema: either a type name such as `"string"`, or an object
+ * `{ type, items, properties, required }` for nested arrays and objects.
+ *
+ * @typedef {string|{ type: string, items?: FieldSchema, properties?: Object<string, FieldSchema>, required?: string[] }} FieldSchema
+ */
+
+/**
+ * A single validation failure.
+ *
+ * @typedef {Object} Violation
+ * @property {string} field - Path of the offending field, e.g. `items[0].price`.
+ * @property {string} code - `required`, `type` or `unknown_type`.
+ * @property {string} [expected] - The expected type, for `type` violations.
+ * @property {string} message - Human readable description.
+ */
+
+/**
+ * Normalizes a field schema to its object form.
+ *
+ * @param {FieldSchema} schema - The field schema.
+ * @returns {Object} The schema as `{ type, ... }`.
+ */
+function _normalize(schema) {
+  return typeof schema === "string" ? { type: schema } : schema || {};
+}
+
+/**
+ * Validates one value against a field schema, collecting violations.
+ *
+ * @param {*} value - The value to check.
+ * @param {FieldSchema} schema - The field schema.
+ * @param {string} path - Path of the value, used in violations.
+ * @param {Violation[]} violations - Collected violations.
+ * @returns {void}
+ */
+function _validateValue(value, schema, path, violations) {
+  const { type, items, properties, required = [] } = _normalize(schema);
+
+  // Null stands for "no value" and is never type checked
+  if (value === null) return;
+
+  const check = TYPE_CHECKS[type];
+  if (!check) {
+    violations.push({
+      field: path,
+      code: "unknown_type",
+      message: `Unknown type for ${path}: ${type}`,
+    });
+    return;
+  }
+
+  if (!check(value)) {
+    violations.push({
+      field: path,
+      code: "type",
+      expected: type,
+      message: `Invalid type for ${path}: expected ${type}`,
+    });
+    return;
+  }
+
+  // Validate every array item against the item schema
+  if (type === "array" && items) {
+    value.forEach((item, index) =>
+      _validateValue(item, items, `${path}[${index}]`, violations)
+    );
+  }
+
+  // Validate declared object properties
+  if (type === "object" && properties) {
+    _validateObject(value, properties, required, violations, `${path}.`);
+  }
+}
+
+/**
+ * Validates an object's required and declared properties.
+ *
+ * @param {Object} data - The object to check.
+ * @param {Object<string, FieldSchema>} properties - Declared property schemas.
+ * @param {string[]} required - Names of required properties.
+ * @param {Violation[]} violations - Collected violations.
+ * @param {string} [prefix=""] - Path prefix for nested objects.
+ * @returns {void}
+ */
+function _validateObject(data, properties, required, violations, prefix = "") {
+  // Report every missing required field
+  for (const name of required) {
+    if (!(name in data) || data[name] === undefined) {
+      violations.push({
+        field: `${prefix}${name}`,
+        code: "required",
+        message: `Missing required field: ${prefix}${name}`,
+      });
+    }
+  }
+
+  // Check every provided field that has a declared schema
+  for (const [name, value] of Object.entries(data)) {
+    if (value === undefined || !properties[name]) continue;
+    _validateValue(value, properties[name], `${prefix}${name}`, violations);
+  }
+}
+
+/**
+ * Validates template data against a template's schema, reporting every violation.
+ *
+ * Fields listed in `requiredFields` must be present; every other declared field
+ * in `customFieldTypes` is optional but still type checked when given.
+ *
+ * @since 1.0
+ * @version 1.1
+ * @author Linden May
+ * @param {Object} template - Template config with `requiredFields` and `customFieldTypes`.
+ * @param {Object} data - The dynamic data to validate.
+ * @returns {{ valid: boolean, violations: Violation[] }} The validation result.
+ */
+function validateTemplateSchema(template, data) {
+  const { requiredFields = [], customFieldTypes = {} } = template;
+  const violations = [];
+
+  if (!TYPE_CHECKS.object(data)) {
+    violations.push({
+      field: "",
+      code: "type",
+      expected: "object",
+      message: "Invalid template data: expected object",
+    });
+  } else {
+    _validateObject(data, customFieldTypes, requiredFields, violations);
+  }
+
+  return { valid: violations.length === 0, violations };
+}
+
+/**
+ * Validates template data against a template's `requiredFields` and `customFieldTypes`.
+ *
+ * Shared by the email and SMS channels so both apply the same checks.
+ *
+ * @since 1.0
+ * @version 1.1
+ * @author Linden May
+ * @param {Object} template - Template config with `requiredFields` and `customFieldTypes`.
+ * @param {Object} data - The dynamic data to validate.
+ * @returns {void}
+ * @throws {ValidationError} Listing every violation, with the structured list in `err.violations`.
+ */
+function validateTemplateData(template, data) {
+  const { violations } = validateTemplateSchema(template, data);
+  if (!violations.length) return;
+
+  // Summarize missing fields first, then every other violation
+  const missing = violations.filter((v) => v.code === "required");
+  const messages = [
+    missing.length &&
+      `Missing required template fields: ${missing.map((v) => v.field).join(", ")}`,
+    ...violations.filter((v) => v.code !== "required").map((v) => v.message),
+  ].filter(Boolean);
+
+  throw new ValidationError(messages.join("; "), { violations });
+}
+
+/**
+ * Returns the top-level type name of a field schema.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {FieldSchema} schema - The field schema.
+ * @returns {string} The type name, e.g. `array`.
+ */
+function getFieldType(schema) {
+  return _normalize(schema).type;
+}
+
+module.exports = {
+  validateTemplateData,
+  validateTemplateSchema,
+  getFieldType,
+  TYPE_CHECKS,
+  SAFE_URL_SCHEMES,
+};
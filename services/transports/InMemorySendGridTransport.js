@@ -0,0 +1,1314 @@
+// services/transports/InMemorySendGridTransport.js
+
+// SendGrid returns at most this many contacts from `GET /v3/marketing/contacts`
+const CONTACTS_SAMPLE_SIZE = 50;
+
+// SendGrid returns at most this many contacts per contact search
+const SEARCH_RESULT_LIMIT = 50;
+
+// Reserved contact fields that live at the top level of a contact
+const RESERVED_FIELDS = [
+  "email",
+  "first_name",
+  "last_name",
+  "alternate_emails",
+  "address_line_1",
+  "address_line_2",
+  "city",
+  "state_province_region",
+  "postal_code",
+  "country",
+  "phone_number",
+  "list_ids",
+  "created_at",
+  "updated_at",
+];
+
+/**
+ * Creates an error shaped like the SDK's `ResponseError`.
+ *
+ * @param {number} status - HTTP status code.
+ * @param {string|Object[]} errors - Error message or SendGrid `errors` array.
+ * @param {Object} [headers={}] - Response headers.
+ * @returns {Error} The error, with `code` and `response.{ headers, body }`.
+ */
+function responseError(status, errors, headers = {}) {
+  const body = {
+    errors: typeof errors === "string" ? [{ message: errors }] : errors,
+  };
+  const err = new Error(body.errors[0]?.message || `HTTP ${status}`);
+  err.code = status;
+  err.response = { headers, body };
+  return err;
+}
+
+// ------------------------------
+// SGQL
+// ------------------------------
+
+/**
+ * Splits an SGQL query into tokens.
+ *
+ * @param {string} query - The SGQL query.
+ * @returns {Object[]} Tokens of type `string`, `number`, `ident`, `op` or `punct`.
+ * @throws {Error} On unterminated strings or unexpected characters.
+ */
+function _tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const ch = query[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "'") {
+      // String literal with backslash escapes
+      let value = "";
+      i++;
+      while (i < query.length && query[i] !== "'") {
+        if (query[i] === "\\") i++;
+        value += query[i++];
+      }
+      if (i >= query.length) throw new Error("Unterminated string literal");
+      i++;
+      tokens.push({ type: "string", value });
+    } else if (/\d/.test(ch) || (ch === "-" && /\d/.test(query[i + 1]))) {
+      const match = /^-?\d+(\.\d+)?/.exec(query.slice(i));
+      tokens.push({ type: "number", value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const [word] = /^[A-Za-z_][\w.]*/.exec(query.slice(i));
+      tokens.push({ type: "ident", value: word });
+      i += word.length;
+    } else if (/[<>!=]/.test(ch)) {
+      const [op] = /^(<=|>=|<>|!=|=|<|>)/.exec(query.slice(i)) || [];
+      if (!op) throw new Error(`Unexpected character '${ch}' at ${i}`);
+      tokens.push({ type: "op", value: op });
+      i += op.length;
+    } else if (ch === "(" || ch === ")" || ch === ",") {
+      tokens.push({ type: "punct", value: ch });
+      i++;
+    } else {
+      throw new Error(`Unexpected character '${ch}' at ${i}`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses an SGQL query into a predicate over contacts.
+ *
+ * Supports `AND`/`OR`/`NOT`, parentheses, the comparison operators, `LIKE`,
+ * `IN (...)`, `IS [NOT] NULL`, `CONTAINS(field, value)` and relative dates
+ * written as `TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL n DAY)`.
+ *
+ * @param {string} query - The SGQL query.
+ * @returns {function(Object): boolean} Predicate returning true for matching contacts.
+ * @throws {Error} If the query cannot be parsed.
+ */
+function compileSgql(query) {
+  const tokens = _tokenize(query);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isKeyword = (word) =>
+    peek()?.type === "ident" && peek().value.toUpperCase() === word;
+  const expect = (type, value) => {
+    const token = tokens[pos++];
+    if (!token || token.type !== type || (value && token.value !== value)) {
+      throw new Error(`Expected ${value || type} at token ${pos - 1}`);
+    }
+    return token;
+  };
+  const literal = () => {
+    if (isKeyword("TIMESTAMP_SUB")) return relativeTimestamp();
+    const token = tokens[pos++];
+    if (token?.type === "string" || token?.type === "number") return token.value;
+    if (token?.type === "ident" && /^(true|false)$/i.test(token.value)) {
+      return token.value.toLowerCase() === "true";
+    }
+    throw new Error(`Expected literal at token ${pos - 1}`);
+  };
+
+  // TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL n UNIT) as an ISO date
+  const relativeTimestamp = () => {
+    pos++;
+    expect("punct", "(");
+    if (!isKeyword("CURRENT_TIMESTAMP")) throw new Error("Expected CURRENT_TIMESTAMP");
+    pos++;
+    expect("punct", "(");
+    expect("punct", ")");
+    expect("punct", ",");
+    if (!isKeyword("INTERVAL")) throw new Error("Expected INTERVAL");
+    pos++;
+    const amount = expect("number").value;
+    const unit = expect("ident").value.toUpperCase();
+    expect("punct", ")");
+
+    const date = new Date();
+    if (unit === "DAY") date.setUTCDate(date.getUTCDate() - amount);
+    else if (unit === "WEEK") date.setUTCDate(date.getUTCDate() - amount * 7);
+    else if (unit === "MONTH") date.setUTCMonth(date.getUTCMonth() - amount);
+    else if (unit === "YEAR") date.setUTCFullYear(date.getUTCFullYear() - amount);
+    else throw new Error(`Unknown interval unit ${unit}`);
+    return date.toISOString();
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isKeyword("OR")) {
+      pos++;
+      const l = left;
+      const r = parseAnd();
+      left = (c) => l(c) || r(c);
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (isKeyword("AND")) {
+      pos++;
+      const l = left;
+      const r = parseNot();
+      left = (c) => l(c) && r(c);
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isKeyword("NOT")) {
+      pos++;
+      const inner = parseNot();
+      return (c) => !inner(c);
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    if (peek()?.type === "punct" && peek().value === "(") {
+      pos++;
+      const inner = parseOr();
+      expect("punct", ")");
+      return inner;
+    }
+
+    if (isKeyword("CONTAINS")) {
+      pos++;
+      expect("punct", "(");
+      const field = expect("ident").value;
+      expect("punct", ",");
+      const value = literal();
+      expect("punct", ")");
+      return (c) => {
+        const current = _resolveField(c, field);
+        return Array.isArray(current) && current.some((v) => _looseEquals(v, value));
+      };
+    }
+
+    const field = expect("ident").value;
+
+    if (isKeyword("IS")) {
+      pos++;
+      const negate = isKeyword("NOT") && Boolean(++pos);
+      if (!isKeyword("NULL")) throw new Error("Expected NULL");
+      pos++;
+      return (c) => {
+        const current = _resolveField(c, field);
+        const isNull = current === null || current === undefined;
+        return negate ? !isNull : isNull;
+      };
+    }
+
+    const negate = isKeyword("NOT") && Boolean(++pos);
+
+    if (isKeyword("IN")) {
+      pos++;
+      expect("punct", "(");
+      const values = [literal()];
+      while (peek()?.type === "punct" && peek().value === ",") {
+        pos++;
+        values.push(literal());
+      }
+      expect("punct", ")");
+      return (c) => {
+        const current = _resolveField(c, field);
+        const found = values.some((v) => _looseEquals(current, v));
+        return negate ? !found : found;
+      };
+    }
+
+    if (isKeyword("LIKE")) {
+      pos++;
+      const pattern = String(literal());
+      const re = new RegExp(
+        `^${pattern
+          .split("%")
+          .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*")}$`,
+        "i"
+      );
+      return (c) => {
+        const current = _resolveField(c, field);
+        const matched = current !== null && current !== undefined && re.test(String(current));
+        return negate ? !matched : matched;
+      };
+    }
+
+    if (negate) throw new Error("Expected IN or LIKE after NOT");
+
+    const op = expect("op").value;
+    const value = literal();
+    return (c) => _compare(_resolveField(c, field), op, value);
+  };
+
+  const predicate = parseOr();
+  if (pos !== tokens.length) {
+    throw new Error(`Unexpected token at ${pos}`);
+  }
+  return predicate;
+}
+
+/**
+ * Resolves a reserved field or custom field on a contact.
+ *
+ * @param {Object} contact - The contact.
+ * @param {string} field - Field name, optionally prefixed with `custom_fields.`.
+ * @returns {*} The field value.
+ */
+function _resolveField(contact, field) {
+  if (field.startsWith("custom_fields.")) {
+    return contact.custom_fields?.[field.slice("custom_fields.".length)];
+  }
+  if (RESERVED_FIELDS.includes(field) || field === "contact_id") {
+    return field === "contact_id" ? contact.id : contact[field];
+  }
+  return contact.custom_fields?.[field];
+}
+
+/**
+ * Compares values the way SendGrid's text-typed fields do.
+ *
+ * @param {*} a - Stored value.
+ * @param {*} b - Query literal.
+ * @returns {boolean} True if equal.
+ */
+function _looseEquals(a, b) {
+  if (a === null || a === undefined) return false;
+  if (typeof a === "string" && typeof b === "string") {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+  return String(a) === String(b);
+}
+
+/**
+ * Applies a comparison operator.
+ *
+ * @param {*} a - Stored value.
+ * @param {string} op - Comparison operator.
+ * @param {*} b - Query literal.
+ * @returns {boolean} The comparison result.
+ */
+function _compare(a, op, b) {
+  if (op === "=") return _looseEquals(a, b);
+  if (op === "!=" || op === "<>") return !_looseEquals(a, b);
+  if (a === null || a === undefined) return false;
+
+  const left = typeof b === "number" ? Number(a) : String(a);
+  if (op === "<") return left < b;
+  if (op === ">") return left > b;
+  if (op === "<=") return left <= b;
+  if (op === ">=") return left >= b;
+  return false;
+}
+
+// ------------------------------
+// Transport
+// ------------------------------
+
+/**
+ * In-memory stand-in for SendGrid, implementing the transport interface.
+ *
+ * Models lists, contacts, custom field definitions, segments (v1 conditions
+ * and v2 `query_dsl`, sharing one store), single sends,
+ * ASM suppression groups and mail sends closely enough for the service to be exercised without network.
+ * All state is public so tests can seed and inspect it.
+ *
+ * Contact search returns at most 50 results alongside the full `contact_count`,
+ * like the real endpoint.
+ *
+ * Triggering a single send counts its audience as requested and delivered in
+ * `singleSendStats`; tests can adjust those counters to simulate engagement.
+ *
+ * Known simplifications:
+ * - Contact upserts apply synchronously, although the job is still reported as queued.
+ * - Custom fields are keyed by name rather than by SendGrid's generated field IDs.
+ * - Upserting a contact with `list_ids: []` clears its list memberships.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class InMemorySendGridTransport {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Clears all state, recorded requests and queued failures.
+   *
+   * @returns {void}
+   */
+  reset() {
+    this.lists = [];
+    this.contacts = [];
+    this.fieldDefinitions = [];
+    this.segments = [];
+    this.singleSends = [];
+    this.singleSendStats = {};
+    this.suppressionGroups = [];
+    this.mailSends = [];
+    this.mailBatches = [];
+    this.scheduledSends = [];
+    this.templates = [];
+    this.requests = [];
+    this._failures = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * Queues a failure for the next request whose method and url match.
+   *
+   * @param {Object} options - Failure options.
+   * @param {string} [options.method] - HTTP method to match; any if omitted.
+   * @param {string|RegExp} [options.url] - Url (prefix string or RegExp) to match; `mail` matches mail sends.
+   * @param {number} [options.status=500] - HTTP status to fail with.
+   * @param {string|Object[]} [options.errors] - Error message or SendGrid `errors` array.
+   * @param {Object} [options.headers] - Response headers, e.g. `retry-after`.
+   * @param {number} [options.times=1] - How many matching requests should fail.
+   * @returns {InMemorySendGridTransport} This transport, for chaining.
+   */
+  failNext({ method, url, status = 500, errors, headers, times = 1 } = {}) {
+    this._failures.push({ method, url, status, errors, headers, times });
+    return this;
+  }
+
+  /**
+   * Sends one or more mail messages, recording them in `mailSends`.
+   *
+   * @param {Object|Object[]} msg - The message or messages to send.
+   * @returns {Promise<[Object, Object]>} A `202 Accepted` SDK response tuple.
+   */
+  async send(msg) {
+    this._throwQueuedFailure("POST", "mail");
+
+    const messages = Array.isArray(msg) ? msg : [msg];
+    const messageId = `msg_${this._id()}`;
+
+    for (const message of messages) {
+      // Mirror the basic checks the Mail Send endpoint applies
+      if (!message.to && !message.personalizations) {
+        throw responseError(400, [{ message: "The to field is required", field: "personalizations.0.to" }]);
+      }
+      if (!message.from) {
+        throw responseError(400, [{ message: "The from field is required", field: "from" }]);
+      }
+      if (!message.templateId && !message.content && !message.text && !message.html) {
+        throw responseError(400, [{ message: "Either content or template_id is required", field: "content" }]);
+      }
+      if (message.batchId && !this.mailBatches.includes(message.batchId)) {
+        throw responseError(400, [{ message: "invalid batch id", field: "batch_id" }]);
+      }
+      if (message.sendAt && message.sendAt * 1000 > Date.now() + 72 * 60 * 60 * 1000) {
+        throw responseError(400, [{ message: "send_at can't be more than 72 hours in the future", field: "send_at" }]);
+      }
+      if (message.personalizations?.length > 1000) {
+        throw responseError(400, [{ message: "The personalizations field cannot have more than 1000 items", field: "personalizations" }]);
+      }
+      const addresses = (message.personalizations || []).reduce(
+        (total, p) => total + [p.to, p.cc, p.bcc].flat().filter(Boolean).length,
+        0
+      );
+      if (addresses > 1000) {
+        throw responseError(400, [{ message: "The total number of recipients cannot exceed 1000", field: "personalizations" }]);
+      }
+      this.mailSends.push({ ...message, messageId, sentAt: new Date().toISOString() });
+    }
+
+    return [this._response(202, "", { "x-message-id": messageId }), {}];
+  }
+
+  /**
+   * Routes a SendGrid v3 API request to the in-memory model.
+   *
+   * @param {Object} options - Request options.
+   * @param {string} options.method - HTTP method.
+   * @param {string} options.url - Request url, optionally with a query string.
+   * @param {Object} [options.body] - JSON body.
+   * @param {Object} [options.qs] - Query string parameters.
+   * @returns {Promise<[Object, Object]>} The SDK response tuple.
+   * @throws {Error} A `ResponseError`-shaped error for failing requests.
+   */
+  async request({ method = "GET", url, body, qs }) {
+    method = method.toUpperCase();
+    this.requests.push({ method, url, body, qs });
+    this._throwQueuedFailure(method, url);
+
+    const [path, rawQuery = ""] = url.split("?");
+    const query = new URLSearchParams(rawQuery);
+    for (const [key, value] of Object.entries(qs || {})) query.set(key, value);
+
+    const route = `${method} ${path.replace(/\/+$/, "")}`;
+    let match;
+
+    // Lists
+    if (route === "GET /v3/marketing/lists") return this._listLists();
+    if (route === "POST /v3/marketing/lists") return this._createList(body);
+    if ((match = /^(GET|PATCH|DELETE) \/v3\/marketing\/lists\/([^/]+)$/.exec(route))) {
+      return this._listById(match[1], decodeURIComponent(match[2]), body);
+    }
+    if ((match = /^DELETE \/v3\/marketing\/lists\/([^/]+)\/contacts$/.exec(route))) {
+      return this._removeContactsFromList(decodeURIComponent(match[1]), query);
+    }
+
+    // Contacts
+    if (route === "PUT /v3/marketing/contacts") return this._upsertContacts(body);
+    if (route === "GET /v3/marketing/contacts") return this._sampleContacts(query);
+    if (route === "DELETE /v3/marketing/contacts") return this._deleteContacts(query);
+    if (route === "POST /v3/marketing/contacts/search") return this._searchContacts(body);
+    if (route === "POST /v3/marketing/contacts/search/emails") return this._searchByEmails(body);
+    if ((match = /^GET \/v3\/marketing\/contacts\/([^/]+)$/.exec(route))) {
+      return this._getContact(decodeURIComponent(match[1]));
+    }
+
+    // Field definitions
+    if (route === "GET /v3/marketing/field_definitions") return this._listFields();
+    if (route === "POST /v3/marketing/field_definitions") return this._createField(body);
+    if ((match = /^DELETE \/v3\/marketing\/field_definitions\/([^/]+)$/.exec(route))) {
+      return this._deleteField(decodeURIComponent(match[1]));
+    }
+
+    // Segments
+    if (route === "GET /v3/marketing/segments/2.0") return this._listSegmentsV2();
+    if (route === "POST /v3/marketing/segments/2.0") return this._createSegmentV2(body);
+    if ((match = /^(GET|PATCH|DELETE) \/v3\/marketing\/segments\/2\.0\/([^/]+)$/.exec(route))) {
+      return this._segmentV2ById(match[1], decodeURIComponent(match[2]), body);
+    }
+    if (route === "GET /v3/marketing/segments") return this._listSegments();
+    if (route === "POST /v3/marketing/segments") return this._createSegment(body);
+    if ((match = /^(GET|PATCH|DELETE) \/v3\/marketing\/segments\/([^/]+)$/.exec(route))) {
+      return this._segmentById(match[1], decodeURIComponent(match[2]), body);
+    }
+
+    // Single sends
+    if (route === "GET /v3/marketing/singlesends") return this._listSingleSends(query);
+    if (route === "POST /v3/marketing/singlesends") return this._createSingleSend(body);
+    if ((match = /^(PUT|DELETE) \/v3\/marketing\/singlesends\/([^/]+)\/schedule$/.exec(route))) {
+      return this._scheduleSingleSend(match[1], decodeURIComponent(match[2]), body);
+    }
+    if ((match = /^(GET|POST|PATCH|DELETE) \/v3\/marketing\/singlesends\/([^/]+)$/.exec(route))) {
+      return this._singleSendById(match[1], decodeURIComponent(match[2]), body);
+    }
+    if ((match = /^GET \/v3\/marketing\/stats\/singlesends\/([^/]+)$/.exec(route))) {
+      return this._singleSendStats(decodeURIComponent(match[1]));
+    }
+
+    // Suppression groups
+    if (route === "GET /v3/asm/groups") return this._listGroups();
+    if (route === "POST /v3/asm/groups") return this._createGroup(body);
+    if ((match = /^(GET|POST) \/v3\/asm\/groups\/([^/]+)\/suppressions$/.exec(route))) {
+      return this._groupSuppressions(match[1], match[2], body);
+    }
+    if ((match = /^POST \/v3\/asm\/groups\/([^/]+)\/suppressions\/search$/.exec(route))) {
+      return this._searchGroupSuppressions(match[1], body);
+    }
+    if ((match = /^DELETE \/v3\/asm\/groups\/([^/]+)\/suppressions\/([^/]+)$/.exec(route))) {
+      return this._deleteGroupSuppression(match[1], decodeURIComponent(match[2]));
+    }
+
+    // Dynamic templates
+    if (route === "GET /v3/templates") return this._listTemplates(query);
+    if (route === "POST /v3/templates") return this._createTemplate(body);
+    if ((match = /^GET \/v3\/templates\/([^/]+)$/.exec(route))) {
+      return this._reply(200, this._serializeTemplate(this._findTemplate(decodeURIComponent(match[1]))));
+    }
+    if ((match = /^POST \/v3\/templates\/([^/]+)\/versions$/.exec(route))) {
+      return this._createTemplateVersion(decodeURIComponent(match[1]), body);
+    }
+    if ((match = /^GET \/v3\/templates\/([^/]+)\/versions\/([^/]+)$/.exec(route))) {
+      return this._reply(200, this._clone(this._findTemplateVersion(decodeURIComponent(match[1]), decodeURIComponent(match[2]))));
+    }
+    if ((match = /^POST \/v3\/templates\/([^/]+)\/versions\/([^/]+)\/activate$/.exec(route))) {
+      return this._activateTemplateVersion(decodeURIComponent(match[1]), decodeURIComponent(match[2]));
+    }
+
+    // Mail batches and scheduled sends
+    if (route === "POST /v3/mail/batch") return this._createMailBatch();
+    if ((match = /^GET \/v3\/mail\/batch\/([^/]+)$/.exec(route))) {
+      return this._getMailBatch(decodeURIComponent(match[1]));
+    }
+    if (route === "GET /v3/user/scheduled_sends") return this._reply(200, this._clone(this.scheduledSends));
+    if (route === "POST /v3/user/scheduled_sends") return this._createScheduledSend(body);
+    if ((match = /^(GET|PATCH|DELETE) \/v3\/user\/scheduled_sends\/([^/]+)$/.exec(route))) {
+      return this._scheduledSendById(match[1], decodeURIComponent(match[2]), body);
+    }
+
+    throw responseError(404, `No route for ${method} ${path}`);
+  }
+
+  // ------------------------------
+  // Dynamic Templates
+  // ------------------------------
+
+  _listTemplates(query) {
+    const generations = (query.get("generations") || "legacy").split(",");
+    const templates = this.templates.filter((t) => generations.includes(t.generation));
+
+    // Paginate like the API, with the offset as page token
+    const pageSize = Number(query.get("page_size"));
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 200) {
+      throw responseError(400, [{ field: "page_size", message: "page_size must be between 1 and 200" }]);
+    }
+    const offset = Number(query.get("page_token")) || 0;
+    const next = offset + pageSize < templates.length
+      ? `https://api.sendgrid.com/v3/templates?generations=${generations.join(",")}&page_size=${pageSize}&page_token=${offset + pageSize}`
+      : undefined;
+
+    return this._reply(200, {
+      result: templates.slice(offset, offset + pageSize).map((t) => this._serializeTemplate(t, true)),
+      _metadata: { self: "", count: templates.length, ...(next && { next }) },
+    });
+  }
+
+  _createTemplate(body) {
+    if (!body?.name) throw responseError(400, [{ field: "name", message: "name is required" }]);
+    const generation = body.generation || "legacy";
+    const template = {
+      id: generation === "dynamic" ? `d-${this._id().toString(16).padStart(32, "0")}` : this._uuid(),
+      name: body.name,
+      generation,
+      updated_at: new Date().toISOString(),
+      versions: [],
+    };
+    this.templates.push(template);
+    return this._reply(201, this._serializeTemplate(template));
+  }
+
+  _createTemplateVersion(templateId, body) {
+    const template = this._findTemplate(templateId);
+    if (!body?.name) throw responseError(400, [{ field: "name", message: "name is required" }]);
+    if (!body.subject) throw responseError(400, [{ field: "subject", message: "subject is required" }]);
+    if (body.test_data !== undefined) {
+      try {
+        JSON.parse(body.test_data);
+      } catch {
+        throw responseError(400, [{ field: "test_data", message: "test_data must be valid JSON" }]);
+      }
+    }
+
+    const version = {
+      id: this._uuid(),
+      template_id: templateId,
+      name: body.name,
+      subject: body.subject,
+      html_content: body.html_content || "",
+      plain_content: body.plain_content || "",
+      generate_plain_content: body.generate_plain_content ?? true,
+      editor: body.editor || "code",
+      test_data: body.test_data,
+      active: 0,
+      updated_at: new Date().toISOString(),
+    };
+    template.versions.push(version);
+    if (body.active === 1) this._activate(template, version);
+    return this._reply(201, this._clone(version));
+  }
+
+  _activateTemplateVersion(templateId, versionId) {
+    const template = this._findTemplate(templateId);
+    const version = this._findTemplateVersion(templateId, versionId);
+    this._activate(template, version);
+    return this._reply(200, this._clone(version));
+  }
+
+  _activate(template, version) {
+    for (const v of template.versions) v.active = v === version ? 1 : 0;
+    template.updated_at = new Date().toISOString();
+  }
+
+  _findTemplate(id) {
+    const template = this.templates.find((t) => t.id === id);
+    if (!template) throw responseError(404, "resource not found");
+    return template;
+  }
+
+  _findTemplateVersion(templateId, versionId) {
+    const version = this._findTemplate(templateId).versions.find((v) => v.id === versionId);
+    if (!version) throw responseError(404, "resource not found");
+    return version;
+  }
+
+  _serializeTemplate(template, summary = false) {
+    // Listings leave out the version content
+    const versions = template.versions.map((v) => {
+      if (!summary) return this._clone(v);
+      const { id, template_id, name, subject, active, updated_at } = v;
+      return { id, template_id, name, subject, active, updated_at };
+    });
+    return { ...this._clone({ ...template, versions: [] }), versions };
+  }
+
+  // ------------------------------
+  // Mail Batches
+  // ------------------------------
+
+  _createMailBatch() {
+    const batchId = `batch_${this._id()}`;
+    this.mailBatches.push(batchId);
+    return this._reply(201, { batch_id: batchId });
+  }
+
+  _getMailBatch(batchId) {
+    if (!this.mailBatches.includes(batchId)) {
+      throw responseError(400, [{ message: "invalid batch id", field: null }]);
+    }
+    return this._reply(200, { batch_id: batchId });
+  }
+
+  _createScheduledSend(body) {
+    if (!["pause", "cancel"].includes(body?.status)) {
+      throw responseError(400, [{ field: "status", message: "status must be either pause or cancel" }]);
+    }
+    if (!this.mailBatches.includes(body.batch_id)) {
+      throw responseError(400, [{ field: "batch_id", message: "invalid batch id" }]);
+    }
+    if (this.scheduledSends.some((s) => s.batch_id === body.batch_id)) {
+      throw responseError(400, [{ field: "batch_id", message: "batch id already has a status" }]);
+    }
+    const scheduledSend = { batch_id: body.batch_id, status: body.status };
+    this.scheduledSends.push(scheduledSend);
+    return this._reply(201, this._clone(scheduledSend));
+  }
+
+  _scheduledSendById(method, batchId, body) {
+    const scheduledSend = this.scheduledSends.find((s) => s.batch_id === batchId);
+    if (!scheduledSend) throw responseError(404, "batch id not found");
+
+    if (method === "PATCH") {
+      if (!["pause", "cancel"].includes(body?.status)) {
+        throw responseError(400, [{ field: "status", message: "status must be either pause or cancel" }]);
+      }
+      scheduledSend.status = body.status;
+      return this._reply(204, "");
+    }
+    if (method === "DELETE") {
+      this.scheduledSends = this.scheduledSends.filter((s) => s !== scheduledSend);
+      return this._reply(204, "");
+    }
+    return this._reply(200, this._clone(scheduledSend));
+  }
+
+  // ------------------------------
+  // Lists
+  // ------------------------------
+
+  _listLists() {
+    return this._reply(200, {
+      result: this.lists.map((l) => this._serializeList(l)),
+      _metadata: { count: this.lists.length },
+    });
+  }
+
+  _createList(body) {
+    if (!body?.name) throw responseError(400, [{ field: "name", message: "name is required" }]);
+    if (this.lists.some((l) => l.name === body.name)) {
+      throw responseError(400, [{ field: "name", message: "list name already exists" }]);
+    }
+    const list = { id: this._uuid(), name: body.name };
+    this.lists.push(list);
+    return this._reply(201, this._serializeList(list));
+  }
+
+  _listById(method, id, body) {
+    const list = this.lists.find((l) => l.id === id);
+    if (!list) throw responseError(404, "list not found");
+
+    if (method === "PATCH") {
+      if (body?.name) list.name = body.name;
+    } else if (method === "DELETE") {
+      this.lists = this.lists.filter((l) => l !== list);
+      for (const contact of this.contacts) {
+        contact.list_ids = contact.list_ids.filter((listId) => listId !== id);
+      }
+      return this._reply(202, { job_id: this._uuid() });
+    }
+
+    return this._reply(200, this._serializeList(list));
+  }
+
+  _removeContactsFromList(listId, query) {
+    if (!this.lists.some((l) => l.id === listId)) throw responseError(404, "list not found");
+    const ids = (query.get("contact_ids") || "").split(",").filter(Boolean);
+    if (!ids.length) throw responseError(400, [{ field: "contact_ids", message: "contact_ids is required" }]);
+
+    for (const contact of this.contacts) {
+      if (ids.includes(contact.id)) {
+        contact.list_ids = contact.list_ids.filter((id) => id !== listId);
+      }
+    }
+    return this._reply(202, { job_id: this._uuid() });
+  }
+
+  _serializeList(list) {
+    return {
+      id: list.id,
+      name: list.name,
+      contact_count: this.contacts.filter((c) => c.list_ids.includes(list.id)).length,
+      _metadata: { self: `/v3/marketing/lists/${list.id}` },
+    };
+  }
+
+  // ------------------------------
+  // Contacts
+  // ------------------------------
+
+  _upsertContacts(body) {
+    if (!Array.isArray(body?.contacts) || !body.contacts.length) {
+      throw responseError(400, [{ field: "contacts", message: "contacts is required" }]);
+    }
+
+    // Validate everything before applying anything, like the real job intake
+    const errors = [];
+    for (const listId of body.list_ids || []) {
+      if (!this.lists.some((l) => l.id === listId)) {
+        errors.push({ field: "list_ids", message: `list ${listId} does not exist` });
+      }
+    }
+    body.contacts.forEach((incoming, index) => {
+      if (!incoming.email && !this.contacts.some((c) => c.id === incoming.id)) {
+        errors.push({ field: `contacts[${index}].email`, message: "email is required" });
+      }
+      for (const listId of incoming.list_ids || []) {
+        if (!this.lists.some((l) => l.id === listId)) {
+          errors.push({ field: `contacts[${index}].list_ids`, message: `list ${listId} does not exist` });
+        }
+      }
+    });
+    if (errors.length) throw responseError(400, errors);
+
+    const now = new Date().toISOString();
+    for (const incoming of body.contacts) {
+      const { custom_fields: customFields, list_ids: listIds, id, ...reserved } = incoming;
+
+      let contact = this.contacts.find(
+        (c) => (id && c.id === id) || (incoming.email && c.email === incoming.email.toLowerCase())
+      );
+      if (!contact) {
+        contact = { id: this._uuid(), email: incoming.email.toLowerCase(), list_ids: [], custom_fields: {}, created_at: now };
+        this.contacts.push(contact);
+      }
+
+      for (const [key, value] of Object.entries(reserved)) {
+        if (value !== undefined) contact[key] = key === "email" ? value.toLowerCase() : value;
+      }
+
+      // Lists are appended; an explicit empty array clears memberships
+      const addLists = [...(body.list_ids || []), ...(listIds || [])];
+      if (Array.isArray(listIds) && !listIds.length && !body.list_ids?.length) {
+        contact.list_ids = [];
+      } else {
+        contact.list_ids = [...new Set([...contact.list_ids, ...addLists])];
+      }
+
+      for (const [key, value] of Object.entries(customFields || {})) {
+        if (value === null || value === undefined) delete contact.custom_fields[key];
+        else contact.custom_fields[key] = value;
+      }
+
+      contact.updated_at = now;
+    }
+
+    return this._reply(202, { job_id: this._uuid() });
+  }
+
+  _sampleContacts(query) {
+    const listIds = (query.get("list_ids") || "").split(",").filter(Boolean);
+    const matching = listIds.length
+      ? this.contacts.filter((c) => c.list_ids.some((id) => listIds.includes(id)))
+      : this.contacts;
+
+    return this._reply(200, {
+      result: matching.slice(0, CONTACTS_SAMPLE_SIZE).map((c) => this._clone(c)),
+      contact_count: matching.length,
+    });
+  }
+
+  _deleteContacts(query) {
+    if (query.get("delete_all_contacts") === "true") {
+      this.contacts = [];
+    } else {
+      const ids = (query.get("ids") || "").split(",").filter(Boolean);
+      if (!ids.length) throw responseError(400, [{ field: "ids", message: "ids is required" }]);
+      this.contacts = this.contacts.filter((c) => !ids.includes(c.id));
+    }
+    return this._reply(202, { job_id: this._uuid() });
+  }
+
+  _searchContacts(body) {
+    if (typeof body?.query !== "string") {
+      throw responseError(400, [{ field: "query", message: "query is required" }]);
+    }
+
+    let predicate;
+    try {
+      predicate = compileSgql(body.query);
+    } catch (err) {
+      throw responseError(400, [{ field: "query", message: `Invalid query: ${err.message}` }]);
+    }
+
+    const matching = this.contacts.filter(predicate);
+    const result = matching.slice(0, SEARCH_RESULT_LIMIT).map((c) => this._clone(c));
+    return this._reply(200, { result, contact_count: matching.length });
+  }
+
+  _searchByEmails(body) {
+    const emails = (body?.emails || []).map((e) => String(e).toLowerCase());
+    const result = {};
+    for (const email of emails) {
+      const contact = this.contacts.find((c) => c.email === email);
+      result[email] = contact ? { contact: this._clone(contact) } : { error: "contact not found" };
+    }
+    if (!Object.values(result).some((r) => r.contact)) throw responseError(404, "No contacts found");
+    return this._reply(200, { result });
+  }
+
+  _getContact(id) {
+    const contact = this.contacts.find((c) => c.id === id);
+    if (!contact) throw responseError(404, "contact not found");
+    return this._reply(200, this._clone(contact));
+  }
+
+  // ------------------------------
+  // Field definitions
+  // ------------------------------
+
+  _listFields() {
+    return this._reply(200, {
+      custom_fields: this.fieldDefinitions.map((f) => ({ ...f })),
+      reserved_fields: RESERVED_FIELDS.map((name) => ({
+        id: `_rf_${name}`,
+        name,
+        field_type: name.endsWith("_at")
+          ? "Date"
+          : ["list_ids", "alternate_emails"].includes(name)
+            ? "Set"
+            : "Text",
+        read_only: name === "created_at" || name === "updated_at" || name === "list_ids",
+      })),
+    });
+  }
+
+  _createField(body) {
+    const { name, field_type: fieldType } = body || {};
+    if (!name) throw responseError(400, [{ field: "name", message: "name is required" }]);
+    if (!["Text", "Number", "Date"].includes(fieldType)) {
+      throw responseError(400, [{ field: "field_type", message: "field_type must be one of Text, Number, Date" }]);
+    }
+    if (RESERVED_FIELDS.includes(name) || this.fieldDefinitions.some((f) => f.name === name)) {
+      throw responseError(400, [{ field: "name", message: `Field '${name}' already exists` }]);
+    }
+
+    const field = { id: `e${this._id()}_${fieldType[0]}`, name, field_type: fieldType };
+    this.fieldDefinitions.push(field);
+    return this._reply(200, { ...field });
+  }
+
+  _deleteField(id) {
+    if (!this.fieldDefinitions.some((f) => f.id === id)) throw responseError(404, "field not found");
+    this.fieldDefinitions = this.fieldDefinitions.filter((f) => f.id !== id);
+    return this._reply(204, "");
+  }
+
+  // ------------------------------
+  // Segments
+  // ------------------------------
+
+  _listSegments() {
+    return this._reply(200, { results: this.segments.map((s) => this._serializeSegment(s)) });
+  }
+
+  _createSegment(body) {
+    if (!body?.name) throw responseError(400, [{ field: "name", message: "name is required" }]);
+    if (this.segments.some((s) => s.name === body.name)) {
+      throw responseError(400, [{ field: "name", message: "segment name already exists" }]);
+    }
+
+    const now = new Date().toISOString();
+    const segment = { ...this._clone(body), id: this._uuid(), created_at: now, updated_at: now };
+    this.segments.push(segment);
+    return this._reply(201, this._serializeSegment(segment));
+  }
+
+  _segmentById(method, id, body) {
+    const segment = this.segments.find((s) => s.id === id);
+    if (!segment) throw responseError(404, "segment not found");
+
+    if (method === "PATCH") {
+      Object.assign(segment, this._clone(body), { updated_at: new Date().toISOString() });
+    } else if (method === "DELETE") {
+      return this._deleteSegment(segment);
+    }
+
+    return this._reply(200, this._serializeSegment(segment));
+  }
+
+  _listSegmentsV2() {
+    // The v2 listing leaves out the query itself
+    return this._reply(200, {
+      results: this.segments.map((segment) => {
+        const { query_dsl, conditions, contacts_count, ...summary } = this._serializeSegment(segment);
+        return { ...summary, contacts_count, query_version: segment.query_dsl ? "2" : "1" };
+      }),
+    });
+  }
+
+  _createSegmentV2(body) {
+    const errors = [];
+    if (!body?.name) errors.push({ field: "name", message: "name is required" });
+    if (this.segments.some((s) => s.name === body?.name)) {
+      errors.push({ field: "name", message: "segment name already exists" });
+    }
+    const parentListIds = body?.parent_list_ids || [];
+    if (parentListIds.length > 1) {
+      errors.push({ field: "parent_list_ids", message: "only one parent list is supported" });
+    }
+    for (const id of parentListIds) {
+      if (!this.lists.some((l) => l.id === id)) {
+        errors.push({ field: "parent_list_ids", message: `list ${id} does not exist` });
+      }
+    }
+    try {
+      this._compileSegmentQuery(body?.query_dsl);
+    } catch (err) {
+      errors.push({ field: "query_dsl", message: err.message });
+    }
+    if (errors.length) throw responseError(400, errors);
+
+    const now = new Date().toISOString();
+    const segment = {
+      id: this._uuid(),
+      name: body.name,
+      query_dsl: body.query_dsl,
+      parent_list_ids: [...parentListIds],
+      created_at: now,
+      updated_at: now,
+    };
+    this.segments.push(segment);
+    return this._reply(201, this._serializeSegment(segment));
+  }
+
+  _segmentV2ById(method, id, body) {
+    const segment = this.segments.find((s) => s.id === id);
+    if (!segment) throw responseError(404, "segment not found");
+
+    if (method === "PATCH") {
+      if (body?.query_dsl !== undefined) {
+        try {
+          this._compileSegmentQuery(body.query_dsl);
+        } catch (err) {
+          throw responseError(400, [{ field: "query_dsl", message: err.message }]);
+        }
+      }
+      const { name, query_dsl } = body || {};
+      Object.assign(
+        segment,
+        name !== undefined && { name },
+        query_dsl !== undefined && { query_dsl },
+        { updated_at: new Date().toISOString() }
+      );
+    } else if (method === "DELETE") {
+      return this._deleteSegment(segment);
+    }
+
+    return this._reply(200, this._serializeSegment(segment));
+  }
+
+  _deleteSegment(segment) {
+    const inUse = this.singleSends.some(
+      (s) => s.status !== "triggered" && s.send_to?.segment_ids?.includes(segment.id)
+    );
+    if (inUse) throw responseError(400, "segment is in use by a single send");
+    this.segments = this.segments.filter((s) => s !== segment);
+    return this._reply(204, "");
+  }
+
+  _compileSegmentQuery(queryDsl) {
+    const match = /^\s*SELECT\s+contact_id\s*,\s*updated_at\s+FROM\s+contact_data\s+WHERE\s+([\s\S]+)$/i.exec(
+      queryDsl || ""
+    );
+    if (!match) {
+      throw new Error("query_dsl must be SELECT contact_id, updated_at FROM contact_data WHERE ...");
+    }
+    return compileSgql(match[1]);
+  }
+
+  _serializeSegment(segment) {
+    const contacts = this.contacts.filter((c) => this._segmentMatches(segment, c));
+    return { ...this._clone(segment), contacts_count: contacts.length };
+  }
+
+  _segmentMatches(segment, contact) {
+    if (segment.query_dsl) {
+      return (
+        (segment.parent_list_ids || []).every((id) => contact.list_ids.includes(id)) &&
+        this._compileSegmentQuery(segment.query_dsl)(contact)
+      );
+    }
+    return (
+      (segment.list_ids || []).every((id) => contact.list_ids.includes(id)) &&
+      (segment.conditions || []).every((cond) =>
+        _compare(_resolveField(contact, cond.field), cond.operator === "equals" ? "=" : "!=", cond.value)
+      )
+    );
+  }
+
+  // ------------------------------
+  // Single sends
+  // ------------------------------
+
+  _listSingleSends(query) {
+    // Paginate like the API, with the offset as page token
+    const pageSize = Math.min(Number(query.get("page_size")) || 50, 100);
+    const offset = Number(query.get("page_token")) || 0;
+    const page = this.singleSends.slice(offset, offset + pageSize);
+    const next = offset + pageSize < this.singleSends.length
+      ? `https://api.sendgrid.com/v3/marketing/singlesends?page_size=${pageSize}&page_token=${offset + pageSize}`
+      : undefined;
+
+    return this._reply(200, {
+      result: page.map((s) => this._clone(s)),
+      _metadata: { self: "", count: this.singleSends.length, ...(next && { next }) },
+    });
+  }
+
+  _createSingleSend(body) {
+    if (!body?.name) throw responseError(400, [{ field: "name", message: "name is required" }]);
+
+    const errors = [];
+    for (const id of body.send_to?.segment_ids || []) {
+      if (!this.segments.some((s) => s.id === id)) {
+        errors.push({ field: "send_to.segment_ids", message: `segment ${id} does not exist` });
+      }
+    }
+    for (const id of body.send_to?.list_ids || []) {
+      if (!this.lists.some((l) => l.id === id)) {
+        errors.push({ field: "send_to.list_ids", message: `list ${id} does not exist` });
+      }
+    }
+    if (errors.length) throw responseError(400, errors);
+
+    const now = new Date().toISOString();
+    const singleSend = {
+      ...this._clone(body),
+      id: this._uuid(),
+      status: "draft",
+      send_at: null,
+      created_at: now,
+      updated_at: now,
+    };
+    this.singleSends.push(singleSend);
+    return this._reply(201, this._clone(singleSend));
+  }
+
+  _singleSendById(method, id, body) {
+    const singleSend = this.singleSends.find((s) => s.id === id);
+    if (!singleSend) throw responseError(404, "single send not found");
+
+    if (method === "PATCH") {
+      if (singleSend.status !== "draft") {
+        throw responseError(400, "only draft single sends can be updated");
+      }
+      const { email_config, ...rest } = this._clone(body || {});
+      Object.assign(singleSend, rest, { updated_at: new Date().toISOString() });
+      if (email_config) singleSend.email_config = { ...singleSend.email_config, ...email_config };
+    } else if (method === "POST") {
+      // Duplicating copies the content into a new draft
+      const now = new Date().toISOString();
+      const copy = {
+        ...this._clone(singleSend),
+        id: this._uuid(),
+        name: body?.name || `Copy of ${singleSend.name}`,
+        status: "draft",
+        send_at: null,
+        created_at: now,
+        updated_at: now,
+      };
+      this.singleSends.push(copy);
+      return this._reply(201, this._clone(copy));
+    } else if (method === "DELETE") {
+      this.singleSends = this.singleSends.filter((s) => s !== singleSend);
+      delete this.singleSendStats[id];
+      return this._reply(204, "");
+    }
+
+    return this._reply(200, this._clone(singleSend));
+  }
+
+  _scheduleSingleSend(method, id, body) {
+    const singleSend = this.singleSends.find((s) => s.id === id);
+    if (!singleSend) throw responseError(404, "single send not found");
+
+    if (method === "DELETE") {
+      if (singleSend.status !== "scheduled") {
+        throw responseError(400, "single send is not scheduled");
+      }
+      Object.assign(singleSend, { status: "draft", send_at: null });
+      return this._reply(200, this._clone(singleSend));
+    }
+
+    const sendAt = body?.send_at;
+    if (sendAt !== "now" && Number.isNaN(Date.parse(sendAt))) {
+      throw responseError(400, [{ field: "send_at", message: "send_at must be 'now' or an ISO 8601 date" }]);
+    }
+    if (singleSend.status !== "draft") {
+      throw responseError(400, "single send is already scheduled or sent");
+    }
+
+    // Sending "now" triggers immediately
+    singleSend.status = sendAt === "now" ? "triggered" : "scheduled";
+    singleSend.send_at = sendAt === "now" ? new Date().toISOString() : new Date(sendAt).toISOString();
+    if (singleSend.status === "triggered") this._recordDelivery(singleSend);
+    return this._reply(201, { id, send_at: singleSend.send_at, status: singleSend.status });
+  }
+
+  _singleSendStats(id) {
+    if (!this.singleSends.some((s) => s.id === id)) {
+      throw responseError(404, "single send not found");
+    }
+
+    const stats = this.singleSendStats[id];
+    const results = stats
+      ? [{ id, ab_variation: "all", ab_phase: "all", aggregation: "total", stats: { ...stats } }]
+      : [];
+    return this._reply(200, { results, _metadata: { count: results.length } });
+  }
+
+  _recordDelivery(singleSend) {
+    // Count every contact in the targeted segments and lists once
+    const segments = this.segments.filter((s) => singleSend.send_to?.segment_ids?.includes(s.id));
+    const listIds = singleSend.send_to?.list_ids || [];
+    const audience = this.contacts.filter(
+      (c) =>
+        listIds.some((id) => c.list_ids.includes(id)) ||
+        segments.some((segment) => this._segmentMatches(segment, c))
+    );
+
+    this.singleSendStats[singleSend.id] = {
+      requests: audience.length,
+      delivered: audience.length,
+      bounces: 0,
+      bounce_drops: 0,
+      invalid_emails: 0,
+      opens: 0,
+      unique_opens: 0,
+      clicks: 0,
+      unique_clicks: 0,
+      spam_reports: 0,
+      spam_report_drops: 0,
+      unsubscribes: 0,
+    };
+  }
+
+  // ------------------------------
+  // Suppression groups
+  // ------------------------------
+
+  _listGroups() {
+    return this._reply(
+      200,
+      this.suppressionGroups.map(({ emails, ...group }) => ({ ...group, unsubscribes: emails.length }))
+    );
+  }
+
+  _createGroup(body) {
+    if (!body?.name) throw responseError(400, [{ field: "name", message: "name is required" }]);
+    const group = { id: this._id(), name: body.name, description: body.description || "", is_default: false, emails: [] };
+    this.suppressionGroups.push(group);
+    const { emails, ...serialized } = group;
+    return this._reply(201, serialized);
+  }
+
+  _findGroup(id) {
+    const group = this.suppressionGroups.find((g) => String(g.id) === String(id));
+    if (!group) throw responseError(404, "suppression group not found");
+    return group;
+  }
+
+  _groupSuppressions(method, id, body) {
+    const group = this._findGroup(id);
+    if (method === "POST") {
+      const emails = (body?.recipient_emails || []).map((e) => String(e).toLowerCase());
+      if (!emails.length) {
+        throw responseError(400, [{ field: "recipient_emails", message: "recipient_emails is required" }]);
+      }
+      group.emails = [...new Set([...group.emails, ...emails])];
+      return this._reply(201, { recipient_emails: emails });
+    }
+    return this._reply(200, [...group.emails]);
+  }
+
+  _searchGroupSuppressions(id, body) {
+    const group = this._findGroup(id);
+    const emails = (body?.recipient_emails || []).map((e) => String(e).toLowerCase());
+    return this._reply(200, emails.filter((e) => group.emails.includes(e)));
+  }
+
+  _deleteGroupSuppression(id, email) {
+    const group = this._findGroup(id);
+    group.emails = group.emails.filter((e) => e !== email.toLowerCase());
+    return this._reply(204, "");
+  }
+
+  // ------------------------------
+  // Helpers
+  // ------------------------------
+
+  _throwQueuedFailure(method, url) {
+    const failure = this._failures.find((f) => {
+      if (f.method && f.method.toUpperCase() !== method) return false;
+      if (!f.url) return true;
+      if (f.url instanceof RegExp) return f.url.test(url);
+      return url.startsWith(f.url);
+    });
+    if (!failure) return;
+
+    if (--failure.times <= 0) this._failures = this._failures.filter((f) => f !== failure);
+    throw responseError(failure.status, failure.errors || `Simulated ${failure.status} error`, failure.headers);
+  }
+
+  _reply(statusCode, body) {
+    return [this._response(statusCode, body), body];
+  }
+
+  _response(statusCode, body, headers = {}) {
+    return { statusCode, body, headers };
+  }
+
+  _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  _id() {
+    return this._nextId++;
+  }
+
+  _uuid() {
+    return `00000000-0000-4000-8000-${String(this._id()).padStart(12, "0")}`;
+  }
+}
+
+module.exports = InMemorySendGridTransport;
+module.exports.compileSgql = compileSgql;
+module.exports.responseError = responseError;
@@ -0,0 +1,117 @@
+// services/transports/ObservedTransport.js
+const crypto = require("crypto");
+
+/**
+ * Reads the HTTP status of a transport response or error.
+ *
+ * @param {Object} source - A response or an error.
+ * @returns {number|undefined} The status, if there was a response.
+ */
+function _statusOf(source) {
+  const status = source?.statusCode ?? source?.response?.statusCode ?? source?.code;
+  return typeof status === "number" ? status : undefined;
+}
+
+/**
+ * Transport wrapper reporting every call of a `ResilientTransport`.
+ *
+ * Each call gets a request ID, either passed as `requestId` or generated. A
+ * `retry` event is emitted before every retry, and a `request` event once the
+ * call settles, with its status, number of attempts and duration.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class ObservedTransport {
+  /**
+   * @param {import("./ResilientTransport.js")} inner - The transport to wrap.
+   * @param {Function} emit - Called with the event name and its data.
+   * @param {Object} [options] - Wrapper options.
+   * @param {Function} [options.now] - Clock returning milliseconds, for tests.
+   */
+  constructor(inner, emit, { now = Date.now } = {}) {
+    this.inner = inner;
+    this.emit = emit;
+    this.now = now;
+  }
+
+  /**
+   * The wrapped transport's circuit breaker.
+   *
+   * @returns {import("./ResilientTransport.js").CircuitBreaker} The breaker.
+   */
+  get breaker() {
+    return this.inner.breaker;
+  }
+
+  /**
+   * Performs a SendGrid v3 API request and reports it.
+   *
+   * @param {Object} options - As for `ResilientTransport#request`, plus an optional `requestId`.
+   * @returns {Promise<[Object, Object]>} The response tuple.
+   */
+  request({ requestId, ...options }) {
+    const call = { method: String(options.method || "GET").toUpperCase(), url: options.url };
+    return this._observe(requestId, call, (onRetry) => this.inner.request({ ...options, onRetry }));
+  }
+
+  /**
+   * Sends mail and reports the request.
+   *
+   * @param {Object|Object[]} msg - The message or messages to send.
+   * @param {boolean} [isMultiple=false] - Whether to send one message per recipient.
+   * @param {Object} [options] - As for `ResilientTransport#send`, plus an optional `requestId`.
+   * @returns {Promise<[Object, Object]>} The response tuple.
+   */
+  send(msg, isMultiple = false, { requestId, ...options } = {}) {
+    const call = { method: "POST", url: "/v3/mail/send" };
+    return this._observe(requestId, call, (onRetry) =>
+      this.inner.send(msg, isMultiple, { ...options, onRetry })
+    );
+  }
+
+  /**
+   * Runs a call, emitting its `retry` and `request` events.
+   *
+   * @param {string} [requestId] - The caller's request ID.
+   * @param {Object} call - `{ method, url }` of the request.
+   * @param {Function} fn - Makes the call, given the retry callback.
+   * @returns {Promise<*>} The call's result.
+   */
+  async _observe(requestId = crypto.randomUUID(), { method, url }, fn) {
+    const startedAt = this.now();
+    let attempts = 1;
+
+    const onRetry = ({ attempt, delayMs, error }) => {
+      attempts++;
+      this.emit("retry", {
+        requestId,
+        source: "transport",
+        method,
+        url,
+        attempt,
+        delayMs,
+        status: _statusOf(error),
+        error: error.message,
+      });
+    };
+
+    // Report the call however it settles
+    const report = (details) => {
+      const durationMs = this.now() - startedAt;
+      this.emit("request", { requestId, method, url, ...details, attempts, durationMs });
+    };
+
+    try {
+      const result = await fn(onRetry);
+      report({ status: _statusOf(result?.[0]) });
+      return result;
+    } catch (err) {
+      report({ status: _statusOf(err), error: err.message });
+      throw err;
+    }
+  }
+}
+
+module.exports = ObservedTransport;
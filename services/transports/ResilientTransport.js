@@ -0,0 +1,295 @@
+// services/transports/ResilientTransport.js
+
+// Methods that can be repeated without changing the outcome
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// Network errors raised before the request reached SendGrid, safe to retry for any method
+const CONNECT_ERROR_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+// Network errors after which the request may or may not have been processed
+const NETWORK_ERROR_CODES = [
+  ...CONNECT_ERROR_CODES,
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EPIPE",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+];
+
+/**
+ * Retry and circuit breaker settings.
+ *
+ * @typedef {Object} RetryPolicy
+ * @property {number} retries - Retries after the first attempt.
+ * @property {number} baseDelayMs - Backoff before the first retry, doubled after each further one.
+ * @property {number} maxDelayMs - Longest wait before a retry; a longer Retry-After fails instead.
+ * @property {number} failureThreshold - Consecutive outage failures that open the circuit.
+ * @property {number} resetTimeoutMs - How long an open circuit fails fast before letting a trial call through.
+ * @property {Function} [random] - Returns a number in [0, 1) for jitter, for tests.
+ * @property {Function} [sleep] - Waits the given milliseconds, for tests.
+ * @property {Function} [now] - Returns the time in milliseconds, for tests.
+ */
+
+// Defaults, overridable per policy and through the environment
+const DEFAULT_RETRY_POLICY = {
+  retries: parseRetries(process.env.SENDGRID_MAX_RETRIES),
+  baseDelayMs: 500,
+  maxDelayMs: 30 * 1000,
+  failureThreshold: 5,
+  resetTimeoutMs: 30 * 1000,
+};
+
+/**
+ * Reads a retry count such as `SENDGRID_MAX_RETRIES`.
+ *
+ * Anything but a non-negative integer falls back to the default, so a typo
+ * cannot turn into endless retries.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {string|number} [value] - The configured count.
+ * @param {number} [fallback=3] - The count used when `value` is missing or invalid.
+ * @returns {number} The retry count.
+ */
+function parseRetries(value, fallback = 3) {
+  const retries = typeof value === "string" && /^\d+$/.test(value.trim()) ? Number(value) : value;
+  return Number.isInteger(retries) && retries >= 0 ? retries : fallback;
+}
+
+/**
+ * Reads the HTTP status of a transport error.
+ *
+ * @param {Error} err - The error.
+ * @returns {number|undefined} The status, if the request got a response.
+ */
+function _statusOf(err) {
+  const status = err.response?.statusCode ?? err.code;
+  return typeof status === "number" ? status : undefined;
+}
+
+/**
+ * Reads how long SendGrid asked us to wait, from `Retry-After` (seconds or an
+ * HTTP date) or `X-RateLimit-Reset` (epoch seconds).
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ * @param {Object} [headers] - Response headers.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {number|null} The wait in milliseconds, or null if no header says.
+ */
+function retryAfterMs(headers, now = Date.now()) {
+  const header = (name) => {
+    if (!headers) return undefined;
+    const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+    return key === undefined ? undefined : String(headers[key]).trim();
+  };
+
+  const retryAfter = header("retry-after");
+  if (retryAfter) {
+    if (/^\d+(\.\d+)?$/.test(retryAfter)) return Math.ceil(Number(retryAfter) * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  const reset = header("x-ratelimit-reset");
+  if (reset && /^\d+$/.test(reset)) return Math.max(0, Number(reset) * 1000 - now);
+
+  return null;
+}
+
+/**
+ * Fails calls fast while SendGrid is down.
+ *
+ * Opens after `failureThreshold` consecutive outage failures, then rejects
+ * calls for `resetTimeoutMs`. After that one trial call is let through: if it
+ * succeeds the circuit closes, otherwise it opens again.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options.
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit.
+   * @param {number} options.resetTimeoutMs - How long the circuit stays open.
+   * @param {Function} [options.now] - Clock returning milliseconds.
+   */
+  constructor({ failureThreshold, resetTimeoutMs, now = Date.now }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * The circuit state.
+   *
+   * @returns {string} `closed`, `open` or `half-open`.
+   */
+  get state() {
+    if (this.openedAt === null) return "closed";
+    return this.now() - this.openedAt >= this.resetTimeoutMs ? "half-open" : "open";
+  }
+
+  /**
+   * Throws if calls should fail fast, otherwise admits the call.
+   *
+   * @returns {void}
+   * @throws {Error} With code `CIRCUIT_OPEN` and `retryAfter` in seconds.
+   */
+  assertClosed() {
+    const state = this.state;
+    if (state === "closed") return;
+    if (state === "half-open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    const waitMs = Math.max(0, this.openedAt + this.resetTimeoutMs - this.now());
+    const err = new Error("SendGrid is unavailable: circuit breaker open");
+    err.code = "CIRCUIT_OPEN";
+    err.retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+    throw err;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.trialInFlight || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+    }
+    this.trialInFlight = false;
+  }
+}
+
+/**
+ * Transport wrapper applying a retry policy and a circuit breaker to every
+ * call of another transport.
+ *
+ * Rate limits (429) are retried for any request, waiting as long as
+ * `Retry-After` or `X-RateLimit-Reset` asks. 5xx responses and dropped
+ * connections are only retried for idempotent methods, or requests passed
+ * with `idempotent: true` (such as read-only searches), so a POST that may
+ * have been processed is never sent twice. Backoff is exponential with full
+ * jitter.
+ *
+ * @since 1.0
+ * @version 1.1
+ * @author Linden May
+ */
+class ResilientTransport {
+  /**
+   * @param {import("./SendGridTransport.js").Transport} inner - The transport to wrap.
+   * @param {Partial<RetryPolicy>} [policy] - Overrides for `DEFAULT_RETRY_POLICY`.
+   */
+  constructor(inner, policy = {}) {
+    this.inner = inner;
+    this.policy = {
+      random: Math.random,
+      sleep: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+      now: Date.now,
+      ...DEFAULT_RETRY_POLICY,
+      ...policy,
+    };
+    this.breaker = new CircuitBreaker({
+      failureThreshold: this.policy.failureThreshold,
+      resetTimeoutMs: this.policy.resetTimeoutMs,
+      now: () => this.policy.now(),
+    });
+  }
+
+  /**
+   * Performs a SendGrid v3 API request under the retry policy.
+   *
+   * @param {Object} options - Request options (`method`, `url`, `body`, `qs`), plus
+   *   `idempotent: true` to allow retrying a POST or PATCH after 5xx and network errors,
+   *   and an `onRetry` callback called with `{ attempt, delayMs, error }` before each retry.
+   * @returns {Promise<[Object, Object]>} The response tuple.
+   */
+  request({ idempotent, onRetry, ...options }) {
+    const method = String(options.method || "GET").toUpperCase();
+    return this._call(() => this.inner.request(options), {
+      idempotent: idempotent ?? IDEMPOTENT_METHODS.includes(method),
+      onRetry,
+    });
+  }
+
+  /**
+   * Sends mail under the retry policy. Mail sends are POSTs, so only rate
+   * limits and failed connections are retried unless `idempotent` is set.
+   *
+   * @param {Object|Object[]} msg - The message or messages to send.
+   * @param {boolean} [isMultiple=false] - Whether to send one message per recipient.
+   * @param {Object} [options] - `{ idempotent, onRetry }`, as for `request`.
+   * @returns {Promise<[Object, Object]>} The response tuple.
+   */
+  send(msg, isMultiple = false, { idempotent = false, onRetry } = {}) {
+    return this._call(() => this.inner.send(msg, isMultiple), { idempotent, onRetry });
+  }
+
+  /**
+   * Runs a call, retrying it as the policy allows.
+   *
+   * @param {Function} fn - The call.
+   * @param {Object} options - `{ idempotent, onRetry }`.
+   * @returns {Promise<*>} The call's result.
+   */
+  async _call(fn, { idempotent, onRetry }) {
+    const { retries, baseDelayMs, maxDelayMs } = this.policy;
+
+    for (let attempt = 0; ; attempt++) {
+      this.breaker.assertClosed();
+
+      try {
+        const result = await fn();
+        this.breaker.recordSuccess();
+        return result;
+      } catch (err) {
+        const status = _statusOf(err);
+        const outage = status === undefined ? NETWORK_ERROR_CODES.includes(err.code) : status >= 500;
+
+        // Only outages count towards opening the circuit
+        if (outage) {
+          this.breaker.recordFailure();
+        } else {
+          this.breaker.recordSuccess();
+        }
+
+        const retryable =
+          status === 429 ||
+          (status === undefined && CONNECT_ERROR_CODES.includes(err.code)) ||
+          (outage && idempotent);
+        if (!retryable || attempt >= retries) throw err;
+
+        // Wait as long as SendGrid asks, or back off exponentially with full jitter
+        const requested = retryAfterMs(err.response?.headers, this.policy.now());
+        const delay =
+          requested ?? Math.floor(this.policy.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+        // Surface long rate limit windows instead of holding the caller
+        if (delay > maxDelayMs) throw err;
+
+        onRetry?.({ attempt: attempt + 1, delayMs: delay, error: err });
+        await this.policy.sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = ResilientTransport;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.retryAfterMs = retryAfterMs;
+module.exports.parseRetries = parseRetries;
+module.exports.DEFAULT_RETRY_POLICY = DEFAULT_RETRY_POLICY;
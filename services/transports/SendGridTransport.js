@@ -0,0 +1,68 @@
+// services/transports/SendGridTransport.js
+
+// Import the SendGrid client and mail service classes
+const { Client } = require("@sendgrid/client");
+const { MailService } = require("@sendgrid/mail");
+
+/**
+ * A transport is the only thing `TwilioSendGrid` talks to. Any object with
+ * these two methods can be plugged in via `TwilioSendGrid.setTransport()`.
+ *
+ * @typedef {Object} Transport
+ * @property {function(Object): Promise<[Object, Object]>} request - Performs a
+ *   SendGrid v3 API request (`{ method, url, body, qs }`) and resolves with
+ *   `[response, body]`, where `response` has `statusCode`, `headers` and `body`.
+ * @property {function(Object|Object[], boolean=): Promise<[Object, Object]>} send -
+ *   Sends one or more mail messages through the v3 Mail Send endpoint.
+ */
+
+/**
+ * Transport backed by the official SendGrid SDK, talking to the live API.
+ *
+ * Each instance owns its own client, so several API keys can coexist in one process.
+ *
+ * @since 1.0
+ * @version 1.0
+ * @author Linden May
+ */
+class SendGridTransport {
+  /**
+   * @param {Object} options - Transport options.
+   * @param {string} options.apiKey - The SendGrid API key.
+   * @throws {Error} If no API key is given.
+   */
+  constructor({ apiKey }) {
+    if (!apiKey) throw new Error("SendGridTransport requires an apiKey");
+
+    // Create an isolated API client for this key
+    this.client = new Client();
+    this.client.setApiKey(apiKey);
+
+    // Route mail sends through the same client
+    this.mail = new MailService();
+    this.mail.setClient(this.client);
+  }
+
+  /**
+   * Performs a SendGrid v3 API request.
+   *
+   * @param {Object} options - Request options (`method`, `url`, `body`, `qs`).
+   * @returns {Promise<[Object, Object]>} The SDK response tuple.
+   */
+  request(options) {
+    return this.client.request(options);
+  }
+
+  /**
+   * Sends mail through the v3 Mail Send endpoint.
+   *
+   * @param {Object|Object[]} msg - The message or messages to send.
+   * @param {boolean} [isMultiple=false] - Whether to send one message per recipient.
+   * @returns {Promise<[Object, Object]>} The SDK response tuple.
+   */
+  send(msg, isMultiple = false) {
+    return this.mail.send(msg, isMultiple);
+  }
+}
+
+module.exports = SendGridTransport;
@@ -0,0 +1,799 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+const request = require('supertest');
+
+const TwilioSendGrid = require('../services/TwilioSendGrid');
+const TwilioSms = require('../services/TwilioSms');
+const SendGridEventWebhook = require('../services/SendGridEventWebhook');
+const EmailOutbox = require('../services/EmailOutbox');
+const PrometheusMetrics = require('../services/metrics');
+const InMemorySendGridTransport = require('../services/transports/InMemorySendGridTransport');
+const { computeTwilioSignature } = require('../middleware/twilioSignature');
+const { createApp } = require('../app');
+
+describe('HTTP API', function () {
+
+    const apiKey = 'internal-test-key';
+    const { publicKey: webhookKey, privateKey: webhookSigningKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    let fake;
+    let app;
+
+    beforeEach(function () {
+        fake = new InMemorySendGridTransport();
+        TwilioSendGrid.setTransport(fake);
+        TwilioSendGrid.resetInternalCache();
+        TwilioSendGrid.listCreationDelay = 0;
+        TwilioSms.setOptOutStore(new TwilioSms.MemoryOptOutStore());
+        app = createApp({
+            service: TwilioSendGrid,
+            smsService: TwilioSms,
+            apiKeys: [apiKey],
+            twilioSignature: { authToken: 'twilio-token', baseUrl: 'https://api.example.com' },
+            eventWebhookOptions: { publicKey: webhookKey.export({ type: 'spki', format: 'der' }).toString('base64') }
+        });
+        SendGridEventWebhook.reset();
+    });
+
+    afterEach(function () {
+        TwilioSendGrid.setTransport(null);
+        TwilioSendGrid.resetInternalCache();
+        TwilioSendGrid.setIdempotencyStore(null);
+        TwilioSendGrid.setScheduledSendStore(null);
+    });
+
+    const validEmail = {
+        to: 'fan@example.com',
+        from: 'creator@example.com',
+        templateKey: 'new-order-email',
+        dynamicTemplateData: {
+            order_id: '123ABC',
+            user_name: 'Test User',
+            items: [{ item_name: 'T-Shirt', price: '$19.99' }]
+        }
+    };
+
+    describe('Authentication', function () {
+
+        it('should expose the health check without an API key', async function () {
+            const res = await request(app).get('/health');
+            expect(res.status).to.equal(200);
+        });
+
+        it('should reject requests without an API key', async function () {
+            const res = await request(app).post('/emails').send(validEmail);
+            expect(res.status).to.equal(401);
+            expect(res.body.error.code).to.equal('UNAUTHORIZED');
+        });
+
+        it('should accept the API key as a Bearer token', async function () {
+            const res = await request(app)
+                .post('/emails')
+                .set('Authorization', `Bearer ${apiKey}`)
+                .send(validEmail);
+            expect(res.status).to.equal(202);
+        });
+    });
+
+    describe('POST /emails', function () {
+
+        it('should send the email and return the message id', async function () {
+            const res = await request(app).post('/emails').set('x-api-key', apiKey).send(validEmail);
+            expect(res.status).to.equal(202);
+            expect(res.body.accepted).to.equal(true);
+            expect(res.body.messageId).to.equal(fake.mailSends[0].messageId);
+            expect(res.body.sanitized).to.deep.equal([]);
+            expect(fake.mailSends[0].templateId).to.equal('d-1234567890abcdef1234567890abcdef');
+        });
+
+        it('should report every body violation', async function () {
+            const res = await request(app)
+                .post('/emails')
+                .set('x-api-key', apiKey)
+                .send({ to: 'fan@example.com', cc: 'not-an-array' });
+            expect(res.status).to.equal(400);
+            expect(res.body.error.details.map((d) => d.field)).to.have.members([
+                'from', 'templateKey', 'dynamicTemplateData', 'cc'
+            ]);
+        });
+
+        it('should map service validation errors to 400', async function () {
+            const res = await request(app)
+                .post('/emails')
+                .set('x-api-key', apiKey)
+                .send({ ...validEmail, templateKey: 'nope' });
+            expect(res.status).to.equal(400);
+            expect(res.body.error.message).to.equal('Unknown templateKey: nope');
+        });
+
+        it('should name the fields behind typed service errors', async function () {
+            const res = await request(app)
+                .post('/emails')
+                .set('x-api-key', apiKey)
+                .send({ ...validEmail, replyTo: 'not-an-email' });
+            expect(res.status).to.equal(400);
+            expect(res.body.error).to.deep.equal({
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid reply-to email: not-an-email',
+                fields: ['replyTo']
+            });
+        });
+
+        it('should return template data violations as details', async function () {
+            const res = await request(app)
+                .post('/emails')
+                .set('x-api-key', apiKey)
+                .send({ ...validEmail, dynamicTemplateData: { order_id: 1, user_name: 'A', items: [{}] } });
+            expect(res.status).to.equal(400);
+            expect(res.body.error.details.map((d) => d.field)).to.deep.equal(['order_id', 'items[0].item_name', 'items[0].price']);
+        });
+
+        it('should validate template data without sending', async function () {
+            const res = await request(app)
+                .post('/templates/password-reset/validate')
+                .set('x-api-key', apiKey)
+                .send({ dynamicTemplateData: { reset_link: 'ftp://x', user_email: 'a@example.com' } });
+            expect(res.status).to.equal(200);
+            expect(res.body.valid).to.equal(false);
+            expect(res.body.violations[0].field).to.equal('reset_link');
+            expect(fake.mailSends).to.have.lengthOf(0);
+        });
+
+        it('should reject malformed JSON', async function () {
+            const res = await request(app)
+                .post('/emails')
+                .set('x-api-key', apiKey)
+                .set('Content-Type', 'application/json')
+                .send('{"to":');
+            expect(res.status).to.equal(400);
+            expect(res.body.error.code).to.equal('INVALID_JSON');
+        });
+
+        it('should send once per Idempotency-Key', async function () {
+            const send = (body) => request(app).post('/emails').set('x-api-key', apiKey).set('Idempotency-Key', 'order-123').send(body);
+
+            const first = await send(validEmail);
+            const second = await send(validEmail);
+            expect(second.status).to.equal(202);
+            expect(second.body.messageId).to.equal(first.body.messageId);
+            expect(fake.mailSends).to.have.lengthOf(1);
+
+            const conflict = await send({ ...validEmail, to: 'other@example.com' });
+            expect(conflict.status).to.equal(409);
+            expect(conflict.body.error.code).to.equal('IDEMPOTENCY_CONFLICT');
+        });
+
+        it('should send base64 attachments but never read server files', async function () {
+            const res = await request(app)
+                .post('/emails')
+                .set('x-api-key', apiKey)
+                .send({
+                    ...validEmail,
+                    categories: ['orders'],
+                    attachments: [{ content: Buffer.from('%PDF-1.7').toString('base64'), filename: 'invoice.pdf' }]
+                });
+            expect(res.status).to.equal(202);
+            expect(fake.mailSends[0].attachments[0]).to.include({ filename: 'invoice.pdf', type: 'application/pdf' });
+
+            const refused = await request(app)
+                .post('/emails')
+                .set('x-api-key', apiKey)
+                .send({ ...validEmail, attachments: [{ path: '/etc/passwd' }] });
+            expect(refused.status).to.equal(400);
+            expect(refused.body.error.message).to.equal('Invalid attachment 0: give exactly one of content, stream or path');
+        });
+
+        it('should report accepted and rejected recipients of a batch', async function () {
+            const res = await request(app)
+                .post('/emails/batch')
+                .set('x-api-key', apiKey)
+                .send({
+                    from: validEmail.from,
+                    templateKey: validEmail.templateKey,
+                    recipients: [
+                        { to: 'fan@example.com', dynamicTemplateData: validEmail.dynamicTemplateData },
+                        { to: 'other@example.com', dynamicTemplateData: { order_id: '1' } }
+                    ]
+                });
+            expect(res.status).to.equal(200);
+            expect(res.body.accepted.map((a) => a.to)).to.deep.equal(['fan@example.com']);
+            expect(res.body.rejected[0]).to.include({ index: 1, to: 'other@example.com' });
+            expect(res.body.rejected[0].violations).to.have.lengthOf(2);
+        });
+
+        it('should map upstream failures to 502', async function () {
+            fake.failNext({ url: 'mail', status: 500 });
+            const res = await request(app).post('/emails').set('x-api-key', apiKey).send(validEmail);
+            expect(res.status).to.equal(502);
+            expect(res.body.error.code).to.equal('PROVIDER_ERROR');
+        });
+    });
+
+    describe('Template previews', function () {
+
+        it('should render a preview with its violations', async function () {
+            const res = await request(app)
+                .post('/templates/new-order-email/preview')
+                .set('x-api-key', apiKey)
+                .send({ dynamicTemplateData: { order_id: '123ABC', items: [{ item_name: 'Mug', price: '$9.00' }] } });
+            expect(res.status).to.equal(200);
+            expect(res.body).to.include({ subject: 'Your order 123ABC is confirmed', valid: false });
+            expect(res.body.violations[0].field).to.equal('user_name');
+            expect(res.body.text).to.include('Mug 1 $9.00');
+            expect(fake.mailSends).to.have.lengthOf(0);
+        });
+
+        it('should serve the rendered HTML when asked', async function () {
+            const res = await request(app)
+                .post('/templates/password-reset/preview?format=html')
+                .set('x-api-key', apiKey)
+                .send({ dynamicTemplateData: { reset_link: 'https://example.com/r', user_email: 'a@example.com' } });
+            expect(res.status).to.equal(200);
+            expect(res.headers['content-type']).to.match(/^text\/html/);
+            expect(res.text).to.include('href="https://example.com/r"');
+        });
+
+        it('should return 400 for unknown templates', async function () {
+            const res = await request(app)
+                .post('/templates/nope/preview')
+                .set('x-api-key', apiKey)
+                .send({ dynamicTemplateData: {} });
+            expect(res.status).to.equal(400);
+            expect(res.body.error.code).to.equal('VALIDATION_ERROR');
+        });
+    });
+
+    describe('Template sync', function () {
+
+        const resetId = 'd-abcdef1234567890abcdef1234567890';
+
+        beforeEach(function () {
+            fake.templates.push({ id: resetId, name: 'Password reset', generation: 'dynamic', versions: [] });
+        });
+
+        it('should report drift against SendGrid', async function () {
+            const res = await request(app).get('/templates/drift').set('x-api-key', apiKey);
+            expect(res.status).to.equal(200);
+            expect(res.body.inSync).to.equal(false);
+            expect(res.body.missing.map((m) => m.reason)).to.deep.equal(['not_found', 'invalid_id']);
+            expect(res.body.noActiveVersion).to.deep.equal([{ templateKey: 'password-reset', templateId: resetId }]);
+        });
+
+        it('should push a template as a new active version', async function () {
+            const res = await request(app)
+                .post('/templates/password-reset/versions')
+                .set('x-api-key', apiKey)
+                .send({ testData: { reset_link: 'https://example.com/r', user_email: 'a@example.com' } });
+            expect(res.status).to.equal(201);
+            expect(res.body).to.include({ templateId: resetId, created: true, activated: true });
+            expect(fake.templates[0].versions[0].active).to.equal(1);
+
+            const again = await request(app).post('/templates/password-reset/versions').set('x-api-key', apiKey).send({});
+            expect(again.status).to.equal(200);
+            expect(again.body.created).to.equal(false);
+        });
+
+        it('should return 404 for templates missing from SendGrid and report failures when pushing all', async function () {
+            const res = await request(app).post('/templates/new-order-email/versions').set('x-api-key', apiKey).send({});
+            expect(res.status).to.equal(404);
+
+            const all = await request(app).post('/templates/sync').set('x-api-key', apiKey).send({ activate: false });
+            expect(all.status).to.equal(200);
+            expect(all.body.pushed.map((p) => p.templateKey)).to.deep.equal(['password-reset']);
+            expect(all.body.failed.map((f) => f.templateKey)).to.deep.equal(['new-order-email', 'creator-broadcast']);
+        });
+
+        it('should accept pushes without a body', async function () {
+            const res = await request(app).post('/templates/password-reset/versions').set('x-api-key', apiKey);
+            expect(res.status).to.equal(201);
+            expect(res.body).to.include({ templateId: resetId, created: true, activated: true });
+
+            const all = await request(app).post('/templates/sync').set('x-api-key', apiKey);
+            expect(all.status).to.equal(200);
+            expect(all.body.pushed.map((p) => p.templateKey)).to.deep.equal(['password-reset']);
+        });
+    });
+
+    describe('Custom fields', function () {
+
+        it('should provision the configured fields and report conflicts', async function () {
+            fake.fieldDefinitions.push({ id: 'e1_N', name: 'promo', field_type: 'Number' });
+
+            const dryRun = await request(app).post('/custom-fields/sync?dryRun=true').set('x-api-key', apiKey);
+            expect(dryRun.status).to.equal(200);
+            expect(dryRun.body.created).to.deep.equal([{ name: 'weekly_newsletter', fieldType: 'Text', fieldId: null }]);
+            expect(fake.fieldDefinitions).to.have.lengthOf(1);
+
+            const res = await request(app).post('/custom-fields/sync').set('x-api-key', apiKey);
+            expect(res.status).to.equal(200);
+            expect(res.body.created.map((f) => f.name)).to.deep.equal(['weekly_newsletter']);
+            expect(res.body.conflicts).to.deep.equal([{ name: 'promo', expected: 'Text', actual: 'Number', fieldId: 'e1_N' }]);
+        });
+    });
+
+    describe('Sender lists and recipients', function () {
+
+        it('should create the sender list', async function () {
+            const res = await request(app).put('/senders/42/list').set('x-api-key', apiKey);
+            expect(res.status).to.equal(200);
+            expect(res.body.name).to.equal('sender_42_list');
+        });
+
+        it('should subscribe a recipient and return them by tag', async function () {
+            const list = (await request(app).put('/senders/42/list').set('x-api-key', apiKey)).body;
+
+            const sub = await request(app)
+                .put(`/lists/${list.id}/recipients`)
+                .set('x-api-key', apiKey)
+                .send({ email: 'fan@example.com', customFields: { weekly_newsletter: true }, subscribe: true });
+            expect(sub.status).to.equal(200);
+
+            const res = await request(app)
+                .get('/senders/42/recipients')
+                .query({ tag: 'weekly_newsletter' })
+                .set('x-api-key', apiKey);
+            expect(res.status).to.equal(200);
+            expect(res.body.list.id).to.equal(list.id);
+            expect(res.body.recipients.map((r) => r.email)).to.deep.equal(['fan@example.com']);
+        });
+
+        it('should require a tag when listing recipients', async function () {
+            const res = await request(app).get('/senders/42/recipients').set('x-api-key', apiKey);
+            expect(res.status).to.equal(400);
+        });
+
+        it('should return 404 when removing an unknown recipient', async function () {
+            const res = await request(app)
+                .delete('/recipients/ghost@example.com/lists')
+                .set('x-api-key', apiKey);
+            expect(res.status).to.equal(404);
+        });
+
+        it('should return 400 for an invalid email on removal', async function () {
+            const res = await request(app).delete('/recipients/not-an-email/lists').set('x-api-key', apiKey);
+            expect(res.status).to.equal(400);
+        });
+    });
+
+    describe('Blocking', function () {
+
+        it('should block a recipient and refuse sends for that sender with 403', async function () {
+            const block = await request(app)
+                .post('/senders/42/blocks')
+                .set('x-api-key', apiKey)
+                .send({ email: 'fan@example.com' });
+            expect(block.status).to.equal(201);
+
+            const status = await request(app).get('/senders/42/blocks/fan@example.com').set('x-api-key', apiKey);
+            expect(status.body).to.deep.equal({ blocked: true });
+
+            const res = await request(app)
+                .post('/emails')
+                .set('x-api-key', apiKey)
+                .send({ ...validEmail, senderId: '42' });
+            expect(res.status).to.equal(403);
+            expect(res.body.error.code).to.equal('RECIPIENT_BLOCKED');
+        });
+
+        it('should unblock a recipient', async function () {
+            await request(app).post('/senders/42/blocks').set('x-api-key', apiKey).send({ email: 'fan@example.com' });
+            const res = await request(app).delete('/senders/42/blocks/fan@example.com').set('x-api-key', apiKey);
+            expect(res.status).to.equal(200);
+            expect(res.body.unblocked).to.equal(true);
+        });
+    });
+
+    describe('SMS', function () {
+
+        const inbound = { From: '+15005550006', Body: 'STOP' };
+
+        it('should validate SMS request bodies', async function () {
+            const res = await request(app).post('/sms').set('x-api-key', apiKey).send({ to: '+15005550006' });
+            expect(res.status).to.equal(400);
+            expect(res.body.error.details.map((d) => d.field)).to.have.members(['templateKey', 'templateData']);
+        });
+
+        it('should apply STOP keywords from signed Twilio webhooks', async function () {
+            const signature = computeTwilioSignature('twilio-token', 'https://api.example.com/webhooks/twilio/sms', inbound);
+            const res = await request(app)
+                .post('/webhooks/twilio/sms')
+                .type('form')
+                .set('X-Twilio-Signature', signature)
+                .send(inbound);
+            expect(res.status).to.equal(200);
+            expect(res.text).to.equal('<Response></Response>');
+            expect(await TwilioSms.isOptedOut('+15005550006')).to.equal(true);
+
+            const send = await request(app)
+                .post('/sms')
+                .set('x-api-key', apiKey)
+                .send({ to: '+15005550006', templateKey: 'verification-code', templateData: { code: '1234' } });
+            expect(send.status).to.equal(403);
+            expect(send.body.error.code).to.equal('RECIPIENT_OPTED_OUT');
+        });
+
+        it('should reject webhooks with an invalid signature', async function () {
+            const res = await request(app)
+                .post('/webhooks/twilio/sms')
+                .type('form')
+                .set('X-Twilio-Signature', 'forged')
+                .send(inbound);
+            expect(res.status).to.equal(403);
+            expect(await TwilioSms.isOptedOut('+15005550006')).to.equal(false);
+        });
+
+        it('should reject non-ASCII signatures of the expected length', async function () {
+            // The UTF-8 bytes of the last character arrive as two Latin-1 characters
+            const signature = computeTwilioSignature('twilio-token', 'https://api.example.com/webhooks/twilio/sms', inbound);
+            const res = await request(app)
+                .post('/webhooks/twilio/sms')
+                .type('form')
+                .set('X-Twilio-Signature', `${signature.slice(0, -2)}\u00e9`)
+                .send(inbound);
+            expect(res.status).to.equal(403);
+            expect(res.body.error.code).to.equal('INVALID_SIGNATURE');
+        });
+    });
+
+    describe('SendGrid event webhook', function () {
+
+        const payload = JSON.stringify([{ event: 'delivered', email: 'fan@example.com', timestamp: 1, sg_event_id: 'e1' }]);
+
+        it('should accept signed event batches', async function () {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const signature = crypto.sign('sha256', Buffer.from(timestamp + payload), webhookSigningKey).toString('base64');
+
+            const res = await request(app)
+                .post('/webhooks/sendgrid/events')
+                .set('Content-Type', 'application/json')
+                .set('X-Twilio-Email-Event-Webhook-Signature', signature)
+                .set('X-Twilio-Email-Event-Webhook-Timestamp', timestamp)
+                .send(payload);
+            expect(res.status).to.equal(200);
+            expect(res.body.processed).to.equal(1);
+        });
+
+        it('should reject unsigned event batches without an API key check', async function () {
+            const res = await request(app)
+                .post('/webhooks/sendgrid/events')
+                .set('Content-Type', 'application/json')
+                .send(payload);
+            expect(res.status).to.equal(403);
+            expect(res.body.error.code).to.equal('INVALID_SIGNATURE');
+        });
+
+        it('should map signed but malformed batches to 400', async function () {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const malformed = JSON.stringify({ event: 'delivered' });
+            const signature = crypto.sign('sha256', Buffer.from(timestamp + malformed), webhookSigningKey).toString('base64');
+
+            const res = await request(app)
+                .post('/webhooks/sendgrid/events')
+                .set('Content-Type', 'application/json')
+                .set('X-Twilio-Email-Event-Webhook-Signature', signature)
+                .set('X-Twilio-Email-Event-Webhook-Timestamp', timestamp)
+                .send(malformed);
+            expect(res.status).to.equal(400);
+            expect(res.body.error).to.deep.equal({
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid event payload: expected an array of events'
+            });
+        });
+    });
+
+    describe('POST /campaigns', function () {
+
+        beforeEach(async function () {
+            await TwilioSendGrid.ensureCustomFieldExists('creator_name');
+        });
+
+        it('should create and schedule the campaign', async function () {
+            const list = (await request(app).put('/senders/42/list').set('x-api-key', apiKey)).body;
+            const res = await request(app)
+                .post('/campaigns')
+                .set('x-api-key', apiKey)
+                .send({
+                    listId: list.id,
+                    tag: 'creator_name',
+                    templateKey: 'creator-broadcast',
+                    dynamicData: { senderId: '42' }
+                });
+            expect(res.status).to.equal(201);
+            expect(res.body.campaignId).to.equal(fake.singleSends[0].id);
+            expect(res.body.segmentId).to.equal(fake.segments[0].id);
+        });
+
+        it('should accept a target condition tree', async function () {
+            const list = await TwilioSendGrid.ensureSenderListExists('42');
+            const res = await request(app)
+                .post('/campaigns')
+                .set('x-api-key', apiKey)
+                .send({
+                    target: { listIds: [list.id], conditions: { field: 'country', operator: 'eq', value: 'US' } },
+                    templateKey: 'creator-broadcast',
+                    dynamicData: { senderId: '42' }
+                });
+            expect(res.status).to.equal(201);
+            expect(fake.segments[0].query_dsl).to.contain("country = 'US'");
+        });
+
+        it('should map invalid conditions to 400 with every violation', async function () {
+            const res = await request(app)
+                .post('/campaigns')
+                .set('x-api-key', apiKey)
+                .send({
+                    target: { listIds: ['list-1'], conditions: { and: [{ field: 'nope', operator: 'eq', value: 1 }, { field: 'country', operator: 'gt', value: 'A' }] } },
+                    templateKey: 'creator-broadcast',
+                    dynamicData: { senderId: '42' }
+                });
+            expect(res.status).to.equal(400);
+            expect(res.body.error.code).to.equal('VALIDATION_ERROR');
+            expect(res.body.error.details).to.have.lengthOf(2);
+        });
+
+        it('should map an invalid tag to 400', async function () {
+            const res = await request(app)
+                .post('/campaigns')
+                .set('x-api-key', apiKey)
+                .send({
+                    listId: 'list-1',
+                    tag: 'unknown_tag',
+                    templateKey: 'creator-broadcast',
+                    dynamicData: { senderId: '42' }
+                });
+            expect(res.status).to.equal(400);
+        });
+    });
+
+    describe('Campaign lifecycle', function () {
+
+        beforeEach(async function () {
+            await TwilioSendGrid.ensureCustomFieldExists('creator_name');
+        });
+
+        it('should reschedule, update, duplicate, report on and delete a campaign', async function () {
+            const list = await TwilioSendGrid.ensureSenderListExists('42');
+            const { body: created } = await request(app)
+                .post('/campaigns')
+                .set('x-api-key', apiKey)
+                .send({ listId: list.id, tag: 'creator_name', templateKey: 'creator-broadcast', dynamicData: { senderId: '42' }, sendAt: new Date(Date.now() + 3600e3).toISOString() });
+            const url = `/campaigns/${created.campaignId}`;
+
+            let res = await request(app).get(url).set('x-api-key', apiKey);
+            expect(res.body.status).to.equal('scheduled');
+
+            res = await request(app).delete(`${url}/schedule`).set('x-api-key', apiKey);
+            expect(res.body.status).to.equal('draft');
+
+            res = await request(app).patch(url).set('x-api-key', apiKey).send({ name: 'Renamed' });
+            expect(res.body.name).to.equal('Renamed');
+
+            res = await request(app).put(`${url}/schedule`).set('x-api-key', apiKey).send({ sendAt: 'now' });
+            expect(res.body.status).to.equal('triggered');
+
+            res = await request(app).get(`${url}/stats`).set('x-api-key', apiKey);
+            expect(res.body).to.include({ campaignId: created.campaignId, requests: 0 });
+
+            res = await request(app).post(`${url}/duplicate`).set('x-api-key', apiKey).send({});
+            expect(res.status).to.equal(201);
+            expect(res.body.status).to.equal('draft');
+
+            res = await request(app).delete(url).set('x-api-key', apiKey);
+            expect(res.body.deleted).to.equal(true);
+        });
+
+        it('should map lifecycle errors', async function () {
+            let res = await request(app).get('/campaigns/missing').set('x-api-key', apiKey);
+            expect(res.status).to.equal(404);
+
+            res = await request(app).put('/campaigns/missing/schedule').set('x-api-key', apiKey).send({ sendAt: '2001-01-01' });
+            expect(res.status).to.equal(400);
+            expect(res.body.error.code).to.equal('VALIDATION_ERROR');
+
+            const list = await TwilioSendGrid.ensureSenderListExists('42');
+            const { body: sent } = await request(app)
+                .post('/campaigns')
+                .set('x-api-key', apiKey)
+                .send({ listId: list.id, tag: 'creator_name', templateKey: 'creator-broadcast', dynamicData: { senderId: '42' }, sendAt: 'now' });
+            res = await request(app).delete(`/campaigns/${sent.campaignId}/schedule`).set('x-api-key', apiKey);
+            expect(res.status).to.equal(409);
+            expect(res.body.error.code).to.equal('CAMPAIGN_STATE_CONFLICT');
+        });
+    });
+
+    describe('Campaign segments', function () {
+
+        beforeEach(async function () {
+            await TwilioSendGrid.ensureCustomFieldExists('creator_name');
+        });
+
+        it('should list, clean up and delete a sender\'s segments', async function () {
+            const list = await TwilioSendGrid.ensureSenderListExists('42');
+            const { body: campaign } = await request(app)
+                .post('/campaigns')
+                .set('x-api-key', apiKey)
+                .send({ listId: list.id, tag: 'creator_name', templateKey: 'creator-broadcast', dynamicData: { senderId: '42' }, sendAt: 'now' });
+
+            let res = await request(app).get('/senders/42/segments').set('x-api-key', apiKey);
+            expect(res.status).to.equal(200);
+            expect(res.body.segments.map((s) => [s.id, s.inUse])).to.deep.equal([[campaign.segmentId, false]]);
+
+            res = await request(app).delete(`/senders/42/segments/${campaign.segmentId}`).set('x-api-key', apiKey);
+            expect(res.body).to.deep.equal({ deleted: true });
+
+            res = await request(app).delete(`/senders/42/segments/${campaign.segmentId}`).set('x-api-key', apiKey);
+            expect(res.status).to.equal(404);
+
+            res = await request(app).post('/senders/42/segments/cleanup').set('x-api-key', apiKey);
+            expect(res.body).to.deep.equal({ deleted: [], kept: [] });
+        });
+
+        it('should refuse to delete segments used by pending campaigns', async function () {
+            const list = await TwilioSendGrid.ensureSenderListExists('42');
+            const { body: campaign } = await request(app)
+                .post('/campaigns')
+                .set('x-api-key', apiKey)
+                .send({ listId: list.id, tag: 'creator_name', templateKey: 'creator-broadcast', dynamicData: { senderId: '42' }, sendAt: new Date(Date.now() + 3600e3).toISOString() });
+
+            const res = await request(app).delete(`/senders/42/segments/${campaign.segmentId}`).set('x-api-key', apiKey);
+            expect(res.status).to.equal(409);
+            expect(res.body.error.code).to.equal('SEGMENT_IN_USE');
+        });
+    });
+
+    describe('Scheduled sends', function () {
+
+        it('should schedule, list and cancel a transactional email', async function () {
+            const sendAt = new Date(Math.floor(Date.now() / 1000 + 24 * 3600) * 1000).toISOString();
+            const sent = await request(app).post('/emails').set('x-api-key', apiKey).send({ ...validEmail, sendAt });
+            expect(sent.status).to.equal(202);
+            expect(sent.body).to.include({ sendAt, batchId: fake.mailBatches[0] });
+
+            const listed = await request(app).get('/scheduled-sends').set('x-api-key', apiKey);
+            expect(listed.body.scheduledSends.map((b) => b.batchId)).to.deep.equal([sent.body.batchId]);
+
+            const cancelled = await request(app).post(`/scheduled-sends/${sent.body.batchId}/cancel`).set('x-api-key', apiKey);
+            expect(cancelled.body).to.deep.equal({ batchId: sent.body.batchId, status: 'cancelled' });
+            expect((await request(app).get('/scheduled-sends').set('x-api-key', apiKey)).body.scheduledSends).to.deep.equal([]);
+        });
+
+        it('should map unknown batches to 404', async function () {
+            const res = await request(app).post('/scheduled-sends/nope/pause').set('x-api-key', apiKey);
+            expect(res.status).to.equal(404);
+        });
+    });
+
+    describe('Email outbox', function () {
+
+        beforeEach(function () {
+            EmailOutbox.service = TwilioSendGrid;
+            EmailOutbox.setStores(new EmailOutbox.MemoryOutboxStore(), new EmailOutbox.MemoryOutboxStore());
+        });
+
+        afterEach(function () {
+            EmailOutbox.service = null;
+            EmailOutbox.setStores(null, null);
+        });
+
+        it('should queue emails and report their status', async function () {
+            let res = await request(app).post('/outbox/emails').set('x-api-key', apiKey).send(validEmail);
+            expect(res.status).to.equal(202);
+            expect(res.body).to.include({ queued: true, status: 'queued' });
+            const { id } = res.body;
+
+            res = await request(app).get('/outbox').set('x-api-key', apiKey);
+            expect(res.body).to.include({ depth: 1, queued: 1 });
+
+            await EmailOutbox.drain();
+            res = await request(app).get(`/outbox/messages/${id}`).set('x-api-key', apiKey);
+            expect(res.body).to.include({ id, status: 'sent' });
+            expect(fake.mailSends).to.have.lengthOf(1);
+        });
+
+        it('should list and retry dead letters', async function () {
+            fake.failNext({ url: 'mail', status: 400 });
+            const { body: queued } = await request(app).post('/outbox/emails').set('x-api-key', apiKey).send(validEmail);
+            await EmailOutbox.drain();
+
+            let res = await request(app).get('/outbox/dead-letters').set('x-api-key', apiKey);
+            expect(res.body.deadLetters.map((m) => m.id)).to.deep.equal([queued.id]);
+
+            res = await request(app).post(`/outbox/dead-letters/${queued.id}/retry`).set('x-api-key', apiKey);
+            expect(res.status).to.equal(202);
+            expect(res.body.status).to.equal('queued');
+        });
+
+        it('should map invalid emails to 400 and unknown messages to 404', async function () {
+            let res = await request(app).post('/outbox/emails').set('x-api-key', apiKey).send({ ...validEmail, to: 'nope' });
+            expect(res.status).to.equal(400);
+
+            res = await request(app).get('/outbox/messages/missing').set('x-api-key', apiKey);
+            expect(res.status).to.equal(404);
+
+            res = await request(app).post('/outbox/dead-letters/missing/retry').set('x-api-key', apiKey);
+            expect(res.status).to.equal(404);
+        });
+    });
+
+    describe('Rate limiting', function () {
+
+        afterEach(function () {
+            TwilioSendGrid.configureRetryPolicy();
+        });
+
+        it('should pass SendGrid 429s through with Retry-After', async function () {
+            fake.failNext({ url: 'mail', status: 429, headers: { 'retry-after': '120' } });
+            const res = await request(app).post('/emails').set('x-api-key', apiKey).send(validEmail);
+            expect(res.status).to.equal(429);
+            expect(res.headers['retry-after']).to.equal('120');
+        });
+
+        it('should report other SendGrid failures as 502 with their messages', async function () {
+            fake.failNext({ url: 'mail', status: 400, errors: [{ field: 'from', message: 'The from address does not match a verified Sender Identity' }] });
+            const res = await request(app).post('/emails').set('x-api-key', apiKey).send(validEmail);
+            expect(res.status).to.equal(502);
+            expect(res.body.error).to.deep.equal({
+                code: 'PROVIDER_ERROR',
+                message: 'Failed to send email: The from address does not match a verified Sender Identity'
+            });
+        });
+
+        it('should wait out short rate limits', async function () {
+            const waits = [];
+            TwilioSendGrid.configureRetryPolicy({ sleep: async (ms) => waits.push(ms) });
+            fake.failNext({ url: 'mail', status: 429, headers: { 'retry-after': '2' } });
+
+            const res = await request(app).post('/emails').set('x-api-key', apiKey).send(validEmail);
+            expect(res.status).to.equal(202);
+            expect(waits).to.deep.equal([2000]);
+        });
+
+        it('should fail fast with 503 while the circuit is open', async function () {
+            TwilioSendGrid.configureRetryPolicy({ failureThreshold: 1, resetTimeoutMs: 10000 });
+            fake.failNext({ url: 'mail', status: 500 });
+            await request(app).post('/emails').set('x-api-key', apiKey).send(validEmail);
+
+            const res = await request(app).post('/emails').set('x-api-key', apiKey).send(validEmail);
+            expect(res.status).to.equal(503);
+            expect(res.body.error.code).to.equal('PROVIDER_UNAVAILABLE');
+            expect(res.headers['retry-after']).to.equal('10');
+            expect(fake.mailSends).to.have.lengthOf(0);
+        });
+    });
+
+    describe('Metrics', function () {
+
+        let metrics;
+        let stopMetrics;
+
+        beforeEach(function () {
+            metrics = new PrometheusMetrics();
+            stopMetrics = metrics.observe(TwilioSendGrid.events);
+            app = createApp({ service: TwilioSendGrid, apiKeys: [apiKey], metrics });
+        });
+
+        afterEach(function () {
+            stopMetrics();
+        });
+
+        it('should serve the service metrics to authenticated scrapers', async function () {
+            await request(app).post('/emails').set('x-api-key', apiKey).send(validEmail);
+
+            let res = await request(app).get('/metrics');
+            expect(res.status).to.equal(401);
+
+            res = await request(app).get('/metrics').set('Authorization', `Bearer ${apiKey}`);
+            expect(res.status).to.equal(200);
+            expect(res.headers['content-type']).to.match(/^text\/plain;/).and.include('version=0.0.4');
+            expect(res.text).to.include('sendgrid_sends_total{kind="email",outcome="sent"} 1');
+            expect(res.text).to.include('sendgrid_requests_total{method="POST",route="/v3/mail/send",status="202"} 1');
+        });
+
+        it('should not expose metrics unless given', async function () {
+            const res = await request(createApp({ service: TwilioSendGrid, apiKeys: [apiKey] }))
+                .get('/metrics')
+                .set('x-api-key', apiKey);
+            expect(res.status).to.equal(404);
+        });
+    });
+
+});
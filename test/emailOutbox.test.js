@@ -0,0 +1,299 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const EmailOutbox = require('../services/EmailOutbox');
+const TwilioSendGrid = require('../services/TwilioSendGrid');
+const { TwilioSendGridClient } = TwilioSendGrid;
+const InMemorySendGridTransport = require('../services/transports/InMemorySendGridTransport');
+const { ValidationError, NotFoundError } = require('../services/errors');
+
+const { MemoryOutboxStore, FileOutboxStore, TokenBucket } = EmailOutbox;
+
+describe('EmailOutbox', function () {
+
+    const email = (to = 'fan@example.com') => ({
+        to,
+        from: 'creator@example.com',
+        templateKey: 'password-reset',
+        dynamicTemplateData: { user_email: to, reset_link: 'https://example.com/reset' }
+    });
+    const defaults = { ...EmailOutbox.options };
+    let fake;
+    let clock;
+
+    beforeEach(function () {
+        fake = new InMemorySendGridTransport();
+        TwilioSendGrid.setTransport(fake);
+        TwilioSendGrid.resetInternalCache();
+
+        clock = Date.parse('2026-03-01T12:00:00Z');
+        EmailOutbox.now = () => clock;
+        EmailOutbox.service = TwilioSendGrid;
+        EmailOutbox.setStores(new MemoryOutboxStore(), new MemoryOutboxStore());
+        EmailOutbox.configure({ ...defaults, ratePerSecond: 10, burst: 10, maxAttempts: 3, backoffMs: 1000 });
+    });
+
+    afterEach(async function () {
+        await EmailOutbox.stop();
+        EmailOutbox.now = () => Date.now();
+        EmailOutbox.service = null;
+        EmailOutbox.accounts = new Map();
+        EmailOutbox.setStores(null, null);
+        EmailOutbox.configure(defaults);
+        TwilioSendGrid.setTransport(null);
+    });
+
+    describe('Enqueueing', function () {
+
+        it('should store valid emails without sending them', async function () {
+            const message = await EmailOutbox.enqueue(email());
+
+            expect(message).to.include({ status: 'queued', attempts: 0 });
+            expect(fake.mailSends).to.have.lengthOf(0);
+            expect(await EmailOutbox.getStats()).to.deep.equal({ depth: 1, queued: 1, sending: 0, sent: 0, dead: 0 });
+        });
+
+        it('should store attachments base64-encoded', async function () {
+            const { id } = await EmailOutbox.enqueue({
+                ...email(),
+                attachments: [{ content: Buffer.from('%PDF-1.7'), filename: 'invoice.pdf' }]
+            });
+
+            const { payload } = await EmailOutbox.getMessage(id);
+            expect(payload.attachments[0]).to.include({ content: Buffer.from('%PDF-1.7').toString('base64'), type: 'application/pdf' });
+
+            await EmailOutbox.drain();
+            expect(fake.mailSends[0].attachments).to.deep.equal(payload.attachments);
+        });
+
+        it('should reject invalid emails up front', async function () {
+            try {
+                await EmailOutbox.enqueue(email('not-an-email'));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Invalid recipient email: not-an-email');
+            }
+            expect((await EmailOutbox.getStats()).depth).to.equal(0);
+        });
+    });
+
+    describe('Draining', function () {
+
+        it('should send queued emails and record their SendGrid message ID', async function () {
+            const { id } = await EmailOutbox.enqueue(email());
+
+            expect(await EmailOutbox.drain()).to.deep.equal({ sent: 1, retried: 0, dead: 0 });
+
+            const message = await EmailOutbox.getMessage(id);
+            expect(message).to.include({ status: 'sent', attempts: 1 });
+            expect(message.messageId).to.equal(fake.mailSends[0].messageId);
+            expect((await EmailOutbox.getStats()).depth).to.equal(0);
+        });
+
+        it('should not send faster than the token bucket allows', async function () {
+            EmailOutbox.configure({ ratePerSecond: 2, burst: 2 });
+            for (let i = 0; i < 5; i++) await EmailOutbox.enqueue(email(`fan${i}@example.com`));
+
+            expect((await EmailOutbox.drain()).sent).to.equal(2);
+            expect((await EmailOutbox.drain()).sent).to.equal(0);
+
+            clock += 1000;
+            expect((await EmailOutbox.drain()).sent).to.equal(2);
+            expect((await EmailOutbox.getStats()).depth).to.equal(1);
+        });
+
+        it('should retry transient failures with exponential backoff', async function () {
+            fake.failNext({ url: 'mail', status: 503, times: 2 });
+            const { id } = await EmailOutbox.enqueue(email());
+
+            expect((await EmailOutbox.drain()).retried).to.equal(1);
+            let message = await EmailOutbox.getMessage(id);
+            expect(message).to.include({ status: 'queued', attempts: 1 });
+            expect(message.nextAttemptAt).to.equal(new Date(clock + 1000).toISOString());
+
+            // Not due yet
+            expect(await EmailOutbox.drain()).to.deep.equal({ sent: 0, retried: 0, dead: 0 });
+
+            clock += 1000;
+            await EmailOutbox.drain();
+            message = await EmailOutbox.getMessage(id);
+            expect(message.nextAttemptAt).to.equal(new Date(clock + 2000).toISOString());
+
+            clock += 2000;
+            expect((await EmailOutbox.drain()).sent).to.equal(1);
+            expect((await EmailOutbox.getMessage(id)).attempts).to.equal(3);
+        });
+
+        it('should dead-letter permanent failures straight away', async function () {
+            fake.failNext({ url: 'mail', status: 400, errors: [{ message: 'bad template' }] });
+            const { id } = await EmailOutbox.enqueue(email());
+
+            expect((await EmailOutbox.drain()).dead).to.equal(1);
+
+            const [dead] = await EmailOutbox.listDeadLetters();
+            expect(dead).to.include({ id, status: 'dead', attempts: 1 });
+            expect(dead.lastError).to.match(/^Failed to send email/);
+            expect(await EmailOutbox.getStats()).to.include({ depth: 0, dead: 1 });
+        });
+
+        it('should dead-letter messages that run out of attempts, and retry them on request', async function () {
+            fake.failNext({ url: 'mail', status: 500, times: 3 });
+            const { id } = await EmailOutbox.enqueue(email());
+
+            for (let i = 0; i < 3; i++) {
+                await EmailOutbox.drain();
+                clock += 60 * 1000;
+            }
+            expect((await EmailOutbox.getMessage(id)).status).to.equal('dead');
+
+            const requeued = await EmailOutbox.retryDeadLetter(id);
+            expect(requeued).to.include({ status: 'queued', attempts: 0 });
+            expect(await EmailOutbox.listDeadLetters()).to.have.lengthOf(0);
+
+            expect((await EmailOutbox.drain()).sent).to.equal(1);
+        });
+
+        it('should share a drain between overlapping calls', async function () {
+            await EmailOutbox.enqueue(email());
+            const [first, second] = await Promise.all([EmailOutbox.drain(), EmailOutbox.drain()]);
+
+            expect(first).to.equal(second);
+            expect(fake.mailSends).to.have.lengthOf(1);
+        });
+
+        it('should log failed worker drains through the service logger', async function () {
+            const logs = [];
+            EmailOutbox.service = { logger: { error: (msg, fields) => logs.push({ msg, ...fields }) } };
+            EmailOutbox.configure({ intervalMs: 10 });
+            await EmailOutbox.start();
+
+            const failing = new MemoryOutboxStore();
+            failing.all = async () => {
+                throw Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+            };
+            EmailOutbox.setStores(failing, new MemoryOutboxStore());
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            await EmailOutbox.stop();
+
+            expect(logs[0]).to.deep.equal({ msg: 'Email outbox drain failed', code: 'ENOSPC', error: 'disk full' });
+        });
+    });
+
+    describe('Accounts', function () {
+
+        let brandFake;
+
+        beforeEach(function () {
+            brandFake = new InMemorySendGridTransport();
+            EmailOutbox.registerAccount('brand', new TwilioSendGridClient({ transport: brandFake, senderId: 7 }));
+        });
+
+        it('should send each message through the account it was queued for', async function () {
+            const branded = await EmailOutbox.enqueue(email('brand@example.com'), { account: 'brand' });
+            const plain = await EmailOutbox.enqueue(email());
+
+            expect(branded.account).to.equal('brand');
+            expect(plain.account).to.equal(null);
+            expect((await EmailOutbox.drain()).sent).to.equal(2);
+            expect(brandFake.mailSends.map((m) => m.to)).to.deep.equal(['brand@example.com']);
+            expect(fake.mailSends.map((m) => m.to)).to.deep.equal(['fan@example.com']);
+        });
+
+        it('should refuse unknown accounts up front', async function () {
+            for (const account of ['other', '../brand']) {
+                try {
+                    await EmailOutbox.enqueue(email(), { account });
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err).to.be.instanceOf(ValidationError);
+                    expect(err.message).to.equal(`Unknown outbox account: ${account}`);
+                }
+            }
+            expect(() => EmailOutbox.registerAccount('../brand', {})).to.throw('Invalid outbox account: ../brand');
+        });
+
+        it('should dead-letter messages whose account is no longer registered', async function () {
+            const { id } = await EmailOutbox.enqueue(email(), { account: 'brand' });
+
+            // A restart that forgets to register the account
+            EmailOutbox.accounts = new Map();
+            expect((await EmailOutbox.drain()).dead).to.equal(1);
+            expect((await EmailOutbox.getMessage(id)).lastError).to.equal('Unknown outbox account: brand');
+
+            EmailOutbox.registerAccount('brand', new TwilioSendGridClient({ transport: brandFake, senderId: 7 }));
+            await EmailOutbox.retryDeadLetter(id);
+            expect((await EmailOutbox.drain()).sent).to.equal(1);
+            expect(fake.mailSends).to.have.lengthOf(0);
+        });
+    });
+
+    describe('Durability', function () {
+
+        let dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const fileStores = () => [
+            new FileOutboxStore(path.join(dir, 'messages')),
+            new FileOutboxStore(path.join(dir, 'dead'))
+        ];
+
+        it('should keep queued messages across a restart', async function () {
+            EmailOutbox.setStores(...fileStores());
+            const { id } = await EmailOutbox.enqueue(email());
+
+            // A new process opens the same directory
+            EmailOutbox.setStores(...fileStores());
+            expect((await EmailOutbox.getStats()).depth).to.equal(1);
+
+            await EmailOutbox.drain();
+            expect((await EmailOutbox.getMessage(id)).status).to.equal('sent');
+            expect(fs.readdirSync(path.join(dir, 'messages'))).to.deep.equal([`${id}.json`]);
+        });
+
+        it('should requeue messages interrupted mid-send', async function () {
+            const [store, dead] = fileStores();
+            EmailOutbox.setStores(store, dead);
+            const message = await EmailOutbox.enqueue(email());
+            await store.put({ ...message, status: 'sending', attempts: 1 });
+
+            EmailOutbox.setStores(...fileStores());
+            expect(await EmailOutbox.recover()).to.equal(1);
+
+            await EmailOutbox.drain();
+            expect(await EmailOutbox.getMessage(message.id)).to.include({ status: 'sent', attempts: 2 });
+        });
+
+        it('should refuse IDs that are not plain names', async function () {
+            EmailOutbox.setStores(...fileStores());
+            try {
+                await EmailOutbox.getMessage('../../etc/passwd');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(NotFoundError);
+                expect(err.message).to.equal('Outbox message not found: ../../etc/passwd');
+            }
+        });
+    });
+
+    describe('TokenBucket', function () {
+
+        it('should refill at the configured rate up to its capacity', function () {
+            let now = 0;
+            const bucket = new TokenBucket({ ratePerSecond: 4, burst: 2, now: () => now });
+
+            expect([bucket.tryTake(), bucket.tryTake(), bucket.tryTake()]).to.deep.equal([true, true, false]);
+            expect(bucket.waitTime()).to.equal(250);
+
+            now += 10000;
+            expect([bucket.tryTake(), bucket.tryTake(), bucket.tryTake()]).to.deep.equal([true, true, false]);
+        });
+    });
+});
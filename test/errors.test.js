@@ -0,0 +1,88 @@
+const { expect } = require('chai');
+const {
+    SendGridServiceError,
+    ValidationError,
+    NotFoundError,
+    ProviderError,
+    RateLimitError,
+    fromUpstreamError
+} = require('../services/errors');
+
+describe('errors', function () {
+
+    // Builds an error shaped like the transports' ResponseError
+    function responseError(status, messages = [], headers = {}) {
+        const err = new Error(messages[0] || `HTTP ${status}`);
+        err.code = status;
+        err.response = { statusCode: status, headers, body: { errors: messages.map((message) => ({ message })) } };
+        return err;
+    }
+
+    describe('Error classes', function () {
+
+        it('should carry a code, fields and violations', function () {
+            const violations = [
+                { field: 'order_id', code: 'type', message: 'Invalid order_id' },
+                { field: 'order_id', code: 'format', message: 'Invalid order_id format' },
+                { field: '', code: 'json', message: 'Invalid JSON' }
+            ];
+            const err = new ValidationError('Invalid template data', { violations });
+
+            expect(err).to.be.instanceOf(SendGridServiceError);
+            expect(err).to.be.instanceOf(Error);
+            expect(err).to.include({ name: 'ValidationError', code: 'VALIDATION_ERROR', retryable: false });
+            expect(err.fields).to.deep.equal(['order_id']);
+            expect(err.violations).to.equal(violations);
+        });
+
+        it('should keep an explicit code and fields', function () {
+            const err = new NotFoundError('Custom field not found: tier', { code: 'FIELD_NOT_FOUND', fields: ['tier'] });
+            expect(err).to.include({ code: 'FIELD_NOT_FOUND' });
+            expect(err.fields).to.deep.equal(['tier']);
+        });
+    });
+
+    describe('fromUpstreamError', function () {
+
+        it('should join SendGrid messages and keep the raw errors', function () {
+            const cause = responseError(400, ['name is required', 'subject is required']);
+            const err = fromUpstreamError(cause, 'create template version');
+
+            expect(err).to.be.instanceOf(ProviderError);
+            expect(err.message).to.equal('Failed to create template version: name is required; subject is required');
+            expect(err).to.include({ code: 'PROVIDER_ERROR', upstreamStatus: 400, retryable: false, cause });
+            expect(err.upstreamErrors).to.deep.equal([{ message: 'name is required' }, { message: 'subject is required' }]);
+        });
+
+        it('should turn a 404 into a not found error when a message is given', function () {
+            const err = fromUpstreamError(responseError(404), 'fetch campaign', { notFound: 'Campaign not found: 42' });
+            expect(err).to.be.instanceOf(NotFoundError);
+            expect(err).to.include({ message: 'Campaign not found: 42', upstreamStatus: 404 });
+
+            expect(fromUpstreamError(responseError(404), 'fetch campaign')).to.be.instanceOf(ProviderError);
+        });
+
+        it('should mark rate limits, 5xx and network errors as retryable', function () {
+            const limited = fromUpstreamError(responseError(429, [], { 'retry-after': '30' }), 'send email');
+            expect(limited).to.be.instanceOf(RateLimitError);
+            expect(limited).to.include({ code: 'RATE_LIMITED', retryAfter: 30, retryable: true });
+
+            expect(fromUpstreamError(responseError(503), 'send email').retryable).to.equal(true);
+            expect(fromUpstreamError(new Error('socket hang up'), 'send email')).to.include({
+                message: 'Failed to send email: socket hang up',
+                retryable: true
+            });
+        });
+
+        it('should report an open circuit as unavailable', function () {
+            const open = Object.assign(new Error('SendGrid circuit is open'), { code: 'CIRCUIT_OPEN', retryAfter: 5 });
+            const err = fromUpstreamError(open, 'send email');
+            expect(err).to.include({ code: 'PROVIDER_UNAVAILABLE', retryable: true, cause: open });
+        });
+
+        it('should pass typed errors through', function () {
+            const err = new ValidationError('Invalid tag: x');
+            expect(fromUpstreamError(err, 'search contacts')).to.equal(err);
+        });
+    });
+});
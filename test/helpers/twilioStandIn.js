@@ -0,0 +1,53 @@
+const http = require('http');
+
+/**
+ * Starts a local stand-in for the Twilio Messages endpoint.
+ *
+ * Every request is recorded in `messages`; queue a failure with `failNext`.
+ */
+async function startTwilioStandIn() {
+    const standIn = { messages: [], failures: [] };
+
+    standIn.failNext = (status, body) => standIn.failures.push({ status, body });
+
+    standIn.server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            const match = /^\/2010-04-01\/Accounts\/([^/]+)\/Messages\.json$/.exec(req.url);
+            if (req.method !== 'POST' || !match) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ code: 20404, message: 'Not found', status: 404 }));
+            }
+
+            const failure = standIn.failures.shift();
+            if (failure) {
+                res.writeHead(failure.status, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ status: failure.status, ...failure.body }));
+            }
+
+            const params = Object.fromEntries(new URLSearchParams(raw));
+            const message = {
+                sid: `SM${String(standIn.messages.length + 1).padStart(32, '0')}`,
+                account_sid: match[1],
+                to: params.To,
+                from: params.From || null,
+                messaging_service_sid: params.MessagingServiceSid || null,
+                body: params.Body,
+                status: 'queued',
+                authorization: req.headers.authorization
+            };
+            standIn.messages.push(message);
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(message));
+        });
+    });
+
+    await new Promise((resolve) => standIn.server.listen(0, '127.0.0.1', resolve));
+    standIn.url = `http://127.0.0.1:${standIn.server.address().port}`;
+    standIn.close = () => new Promise((resolve) => standIn.server.close(resolve));
+
+    return standIn;
+}
+
+module.exports = { startTwilioStandIn };
@@ -0,0 +1,151 @@
+const { expect } = require('chai');
+const InMemorySendGridTransport = require('../services/transports/InMemorySendGridTransport');
+
+const { compileSgql } = InMemorySendGridTransport;
+
+describe('InMemorySendGridTransport', function () {
+
+    let fake;
+
+    beforeEach(function () {
+        fake = new InMemorySendGridTransport();
+    });
+
+    describe('SGQL', function () {
+
+        const contact = {
+            id: 'c1',
+            email: 'fan@example.com',
+            list_ids: ['l1', 'l2'],
+            custom_fields: { weekly_newsletter: true, score: 7 }
+        };
+
+        it('should match equality, AND/OR and parentheses', function () {
+            expect(compileSgql("email = 'FAN@example.com'")(contact)).to.equal(true);
+            expect(compileSgql("email = 'x@example.com' OR (score > 5 AND weekly_newsletter = 'true')")(contact)).to.equal(true);
+            expect(compileSgql("email = 'fan@example.com' AND score < 5")(contact)).to.equal(false);
+        });
+
+        it('should support CONTAINS, IN, LIKE and IS NULL', function () {
+            expect(compileSgql("CONTAINS(list_ids, 'l2')")(contact)).to.equal(true);
+            expect(compileSgql("email IN ('a@example.com', 'fan@example.com')")(contact)).to.equal(true);
+            expect(compileSgql("email LIKE '%@example.com'")(contact)).to.equal(true);
+            expect(compileSgql('first_name IS NULL')(contact)).to.equal(true);
+        });
+
+        it('should evaluate relative timestamps', function () {
+            const recent = { ...contact, created_at: new Date(Date.now() - 5 * 86400e3).toISOString() };
+            const query = 'created_at >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL 30 DAY)';
+            expect(compileSgql(query)(recent)).to.equal(true);
+            expect(compileSgql(query)({ ...recent, created_at: '2001-01-01T00:00:00Z' })).to.equal(false);
+        });
+
+        it('should treat escaped quotes as part of the literal', function () {
+            const predicate = compileSgql("email = 'x\\' OR email LIKE \\'%'");
+            expect(predicate(contact)).to.equal(false);
+        });
+
+        it('should reject malformed queries', function () {
+            expect(() => compileSgql("email = 'unterminated")).to.throw('Unterminated string literal');
+            expect(() => compileSgql("email = 'a' OR")).to.throw();
+        });
+    });
+
+    describe('Requests', function () {
+
+        it('should return 400 with SendGrid errors for invalid searches', async function () {
+            try {
+                await fake.request({ method: 'POST', url: '/v3/marketing/contacts/search', body: { query: "email = '" } });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.code).to.equal(400);
+                expect(err.response.body.errors[0].field).to.equal('query');
+            }
+        });
+
+        it('should only return a sample of contacts from GET /v3/marketing/contacts', async function () {
+            const [listRes] = await fake.request({ method: 'POST', url: '/v3/marketing/lists', body: { name: 'big' } });
+            const contacts = Array.from({ length: 60 }, (_, i) => ({ email: `fan${i}@example.com` }));
+            await fake.request({ method: 'PUT', url: '/v3/marketing/contacts', body: { list_ids: [listRes.body.id], contacts } });
+
+            const [res] = await fake.request({ method: 'GET', url: `/v3/marketing/contacts?list_ids=${listRes.body.id}` });
+            expect(res.body.result).to.have.lengthOf(50);
+            expect(res.body.contact_count).to.equal(60);
+        });
+
+        it('should fail queued requests once and record every request', async function () {
+            fake.failNext({ method: 'GET', url: '/v3/marketing/lists', status: 503 });
+
+            try {
+                await fake.request({ method: 'GET', url: '/v3/marketing/lists' });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.code).to.equal(503);
+            }
+
+            const [res] = await fake.request({ method: 'GET', url: '/v3/marketing/lists' });
+            expect(res.statusCode).to.equal(200);
+            expect(fake.requests).to.have.lengthOf(2);
+        });
+
+        it('should create and evaluate Segments 2.0 queries', async function () {
+            const [list] = await fake.request({ method: 'POST', url: '/v3/marketing/lists', body: { name: 'l' } });
+            await fake.request({
+                method: 'PUT',
+                url: '/v3/marketing/contacts',
+                body: {
+                    list_ids: [list.body.id],
+                    contacts: [
+                        { email: 'us@example.com', country: 'US' },
+                        { email: 'fr@example.com', country: 'FR' }
+                    ]
+                }
+            });
+
+            const [created] = await fake.request({
+                method: 'POST',
+                url: '/v3/marketing/segments/2.0',
+                body: {
+                    name: 'us',
+                    query_dsl: "SELECT contact_id, updated_at FROM contact_data WHERE country = 'US'",
+                    parent_list_ids: [list.body.id]
+                }
+            });
+            expect(created.statusCode).to.equal(201);
+            expect(created.body.contacts_count).to.equal(1);
+
+            const [listed] = await fake.request({ method: 'GET', url: '/v3/marketing/segments/2.0' });
+            expect(listed.body.results[0]).to.include({ id: created.body.id, query_version: '2' });
+            expect(listed.body.results[0]).to.not.have.property('query_dsl');
+
+            try {
+                await fake.request({
+                    method: 'POST',
+                    url: '/v3/marketing/segments/2.0',
+                    body: { name: 'bad', query_dsl: "SELECT * FROM contact_data WHERE country = 'US'" }
+                });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.code).to.equal(400);
+                expect(err.response.body.errors[0].field).to.equal('query_dsl');
+            }
+        });
+
+        it('should refuse to delete segments used by pending single sends', async function () {
+            const [segment] = await fake.request({ method: 'POST', url: '/v3/marketing/segments', body: { name: 's' } });
+            await fake.request({
+                method: 'POST',
+                url: '/v3/marketing/singlesends',
+                body: { name: 'c', send_to: { segment_ids: [segment.body.id] } }
+            });
+
+            try {
+                await fake.request({ method: 'DELETE', url: `/v3/marketing/segments/${segment.body.id}` });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.code).to.equal(400);
+            }
+        });
+    });
+
+});
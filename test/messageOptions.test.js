@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { expect } = require('chai');
+const {
+    validateMessageOptions,
+    resolveAttachments,
+    detectMimeType
+} = require('../services/messageOptions');
+
+describe('messageOptions', function () {
+
+    const pdf = Buffer.from('%PDF-1.7 invoice');
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+
+    const expectInvalid = (fn, message) => {
+        try {
+            fn();
+            expect.fail('should have thrown');
+        } catch (err) {
+            expect(err.message).to.match(message);
+        }
+    };
+
+    describe('Validation', function () {
+
+        it('should return headers, categories and custom args as given', function () {
+            const options = {
+                headers: { 'X-Order-Id': '42' },
+                categories: ['orders', 'receipts'],
+                customArgs: { order_id: '42' }
+            };
+            expect(validateMessageOptions(options)).to.deep.equal(options);
+            expect(validateMessageOptions({})).to.deep.equal({});
+        });
+
+        it('should refuse reserved, malformed and multi-line headers', function () {
+            expectInvalid(() => validateMessageOptions({ headers: { Subject: 'x' } }), /^Invalid header: Subject is set by SendGrid$/);
+            expectInvalid(() => validateMessageOptions({ headers: { 'Bad Name': 'x' } }), /^Invalid header name/);
+            expectInvalid(() => validateMessageOptions({ headers: { 'X-A': 'x\r\nBcc: evil@example.com' } }), /line breaks/);
+            expectInvalid(() => validateMessageOptions({ headers: { 'X-A': 1 } }), /must be a string/);
+        });
+
+        it('should enforce SendGrid category and custom arg limits', function () {
+            const eleven = Array.from({ length: 11 }, (_, i) => `c${i}`);
+            expectInvalid(() => validateMessageOptions({ categories: eleven }), /at most 10/);
+            expectInvalid(() => validateMessageOptions({ categories: ['a', 'a'] }), /duplicates/);
+            expectInvalid(() => validateMessageOptions({ categories: ['café'] }), /^Invalid category/);
+            expectInvalid(() => validateMessageOptions({ customArgs: { big: 'x'.repeat(10000) } }), /larger than 10000 bytes/);
+            expectInvalid(() => validateMessageOptions({ customArgs: { n: 1 } }), /value of n must be a string/);
+        });
+
+        it('should check attachment shape without reading anything', function () {
+            expectInvalid(() => validateMessageOptions({ attachments: [{ filename: 'a.pdf' }] }), /exactly one of content, stream or path/);
+            expectInvalid(() => validateMessageOptions({ attachments: [{ content: pdf }] }), /a plain filename is required/);
+            expectInvalid(() => validateMessageOptions({ attachments: [{ content: pdf, filename: '../a.pdf' }] }), /a plain filename/);
+            expectInvalid(() => validateMessageOptions({ attachments: [{ content: 'not base64!', filename: 'a.txt' }] }), /base64/);
+            expectInvalid(() => validateMessageOptions({ attachments: [{ content: png, filename: 'logo.png', disposition: 'inline' }] }), /need a contentId/);
+            expectInvalid(() => validateMessageOptions({
+                attachments: [
+                    { content: png, filename: 'a.png', disposition: 'inline', contentId: 'logo' },
+                    { content: png, filename: 'b.png', disposition: 'inline', contentId: 'logo' }
+                ]
+            }), /duplicate contentId logo/);
+
+            // Paths are not touched until the attachments are resolved
+            expect(validateMessageOptions({ attachments: [{ path: '/does/not/exist.pdf' }] })).to.deep.equal({});
+        });
+    });
+
+    describe('Resolving attachments', function () {
+
+        let dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should read buffers, base64 strings, streams and files', async function () {
+            const file = path.join(dir, 'invoice.pdf');
+            fs.writeFileSync(file, pdf);
+
+            const resolved = await resolveAttachments([
+                { content: pdf, filename: 'a.pdf' },
+                { content: pdf.toString('base64'), filename: 'b.pdf' },
+                { stream: Readable.from([pdf.subarray(0, 4), pdf.subarray(4)]), filename: 'c.pdf' },
+                { path: file }
+            ]);
+
+            expect(resolved.map((a) => a.filename)).to.deep.equal(['a.pdf', 'b.pdf', 'c.pdf', 'invoice.pdf']);
+            for (const attachment of resolved) {
+                expect(attachment).to.include({ content: pdf.toString('base64'), type: 'application/pdf', disposition: 'attachment' });
+            }
+        });
+
+        it('should keep inline images with their content ID and refuse inline non-images', async function () {
+            const [logo] = await resolveAttachments([{ content: png, filename: 'logo', disposition: 'inline', contentId: 'logo' }]);
+            expect(logo).to.deep.equal({
+                content: png.toString('base64'),
+                filename: 'logo',
+                type: 'image/png',
+                disposition: 'inline',
+                contentId: 'logo'
+            });
+
+            try {
+                await resolveAttachments([{ content: pdf, filename: 'a.pdf', disposition: 'inline', contentId: 'a' }]);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Invalid attachment a.pdf: inline attachments must be images, got application/pdf');
+            }
+        });
+
+        it('should enforce per-attachment and total size limits', async function () {
+            const limits = { maxAttachmentBytes: 10, maxTotalBytes: 15 };
+            const cases = [
+                [[{ content: Buffer.alloc(11), filename: 'a.bin' }], 'Invalid attachment a.bin: larger than the 10 bytes limit'],
+                [[{ stream: Readable.from([Buffer.alloc(6), Buffer.alloc(6)]), filename: 's.bin' }], 'Invalid attachment s.bin: larger than the 10 bytes limit'],
+                [[{ content: Buffer.alloc(8), filename: 'a.bin' }, { content: Buffer.alloc(8), filename: 'b.bin' }], 'Invalid attachments: larger than 15 bytes in total']
+            ];
+
+            for (const [attachments, message] of cases) {
+                try {
+                    await resolveAttachments(attachments, limits);
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err.message).to.equal(message);
+                }
+            }
+        });
+
+        it('should report unreadable files', async function () {
+            try {
+                await resolveAttachments([{ path: path.join(dir, 'missing.pdf') }]);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Invalid attachment missing\.pdf: cannot read .* \(ENOENT\)$/);
+            }
+        });
+    });
+
+    describe('MIME types', function () {
+
+        it('should detect types from the extension, then the content', function () {
+            expect(detectMimeType('Report.XLSX')).to.equal('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            expect(detectMimeType('scan', pdf)).to.equal('application/pdf');
+            expect(detectMimeType('photo.bin', Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).to.equal('image/jpeg');
+            expect(detectMimeType('data.bin', Buffer.from('hello'))).to.equal('application/octet-stream');
+        });
+    });
+});
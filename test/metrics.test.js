@@ -0,0 +1,87 @@
+const { EventEmitter } = require('events');
+const { expect } = require('chai');
+const PrometheusMetrics = require('../services/metrics');
+
+describe('PrometheusMetrics', function () {
+
+    let events;
+    let metrics;
+
+    beforeEach(function () {
+        events = new EventEmitter();
+        metrics = new PrometheusMetrics({ buckets: [0.1, 1] });
+        metrics.observe(events);
+    });
+
+    it('should count sends by kind and outcome', function () {
+        events.emit('send', { kind: 'email', outcome: 'sent', recipients: 2, durationMs: 50 });
+        events.emit('send', { kind: 'email', outcome: 'sent', recipients: 1, durationMs: 50 });
+        events.emit('send', { kind: 'batch', outcome: 'failed', recipients: 3, durationMs: 50 });
+
+        const text = metrics.render();
+        expect(text).to.include('# TYPE sendgrid_sends_total counter');
+        expect(text).to.include('sendgrid_sends_total{kind="email",outcome="sent"} 2');
+        expect(text).to.include('sendgrid_sends_total{kind="batch",outcome="failed"} 1');
+        expect(text).to.include('sendgrid_send_recipients_total{kind="email"} 3');
+        expect(text).to.not.include('sendgrid_send_recipients_total{kind="batch"}');
+    });
+
+    it('should count requests by route, replacing IDs and emails', function () {
+        events.emit('request', { method: 'GET', url: '/v3/marketing/segments/2.0/3f2a-91', status: 200, durationMs: 10 });
+        events.emit('request', { method: 'DELETE', url: '/v3/asm/groups/12/suppressions/fan%40example.com', durationMs: 10, error: 'socket hang up' });
+        events.emit('request', { method: 'DELETE', url: '/v3/marketing/lists/7/contacts?contact_ids=9', status: 202, durationMs: 10 });
+
+        const text = metrics.render();
+        expect(text).to.include('sendgrid_requests_total{method="GET",route="/v3/marketing/segments/2.0/:id",status="200"} 1');
+        expect(text).to.include('sendgrid_requests_total{method="DELETE",route="/v3/asm/groups/:id/suppressions/:id",status="error"} 1');
+        expect(text).to.include('sendgrid_requests_total{method="DELETE",route="/v3/marketing/lists/:id/contacts",status="202"} 1');
+    });
+
+    it('should record durations in cumulative histogram buckets', function () {
+        events.emit('request', { method: 'GET', url: '/v3/marketing/lists', status: 200, durationMs: 50 });
+        events.emit('request', { method: 'GET', url: '/v3/marketing/lists', status: 200, durationMs: 500 });
+        events.emit('request', { method: 'GET', url: '/v3/marketing/lists', status: 200, durationMs: 5000 });
+
+        const labels = 'method="GET",route="/v3/marketing/lists"';
+        expect(metrics.render()).to.include([
+            `sendgrid_request_duration_seconds_bucket{${labels},le="0.1"} 1`,
+            `sendgrid_request_duration_seconds_bucket{${labels},le="1"} 2`,
+            `sendgrid_request_duration_seconds_bucket{${labels},le="+Inf"} 3`,
+            `sendgrid_request_duration_seconds_sum{${labels}} 5.55`,
+            `sendgrid_request_duration_seconds_count{${labels}} 3`
+        ].join('\n'));
+    });
+
+    it('should count retries, cache lookups and list verifications', function () {
+        events.emit('retry', { source: 'transport' });
+        events.emit('retry', { source: 'poll' });
+        events.emit('retry', { source: 'poll' });
+        events.emit('cache', { cache: 'lists', hit: true });
+        events.emit('cache', { cache: 'lists', hit: false });
+        events.emit('listVerification', { ok: false, durationMs: 1500 });
+
+        const text = metrics.render();
+        expect(text).to.include('sendgrid_retries_total{source="poll"} 2');
+        expect(text).to.include('sendgrid_cache_lookups_total{cache="lists",result="hit"} 1');
+        expect(text).to.include('sendgrid_cache_lookups_total{cache="lists",result="miss"} 1');
+        expect(text).to.include('sendgrid_list_verification_duration_seconds_count{outcome="failed"} 1');
+    });
+
+    it('should escape label values', function () {
+        events.emit('cache', { cache: 'a"b\\c\nd', hit: true });
+        expect(metrics.render()).to.include('cache="a\\"b\\\\c\\nd"');
+    });
+
+    it('should stop counting once unsubscribed and clear on reset', function () {
+        const stop = metrics.observe(new EventEmitter());
+        stop();
+        const unsubscribe = new PrometheusMetrics().observe(events);
+        unsubscribe();
+        expect(events.listenerCount('send')).to.equal(1);
+
+        events.emit('retry', { source: 'poll' });
+        metrics.reset();
+        expect(metrics.render()).to.not.include('sendgrid_retries_total{');
+        expect(metrics.render()).to.include('# HELP sendgrid_retries_total');
+    });
+});
@@ -0,0 +1,214 @@
+const { expect } = require('chai');
+const { TwilioSendGridClient } = require('../services/TwilioSendGrid');
+const InMemorySendGridTransport = require('../services/transports/InMemorySendGridTransport');
+const { createConsoleLogger, noopLogger } = require('../services/observability');
+
+describe('Observability', function () {
+
+    describe('createConsoleLogger', function () {
+
+        it('should write JSON lines at or above its level', function () {
+            const lines = [];
+            const sink = {
+                log: (line) => lines.push(['log', JSON.parse(line)]),
+                warn: (line) => lines.push(['warn', JSON.parse(line)]),
+                error: (line) => lines.push(['error', JSON.parse(line)])
+            };
+            const logger = createConsoleLogger({ level: 'info', sink });
+
+            logger.debug('hidden');
+            logger.info('SendGrid send', { requestId: 'r1' });
+            logger.error('Failed to create custom field', { field: 'tier' });
+
+            expect(lines.map(([method, entry]) => [method, entry.level, entry.msg])).to.deep.equal([
+                ['log', 'info', 'SendGrid send'],
+                ['error', 'error', 'Failed to create custom field']
+            ]);
+            expect(lines[0][1]).to.include({ requestId: 'r1' });
+            expect(Date.parse(lines[0][1].time)).to.not.be.NaN;
+        });
+
+        it('should reject unknown levels', function () {
+            try {
+                createConsoleLogger({ level: 'verbose' });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Invalid log level: verbose');
+            }
+        });
+    });
+
+    describe('Service events', function () {
+
+        const email = {
+            to: 'test@example.com',
+            from: 'orders@example.com',
+            templateKey: 'new-order-email',
+            dynamicTemplateData: {
+                order_id: '123ABC',
+                user_name: 'Test User',
+                items: [{ item_name: 'T-Shirt', price: '$19.99' }]
+            }
+        };
+        let fake;
+        let client;
+        let events;
+        let logs;
+
+        beforeEach(function () {
+            fake = new InMemorySendGridTransport();
+            logs = [];
+            const logger = Object.fromEntries(['debug', 'info', 'warn', 'error'].map((level) => [
+                level,
+                (msg, fields) => logs.push({ level, msg, ...fields })
+            ]));
+            client = new TwilioSendGridClient({ transport: fake, senderId: 111, retryPolicy: { sleep: async () => {} }, logger });
+            client.listCreationDelay = 0;
+
+            events = [];
+            for (const name of ['send', 'request', 'retry', 'cache', 'listVerification']) {
+                client.events.on(name, (data) => events.push({ name, ...data }));
+            }
+        });
+
+        const named = (name) => events.filter((e) => e.name === name);
+
+        it('should report a send and its Mail Send request under one request ID', async function () {
+            await client.sendSimpleEmail({ ...email, cc: ['cc@example.com'] });
+
+            const [send] = named('send');
+            const [request] = named('request');
+            expect(send).to.include({ kind: 'email', templateKey: 'new-order-email', recipients: 2, outcome: 'sent' });
+            expect(send.messageId).to.be.a('string');
+            expect(send.durationMs).to.be.a('number');
+            expect(request).to.include({ requestId: send.requestId, method: 'POST', url: '/v3/mail/send', status: 202, attempts: 1 });
+            expect(logs.find((l) => l.event === 'send')).to.include({ level: 'info', msg: 'SendGrid send' });
+        });
+
+        it('should report failed sends with their error code', async function () {
+            fake.failNext({ url: 'mail', status: 400, errors: [{ message: 'Bad from' }] });
+            await client.sendSimpleEmail(email).catch(() => {});
+
+            expect(named('send')[0]).to.include({ outcome: 'failed', code: 'PROVIDER_ERROR', error: 'Failed to send email: Bad from' });
+            expect(named('request')[0]).to.include({ status: 400, error: 'Bad from' });
+        });
+
+        it('should not report idempotent replays as sends', async function () {
+            await client.sendSimpleEmail({ ...email, idempotencyKey: 'order-1' });
+            await client.sendSimpleEmail({ ...email, idempotencyKey: 'order-1' });
+
+            expect(named('send')).to.have.lengthOf(1);
+        });
+
+        it('should report each batch request', async function () {
+            await client.sendBatchEmail({
+                from: email.from,
+                templateKey: email.templateKey,
+                recipients: [
+                    { to: 'a@example.com', dynamicTemplateData: email.dynamicTemplateData },
+                    { to: 'b@example.com', dynamicTemplateData: email.dynamicTemplateData }
+                ]
+            });
+
+            expect(named('send').map(({ kind, recipients, outcome }) => ({ kind, recipients, outcome }))).to.deep.equal([
+                { kind: 'batch', recipients: 2, outcome: 'sent' }
+            ]);
+        });
+
+        it('should report campaigns with their create and schedule requests', async function () {
+            await client.ensureCustomFieldExists('creator_name');
+            const list = await client.ensureSenderListExists('123');
+            events.length = 0;
+
+            const { campaignId } = await client.sendCampaignEmail({
+                listId: list.id,
+                tag: 'creator_name',
+                templateKey: 'creator-broadcast',
+                dynamicData: { senderId: '123' }
+            });
+
+            const [send] = named('send');
+            expect(send).to.include({ kind: 'campaign', campaignId, outcome: 'sent' });
+            expect(named('request').filter((r) => r.requestId === send.requestId).map((r) => r.method)).to.deep.equal(['POST', 'PUT']);
+        });
+
+        it('should report campaigns whose segment cannot be built or created', async function () {
+            await client.ensureCustomFieldExists('creator_name');
+            const list = await client.ensureSenderListExists('123');
+            const campaign = (conditions) => client.sendCampaignEmail({
+                target: { listIds: [list.id], conditions },
+                templateKey: 'creator-broadcast',
+                dynamicData: { senderId: '123' }
+            }).catch(() => {});
+            events.length = 0;
+
+            await campaign({ field: 'no_such_field', operator: 'eq', value: true });
+            fake.failNext({ method: 'POST', url: '/v3/marketing/segments', status: 400 });
+            await campaign({ field: 'creator_name', operator: 'eq', value: true });
+
+            expect(named('send').map(({ kind, outcome, code }) => ({ kind, outcome, code }))).to.deep.equal([
+                { kind: 'campaign', outcome: 'failed', code: 'VALIDATION_ERROR' },
+                { kind: 'campaign', outcome: 'failed', code: 'PROVIDER_ERROR' }
+            ]);
+            expect(named('send')[0].durationMs).to.be.a('number');
+        });
+
+        it('should report transport retries with the status that caused them', async function () {
+            fake.failNext({ method: 'GET', url: '/v3/marketing/lists', status: 503 });
+            await client.fetchAllSenderLists();
+
+            const [retry] = named('retry');
+            const [request] = named('request');
+            expect(retry).to.include({ requestId: request.requestId, source: 'transport', attempt: 1, status: 503 });
+            expect(retry.delayMs).to.be.a('number');
+            expect(request).to.include({ status: 200, attempts: 2 });
+        });
+
+        it('should report polling retries', async function () {
+            let calls = 0;
+            const result = await client._withRetry(async () => {
+                if (++calls < 2) throw new Error('not yet');
+                return 'done';
+            }, 3, 0, 0, { operation: 'verify list', requestId: 'poll-1' });
+
+            expect(result).to.equal('done');
+            expect(named('retry')).to.deep.equal([
+                { name: 'retry', requestId: 'poll-1', source: 'poll', operation: 'verify list', attempt: 1, delayMs: 0, error: 'not yet' }
+            ]);
+        });
+
+        it('should time list verification', async function () {
+            const list = await client.ensureSenderListExists('123');
+
+            const [verification] = named('listVerification');
+            expect(verification).to.include({ listName: list.name, attempts: 1, ok: true });
+            expect(verification.requestId).to.be.a('string');
+            expect(verification.durationMs).to.be.a('number');
+        });
+
+        it('should report cache hits and misses', async function () {
+            await client.fetchAllSenderLists();
+            await client.fetchAllSenderLists();
+            await client.fetchAllSenderLists(true);
+
+            expect(named('cache').filter((e) => e.cache === 'lists').map((e) => e.hit)).to.deep.equal([false, true]);
+        });
+
+        it('should log failures through the logger', async function () {
+            fake.failNext({ method: 'POST', url: '/v3/marketing/field_definitions', status: 400, errors: [{ message: 'invalid name' }] });
+            await client.ensureCustomFieldExists('creator_name').catch(() => {});
+
+            expect(logs.find((l) => l.level === 'error')).to.include({
+                msg: 'Failed to create custom field',
+                field: 'creator_name',
+                code: 'PROVIDER_ERROR'
+            });
+        });
+
+        it('should accept the no-op logger', async function () {
+            const quiet = new TwilioSendGridClient({ transport: fake, logger: noopLogger });
+            await quiet.sendSimpleEmail(email);
+            expect(fake.mailSends).to.have.lengthOf(1);
+        });
+    });
+});
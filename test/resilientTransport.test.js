@@ -0,0 +1,228 @@
+const { expect } = require('chai');
+const ResilientTransport = require('../services/transports/ResilientTransport');
+
+const { retryAfterMs, parseRetries } = ResilientTransport;
+
+describe('ResilientTransport', function () {
+
+    const responseError = (status, headers = {}) => {
+        const err = new Error(`HTTP ${status}`);
+        err.code = status;
+        err.response = { statusCode: status, headers, body: { errors: [] } };
+        return err;
+    };
+    const networkError = (code) => Object.assign(new Error(code), { code });
+
+    let outcomes;
+    let calls;
+    let waits;
+    let clock;
+    let inner;
+
+    const transport = (policy = {}) => new ResilientTransport(inner, {
+        retries: 3,
+        baseDelayMs: 100,
+        maxDelayMs: 1000,
+        failureThreshold: 3,
+        resetTimeoutMs: 5000,
+        random: () => 0.5,
+        sleep: async (ms) => { waits.push(ms); clock += ms; },
+        now: () => clock,
+        ...policy
+    });
+
+    beforeEach(function () {
+        outcomes = [];
+        calls = [];
+        waits = [];
+        clock = Date.parse('2026-03-01T12:00:00Z');
+
+        // Throws the queued errors in order, then succeeds
+        const next = async (call) => {
+            calls.push(call);
+            const err = outcomes.shift();
+            if (err) throw err;
+            return [{ statusCode: 200, body: {} }, {}];
+        };
+        inner = {
+            request: (options) => next(options),
+            send: (msg) => next({ method: 'POST', url: '/v3/mail/send', msg })
+        };
+    });
+
+    describe('Retry-After', function () {
+
+        it('should read seconds, HTTP dates and rate limit resets', function () {
+            const now = Date.parse('2026-03-01T12:00:00Z');
+            expect(retryAfterMs({ 'Retry-After': '3' }, now)).to.equal(3000);
+            expect(retryAfterMs({ 'retry-after': 'Sun, 01 Mar 2026 12:00:10 GMT' }, now)).to.equal(10000);
+            expect(retryAfterMs({ 'x-ratelimit-reset': String(now / 1000 + 7) }, now)).to.equal(7000);
+            expect(retryAfterMs({}, now)).to.equal(null);
+        });
+    });
+
+    describe('Retry count', function () {
+
+        it('should accept only non-negative integers', function () {
+            expect(['5', ' 0 ', 2].map((value) => parseRetries(value))).to.deep.equal([5, 0, 2]);
+            expect(['three', '-1', '2.5', '', 'Infinity', undefined].map((value) => parseRetries(value))).to.deep.equal([3, 3, 3, 3, 3, 3]);
+        });
+
+        it('should fall back to 3 retries for an invalid SENDGRID_MAX_RETRIES', function () {
+            const modulePath = require.resolve('../services/transports/ResilientTransport');
+            const cached = require.cache[modulePath];
+            const previous = process.env.SENDGRID_MAX_RETRIES;
+            process.env.SENDGRID_MAX_RETRIES = 'three';
+            delete require.cache[modulePath];
+            try {
+                expect(require(modulePath).DEFAULT_RETRY_POLICY.retries).to.equal(3);
+            } finally {
+                if (previous === undefined) delete process.env.SENDGRID_MAX_RETRIES;
+                else process.env.SENDGRID_MAX_RETRIES = previous;
+                require.cache[modulePath] = cached;
+            }
+        });
+    });
+
+    describe('Retrying', function () {
+
+        it('should wait as long as a 429 asks', async function () {
+            outcomes.push(responseError(429, { 'retry-after': '0.5' }));
+            await transport().send({});
+
+            expect(calls).to.have.lengthOf(2);
+            expect(waits).to.deep.equal([500]);
+        });
+
+        it('should give up on rate limits longer than the longest wait', async function () {
+            outcomes.push(responseError(429, { 'retry-after': '60' }));
+            try {
+                await transport().request({ method: 'GET', url: '/v3/marketing/lists' });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.code).to.equal(429);
+                expect(waits).to.have.lengthOf(0);
+            }
+        });
+
+        it('should back off exponentially with jitter on server errors for idempotent requests', async function () {
+            outcomes.push(responseError(503), responseError(502), responseError(500));
+            await transport({ failureThreshold: 10 }).request({ method: 'GET', url: '/v3/marketing/lists' });
+
+            expect(calls).to.have.lengthOf(4);
+            expect(waits).to.deep.equal([50, 100, 200]);
+        });
+
+        it('should stop after the configured retries', async function () {
+            outcomes.push(responseError(503), responseError(503), responseError(503));
+            try {
+                await transport({ retries: 2 }).request({ method: 'DELETE', url: '/v3/marketing/lists/1' });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.code).to.equal(503);
+                expect(calls).to.have.lengthOf(3);
+            }
+        });
+
+        it('should not retry server errors or dropped connections on POSTs', async function () {
+            for (const err of [responseError(500), networkError('ECONNRESET')]) {
+                outcomes.push(err);
+                try {
+                    await transport().request({ method: 'POST', url: '/v3/marketing/lists', body: {} });
+                    expect.fail('should have thrown');
+                } catch (caught) {
+                    expect(caught).to.equal(err);
+                }
+            }
+            expect(calls).to.have.lengthOf(2);
+        });
+
+        it('should retry POSTs marked idempotent, without forwarding the flag', async function () {
+            outcomes.push(responseError(502));
+            await transport().request({ method: 'POST', url: '/v3/marketing/contacts/search', idempotent: true, body: {} });
+
+            expect(calls).to.have.lengthOf(2);
+            expect(calls[1]).to.not.have.property('idempotent');
+        });
+
+        it('should report each retry before waiting', async function () {
+            const retries = [];
+            const first = responseError(503);
+            outcomes.push(first, responseError(429, { 'retry-after': '0.5' }));
+            await transport().request({
+                method: 'GET',
+                url: '/v3/marketing/lists',
+                onRetry: (retry) => retries.push({ ...retry, waited: waits.length })
+            });
+
+            expect(retries).to.deep.equal([
+                { attempt: 1, delayMs: 50, error: first, waited: 0 },
+                { attempt: 2, delayMs: 500, error: retries[1].error, waited: 1 }
+            ]);
+            expect(calls[0]).to.not.have.property('onRetry');
+        });
+
+        it('should retry POSTs that never reached SendGrid', async function () {
+            outcomes.push(networkError('ECONNREFUSED'));
+            await transport().send({});
+
+            expect(calls).to.have.lengthOf(2);
+        });
+
+        it('should not retry client errors', async function () {
+            outcomes.push(responseError(400));
+            try {
+                await transport().request({ method: 'GET', url: '/v3/marketing/lists' });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.code).to.equal(400);
+                expect(calls).to.have.lengthOf(1);
+            }
+        });
+    });
+
+    describe('Circuit breaker', function () {
+
+        it('should open after repeated outages, fail fast, then close after a successful trial', async function () {
+            const resilient = transport({ retries: 0 });
+            for (let i = 0; i < 3; i++) {
+                outcomes.push(responseError(503));
+                await resilient.send({}).catch(() => {});
+            }
+            expect(resilient.breaker.state).to.equal('open');
+
+            try {
+                await resilient.send({});
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.code).to.equal('CIRCUIT_OPEN');
+                expect(err.retryAfter).to.equal(5);
+                expect(calls).to.have.lengthOf(3);
+            }
+
+            clock += 5000;
+            expect(resilient.breaker.state).to.equal('half-open');
+            await resilient.send({});
+            expect(resilient.breaker.state).to.equal('closed');
+        });
+
+        it('should reopen when the trial call fails', async function () {
+            const resilient = transport({ retries: 0, failureThreshold: 1 });
+            outcomes.push(responseError(500));
+            await resilient.send({}).catch(() => {});
+
+            clock += 5000;
+            outcomes.push(networkError('ETIMEDOUT'));
+            await resilient.send({}).catch(() => {});
+            expect(resilient.breaker.state).to.equal('open');
+        });
+
+        it('should not count client errors or rate limits as outages', async function () {
+            const resilient = transport({ retries: 0, failureThreshold: 2 });
+            outcomes.push(responseError(400), responseError(429), responseError(404));
+            for (let i = 0; i < 3; i++) await resilient.send({}).catch(() => {});
+
+            expect(resilient.breaker.state).to.equal('closed');
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const { expect } = require('chai');
+const {
+    buildFieldTypes,
+    validateSegmentConditions,
+    compileSegmentConditions,
+    MAX_DEPTH
+} = require('../services/segmentConditions');
+
+describe('segmentConditions', function () {
+
+    const fieldTypes = buildFieldTypes({
+        custom_fields: [
+            { id: 'e1_T', name: 'weekly_newsletter', field_type: 'Text' },
+            { id: 'e2_N', name: 'score', field_type: 'Number' },
+            { id: 'e3_D', name: 'joined_at', field_type: 'Date' }
+        ],
+        reserved_fields: [
+            { name: 'country', field_type: 'Text' },
+            { name: 'alternate_emails', field_type: 'Set' }
+        ]
+    });
+
+    describe('Field types', function () {
+
+        it('should merge custom and reserved field definitions', function () {
+            expect(fieldTypes).to.deep.equal({
+                country: 'Text',
+                alternate_emails: 'Set',
+                weekly_newsletter: 'Text',
+                score: 'Number',
+                joined_at: 'Date'
+            });
+        });
+    });
+
+    describe('Compiling', function () {
+
+        it('should compile every operator', function () {
+            const compile = (node) => compileSegmentConditions(node, fieldTypes).toString();
+
+            expect(compile({ field: 'weekly_newsletter', operator: 'eq', value: true })).to.equal("weekly_newsletter = 'true'");
+            expect(compile({ field: 'country', operator: 'neq', value: 'US' })).to.equal("country != 'US'");
+            expect(compile({ field: 'country', operator: 'not_in', value: ['US'] })).to.equal("NOT (country IN ('US'))");
+            expect(compile({ field: 'country', operator: 'not_like', value: 'U%' })).to.equal("country NOT LIKE 'U%'");
+            expect(compile({ field: 'score', operator: 'lt', value: 3 })).to.equal('score < 3');
+            expect(compile({ field: 'joined_at', operator: 'gte', value: '2026-01-01' })).to.equal("joined_at >= '2026-01-01T00:00:00.000Z'");
+            expect(compile({ field: 'joined_at', operator: 'within_last', value: 2, unit: 'month' }))
+                .to.equal('joined_at >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL 2 MONTH)');
+            expect(compile({ field: 'alternate_emails', operator: 'not_contains', value: 'a@example.com' }))
+                .to.equal("NOT (CONTAINS(alternate_emails, 'a@example.com'))");
+            expect(compile({ field: 'country', operator: 'is_not_empty' })).to.equal('country IS NOT NULL');
+        });
+
+        it('should escape values taken from the tree', function () {
+            const query = compileSegmentConditions({ field: 'country', operator: 'eq', value: "x' OR 1=1 --" }, fieldTypes);
+            expect(query.toString()).to.equal("country = 'x\\' OR 1=1 --'");
+        });
+
+        it('should throw with every violation', function () {
+            try {
+                compileSegmentConditions({ and: [{ field: 'score', operator: 'eq', value: '5' }, { field: 'country' }] }, fieldTypes);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Invalid segment conditions: /);
+                expect(err.violations.map((v) => v.field)).to.deep.equal(['conditions.and[0].value', 'conditions.and[1].operator']);
+            }
+        });
+    });
+
+    describe('Validation', function () {
+
+        it('should reject nodes that are not a single group or comparison', function () {
+            const { violations } = validateSegmentConditions({ and: [], field: 'country' }, fieldTypes);
+            expect(violations).to.have.lengthOf(1);
+            expect(violations[0]).to.include({ field: 'conditions', code: 'structure' });
+        });
+
+        it('should cap the nesting depth', function () {
+            let node = { field: 'country', operator: 'eq', value: 'US' };
+            for (let i = 0; i <= MAX_DEPTH; i++) node = { not: node };
+
+            const { valid, violations } = validateSegmentConditions(node, fieldTypes);
+            expect(valid).to.equal(false);
+            expect(violations[0].code).to.equal('depth');
+        });
+
+        it('should check within_last intervals', function () {
+            const { violations } = validateSegmentConditions(
+                { field: 'joined_at', operator: 'within_last', value: 0, unit: 'hour' },
+                fieldTypes
+            );
+            expect(violations.map((v) => v.field)).to.deep.equal(['conditions.value', 'conditions.unit']);
+        });
+    });
+});
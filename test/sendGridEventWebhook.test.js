@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+const TwilioSendGrid = require('../services/TwilioSendGrid');
+const SendGridEventWebhook = require('../services/SendGridEventWebhook');
+const InMemorySendGridTransport = require('../services/transports/InMemorySendGridTransport');
+const { ValidationError, ForbiddenError } = require('../services/errors');
+
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER } = SendGridEventWebhook;
+
+/**
+ * Signs a payload the way SendGrid does.
+ */
+function sign(privateKey, timestamp, payload) {
+    return crypto.sign('sha256', Buffer.from(timestamp + payload), privateKey).toString('base64');
+}
+
+describe('SendGridEventWebhook', function () {
+
+    const { publicKey: keyObject, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const publicKey = keyObject.export({ type: 'spki', format: 'der' }).toString('base64');
+    let fake;
+
+    beforeEach(function () {
+        fake = new InMemorySendGridTransport();
+        TwilioSendGrid.setTransport(fake);
+        TwilioSendGrid.resetInternalCache();
+        SendGridEventWebhook.reset();
+    });
+
+    afterEach(function () {
+        TwilioSendGrid.setTransport(null);
+        TwilioSendGrid.resetInternalCache();
+        SendGridEventWebhook.reset();
+    });
+
+    const now = () => String(Math.floor(Date.now() / 1000));
+
+    describe('Verification', function () {
+
+        const payload = JSON.stringify([{ event: 'delivered', email: 'fan@example.com', timestamp: 1 }]);
+
+        it('should accept a valid signature', function () {
+            const timestamp = now();
+            const signature = sign(privateKey, timestamp, payload);
+            expect(SendGridEventWebhook.verifySignature({ publicKey, payload, signature, timestamp })).to.equal(true);
+        });
+
+        it('should reject a tampered payload', function () {
+            const timestamp = now();
+            const signature = sign(privateKey, timestamp, payload);
+            const tampered = payload.replace('delivered', 'bounce');
+            expect(SendGridEventWebhook.verifySignature({ publicKey, payload: tampered, signature, timestamp })).to.equal(false);
+        });
+
+        it('should reject stale timestamps', function () {
+            const timestamp = String(Math.floor(Date.now() / 1000) - 3600);
+            const signature = sign(privateKey, timestamp, payload);
+            expect(SendGridEventWebhook.verifySignature({ publicKey, payload, signature, timestamp })).to.equal(false);
+        });
+
+        it('should reject garbage keys and signatures', function () {
+            const timestamp = now();
+            expect(SendGridEventWebhook.verifySignature({ publicKey: 'bm9wZQ==', payload, signature: 'bm9wZQ==', timestamp })).to.equal(false);
+            expect(SendGridEventWebhook.verifySignature({ publicKey, payload, signature: undefined, timestamp })).to.equal(false);
+        });
+    });
+
+    describe('Parsing', function () {
+
+        it('should reject payloads that are not event arrays', function () {
+            expect(() => SendGridEventWebhook.parseEvents('{')).to.throw(ValidationError, 'not valid JSON');
+            expect(() => SendGridEventWebhook.parseEvents('{}')).to.throw('expected an array');
+            expect(() => SendGridEventWebhook.parseEvents('[{"event":"open"}]')).to.throw('event 0 is missing');
+        });
+    });
+
+    describe('Dispatch', function () {
+
+        it('should dispatch events to typed and wildcard handlers', async function () {
+            const seen = [];
+            SendGridEventWebhook.on('delivered', (e) => seen.push(`delivered:${e.email}`));
+            SendGridEventWebhook.on('click', (e) => seen.push(`click:${e.url}`));
+            SendGridEventWebhook.on('*', (e) => seen.push(`*:${e.event}`));
+
+            const summary = await SendGridEventWebhook.processEvents([
+                { event: 'delivered', email: 'a@example.com', sg_event_id: '1' },
+                { event: 'click', email: 'a@example.com', url: 'https://x.example.com', sg_event_id: '2' }
+            ]);
+
+            expect(summary).to.deep.equal({ received: 2, processed: 2, skipped: 0, errors: [] });
+            expect(seen).to.deep.equal([
+                'delivered:a@example.com', '*:delivered', 'click:https://x.example.com', '*:click'
+            ]);
+        });
+
+        it('should reject unknown event types', function () {
+            expect(() => SendGridEventWebhook.on('opened', () => {})).to.throw('Invalid event type: opened');
+        });
+
+        it('should report failing events and skip processed ones on redelivery', async function () {
+            let failures = 1;
+            SendGridEventWebhook.on('open', () => {
+                if (failures-- > 0) throw new Error('db down');
+            });
+            const events = [
+                { event: 'delivered', email: 'a@example.com', sg_event_id: '1' },
+                { event: 'open', email: 'a@example.com', sg_event_id: '2' }
+            ];
+
+            const first = await SendGridEventWebhook.processEvents(events);
+            expect(first.errors).to.deep.equal([{ event: 'open', sg_event_id: '2', message: 'db down' }]);
+
+            const second = await SendGridEventWebhook.processEvents(events);
+            expect(second).to.include({ processed: 1, skipped: 1 });
+            expect(second.errors).to.have.lengthOf(0);
+        });
+
+        it('should clear tag fields on bounces and spam reports', async function () {
+            const list = await TwilioSendGrid.ensureListExistsByName('sender_1_list');
+            for (const email of ['bounced@example.com', 'spam@example.com', 'fine@example.com']) {
+                await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(
+                    email, list.id, { weekly_newsletter: true, promo: true }, true
+                );
+            }
+
+            const summary = await SendGridEventWebhook.processEvents([
+                { event: 'bounce', email: 'bounced@example.com', type: 'bounce', reason: '550' },
+                { event: 'spamreport', email: 'spam@example.com' },
+                { event: 'open', email: 'fine@example.com' },
+                { event: 'bounce', email: 'not-a-contact@example.com', type: 'bounce' }
+            ]);
+
+            expect(summary.errors).to.have.lengthOf(0);
+            const fields = (email) => fake.contacts.find((c) => c.email === email).custom_fields;
+            expect(fields('bounced@example.com')).to.deep.equal({});
+            expect(fields('spam@example.com')).to.deep.equal({});
+            expect(fields('fine@example.com')).to.deep.equal({ weekly_newsletter: true, promo: true });
+        });
+
+        it('should clear tags through the client of the account that sent the events', async function () {
+            const brandFake = new InMemorySendGridTransport();
+            const brand = new TwilioSendGrid.TwilioSendGridClient({ transport: brandFake, senderId: 7 });
+            brand.listCreationDelay = 0;
+            for (const service of [TwilioSendGrid, brand]) {
+                const list = await service.ensureListExistsByName('sender_1_list');
+                await service.subscribeOrUnsubscribeRecipientFromSenderListByTag(
+                    'bounced@example.com', list.id, { promo: true }, true
+                );
+            }
+
+            const summary = await SendGridEventWebhook.processEvents(
+                [{ event: 'bounce', email: 'bounced@example.com', type: 'bounce' }],
+                { service: brand }
+            );
+
+            expect(summary.errors).to.have.lengthOf(0);
+            expect(brandFake.contacts[0].custom_fields).to.deep.equal({});
+            expect(fake.contacts[0].custom_fields).to.deep.equal({ promo: true });
+        });
+    });
+
+    describe('Ingestion', function () {
+
+        it('should verify, parse and dispatch a signed batch', async function () {
+            const delivered = [];
+            SendGridEventWebhook.on('delivered', (e) => delivered.push(e.email));
+
+            const payload = JSON.stringify([{ event: 'delivered', email: 'a@example.com', timestamp: 1 }]);
+            const timestamp = now();
+            const summary = await SendGridEventWebhook.ingest({
+                publicKey,
+                payload,
+                headers: { [SIGNATURE_HEADER]: sign(privateKey, timestamp, payload), [TIMESTAMP_HEADER]: timestamp }
+            });
+
+            expect(summary.processed).to.equal(1);
+            expect(delivered).to.deep.equal(['a@example.com']);
+        });
+
+        it('should refuse unsigned batches', async function () {
+            try {
+                await SendGridEventWebhook.ingest({ publicKey, payload: '[]', headers: {} });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(ForbiddenError);
+                expect(err).to.include({ message: 'Invalid event webhook signature', code: 'INVALID_SIGNATURE' });
+            }
+        });
+    });
+
+});
@@ -0,0 +1,135 @@
+const { expect } = require('chai');
+const sgql = require('../services/sgqlBuilder');
+const TwilioSendGrid = require('../services/TwilioSendGrid');
+const InMemorySendGridTransport = require('../services/transports/InMemorySendGridTransport');
+
+const { compileSgql } = InMemorySendGridTransport;
+
+describe('sgqlBuilder', function () {
+
+    describe('Literals', function () {
+
+        it('should quote and escape strings', function () {
+            expect(sgql.literal("o'brien@example.com")).to.equal("'o\\'brien@example.com'");
+            expect(sgql.literal('back\\slash')).to.equal("'back\\\\slash'");
+        });
+
+        it('should keep the escape of a trailing backslash from eating the closing quote', function () {
+            expect(sgql.literal("x\\' OR 1=1 --")).to.equal("'x\\\\\\' OR 1=1 --'");
+            const predicate = compileSgql(`email = ${sgql.literal("x\\' OR email LIKE '%")}`);
+            expect(predicate({ email: 'victim@example.com' })).to.equal(false);
+        });
+
+        it('should write numbers, booleans and dates', function () {
+            expect(sgql.literal(42)).to.equal('42');
+            expect(sgql.literal(true)).to.equal("'true'");
+            expect(sgql.literal(new Date('2026-01-01T00:00:00Z'))).to.equal("'2026-01-01T00:00:00.000Z'");
+        });
+
+        it('should reject values that cannot be represented', function () {
+            expect(() => sgql.literal(NaN)).to.throw('Invalid SGQL literal');
+            expect(() => sgql.literal({})).to.throw('Invalid SGQL literal');
+            expect(() => sgql.literal(null)).to.throw('Invalid SGQL literal');
+        });
+    });
+
+    describe('Conditions', function () {
+
+        it('should compose equals, in, contains and list membership', function () {
+            const query = sgql.and(
+                sgql.inList('list-1'),
+                sgql.or(sgql.eq('email', 'a@example.com'), sgql.isIn('country', ['US', 'CA'])),
+                sgql.not(sgql.contains('alternate_emails', 'b@example.com'))
+            );
+            expect(query.toString()).to.equal(
+                "(CONTAINS(list_ids, 'list-1')) AND ((email = 'a@example.com') OR (country IN ('US', 'CA'))) " +
+                "AND (NOT (CONTAINS(alternate_emails, 'b@example.com')))"
+            );
+        });
+
+        it('should compare custom fields with whitelisted operators', function () {
+            expect(sgql.customField('score', '>=', 10).toString()).to.equal('score >= 10');
+            expect(sgql.customField('nickname', 'like', 'al%').toString()).to.equal("nickname LIKE 'al%'");
+            expect(() => sgql.customField('score', '; DROP', 1)).to.throw('Invalid SGQL operator');
+        });
+
+        it('should reject field names that are not identifiers', function () {
+            expect(() => sgql.eq("email = 'x' OR 1", 'y')).to.throw('Invalid SGQL field');
+            expect(() => sgql.inList(undefined).toString()).to.throw('Invalid SGQL literal');
+        });
+
+        it('should refuse raw strings when combining conditions', function () {
+            expect(() => sgql.and(sgql.eq('email', 'a@example.com'), "1 = 1")).to.throw('built with the query builder');
+            expect(() => sgql.or()).to.throw('no conditions');
+        });
+
+        it('should not let callers create conditions from strings', function () {
+            expect(sgql).to.not.have.any.keys('raw', 'Condition');
+            const Condition = sgql.eq('email', 'a@example.com').constructor;
+            expect(() => new Condition("1 = 1")).to.throw('built with the query builder');
+            const forged = Object.assign(Object.create(Condition.prototype), { sgql: '1 = 1' });
+            expect(() => sgql.and(forged)).to.throw('built with the query builder');
+        });
+
+        it('should skip falsy entries and unwrap single conditions', function () {
+            expect(sgql.and(sgql.eq('email', 'a@example.com'), false, null).toString()).to.equal("email = 'a@example.com'");
+        });
+
+        it('should build null checks and relative date ranges', function () {
+            expect(sgql.isNull('city').toString()).to.equal('city IS NULL');
+            expect(sgql.isNull('city', true).toString()).to.equal('city IS NOT NULL');
+            expect(sgql.withinLast('created_at', 30).toString())
+                .to.equal('created_at >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL 30 DAY)');
+            expect(sgql.withinLast('created_at', 2, 'week').toString()).to.contain('INTERVAL 2 WEEK');
+            expect(() => sgql.withinLast('created_at', 1.5)).to.throw('Invalid SGQL interval');
+            expect(() => sgql.withinLast('created_at', 1, 'HOUR; --')).to.throw('Invalid SGQL interval unit');
+        });
+    });
+
+    describe('Injection attempts against the service', function () {
+
+        let fake;
+
+        beforeEach(async function () {
+            fake = new InMemorySendGridTransport();
+            TwilioSendGrid.setTransport(fake);
+            TwilioSendGrid.resetInternalCache();
+            TwilioSendGrid.listCreationDelay = 0;
+
+            const [list] = await fake.request({ method: 'POST', url: '/v3/marketing/lists', body: { name: 'sender_1_list' } });
+            await fake.request({
+                method: 'PUT',
+                url: '/v3/marketing/contacts',
+                body: { list_ids: [list.body.id], contacts: [{ email: 'victim@example.com' }] }
+            });
+        });
+
+        afterEach(function () {
+            TwilioSendGrid.setTransport(null);
+            TwilioSendGrid.resetInternalCache();
+        });
+
+        for (const email of [
+            "x'OR'1'='1@example.com",
+            "a'or''='@example.com",
+            "x\\'OR(email)LIKE'%@example.com"
+        ]) {
+            it(`should not match other contacts for ${email}`, async function () {
+                try {
+                    await TwilioSendGrid.removeRecipientFromAllSenderLists(email);
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err.message).to.equal(`Recipient not found for removal: ${email}`);
+                }
+                expect(fake.contacts.find((c) => c.email === 'victim@example.com').list_ids).to.have.lengthOf(1);
+            });
+        }
+
+        it('should look up contacts whose address contains an apostrophe', async function () {
+            const list = fake.lists[0];
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag("o'brien@example.com", list.id, {}, true);
+            expect(await TwilioSendGrid.removeRecipientFromAllSenderLists("o'brien@example.com")).to.deep.equal({ removed: true });
+        });
+    });
+
+});
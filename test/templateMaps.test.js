@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const {
+    loadTemplateMap,
+    validateTemplateMap,
+    assertValidTemplateMap,
+    watchTemplateMap
+} = require('../services/templateMaps');
+const { EmailTemplateMap } = require('../config/emailTemplatesMap');
+
+describe('templateMaps', function () {
+
+    const entry = (overrides = {}) => ({
+        templateId: 'd-00000000000000000000000000000001',
+        path: 'templates/password-reset.html',
+        requiredFields: ['reset_link'],
+        customFieldTypes: { reset_link: 'url' },
+        ...overrides
+    });
+    let dir;
+
+    // Writes a file relative to the map directory
+    function write(file, content) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-maps-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('Loading', function () {
+
+        it('should merge JSON and YAML files and ignore other files', function () {
+            write('orders.json', { 'new-order': entry({ templateId: 'd-1' }) });
+            write('accounts.yaml', [
+                'password-reset:',
+                '  templateId: d-2',
+                '  path: templates/password-reset.html',
+                '  supportsLooping: false',
+                '  requiredFields: [reset_link]',
+                '  customFieldTypes:',
+                '    reset_link: url'
+            ].join('\n'));
+            write('empty.yml', '');
+            write('README.md', '# not a map');
+
+            const map = loadTemplateMap(dir);
+
+            expect(Object.keys(map)).to.deep.equal(['password-reset', 'new-order']);
+            expect(map['password-reset']).to.deep.equal({
+                templateId: 'd-2',
+                path: 'templates/password-reset.html',
+                supportsLooping: false,
+                requiredFields: ['reset_link'],
+                customFieldTypes: { reset_link: 'url' }
+            });
+        });
+
+        it('should apply the environment overrides on top of the base files', function () {
+            write('emails.json', { reset: entry({ templateId: 'd-staging' }), welcome: entry() });
+            write('production/ids.yaml', 'reset:\n  templateId: d-production\n');
+
+            expect(loadTemplateMap(dir, { env: 'production' }).reset.templateId).to.equal('d-production');
+            expect(loadTemplateMap(dir, { env: 'staging' }).reset.templateId).to.equal('d-staging');
+            expect(loadTemplateMap(dir).reset).to.deep.equal(entry({ templateId: 'd-staging' }));
+        });
+
+        it('should report every problem across files at once', function () {
+            write('a.json', { reset: entry(), broken: entry({ customFieldTypes: undefined }) });
+            write('b.json', { reset: entry() });
+            write('c.yaml', 'reset: [unclosed');
+            write('production/ids.json', { welcome: { templateId: 'd-9' } });
+
+            try {
+                loadTemplateMap(dir, { env: 'production' });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Invalid template map: /);
+                expect(err.violations.map((v) => v.code)).to.deep.equal(['duplicate', 'parse', 'unknown_template', 'required']);
+                expect(err.violations[0].message).to.equal('Duplicate template reset in b.json, already defined in a.json');
+                expect(err.violations[2].message).to.equal('Override for unknown template welcome in production/ids.json');
+            }
+        });
+
+        it('should report a missing directory', function () {
+            try {
+                loadTemplateMap(path.join(dir, 'nope'));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.violations[0]).to.include({ code: 'read' });
+                expect(err.message).to.match(/Cannot read template map directory .*nope \(ENOENT\)/);
+            }
+        });
+    });
+
+    describe('Validation', function () {
+
+        it('should accept the built-in map', function () {
+            expect(validateTemplateMap(EmailTemplateMap)).to.deep.equal([]);
+            expect(assertValidTemplateMap(EmailTemplateMap)).to.equal(EmailTemplateMap);
+        });
+
+        it('should report typos, wrong types and unknown field types', function () {
+            const violations = validateTemplateMap({
+                reset: entry({
+                    requiredField: ['reset_link'],
+                    templateId: '',
+                    supportsLooping: 'yes',
+                    customFieldTypes: {
+                        reset_link: 'link',
+                        items: { type: 'array', items: { type: 'object', required: ['name'], properties: { price: 'money' } } }
+                    }
+                }),
+                welcome: 'd-123'
+            });
+
+            expect(violations.map((v) => v.message)).to.deep.equal([
+                'Unknown property reset.requiredField',
+                'Invalid reset.templateId: expected a non-empty string',
+                'Invalid reset.supportsLooping: expected a boolean',
+                'Invalid reset.customFieldTypes.reset_link: unknown type link',
+                'Invalid reset.customFieldTypes.items.items.properties.price: unknown type money',
+                'Invalid reset.customFieldTypes.items.items.required: name is not declared in properties',
+                'Invalid template welcome: expected an object'
+            ]);
+        });
+    });
+
+    describe('Watching', function () {
+
+        it('should call back once after a burst of changes to map files', async function () {
+            write('emails.json', { reset: entry() });
+            let calls = 0;
+            const watcher = watchTemplateMap(dir, () => calls++, { debounceMs: 30 });
+
+            try {
+                write('emails.json', { reset: entry({ templateId: 'd-2' }) });
+                write('emails.json', { reset: entry({ templateId: 'd-3' }) });
+                write('notes.txt', 'ignored');
+                await new Promise((resolve) => setTimeout(resolve, 200));
+            } finally {
+                watcher.close();
+            }
+
+            expect(calls).to.equal(1);
+        });
+
+        it('should report directories that can no longer be watched instead of crashing', function () {
+            write('staging/emails.json', { reset: entry() });
+            const watchers = [];
+            const watch = fs.watch;
+            fs.watch = (...args) => {
+                const watcher = watch(...args);
+                watchers.push(watcher);
+                return watcher;
+            };
+
+            const errors = [];
+            let handle;
+            try {
+                handle = watchTemplateMap(dir, () => {}, { env: 'staging', onError: (err, watched) => errors.push([err.code, watched]) });
+            } finally {
+                fs.watch = watch;
+            }
+
+            try {
+                const removed = Object.assign(new Error('watch failed'), { code: 'EPERM' });
+                watchers[1].emit('error', removed);
+                expect(errors).to.deep.equal([['EPERM', path.join(dir, 'staging')]]);
+            } finally {
+                handle.close();
+            }
+        });
+    });
+});
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const TemplateRenderer = require('../services/TemplateRenderer');
+const { htmlToText, formatDate } = require('../services/TemplateRenderer');
+
+describe('TemplateRenderer', function () {
+
+    let tmpDir;
+
+    beforeEach(function () {
+        TemplateRenderer.resetInternalCache();
+    });
+
+    afterEach(function () {
+        TemplateRenderer.templateMap = null;
+        TemplateRenderer.rootDir = path.join(__dirname, '..');
+        if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+        tmpDir = null;
+    });
+
+    // Points the renderer at a single throwaway template
+    function useTemplate(source, config = {}) {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+        fs.writeFileSync(path.join(tmpDir, 'test.html'), source);
+        TemplateRenderer.rootDir = tmpDir;
+        TemplateRenderer.templateMap = {
+            test: { templateId: 'd-test', path: 'test.html', supportsLooping: false, requiredFields: [], customFieldTypes: {}, ...config }
+        };
+    }
+
+    describe('renderTemplate', function () {
+
+        it('should render the order template with an item loop', async function () {
+            const { subject, html, text } = await TemplateRenderer.renderTemplate('new-order-email', {
+                order_id: '123ABC',
+                user_name: 'Ali',
+                items: [{ item_name: 'Laptop', price: '$1,000.00', quantity: 2 }, { item_name: 'Mouse', price: '$19.99' }]
+            });
+
+            expect(subject).to.equal('Your order 123ABC is confirmed');
+            expect(html).to.include('Laptop').and.include('Mouse');
+            expect(text).to.include('Laptop 2 $1,000.00');
+            expect(text).to.include('Mouse 1 $19.99');
+        });
+
+        it('should escape double-stash values and keep triple-stash HTML', async function () {
+            const { html } = await TemplateRenderer.renderTemplate('creator-broadcast', {
+                creator_name: '<b>Ali</b>',
+                message_body: '<p>New drop!</p>'
+            });
+
+            expect(html).to.include('&lt;b&gt;Ali&lt;/b&gt;');
+            expect(html).to.include('<p>New drop!</p>');
+        });
+
+        it('should keep plain text in the subject and escape it in the body', async function () {
+            const { subject, html } = await TemplateRenderer.renderTemplate('creator-broadcast', {
+                creator_name: "Tom & Jerry O'Brien",
+                message_body: '<p>New drop!</p>'
+            });
+
+            expect(subject).to.equal("A message from Tom & Jerry O'Brien");
+            expect(html).to.include('<h2>Tom &amp; Jerry O&#x27;Brien</h2>');
+        });
+
+        it('should render links as text followed by the URL', async function () {
+            const { text } = await TemplateRenderer.renderTemplate('password-reset', {
+                reset_link: 'https://example.com/reset?token=abc',
+                user_email: 'fan@example.com'
+            });
+
+            expect(text).to.include('Reset your password (https://example.com/reset?token=abc)');
+            expect(text).to.include('fan@example.com');
+            expect(text).to.not.include('<');
+        });
+
+        it('should support the SendGrid comparison and formatting helpers', async function () {
+            useTemplate([
+                '{{#equals status "shipped"}}Shipped{{else}}Pending{{/equals}}',
+                '{{#greaterThan total 100}}Free shipping{{/greaterThan}}',
+                '{{#and vip active}}VIP{{/and}}',
+                '{{insert name "default=Customer"}}',
+                '{{length items}} items',
+                '{{formatDate placed "DD MMM YYYY HH:mm" "+0200"}}'
+            ].join('|'));
+
+            const { html } = await TemplateRenderer.renderTemplate('test', {
+                status: 'pending',
+                total: 150,
+                vip: true,
+                active: false,
+                items: [1, 2, 3],
+                placed: '2026-01-31T23:30:00Z'
+            });
+
+            expect(html).to.equal('Pending|Free shipping||Customer|3 items|01 Feb 2026 01:30');
+        });
+
+        it('should refuse loops in templates without supportsLooping', async function () {
+            useTemplate('{{#each items}}{{this}}{{/each}}');
+
+            try {
+                await TemplateRenderer.renderTemplate('test', { items: [] });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Invalid template test: uses {{#each}} but supportsLooping is false');
+            }
+        });
+
+        it('should report syntax errors and missing files', async function () {
+            useTemplate('{{#if broken}}');
+
+            try {
+                await TemplateRenderer.renderTemplate('test', {});
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Invalid template test: /);
+            }
+
+            TemplateRenderer.templateMap.test.path = 'missing.html';
+            try {
+                await TemplateRenderer.renderTemplate('test', {});
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Template file not found for test: missing.html');
+            }
+        });
+
+        it('should recompile a template after the file changes', async function () {
+            useTemplate('first');
+            expect((await TemplateRenderer.renderTemplate('test')).html).to.equal('first');
+
+            const file = path.join(tmpDir, 'test.html');
+            fs.writeFileSync(file, 'second');
+            const later = new Date(Date.now() + 5000);
+            fs.utimesSync(file, later, later);
+
+            expect((await TemplateRenderer.renderTemplate('test')).html).to.equal('second');
+        });
+
+        it('should throw for unknown template keys', async function () {
+            try {
+                await TemplateRenderer.renderTemplate('nope', {});
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Unknown templateKey: nope');
+            }
+        });
+    });
+
+    describe('previewTemplate', function () {
+
+        it('should render invalid data and report its violations', async function () {
+            const preview = await TemplateRenderer.previewTemplate('password-reset', { user_email: 'nope' });
+
+            expect(preview).to.include({ templateKey: 'password-reset', subject: 'Reset your password', valid: false });
+            expect(preview.violations.map((v) => v.field)).to.deep.equal(['reset_link', 'user_email']);
+            expect(preview.html).to.include('nope');
+        });
+    });
+
+    describe('helpers', function () {
+
+        it('should convert HTML to text', function () {
+            const text = htmlToText('<html><head><title>T</title></head><body><style>p{}</style><p>Hi &amp; welcome</p><ul><li>One</li><li>Two</li></ul></body></html>');
+            expect(text).to.equal('Hi & welcome\n\n- One\n- Two');
+        });
+
+        it('should return an empty string for invalid dates', function () {
+            expect(formatDate('not a date', 'YYYY')).to.equal('');
+            expect(formatDate('2026-03-05T15:04:05Z', 'M/D/YY h:mm:ss A')).to.equal('3/5/26 3:04:05 PM');
+        });
+    });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const { sanitizeTemplateData, sanitizeHtml, sanitizeUrl, escapeHtml } = require('../services/templateSanitizer');
+const { EmailTemplateMap } = require('../config/emailTemplatesMap');
+
+describe('templateSanitizer', function () {
+
+    describe('sanitizeHtml', function () {
+
+        it('should keep allowlisted markup', function () {
+            const html = '<p>Hello <strong>fans</strong>, see <a href="https://example.com/drop">the drop</a></p>';
+            expect(sanitizeHtml(html)).to.deep.equal({ html, removed: [] });
+        });
+
+        it('should remove script-like tags with their content and strip unknown tags', function () {
+            const { html, removed } = sanitizeHtml('<script>alert(1)</script><form><b>Hi</b></form><iframe src="x"></iframe>');
+            expect(html).to.equal('<b>Hi</b>');
+            expect(removed).to.deep.equal(['<script>', '<form>', '<iframe>']);
+        });
+
+        it('should drop event handlers, styles and unsafe URLs, including encoded schemes', function () {
+            const { html, removed } = sanitizeHtml(
+                '<a href="jav&#x61;script:alert(1)" onclick="x()">a</a><img src="data:image/png;base64,AA" onerror=alert(1) alt="pic"><p style="position:fixed">b</p>'
+            );
+            expect(html).to.equal('<a>a</a><img alt="pic"><p>b</p>');
+            expect(removed).to.have.members(['href', 'onclick', 'src', 'onerror', 'style']);
+        });
+
+        it('should add rel=noopener to links opening a new window', function () {
+            const { html } = sanitizeHtml('<a href="https://example.com" target="_blank" rel="opener">x</a>');
+            expect(html).to.equal('<a href="https://example.com/" target="_blank" rel="noopener noreferrer">x</a>');
+        });
+
+        it('should close open tags and escape stray brackets', function () {
+            const { html } = sanitizeHtml('<div><em>1 < 2</div></span> and 3 > 2');
+            expect(html).to.equal('<div><em>1 &lt; 2</em></div> and 3 &gt; 2');
+        });
+
+        it('should drop comments', function () {
+            expect(sanitizeHtml('a<!--[if IE]><script>x</script><![endif]-->b')).to.deep.equal({ html: 'ab', removed: ['<!-- -->'] });
+        });
+    });
+
+    describe('sanitizeUrl', function () {
+
+        it('should accept http and https and normalize them', function () {
+            expect(sanitizeUrl('https://example.com/a b?q="x"')).to.equal('https://example.com/a%20b?q=%22x%22');
+        });
+
+        it('should reject other schemes, relative URLs and hidden control characters', function () {
+            expect(sanitizeUrl('javascript:alert(1)')).to.equal(null);
+            expect(sanitizeUrl(' java\tscript:alert(1)')).to.equal(null);
+            expect(sanitizeUrl('/relative')).to.equal(null);
+            expect(sanitizeUrl('mailto:a@example.com')).to.equal(null);
+            expect(sanitizeUrl('mailto:a@example.com', ['mailto:'])).to.equal('mailto:a@example.com');
+        });
+    });
+
+    describe('sanitizeTemplateData', function () {
+
+        it('should sanitize nested fields by type and report every change', function () {
+            const data = {
+                order_id: '<1>',
+                user_name: 'Ali',
+                items: [{ item_name: 'Mug "XL"', price: 9.5, image_url: 'javascript:alert(1)' }],
+                note: '<b>undeclared</b>'
+            };
+            const result = sanitizeTemplateData(EmailTemplateMap['new-order-email'], data);
+
+            expect(result.data).to.deep.equal({
+                order_id: '<1>',
+                user_name: 'Ali',
+                items: [{ item_name: 'Mug "XL"', price: 9.5, image_url: null }],
+                note: '<b>undeclared</b>'
+            });
+            expect(result.report).to.deep.equal([
+                { field: 'items[0].image_url', action: 'removed', removed: ['javascript:alert(1)'] }
+            ]);
+            expect(data.items[0].image_url).to.equal('javascript:alert(1)');
+        });
+
+        it('should escape every HTML special character', function () {
+            expect(escapeHtml('&<>"\'`')).to.equal('&amp;&lt;&gt;&quot;&#x27;&#x60;');
+        });
+    });
+});
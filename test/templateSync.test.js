@@ -0,0 +1,213 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const TemplateSync = require('../services/TemplateSync');
+const TemplateRenderer = require('../services/TemplateRenderer');
+const TwilioSendGrid = require('../services/TwilioSendGrid');
+const InMemorySendGridTransport = require('../services/transports/InMemorySendGridTransport');
+const { EmailTemplateMap } = require('../config/emailTemplatesMap');
+
+describe('TemplateSync', function () {
+
+    const orderId = EmailTemplateMap['new-order-email'].templateId;
+    const resetId = EmailTemplateMap['password-reset'].templateId;
+    const orderHtml = fs.readFileSync(path.join(__dirname, '..', 'templates', 'new-order-email.html'), 'utf8');
+    let fake;
+    let tmpDir;
+
+    // Adds a dynamic template to the fake with the given versions
+    function seedTemplate(id, name, versions = []) {
+        fake.templates.push({
+            id,
+            name,
+            generation: 'dynamic',
+            updated_at: '2026-01-01T00:00:00Z',
+            versions: versions.map((v, i) => ({
+                id: `${id}-v${i}`,
+                template_id: id,
+                name: `v${i}`,
+                subject: 'Subject',
+                html_content: '<p>old</p>',
+                active: 0,
+                ...v
+            }))
+        });
+    }
+
+    beforeEach(function () {
+        fake = new InMemorySendGridTransport();
+        TwilioSendGrid.setTransport(fake);
+        TemplateRenderer.resetInternalCache();
+        TemplateSync.service = TwilioSendGrid;
+    });
+
+    afterEach(function () {
+        TwilioSendGrid.setTransport(null);
+        TemplateSync.service = null;
+        TemplateRenderer.templateMap = null;
+        TemplateRenderer.rootDir = path.join(__dirname, '..');
+        if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+        tmpDir = null;
+    });
+
+    describe('checkDrift', function () {
+
+        it('should report missing, unknown and inactive templates and failing test data', async function () {
+            seedTemplate(orderId, 'New order', [
+                { active: 1, test_data: JSON.stringify({ order_id: 'A1', user_name: 'Ali' }) }
+            ]);
+            seedTemplate(resetId, 'Password reset', [{ active: 0 }]);
+            seedTemplate('d-ffffffffffffffffffffffffffffffff', 'Old newsletter');
+
+            const drift = await TemplateSync.checkDrift();
+
+            expect(drift.inSync).to.equal(false);
+            expect(drift.missing).to.deep.equal([
+                { templateKey: 'creator-broadcast', templateId: 'd-broadcast00001234567890abc', reason: 'invalid_id' }
+            ]);
+            expect(drift.unknown).to.deep.equal([{ templateId: 'd-ffffffffffffffffffffffffffffffff', name: 'Old newsletter' }]);
+            expect(drift.noActiveVersion).to.deep.equal([{ templateKey: 'password-reset', templateId: resetId }]);
+            expect(drift.testData).to.have.lengthOf(1);
+            expect(drift.testData[0]).to.include({ templateKey: 'new-order-email', versionId: `${orderId}-v0` });
+            expect(drift.testData[0].violations.map((v) => v.field)).to.deep.equal(['items']);
+            expect(drift.templates.map((t) => t.templateKey)).to.deep.equal(['new-order-email', 'password-reset']);
+            expect(drift.templates[0].activeVersion).to.include({ id: `${orderId}-v0`, name: 'v0' });
+        });
+
+        it('should report templates deleted from SendGrid and invalid test data JSON', async function () {
+            seedTemplate(orderId, 'New order', [{ active: 1, test_data: '{not json' }]);
+
+            const drift = await TemplateSync.checkDrift();
+
+            expect(drift.missing.map((m) => [m.templateKey, m.reason])).to.deep.equal([
+                ['password-reset', 'not_found'],
+                ['creator-broadcast', 'invalid_id']
+            ]);
+            expect(drift.testData[0].violations).to.deep.equal([
+                { field: '', code: 'json', message: 'Invalid test data: not valid JSON' }
+            ]);
+        });
+
+        it('should be in sync when every template has an active version with valid test data', async function () {
+            TemplateRenderer.templateMap = { 'password-reset': EmailTemplateMap['password-reset'] };
+            seedTemplate(resetId, 'Password reset', [{
+                active: 1,
+                test_data: JSON.stringify({ reset_link: 'https://example.com/r', user_email: 'a@example.com' })
+            }]);
+
+            const drift = await TemplateSync.checkDrift();
+
+            expect(drift).to.include({ inSync: true });
+            expect(drift.templates).to.have.lengthOf(1);
+        });
+
+        it('should follow pagination when listing templates', async function () {
+            for (let i = 0; i < 201; i++) {
+                seedTemplate(`d-${String(i).padStart(32, '0')}`, `t${i}`);
+            }
+
+            const templates = await TemplateSync.fetchDynamicTemplates();
+
+            expect(templates).to.have.lengthOf(201);
+            expect(fake.requests.filter((r) => r.url.startsWith('/v3/templates'))).to.have.lengthOf(2);
+        });
+    });
+
+    describe('pushTemplate', function () {
+
+        it('should push the local HTML as a new active version, keeping the test data', async function () {
+            const testData = JSON.stringify({ order_id: 'A1', user_name: 'Ali', items: [] });
+            seedTemplate(orderId, 'New order', [{ active: 1, test_data: testData }]);
+
+            const result = await TemplateSync.pushTemplate('new-order-email');
+
+            expect(result).to.include({ templateKey: 'new-order-email', templateId: orderId, created: true, activated: true });
+            const [old, pushed] = fake.templates[0].versions;
+            expect(old.active).to.equal(0);
+            expect(pushed).to.include({
+                id: result.versionId,
+                active: 1,
+                html_content: orderHtml,
+                subject: 'Your order {{{order_id}}} is confirmed',
+                editor: 'code',
+                test_data: testData
+            });
+        });
+
+        it('should reuse a version with unchanged content unless forced', async function () {
+            seedTemplate(orderId, 'New order', [
+                { active: 1 },
+                { html_content: orderHtml, subject: 'Your order {{{order_id}}} is confirmed' }
+            ]);
+
+            const reused = await TemplateSync.pushTemplate('new-order-email');
+            expect(reused).to.deep.include({ versionId: `${orderId}-v1`, created: false, activated: true });
+            expect(fake.templates[0].versions.map((v) => v.active)).to.deep.equal([0, 1]);
+
+            const unchanged = await TemplateSync.pushTemplate('new-order-email');
+            expect(unchanged).to.include({ created: false, activated: false });
+
+            const forced = await TemplateSync.pushTemplate('new-order-email', { force: true, activate: false });
+            expect(forced).to.include({ created: true, activated: false });
+            expect(fake.templates[0].versions).to.have.lengthOf(3);
+        });
+
+        it('should validate test data against the template map', async function () {
+            seedTemplate(resetId, 'Password reset');
+
+            try {
+                await TemplateSync.pushTemplate('password-reset', { testData: { user_email: 'a@example.com' } });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Missing required template fields: reset_link');
+            }
+            expect(fake.templates[0].versions).to.have.lengthOf(0);
+        });
+
+        it('should refuse templates missing from SendGrid or with an invalid ID', async function () {
+            try {
+                await TemplateSync.pushTemplate('password-reset');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal(`Template not found in SendGrid: ${resetId}`);
+            }
+
+            try {
+                await TemplateSync.pushTemplate('creator-broadcast');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Invalid templateId for creator-broadcast/);
+            }
+        });
+
+        it('should require a <title> for the subject', async function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+            fs.writeFileSync(path.join(tmpDir, 'test.html'), '<p>Hi {{name}}</p>');
+            TemplateRenderer.rootDir = tmpDir;
+            TemplateRenderer.templateMap = {
+                test: { templateId: resetId, path: 'test.html', supportsLooping: false, requiredFields: [], customFieldTypes: {} }
+            };
+
+            try {
+                await TemplateSync.pushTemplate('test');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Invalid template test: a <title> is required for the subject');
+            }
+        });
+
+        it('should push every template and collect failures', async function () {
+            seedTemplate(orderId, 'New order');
+            seedTemplate(resetId, 'Password reset');
+
+            const { pushed, failed } = await TemplateSync.pushAll();
+
+            expect(pushed.map((p) => p.templateKey)).to.deep.equal(['new-order-email', 'password-reset']);
+            expect(failed).to.deep.equal([{
+                templateKey: 'creator-broadcast',
+                error: 'Invalid templateId for creator-broadcast: d-broadcast00001234567890abc is not a dynamic template ID'
+            }]);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+const { expect } = require('chai');
+const { validateTemplateSchema, validateTemplateData } = require('../services/templateValidation');
+const { EmailTemplateMap } = require('../config/emailTemplatesMap');
+
+describe('templateValidation', function () {
+
+    const order = EmailTemplateMap['new-order-email'];
+
+    describe('validateTemplateSchema', function () {
+
+        it('should accept valid data', function () {
+            const result = validateTemplateSchema(order, {
+                order_id: '123',
+                user_name: 'Ali',
+                items: [{ item_name: 'Laptop', price: '$1,000.00', quantity: 1 }, { item_name: 'Mouse', price: 19.99 }]
+            });
+            expect(result).to.deep.equal({ valid: true, violations: [] });
+        });
+
+        it('should report every violation, including nested array items', function () {
+            const { valid, violations } = validateTemplateSchema(order, {
+                order_id: 123,
+                items: [{ item_name: 'Laptop', price: 'a lot' }, { price: '$5' }, 'not an object']
+            });
+
+            expect(valid).to.equal(false);
+            expect(violations.map((v) => [v.field, v.code])).to.deep.equal([
+                ['user_name', 'required'],
+                ['order_id', 'type'],
+                ['items[0].price', 'type'],
+                ['items[1].item_name', 'required'],
+                ['items[2]', 'type']
+            ]);
+            expect(violations[2]).to.include({ expected: 'currency', message: 'Invalid type for items[0].price: expected currency' });
+        });
+
+        it('should enforce url, email and html types', function () {
+            const { violations } = validateTemplateSchema(EmailTemplateMap['password-reset'], {
+                reset_link: 'javascript:alert(1)',
+                user_email: 'not-an-email'
+            });
+            expect(violations.map((v) => v.expected)).to.deep.equal(['url', 'email']);
+
+            const broadcast = validateTemplateSchema(EmailTemplateMap['creator-broadcast'], {
+                creator_name: 'Ali',
+                message_body: 42
+            });
+            expect(broadcast.violations[0]).to.include({ field: 'message_body', expected: 'html' });
+        });
+
+        it('should check number, date, currency and nested object types', function () {
+            const template = {
+                requiredFields: ['launch'],
+                customFieldTypes: {
+                    launch: 'date',
+                    total: 'currency',
+                    count: 'number',
+                    address: { type: 'object', required: ['city'], properties: { city: 'string', zip: 'string' } }
+                }
+            };
+
+            expect(validateTemplateSchema(template, {
+                launch: '2026-01-31T09:00:00Z', total: 'EUR 5.50', count: 3, address: { city: 'Lahore' }
+            }).valid).to.equal(true);
+
+            const { violations } = validateTemplateSchema(template, {
+                launch: '31/01/2026', total: '5.555', count: '3', address: { zip: 54000 }
+            });
+            expect(violations.map((v) => v.field)).to.deep.equal(['launch', 'total', 'count', 'address.city', 'address.zip']);
+        });
+
+        it('should treat undeclared-required fields as optional and skip nulls', function () {
+            const result = validateTemplateSchema(order, { order_id: null, user_name: 'Ali', items: [] });
+            expect(result.valid).to.equal(true);
+        });
+
+        it('should report unknown declared types and non-object data', function () {
+            const template = { requiredFields: [], customFieldTypes: { x: 'uuid' } };
+            expect(validateTemplateSchema(template, { x: 'a' }).violations[0].code).to.equal('unknown_type');
+            expect(validateTemplateSchema(template, undefined).violations[0].message).to.equal('Invalid template data: expected object');
+        });
+    });
+
+    describe('validateTemplateData', function () {
+
+        it('should throw with every violation attached', function () {
+            try {
+                validateTemplateData(order, { order_id: 1 });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal(
+                    'Missing required template fields: user_name, items; Invalid type for order_id: expected string'
+                );
+                expect(err.violations).to.have.lengthOf(3);
+            }
+        });
+    });
+
+});
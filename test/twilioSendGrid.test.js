@@ -1,12 +1,34 @@
-require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { expect } = require('chai');
 const TwilioSendGrid = require('../services/TwilioSendGrid');
+const InMemorySendGridTransport = require('../services/transports/InMemorySendGridTransport');
+const { MemoryIdempotencyStore } = require('../services/idempotency');
+const { ValidationError, NotFoundError, ConflictError, ProviderError, RateLimitError } = require('../services/errors');
 
 describe('TwilioSendGrid Class', function () {
 
     const testEmail = 'test@example.com'; // Use a verified test recipient
     const senderId = '123'; // Your test senderId
     const listName = `sender_${senderId}_list`;
+    let fake;
+
+    beforeEach(function () {
+        fake = new InMemorySendGridTransport();
+        TwilioSendGrid.setTransport(fake);
+        TwilioSendGrid.resetInternalCache();
+        TwilioSendGrid.listCreationDelay = 0;
+        TwilioSendGrid.configureRetryPolicy({ sleep: async () => {} });
+    });
+
+    afterEach(function () {
+        TwilioSendGrid.setTransport(null);
+        TwilioSendGrid.resetInternalCache();
+        TwilioSendGrid.configureRetryPolicy();
+        TwilioSendGrid.setIdempotencyStore(null);
+        TwilioSendGrid.setScheduledSendStore(null);
+    });
 
     describe('Basic Methods', function () {
 
@@ -23,18 +45,258 @@ describe('TwilioSendGrid Class', function () {
         });
     });
 
+    describe('Template Map Files', function () {
+
+        const env = {};
+        let dir;
+
+        // Writes the base map with the given password reset field types
+        function writeMap(customFieldTypes) {
+            fs.writeFileSync(path.join(dir, 'emails.json'), JSON.stringify({
+                'password-reset': {
+                    templateId: 'd-abcdef1234567890abcdef1234567890',
+                    path: 'templates/password-reset.html',
+                    requiredFields: ['reset_link'],
+                    customFieldTypes
+                }
+            }));
+        }
+
+        beforeEach(function () {
+            for (const key of ['EMAIL_TEMPLATES_DIR', 'TEMPLATE_ENV']) env[key] = process.env[key];
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-templates-'));
+            process.env.EMAIL_TEMPLATES_DIR = dir;
+            process.env.TEMPLATE_ENV = 'production';
+            writeMap({ reset_link: 'url' });
+        });
+
+        afterEach(function () {
+            TwilioSendGrid.unwatchEmailTemplateConfig();
+            for (const [key, value] of Object.entries(env)) {
+                if (value === undefined) delete process.env[key];
+                else process.env[key] = value;
+            }
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should load the map from EMAIL_TEMPLATES_DIR with the environment overrides', function () {
+            fs.mkdirSync(path.join(dir, 'production'));
+            fs.writeFileSync(path.join(dir, 'production', 'ids.yml'), 'password-reset:\n  templateId: d-00000000000000000000000000000042\n');
+
+            const config = TwilioSendGrid.loadEmailTemplateConfig();
+
+            expect(Object.keys(config)).to.deep.equal(['password-reset']);
+            expect(config['password-reset'].templateId).to.equal('d-00000000000000000000000000000042');
+        });
+
+        it('should rebuild the template and field caches together on reload', function () {
+            expect(TwilioSendGrid.buildFieldTypeFromEmailTemplateConfig()).to.deep.equal({ reset_link: 'url' });
+
+            writeMap({ reset_link: 'url', user_email: 'email' });
+            TwilioSendGrid.reloadEmailTemplateConfig();
+
+            expect(TwilioSendGrid.loadEmailTemplateConfig()['password-reset'].customFieldTypes).to.have.property('user_email');
+            expect(TwilioSendGrid.buildFieldTypeFromEmailTemplateConfig()).to.deep.equal({ reset_link: 'url', user_email: 'email' });
+        });
+
+        it('should keep the previous map when a reload finds errors', function () {
+            const before = TwilioSendGrid.loadEmailTemplateConfig();
+            writeMap({ reset_link: 'link' });
+
+            try {
+                TwilioSendGrid.reloadEmailTemplateConfig();
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Invalid template map: Invalid password-reset.customFieldTypes.reset_link: unknown type link');
+            }
+            expect(TwilioSendGrid.loadEmailTemplateConfig()).to.equal(before);
+        });
+
+        it('should reload when the files change', async function () {
+            const reloaded = new Promise((resolve, reject) => {
+                TwilioSendGrid.watchEmailTemplateConfig({ onReload: resolve, onError: reject });
+            });
+
+            writeMap({ reset_link: 'url', user_email: 'email' });
+            const map = await reloaded;
+
+            expect(map['password-reset'].customFieldTypes).to.have.property('user_email');
+            expect(TwilioSendGrid.buildFieldTypeFromEmailTemplateConfig()).to.have.property('user_email');
+        });
+    });
+
+    describe('Custom Field Provisioning', function () {
+
+        const fieldRequests = () => fake.requests.filter((r) => r.url === '/v3/marketing/field_definitions');
+
+        afterEach(function () {
+            TwilioSendGrid.contactFieldMap = require('../config/contactFieldsMap').ContactFieldMap;
+        });
+
+        it('should create the configured fields with their SendGrid types', async function () {
+            TwilioSendGrid.contactFieldMap = {
+                weekly_newsletter: { type: 'boolean', tag: true },
+                lifetime_value: { type: 'number' },
+                joined_at: 'date'
+            };
+
+            const report = await TwilioSendGrid.syncCustomFields();
+
+            expect(report.created.map((f) => [f.name, f.fieldType])).to.deep.equal([
+                ['weekly_newsletter', 'Text'],
+                ['lifetime_value', 'Number'],
+                ['joined_at', 'Date']
+            ]);
+            expect(report).to.deep.include({ existing: [], conflicts: [], failed: [] });
+            expect(fake.fieldDefinitions.map((f) => f.name)).to.deep.equal(['weekly_newsletter', 'lifetime_value', 'joined_at']);
+
+            const again = await TwilioSendGrid.syncCustomFields();
+            expect(again.created).to.deep.equal([]);
+            expect(again.existing.map((f) => f.fieldId)).to.deep.equal(report.created.map((f) => f.fieldId));
+        });
+
+        it('should report type conflicts without touching the field', async function () {
+            fake.fieldDefinitions.push({ id: 'e9_N', name: 'weekly_newsletter', field_type: 'Number' });
+
+            const report = await TwilioSendGrid.syncCustomFields();
+
+            expect(report.conflicts).to.deep.equal([
+                { name: 'weekly_newsletter', expected: 'Text', actual: 'Number', fieldId: 'e9_N' }
+            ]);
+            expect(report.created.map((f) => f.name)).to.deep.equal(['promo']);
+            expect(fake.fieldDefinitions[0]).to.deep.equal({ id: 'e9_N', name: 'weekly_newsletter', field_type: 'Number' });
+
+            try {
+                await TwilioSendGrid.ensureCustomFieldExists('weekly_newsletter', 'boolean');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Custom field type conflict: weekly_newsletter is Number in SendGrid, expected Text');
+            }
+        });
+
+        it('should only report missing fields on a dry run', async function () {
+            const report = await TwilioSendGrid.syncCustomFields({ dryRun: true });
+
+            expect(report.created).to.deep.equal([
+                { name: 'weekly_newsletter', fieldType: 'Text', fieldId: null },
+                { name: 'promo', fieldType: 'Text', fieldId: null }
+            ]);
+            expect(fake.fieldDefinitions).to.have.lengthOf(0);
+        });
+
+        it('should refuse config types contacts cannot store', async function () {
+            TwilioSendGrid.contactFieldMap = { items: { type: 'array' }, 'bad-name': 'string' };
+
+            try {
+                await TwilioSendGrid.syncCustomFields();
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.violations.map((v) => v.message)).to.deep.equal([
+                    'Invalid contact field items: type array cannot be stored on contacts',
+                    'Invalid contact field name: bad-name'
+                ]);
+            }
+            expect(fieldRequests()).to.have.lengthOf(0);
+        });
+
+        it('should cache field IDs and definitions across lookups and creations', async function () {
+            const created = await TwilioSendGrid.ensureCustomFieldExists('tier');
+            await TwilioSendGrid.ensureCustomFieldExists('score', 'number');
+
+            expect(await TwilioSendGrid.getCustomFieldId('tier')).to.equal(created.id);
+            expect(await TwilioSendGrid.fetchFieldTypes()).to.include({ tier: 'Text', score: 'Number' });
+            expect(fieldRequests().filter((r) => r.method === 'GET')).to.have.lengthOf(1);
+
+            // Fields created elsewhere are found with one refresh
+            fake.fieldDefinitions.push({ id: 'e99_D', name: 'joined_at', field_type: 'Date' });
+            expect(await TwilioSendGrid.getCustomFieldId('joined_at')).to.equal('e99_D');
+
+            try {
+                await TwilioSendGrid.getCustomFieldId('nope');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Custom field not found: nope');
+            }
+        });
+
+        it('should accept declared tag fields as campaign tags', async function () {
+            const list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            await TwilioSendGrid.syncCustomFields();
+
+            const result = await TwilioSendGrid.sendCampaignEmail({
+                listId: list.id,
+                tag: 'weekly_newsletter',
+                templateKey: 'creator-broadcast',
+                dynamicData: { senderId }
+            });
+
+            expect(result.campaignId).to.be.a('string');
+            expect(fake.segments[0].query_dsl).to.include("weekly_newsletter = 'true'");
+        });
+    });
+
     describe('List Management', function () {
 
         it('should ensure sender list exists', async function () {
             const list = await TwilioSendGrid.ensureSenderListExists(senderId);
             expect(list).to.be.an('object');
             expect(list.name).to.equal(listName);
+            expect(fake.lists).to.have.lengthOf(1);
+        });
+
+        it('should reuse an existing sender list', async function () {
+            const first = await TwilioSendGrid.ensureSenderListExists(senderId);
+            const second = await TwilioSendGrid.ensureSenderListExists(senderId);
+            expect(second.id).to.equal(first.id);
+            expect(fake.lists).to.have.lengthOf(1);
         });
 
         it('should create or fetch a custom field', async function () {
             const field = await TwilioSendGrid.ensureCustomFieldExists('test_field', 'text');
             expect(field).to.be.an('object');
             expect(field.name).to.equal('test_field');
+            expect(field.field_type).to.equal('Text');
+
+            const again = await TwilioSendGrid.ensureCustomFieldExists('test_field', 'text');
+            expect(again.id).to.equal(field.id);
+        });
+
+        it('should create custom fields with the capitalised types SendGrid expects', async function () {
+            await TwilioSendGrid.ensureCustomFieldExists('nickname', 'text');
+            await TwilioSendGrid.ensureCustomFieldExists('visits', 'Number');
+            await TwilioSendGrid.ensureCustomFieldExists('renewal', 'date');
+
+            const creates = fake.requests.filter((r) => r.method === 'POST' && r.url === '/v3/marketing/field_definitions');
+            expect(creates.map((r) => r.body)).to.deep.equal([
+                { name: 'nickname', field_type: 'Text' },
+                { name: 'visits', field_type: 'Number' },
+                { name: 'renewal', field_type: 'Date' }
+            ]);
+        });
+
+        it('should retry list fetches on rate limiting', async function () {
+            fake.failNext({ method: 'GET', url: '/v3/marketing/lists', status: 429 });
+            const lists = await TwilioSendGrid.fetchAllSenderLists(true);
+            expect(lists).to.be.an('array');
+        });
+
+        it('should retry reads and searches on transient server errors', async function () {
+            fake.failNext({ method: 'GET', url: '/v3/marketing/lists', status: 503, times: 2 });
+            fake.failNext({ method: 'POST', url: '/v3/marketing/contacts/search', status: 502 });
+
+            expect(await TwilioSendGrid.fetchAllSenderLists(true)).to.be.an('array');
+            expect(await TwilioSendGrid._findContactByEmail(testEmail)).to.equal(undefined);
+            expect(TwilioSendGrid.getCircuitState()).to.equal('closed');
+        });
+
+        it('should not retry writes after a server error', async function () {
+            fake.failNext({ method: 'POST', url: '/v3/marketing/lists', status: 500 });
+            try {
+                await TwilioSendGrid.ensureListExistsByName('once');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(fake.requests.filter((r) => r.method === 'POST' && r.url === '/v3/marketing/lists')).to.have.lengthOf(1);
+            }
         });
     });
 
@@ -49,10 +311,18 @@ describe('TwilioSendGrid Class', function () {
                 true
             );
             expect(result).to.be.an('object');
+            expect(fake.contacts[0].list_ids).to.deep.equal([list.id]);
+            expect(fake.contacts[0].custom_fields.weekly_newsletter).to.equal(true);
         });
 
         it('should unsubscribe recipient and clear custom fields', async function () {
             const list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(
+                testEmail,
+                list.id,
+                { weekly_newsletter: true },
+                true
+            );
             const result = await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(
                 testEmail,
                 list.id,
@@ -60,6 +330,117 @@ describe('TwilioSendGrid Class', function () {
                 false
             );
             expect(result).to.be.an('object');
+            expect(fake.contacts[0].custom_fields).to.not.have.property('weekly_newsletter');
+        });
+
+        it('should surface SendGrid errors on failed updates', async function () {
+            try {
+                await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(
+                    testEmail,
+                    'missing-list',
+                    { weekly_newsletter: true },
+                    true
+                );
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(ProviderError);
+                expect(err.message).to.equal('Failed to update recipient fields: list missing-list does not exist');
+                expect(err).to.include({ code: 'PROVIDER_ERROR', upstreamStatus: 400, retryable: false });
+                expect(err.upstreamErrors.map((e) => e.message)).to.deep.equal(['list missing-list does not exist']);
+            }
+        });
+
+        it('should remove a recipient from all sender lists', async function () {
+            const list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(testEmail, list.id, {}, true);
+
+            const result = await TwilioSendGrid.removeRecipientFromAllSenderLists(testEmail);
+            expect(result).to.deep.equal({ removed: true });
+            expect(fake.contacts[0].list_ids).to.deep.equal([]);
+        });
+
+        it('should keep blocks when removing a recipient from all sender lists', async function () {
+            const list = await TwilioSendGrid.ensureSenderListExists('999');
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(testEmail, list.id, {}, true);
+            await TwilioSendGrid.blockRecipient(testEmail, senderId);
+            expect(await TwilioSendGrid.isRecipientBlocked(testEmail, senderId)).to.equal(true);
+
+            await TwilioSendGrid.removeRecipientFromAllSenderLists(testEmail);
+
+            expect(await TwilioSendGrid.isRecipientBlocked(testEmail, senderId)).to.equal(true);
+            expect(fake.contacts[0].list_ids).to.not.include(list.id);
+        });
+
+        it('should filter recipients in a sender list by tag', async function () {
+            const list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(
+                testEmail, list.id, { weekly_newsletter: true }, true
+            );
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(
+                'other@example.com', list.id, {}, true
+            );
+
+            const { recipients } = await TwilioSendGrid.getSenderListAndRecipientsByTag(senderId, 'weekly_newsletter');
+            expect(recipients.map((r) => r.email)).to.deep.equal([testEmail]);
+        });
+    });
+
+    describe('Filtering & Querying Recipients', function () {
+
+        let list;
+
+        beforeEach(async function () {
+            list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            const other = await TwilioSendGrid.ensureListExistsByName('other_list');
+
+            // 230 contacts in the sender list, every other one tagged, plus noise in another list
+            const contacts = Array.from({ length: 230 }, (_, i) => ({
+                email: `fan${String(i).padStart(3, '0')}@example.com`,
+                custom_fields: i % 2 ? { weekly_newsletter: true } : {}
+            }));
+            await fake.request({ method: 'PUT', url: '/v3/marketing/contacts', body: { list_ids: [list.id], contacts } });
+            await fake.request({
+                method: 'PUT',
+                url: '/v3/marketing/contacts',
+                body: { list_ids: [other.id], contacts: [{ email: 'outsider@example.com', custom_fields: { weekly_newsletter: true } }] }
+            });
+        });
+
+        it('should iterate over every contact beyond the search cap', async function () {
+            const emails = [];
+            for await (const contact of TwilioSendGrid.iterateContacts({ listId: list.id })) {
+                emails.push(contact.email);
+            }
+            expect(emails).to.have.lengthOf(230);
+            expect(new Set(emails).size).to.equal(230);
+            expect(emails).to.deep.equal([...emails].sort());
+        });
+
+        it('should filter by tag on the server', async function () {
+            const recipients = await TwilioSendGrid.filterRecipientsByTag({ listId: list.id, tag: 'weekly_newsletter' });
+            expect(recipients).to.have.lengthOf(115);
+
+            const searches = fake.requests.filter((r) => r.url === '/v3/marketing/contacts/search');
+            expect(searches.every((r) => r.body.query.includes("weekly_newsletter = 'true'"))).to.equal(true);
+            expect(fake.requests.some((r) => r.method === 'GET' && r.url.startsWith('/v3/marketing/contacts'))).to.equal(false);
+        });
+
+        it('should return complete results for the sender list helpers', async function () {
+            const { recipients } = await TwilioSendGrid.getSenderListAndRecipientsByTag(senderId, 'weekly_newsletter');
+            expect(recipients).to.have.lengthOf(115);
+
+            const res = await TwilioSendGrid.getRecipientsInSenderList(list.id);
+            expect(res.body.result).to.have.lengthOf(230);
+            expect(res.body.contact_count).to.equal(230);
+        });
+
+        it('should reject tags that are not field names', async function () {
+            try {
+                await TwilioSendGrid.filterRecipientsByTag({ listId: list.id, tag: "x' OR 1=1" });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal("Invalid tag: x' OR 1=1");
+            }
         });
     });
 
@@ -79,12 +460,221 @@ describe('TwilioSendGrid Class', function () {
 
             expect(response).to.be.an('array');
             expect(response[0].statusCode).to.equal(202); // Accepted
+            expect(fake.mailSends).to.have.lengthOf(1);
+            expect(fake.mailSends[0].templateId).to.equal('d-1234567890abcdef1234567890abcdef');
+        });
+
+        it('should reject missing required template fields', async function () {
+            try {
+                await TwilioSendGrid.sendSimpleEmail({
+                    to: testEmail,
+                    from: 'sender@example.com',
+                    templateKey: 'new-order-email',
+                    dynamicTemplateData: { order_id: '1' }
+                });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Missing required template fields: user_name, items');
+            }
+            expect(fake.mailSends).to.have.lengthOf(0);
+        });
+
+        it('should send attachments, inline images, reply-to, headers, categories and custom args', async function () {
+            const logo = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+            await TwilioSendGrid.sendSimpleEmail({
+                to: testEmail,
+                from: 'sender@example.com',
+                templateKey: 'password-reset',
+                dynamicTemplateData: { reset_link: 'https://example.com/r', user_email: testEmail },
+                replyTo: { email: 'support@example.com', name: 'Support' },
+                headers: { 'X-Order-Id': '42' },
+                categories: ['account'],
+                customArgs: { user_id: '7' },
+                attachments: [
+                    { content: Buffer.from('%PDF-1.7'), filename: 'invoice.pdf' },
+                    { content: logo, filename: 'logo.png', disposition: 'inline', contentId: 'logo' }
+                ]
+            });
+
+            const [sent] = fake.mailSends;
+            expect(sent.replyTo).to.deep.equal({ email: 'support@example.com', name: 'Support' });
+            expect(sent.headers).to.deep.equal({ 'X-Order-Id': '42' });
+            expect(sent.categories).to.deep.equal(['account']);
+            expect(sent.customArgs).to.deep.equal({ user_id: '7' });
+            expect(sent.attachments).to.deep.equal([
+                { content: Buffer.from('%PDF-1.7').toString('base64'), filename: 'invoice.pdf', type: 'application/pdf', disposition: 'attachment' },
+                { content: logo.toString('base64'), filename: 'logo.png', type: 'image/png', disposition: 'inline', contentId: 'logo' }
+            ]);
+        });
+
+        it('should validate message options before anything is sent', async function () {
+            const email = {
+                to: testEmail,
+                from: 'sender@example.com',
+                templateKey: 'password-reset',
+                dynamicTemplateData: { reset_link: 'https://example.com/r', user_email: testEmail }
+            };
+
+            for (const [extra, message] of [
+                [{ replyTo: 'nope' }, /^Invalid reply-to email: nope$/],
+                [{ headers: { From: 'x@example.com' } }, /^Invalid header: From is set by SendGrid$/],
+                [{ attachments: [{ path: '/does/not/exist.pdf' }] }, /^Invalid attachment exist\.pdf: cannot read/]
+            ]) {
+                try {
+                    await TwilioSendGrid.sendSimpleEmail({ ...email, ...extra });
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err.message).to.match(message);
+                }
+            }
+            expect(fake.mailSends).to.have.lengthOf(0);
+        });
+
+        it('should sanitize template data before sending and report it', async function () {
+            const response = await TwilioSendGrid.sendSimpleEmail({
+                to: testEmail,
+                from: 'sender@example.com',
+                templateKey: 'creator-broadcast',
+                dynamicTemplateData: {
+                    creator_name: 'Tom & Jerry',
+                    message_body: '<p onclick="steal()">New drop!</p><script>alert(1)</script>'
+                }
+            });
+
+            expect(fake.mailSends[0].dynamicTemplateData).to.deep.equal({
+                creator_name: 'Tom & Jerry',
+                message_body: '<p>New drop!</p>'
+            });
+            expect(response.sanitized).to.deep.equal([
+                { field: 'message_body', action: 'stripped', removed: ['onclick', '<script>'] }
+            ]);
+        });
+
+        it('should wrap mail send failures', async function () {
+            fake.failNext({ url: 'mail', status: 500 });
+            try {
+                await TwilioSendGrid.sendSimpleEmail({
+                    to: testEmail,
+                    from: 'sender@example.com',
+                    templateKey: 'password-reset',
+                    dynamicTemplateData: { reset_link: 'https://example.com/r', user_email: testEmail }
+                });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Failed to send email/);
+                expect(err.cause.code).to.equal(500);
+            }
         });
 
     });
 
+    describe('Block User', function () {
+
+        const otherSenderId = '456';
+        let list;
+        let otherList;
+
+        beforeEach(async function () {
+            list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            otherList = await TwilioSendGrid.ensureSenderListExists(otherSenderId);
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(testEmail, list.id, {}, true);
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(testEmail, otherList.id, {}, true);
+        });
+
+        it('should remove the recipient from only that sender list', async function () {
+            const result = await TwilioSendGrid.blockRecipient(testEmail, senderId);
+            expect(result).to.deep.equal({ blocked: true, removedFromList: true, suppressed: false });
+
+            const contact = fake.contacts.find((c) => c.email === testEmail);
+            expect(contact.list_ids).to.not.include(list.id);
+            expect(contact.list_ids).to.include(otherList.id);
+            expect(await TwilioSendGrid.isRecipientBlocked(testEmail, senderId)).to.equal(true);
+            expect(await TwilioSendGrid.isRecipientBlocked(testEmail, otherSenderId)).to.equal(false);
+        });
+
+        it('should block recipients who are not contacts yet', async function () {
+            const result = await TwilioSendGrid.blockRecipient('stranger@example.com', senderId);
+            expect(result.removedFromList).to.equal(false);
+            expect(await TwilioSendGrid.isRecipientBlocked('stranger@example.com', senderId)).to.equal(true);
+        });
+
+        it('should add permanent blocks to the suppression group', async function () {
+            const [groupRes] = await fake.request({ method: 'POST', url: '/v3/asm/groups', body: { name: 'Blocked' } });
+            const groupId = groupRes.body.id;
+
+            const result = await TwilioSendGrid.blockRecipient(testEmail, senderId, { permanent: true, suppressionGroupId: groupId });
+            expect(result.suppressed).to.equal(true);
+            expect(fake.suppressionGroups[0].emails).to.deep.equal([testEmail]);
+
+            await TwilioSendGrid.unblockRecipient(testEmail, senderId, { permanent: true, suppressionGroupId: groupId });
+            expect(fake.suppressionGroups[0].emails).to.deep.equal([]);
+        });
+
+        it('should require a suppression group for permanent blocks', async function () {
+            const previous = process.env.SENDGRID_BLOCK_GROUP_ID;
+            delete process.env.SENDGRID_BLOCK_GROUP_ID;
+            try {
+                await TwilioSendGrid.blockRecipient(testEmail, senderId, { permanent: true });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Invalid suppression group/);
+            } finally {
+                if (previous !== undefined) process.env.SENDGRID_BLOCK_GROUP_ID = previous;
+            }
+            expect(await TwilioSendGrid.isRecipientBlocked(testEmail, senderId)).to.equal(false);
+        });
+
+        it('should refuse to resubscribe blocked recipients', async function () {
+            await TwilioSendGrid.blockRecipient(testEmail, senderId);
+            try {
+                await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(testEmail, list.id, {}, true);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal(`Recipient is blocked by sender ${senderId}: ${testEmail}`);
+            }
+
+            // Other creators are unaffected
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(testEmail, otherList.id, {}, true);
+        });
+
+        it('should refuse to send to blocked recipients for that sender', async function () {
+            await TwilioSendGrid.blockRecipient(testEmail, senderId);
+            const email = {
+                to: testEmail,
+                from: 'sender@example.com',
+                templateKey: 'password-reset',
+                dynamicTemplateData: { reset_link: 'https://example.com/r', user_email: testEmail }
+            };
+
+            try {
+                await TwilioSendGrid.sendSimpleEmail({ ...email, senderId });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/is blocked by sender/);
+            }
+
+            await TwilioSendGrid.sendSimpleEmail({ ...email, senderId: otherSenderId });
+            expect(fake.mailSends).to.have.lengthOf(1);
+        });
+
+        it('should allow subscribing again after unblocking', async function () {
+            await TwilioSendGrid.blockRecipient(testEmail, senderId);
+            const result = await TwilioSendGrid.unblockRecipient(testEmail, senderId);
+            expect(result).to.deep.equal({ unblocked: true, unsuppressed: false });
+
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag(testEmail, list.id, {}, true);
+            expect(await TwilioSendGrid.isRecipientBlocked(testEmail, senderId)).to.equal(false);
+        });
+    });
+
     describe('Campaign and Segment Logic', function () {
 
+        beforeEach(async function () {
+            // Provision the tag field the way an existing SendGrid account has it
+            fake.fieldDefinitions.push({ id: 'e1_T', name: 'weekly_newsletter', field_type: 'Text' });
+            await TwilioSendGrid.ensureCustomFieldExists('creator_name');
+        });
+
         it('should create segment and campaign, then schedule it', async function () {
             const list = await TwilioSendGrid.ensureSenderListExists(senderId);
 
@@ -99,8 +689,988 @@ describe('TwilioSendGrid Class', function () {
             expect(result).to.be.an('object');
             expect(result).to.have.property('campaignId');
             expect(result).to.have.property('segmentId');
+            expect(result).to.not.have.property('sanitized');
+            expect(fake.singleSends[0].status).to.equal('triggered');
+            expect(fake.singleSends[0].send_to.segment_ids).to.deep.equal([result.segmentId]);
+        });
+
+        it('should schedule a campaign for a future time', async function () {
+            const list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            const sendAt = new Date(Date.now() + 3600 * 1000).toISOString();
+
+            await TwilioSendGrid.sendCampaignEmail({
+                listId: list.id,
+                tag: 'creator_name',
+                templateKey: 'creator-broadcast',
+                dynamicData: { senderId },
+                sendAt
+            });
+
+            expect(fake.singleSends[0].status).to.equal('scheduled');
+            expect(fake.singleSends[0].send_at).to.equal(sendAt);
+        });
+
+        it('should schedule campaigns with PUT, as the Single Sends API requires', async function () {
+            const list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            const { campaignId } = await TwilioSendGrid.sendCampaignEmail({
+                listId: list.id,
+                tag: 'creator_name',
+                templateKey: 'creator-broadcast',
+                dynamicData: { senderId }
+            });
+
+            const schedules = fake.requests.filter((r) => r.url.endsWith('/schedule'));
+            expect(schedules.map((r) => [r.method, r.url])).to.deep.equal([
+                ['PUT', `/v3/marketing/singlesends/${campaignId}/schedule`]
+            ]);
+            expect(schedules[0].body).to.deep.equal({ send_at: 'now' });
+        });
+
+        it('should reject unknown tags', async function () {
+            try {
+                await TwilioSendGrid.sendCampaignEmail({
+                    listId: 'list',
+                    tag: 'not_a_field',
+                    templateKey: 'creator-broadcast',
+                    dynamicData: { senderId }
+                });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Invalid tag: not_a_field');
+            }
+        });
+
+        it('should require a senderId', async function () {
+            try {
+                await TwilioSendGrid.sendCampaignEmail({ listId: 'list', tag: 'creator_name', templateKey: 'creator-broadcast', dynamicData: {} });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Missing required senderId in dynamicData');
+            }
+            expect(fake.segments).to.have.lengthOf(0);
+        });
+
+    });
+
+    describe('Idempotent Sends', function () {
+
+        const order = (idempotencyKey, orderId = '123ABC') => ({
+            to: testEmail,
+            from: 'sender@example.com',
+            templateKey: 'new-order-email',
+            dynamicTemplateData: { order_id: orderId, user_name: 'Test User', items: [{ item_name: 'T-Shirt', price: '$19.99' }] },
+            idempotencyKey
+        });
+
+        it('should return the original result when an email is repeated', async function () {
+            const first = await TwilioSendGrid.sendSimpleEmail(order('order-123'));
+            const second = await TwilioSendGrid.sendSimpleEmail(order('order-123'));
+
+            expect(second).to.equal(first);
+            expect(fake.mailSends).to.have.lengthOf(1);
+        });
+
+        it('should send concurrent duplicates once', async function () {
+            const results = await Promise.all([1, 2, 3].map(() => TwilioSendGrid.sendSimpleEmail(order('order-123'))));
+
+            expect(fake.mailSends).to.have.lengthOf(1);
+            expect(results[1]).to.equal(results[0]);
+            expect(results[2]).to.equal(results[0]);
+        });
+
+        it('should refuse a key reused for a different email', async function () {
+            await TwilioSendGrid.sendSimpleEmail(order('order-123'));
+            try {
+                await TwilioSendGrid.sendSimpleEmail(order('order-123', '456DEF'));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Idempotency key reused with a different request: order-123');
+            }
+            expect(fake.mailSends).to.have.lengthOf(1);
+        });
+
+        it('should not remember failed sends', async function () {
+            fake.failNext({ url: 'mail', status: 400 });
+            try {
+                await TwilioSendGrid.sendSimpleEmail(order('order-123'));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Failed to send email/);
+            }
+
+            await TwilioSendGrid.sendSimpleEmail(order('order-123'));
+            expect(fake.mailSends).to.have.lengthOf(1);
+        });
+
+        it('should forget keys after their TTL', async function () {
+            let now = 0;
+            TwilioSendGrid.setIdempotencyStore(new MemoryIdempotencyStore({ ttlMs: 1000, now: () => now }));
+
+            await TwilioSendGrid.sendSimpleEmail(order('order-123'));
+            now += 999;
+            await TwilioSendGrid.sendSimpleEmail(order('order-123'));
+            expect(fake.mailSends).to.have.lengthOf(1);
+
+            now += 1;
+            await TwilioSendGrid.sendSimpleEmail(order('order-123'));
+            expect(fake.mailSends).to.have.lengthOf(2);
         });
 
+        it('should create one campaign per key', async function () {
+            await TwilioSendGrid.ensureCustomFieldExists('creator_name');
+            const list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            const campaign = {
+                listId: list.id,
+                tag: 'creator_name',
+                templateKey: 'creator-broadcast',
+                dynamicData: { senderId },
+                idempotencyKey: 'launch-2026'
+            };
+
+            const [first, second] = await Promise.all([
+                TwilioSendGrid.sendCampaignEmail(campaign),
+                TwilioSendGrid.sendCampaignEmail(campaign)
+            ]);
+            const third = await TwilioSendGrid.sendCampaignEmail({ ...campaign });
+
+            expect(fake.singleSends).to.have.lengthOf(1);
+            expect(second.campaignId).to.equal(first.campaignId);
+            expect(third.campaignId).to.equal(first.campaignId);
+        });
+
+        it('should keep email and campaign keys apart, and reject invalid keys', async function () {
+            await TwilioSendGrid.sendSimpleEmail(order('shared-key'));
+            try {
+                await TwilioSendGrid.sendSimpleEmail(order('has space'));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Invalid idempotency key/);
+            }
+            expect(await TwilioSendGrid.getIdempotencyStore().get('email:shared-key')).to.be.an('object');
+            expect(await TwilioSendGrid.getIdempotencyStore().get('campaign:shared-key')).to.equal(null);
+        });
+    });
+
+    describe('Scheduled Sends', function () {
+
+        // SendGrid schedules to the second
+        const inHours = (hours) => new Date(Math.floor(Date.now() / 1000 + hours * 3600) * 1000).toISOString();
+        const reminder = (extra = {}) => ({
+            to: testEmail,
+            from: 'sender@example.com',
+            templateKey: 'password-reset',
+            dynamicTemplateData: { reset_link: 'https://example.com/r', user_email: testEmail },
+            sendAt: inHours(24),
+            ...extra
+        });
+
+        it('should schedule an email under a new batch and list it', async function () {
+            const sendAt = inHours(24);
+            const response = await TwilioSendGrid.sendSimpleEmail(reminder({ sendAt }));
+
+            expect(response.batchId).to.equal(fake.mailBatches[0]);
+            expect(response.sendAt).to.equal(sendAt);
+            expect(fake.mailSends[0]).to.include({ batchId: response.batchId, sendAt: Date.parse(sendAt) / 1000 });
+
+            const [batch] = await TwilioSendGrid.listScheduledSends();
+            expect(batch).to.include({ batchId: response.batchId, sendAt, status: 'scheduled' });
+            expect(batch.emails).to.deep.equal([
+                { to: testEmail, templateKey: 'password-reset', sendAt, messageId: fake.mailSends[0].messageId }
+            ]);
+        });
+
+        it('should group emails under a given batch', async function () {
+            const { batchId } = await TwilioSendGrid.createSendBatch();
+            await TwilioSendGrid.sendSimpleEmail(reminder({ batchId, sendAt: inHours(2) }));
+            await TwilioSendGrid.sendSimpleEmail(reminder({ batchId, sendAt: inHours(1) }));
+
+            const batches = await TwilioSendGrid.listScheduledSends();
+            expect(batches).to.have.lengthOf(1);
+            expect(batches[0].emails).to.have.lengthOf(2);
+            expect(batches[0].sendAt).to.equal(batches[0].emails[1].sendAt);
+
+            try {
+                await TwilioSendGrid.sendSimpleEmail(reminder({ batchId: 'nope' }));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Send batch not found: nope');
+            }
+        });
+
+        it('should check the scheduling window before sending', async function () {
+            for (const [extra, message] of [
+                [{ sendAt: inHours(-1) }, /^Invalid sendAt: .* is in the past$/],
+                [{ sendAt: inHours(73) }, /^Invalid sendAt: .* is more than 72 hours ahead$/],
+                [{ sendAt: 'tomorrow' }, /^Invalid sendAt: tomorrow$/],
+                [{ sendAt: undefined, batchId: 'batch_1' }, /^Invalid batchId: only scheduled emails can join a batch$/]
+            ]) {
+                try {
+                    await TwilioSendGrid.sendSimpleEmail(reminder(extra));
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err.message).to.match(message);
+                }
+            }
+            expect(fake.mailSends).to.have.lengthOf(0);
+        });
+
+        it('should pause, resume and cancel a batch', async function () {
+            const { batchId } = await TwilioSendGrid.sendSimpleEmail(reminder());
+
+            expect(await TwilioSendGrid.pauseScheduledSend(batchId)).to.deep.equal({ batchId, status: 'paused' });
+            expect((await TwilioSendGrid.listScheduledSends())[0].status).to.equal('paused');
+
+            expect(await TwilioSendGrid.resumeScheduledSend(batchId)).to.deep.equal({ batchId, status: 'scheduled' });
+            expect(fake.scheduledSends).to.deep.equal([]);
+
+            await TwilioSendGrid.pauseScheduledSend(batchId);
+            expect(await TwilioSendGrid.cancelScheduledSend(batchId)).to.deep.equal({ batchId, status: 'cancelled' });
+            expect(fake.scheduledSends).to.deep.equal([{ batch_id: batchId, status: 'cancel' }]);
+            expect(await TwilioSendGrid.listScheduledSends()).to.deep.equal([]);
+        });
+
+        it('should refuse to stop batches that are about to go out or already went', async function () {
+            const { batchId } = await TwilioSendGrid.sendSimpleEmail(reminder({ sendAt: inHours(0.1) }));
+            try {
+                await TwilioSendGrid.cancelScheduledSend(batchId);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal(`Invalid schedule change: batch ${batchId} sends in less than 10 minutes`);
+            }
+
+            // The batch has gone out since
+            const store = TwilioSendGrid.getScheduledSendStore();
+            const batch = await store.get(batchId);
+            await store.put({ ...batch, emails: batch.emails.map((e) => ({ ...e, sendAt: inHours(-1) })) });
+            try {
+                await TwilioSendGrid.pauseScheduledSend(batchId);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal(`Invalid schedule change: batch ${batchId} has already been sent`);
+            }
+            expect(await TwilioSendGrid.listScheduledSends()).to.deep.equal([]);
+            expect(await store.get(batchId)).to.equal(null);
+            expect(fake.scheduledSends).to.deep.equal([]);
+        });
+    });
+
+    describe('Batch Sending', function () {
+
+        const fan = (i) => ({
+            to: `fan${i}@example.com`,
+            dynamicTemplateData: { reset_link: `https://example.com/r/${i}`, user_email: `fan${i}@example.com` }
+        });
+        const batch = (recipients, extra = {}) => ({ from: 'sender@example.com', templateKey: 'password-reset', recipients, ...extra });
+
+        it('should send every recipient their own data in one request', async function () {
+            const result = await TwilioSendGrid.sendBatchEmail(batch([fan(1), fan(2)]));
+
+            expect(result.requests).to.equal(1);
+            expect(result.rejected).to.deep.equal([]);
+            expect(result.accepted.map((a) => a.to)).to.deep.equal(['fan1@example.com', 'fan2@example.com']);
+            expect(result.accepted[0].messageId).to.equal(fake.mailSends[0].messageId);
+
+            const [sent] = fake.mailSends;
+            expect(sent.templateId).to.equal(TwilioSendGrid.loadEmailTemplateConfig()['password-reset'].templateId);
+            expect(sent.personalizations).to.deep.equal([
+                { to: 'fan1@example.com', dynamicTemplateData: fan(1).dynamicTemplateData },
+                { to: 'fan2@example.com', dynamicTemplateData: fan(2).dynamicTemplateData }
+            ]);
+        });
+
+        it('should reject invalid, duplicate and blocked entries and send the rest', async function () {
+            await TwilioSendGrid.blockRecipient('fan3@example.com', senderId);
+            const result = await TwilioSendGrid.sendBatchEmail(batch([
+                fan(1),
+                { to: 'nope', dynamicTemplateData: fan(2).dynamicTemplateData },
+                { to: 'fan2@example.com', dynamicTemplateData: { user_email: 'fan2@example.com' } },
+                fan(3),
+                { ...fan(1), to: 'FAN1@example.com' }
+            ], { senderId }));
+
+            expect(result.accepted.map((a) => a.index)).to.deep.equal([0]);
+            expect(result.rejected.map((r) => [r.index, r.reason])).to.deep.equal([
+                [1, 'Invalid recipient email: nope'],
+                [2, 'Missing required template fields: reset_link'],
+                [3, `Recipient is blocked by sender ${senderId}: fan3@example.com`],
+                [4, 'Duplicate recipient: FAN1@example.com']
+            ]);
+            expect(result.rejected.map((r) => [r.code, r.transient])).to.deep.equal([
+                ['VALIDATION_ERROR', false],
+                ['VALIDATION_ERROR', false],
+                ['RECIPIENT_BLOCKED', false],
+                ['VALIDATION_ERROR', false]
+            ]);
+            expect(result.rejected[1].violations[0]).to.include({ field: 'reset_link', code: 'required' });
+            expect(fake.mailSends[0].personalizations).to.have.lengthOf(1);
+        });
+
+        it('should split batches at the per-request recipient limit', async function () {
+            const recipients = Array.from({ length: 1001 }, (_, i) => fan(i));
+            recipients[0].cc = ['manager@example.com'];
+
+            const result = await TwilioSendGrid.sendBatchEmail(batch(recipients));
+
+            expect(result.requests).to.equal(2);
+            expect(result.accepted).to.have.lengthOf(1001);
+            expect(fake.mailSends.map((m) => m.personalizations.length)).to.deep.equal([999, 2]);
+        });
+
+        it('should only reject the recipients of a failed request', async function () {
+            const recipients = Array.from({ length: 1500 }, (_, i) => fan(i));
+            fake.failNext({ url: 'mail', status: 400, errors: [{ message: 'bad request' }] });
+
+            const result = await TwilioSendGrid.sendBatchEmail(batch(recipients));
+
+            expect(result.rejected).to.have.lengthOf(1000);
+            expect(result.rejected[0].reason).to.match(/^Failed to send email/);
+            expect(result.rejected[0]).to.include({ code: 'PROVIDER_ERROR', transient: false, status: 400 });
+            expect(result.accepted).to.have.lengthOf(500);
+            expect(result.accepted[0].index).to.equal(1000);
+        });
+
+        it('should send transiently rejected recipients again when the idempotency key is repeated', async function () {
+            const recipients = [...Array.from({ length: 1001 }, (_, i) => fan(i)), { to: 'nope' }];
+            fake.failNext({ url: 'mail', status: 503, times: 1 });
+
+            const first = await TwilioSendGrid.sendBatchEmail(batch(recipients, { idempotencyKey: 'launch-fans' }));
+            expect(first.accepted.map((a) => a.index)).to.deep.equal([1000]);
+            expect(first.rejected).to.have.lengthOf(1001);
+            expect(first.rejected[0]).to.include({ code: 'PROVIDER_ERROR', transient: true, status: 503 });
+
+            const second = await TwilioSendGrid.sendBatchEmail(batch(recipients, { idempotencyKey: 'launch-fans' }));
+            expect(second.accepted.map((a) => a.index)).to.deep.equal([...Array(1001).keys()]);
+            expect(second.rejected.map((r) => [r.index, r.code])).to.deep.equal([[1001, 'VALIDATION_ERROR']]);
+            expect(second.requests).to.equal(3);
+
+            // Accepted recipients are never sent to twice
+            const third = await TwilioSendGrid.sendBatchEmail(batch(recipients, { idempotencyKey: 'launch-fans' }));
+            expect(third).to.deep.equal(second);
+            expect(fake.mailSends.map((m) => m.personalizations[0].to)).to.deep.equal(['fan1000@example.com', 'fan0@example.com']);
+        });
+
+        it('should validate what the whole batch shares', async function () {
+            for (const [options, message] of [
+                [batch([fan(1)], { from: 'bad' }), 'Invalid sender email: bad'],
+                [batch([fan(1)], { templateKey: 'nope' }), 'Unknown templateKey: nope'],
+                [batch([]), 'Invalid recipients: expected a non-empty array']
+            ]) {
+                try {
+                    await TwilioSendGrid.sendBatchEmail(options);
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err.message).to.equal(message);
+                }
+            }
+            expect(fake.mailSends).to.have.lengthOf(0);
+        });
+    });
+
+    describe('Campaign Targeting', function () {
+
+        let weekly;
+        let monthly;
+        const daysAgo = (days) => new Date(Date.now() - days * 86400e3).toISOString();
+        const target = (overrides = {}) => ({
+            templateKey: 'creator-broadcast',
+            dynamicData: { senderId },
+            sendAt: new Date(Date.now() + 3600 * 1000).toISOString(),
+            ...overrides
+        });
+
+        beforeEach(async function () {
+            weekly = await TwilioSendGrid.ensureListExistsByName('weekly');
+            monthly = await TwilioSendGrid.ensureListExistsByName('monthly');
+            await TwilioSendGrid.ensureCustomFieldExists('creator_name');
+            await TwilioSendGrid.ensureCustomFieldExists('weekly_newsletter');
+            await TwilioSendGrid.ensureCustomFieldExists('score', 'number');
+            await TwilioSendGrid.ensureCustomFieldExists('joined_at', 'date');
+
+            await fake.request({
+                method: 'PUT',
+                url: '/v3/marketing/contacts',
+                body: {
+                    list_ids: [weekly.id],
+                    contacts: [
+                        { email: 'new-us@example.com', country: 'US', custom_fields: { weekly_newsletter: true, joined_at: daysAgo(3) } },
+                        { email: 'old-us@example.com', country: 'US', custom_fields: { weekly_newsletter: true, joined_at: daysAgo(90) } },
+                        { email: 'new-fr@example.com', country: 'FR', custom_fields: { weekly_newsletter: true, joined_at: daysAgo(3) } }
+                    ]
+                }
+            });
+            await fake.request({
+                method: 'PUT',
+                url: '/v3/marketing/contacts',
+                body: {
+                    list_ids: [monthly.id],
+                    contacts: [{ email: 'monthly-us@example.com', country: 'US', custom_fields: { score: 12, joined_at: daysAgo(1) } }]
+                }
+            });
+        });
+
+        it('should compile AND/OR trees with reserved fields, dates and several lists', async function () {
+            const result = await TwilioSendGrid.sendCampaignEmail(target({
+                target: {
+                    listIds: [weekly.id, monthly.id],
+                    conditions: {
+                        and: [
+                            { or: [{ field: 'weekly_newsletter', operator: 'eq', value: true }, { field: 'score', operator: 'gte', value: 10 }] },
+                            { field: 'country', operator: 'in', value: ['US', 'CA'] },
+                            { field: 'joined_at', operator: 'within_last', value: 30 }
+                        ]
+                    }
+                }
+            }));
+
+            const [segment] = fake.segments;
+            expect(segment.id).to.equal(result.segmentId);
+            expect(segment.parent_list_ids).to.deep.equal([]);
+            expect(segment.query_dsl).to.equal(
+                'SELECT contact_id, updated_at FROM contact_data WHERE ' +
+                `((CONTAINS(list_ids, '${weekly.id}')) OR (CONTAINS(list_ids, '${monthly.id}'))) AND ` +
+                "(((weekly_newsletter = 'true') OR (score >= 10)) AND (country IN ('US', 'CA')) AND " +
+                '(joined_at >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL 30 DAY)))'
+            );
+
+            const [listed] = await TwilioSendGrid.listSenderSegments(senderId);
+            expect(listed.contacts_count).to.equal(2);
+        });
+
+        it('should scope single-list targets to their parent list', async function () {
+            await TwilioSendGrid.sendCampaignEmail(target({
+                target: { listIds: [weekly.id], conditions: { not: { field: 'country', operator: 'eq', value: 'FR' } } }
+            }));
+
+            expect(fake.segments[0].parent_list_ids).to.deep.equal([weekly.id]);
+            expect(fake.segments[0].query_dsl).to.match(/AND \(NOT \(country = 'FR'\)\)$/);
+            expect((await TwilioSendGrid.listSenderSegments(senderId))[0].contacts_count).to.equal(2);
+        });
+
+        it('should reuse the tag shorthand\'s segment for the same target', async function () {
+            const first = await TwilioSendGrid.sendCampaignEmail(target({ listId: weekly.id, tag: 'creator_name' }));
+            const second = await TwilioSendGrid.sendCampaignEmail(target({
+                target: { listIds: [weekly.id], conditions: { field: 'creator_name', operator: 'eq', value: true } }
+            }));
+
+            expect(second).to.include({ segmentId: first.segmentId, segmentReused: true });
+        });
+
+        it('should report every invalid condition and create nothing', async function () {
+            try {
+                await TwilioSendGrid.sendCampaignEmail(target({
+                    target: {
+                        listIds: [weekly.id],
+                        conditions: {
+                            or: [
+                                { field: 'favourite_colour', operator: 'eq', value: 'red' },
+                                { field: 'score', operator: 'like', value: '1%' },
+                                { field: 'joined_at', operator: 'gt', value: 'last tuesday' },
+                                { and: [] }
+                            ]
+                        }
+                    }
+                }));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Invalid segment conditions: /);
+                expect(err.violations.map((v) => [v.field, v.code])).to.deep.equal([
+                    ['conditions.or[0].field', 'unknown_field'],
+                    ['conditions.or[1].operator', 'operator'],
+                    ['conditions.or[2].value', 'value'],
+                    ['conditions.or[3].and', 'structure']
+                ]);
+            }
+            expect(fake.segments).to.have.lengthOf(0);
+            expect(fake.singleSends).to.have.lengthOf(0);
+        });
+
+        it('should require at least one list', async function () {
+            try {
+                await TwilioSendGrid.sendCampaignEmail(target({ target: { listIds: [] } }));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Invalid campaign target/);
+            }
+
+            try {
+                await TwilioSendGrid.sendCampaignEmail(target({ tag: 'creator_name' }));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Missing required target, or listId and tag');
+            }
+        });
+
+        it('should see custom fields created after the field types were cached', async function () {
+            const conditions = { field: 'tier', operator: 'eq', value: 'gold' };
+            try {
+                await TwilioSendGrid.sendCampaignEmail(target({ target: { listIds: [weekly.id], conditions } }));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.violations[0].code).to.equal('unknown_field');
+            }
+
+            await TwilioSendGrid.ensureCustomFieldExists('tier');
+            const result = await TwilioSendGrid.sendCampaignEmail(target({ target: { listIds: [weekly.id], conditions } }));
+            expect(result.segmentReused).to.equal(false);
+        });
+    });
+
+    describe('Campaign Lifecycle', function () {
+
+        let list;
+        const inAnHour = () => new Date(Date.now() + 3600 * 1000).toISOString();
+        const schedule = async (sendAt = inAnHour()) => {
+            const { campaignId } = await TwilioSendGrid.sendCampaignEmail({
+                listId: list.id,
+                tag: 'creator_name',
+                templateKey: 'creator-broadcast',
+                dynamicData: { senderId },
+                sendAt
+            });
+            return campaignId;
+        };
+
+        beforeEach(async function () {
+            list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            await TwilioSendGrid.ensureCustomFieldExists('creator_name');
+        });
+
+        it('should return a campaign\'s status', async function () {
+            const sendAt = inAnHour();
+            const campaignId = await schedule(sendAt);
+
+            const campaign = await TwilioSendGrid.getCampaignStatus(campaignId);
+
+            expect(campaign).to.include({
+                campaignId,
+                status: 'scheduled',
+                sendAt,
+                templateId: 'd-broadcast00001234567890abc'
+            });
+            expect(campaign.segmentIds).to.deep.equal([fake.segments[0].id]);
+        });
+
+        it('should report unknown campaigns as not found', async function () {
+            try {
+                await TwilioSendGrid.getCampaignStatus('missing');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Campaign not found: missing');
+                expect(err.cause.code).to.equal(404);
+            }
+        });
+
+        it('should unschedule a scheduled campaign', async function () {
+            const campaignId = await schedule();
+
+            const campaign = await TwilioSendGrid.unscheduleCampaign(campaignId);
+            expect(campaign).to.include({ status: 'draft', sendAt: null });
+
+            try {
+                await TwilioSendGrid.unscheduleCampaign(campaignId);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(ConflictError);
+                expect(err.code).to.equal('CAMPAIGN_STATE_CONFLICT');
+                expect(err.message).to.equal(`Invalid campaign state: cannot unschedule campaign ${campaignId} with status draft`);
+            }
+        });
+
+        it('should move a scheduled campaign and schedule drafts', async function () {
+            const campaignId = await schedule();
+            const later = new Date(Date.now() + 7200 * 1000);
+
+            let campaign = await TwilioSendGrid.rescheduleCampaign(campaignId, later);
+            expect(campaign).to.include({ status: 'scheduled', sendAt: later.toISOString() });
+
+            await TwilioSendGrid.unscheduleCampaign(campaignId);
+            campaign = await TwilioSendGrid.rescheduleCampaign(campaignId, 'now');
+            expect(campaign.status).to.equal('triggered');
+        });
+
+        it('should keep the original schedule when the new time is refused', async function () {
+            const sendAt = inAnHour();
+            const campaignId = await schedule(sendAt);
+            fake.failNext({ method: 'PUT', url: /\/schedule$/, status: 400, errors: [{ message: 'send_at is too far ahead' }] });
+
+            try {
+                await TwilioSendGrid.rescheduleCampaign(campaignId, new Date(Date.now() + 7200 * 1000));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.include({ code: 'PROVIDER_ERROR', upstreamStatus: 400 });
+            }
+
+            const campaign = await TwilioSendGrid.getCampaignStatus(campaignId);
+            expect(campaign).to.include({ status: 'scheduled', sendAt });
+        });
+
+        it('should throw the refusal even when the original schedule cannot be restored', async function () {
+            const campaignId = await schedule();
+            const logs = [];
+            const logger = TwilioSendGrid.logger;
+            TwilioSendGrid.logger = { ...logger, error: (msg, fields) => logs.push({ msg, ...fields }) };
+            fake.failNext({ method: 'PUT', url: /\/schedule$/, status: 400, errors: [{ message: 'send_at is too far ahead' }], times: 2 });
+
+            try {
+                await TwilioSendGrid.rescheduleCampaign(campaignId, new Date(Date.now() + 7200 * 1000));
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Failed to schedule campaign: send_at is too far ahead');
+                expect(err.restoreError.message).to.equal('Failed to restore campaign schedule: send_at is too far ahead');
+            } finally {
+                TwilioSendGrid.logger = logger;
+            }
+            expect(logs).to.have.lengthOf(1);
+            expect(logs[0]).to.include({ msg: 'Failed to restore campaign schedule', campaignId });
+        });
+
+        it('should reject past or invalid send times and sent campaigns', async function () {
+            const campaignId = await schedule('now');
+
+            for (const [sendAt, message] of [
+                ['2001-01-01T00:00:00Z', 'Invalid sendAt: 2001-01-01T00:00:00.000Z is in the past'],
+                ['soon', 'Invalid sendAt: soon'],
+                [inAnHour(), `Invalid campaign state: cannot reschedule campaign ${campaignId} with status triggered`]
+            ]) {
+                try {
+                    await TwilioSendGrid.rescheduleCampaign(campaignId, sendAt);
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err.message).to.equal(message);
+                }
+            }
+        });
+
+        it('should update content and keep the original schedule', async function () {
+            const sendAt = inAnHour();
+            const campaignId = await schedule(sendAt);
+
+            const campaign = await TwilioSendGrid.updateCampaignContent(campaignId, {
+                name: 'Spring drop',
+                templateKey: 'new-order-email'
+            });
+
+            expect(campaign).to.include({
+                name: 'Spring drop',
+                templateId: 'd-1234567890abcdef1234567890abcdef',
+                status: 'scheduled',
+                sendAt
+            });
+            expect(fake.singleSends[0].email_config).to.have.property('sender_id');
+        });
+
+        it('should validate content changes', async function () {
+            const campaignId = await schedule();
+
+            for (const [changes, message] of [
+                [{}, 'Missing required campaign changes: name or templateKey'],
+                [{ templateKey: 'nope' }, 'Unknown templateKey: nope'],
+                [{ name: ' ' }, 'Invalid campaign name: must be a non-empty string']
+            ]) {
+                try {
+                    await TwilioSendGrid.updateCampaignContent(campaignId, changes);
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err.message).to.equal(message);
+                }
+            }
+        });
+
+        it('should restore the schedule when an update fails', async function () {
+            const sendAt = inAnHour();
+            const campaignId = await schedule(sendAt);
+            fake.failNext({ method: 'PATCH', status: 500 });
+
+            try {
+                await TwilioSendGrid.updateCampaignContent(campaignId, { name: 'Renamed' });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Failed to update campaign/);
+            }
+            expect(fake.singleSends[0]).to.include({ status: 'scheduled', send_at: sendAt });
+        });
+
+        it('should keep a successful update when the schedule cannot be restored', async function () {
+            const campaignId = await schedule();
+            const logs = [];
+            const logger = TwilioSendGrid.logger;
+            TwilioSendGrid.logger = { ...logger, error: (msg, fields) => logs.push({ msg, ...fields }) };
+            fake.failNext({ method: 'PUT', url: /\/schedule$/, status: 400 });
+
+            let campaign;
+            try {
+                campaign = await TwilioSendGrid.updateCampaignContent(campaignId, { name: 'Renamed' });
+            } finally {
+                TwilioSendGrid.logger = logger;
+            }
+            expect(campaign).to.include({ name: 'Renamed', status: 'draft' });
+            expect(logs[0]).to.include({ msg: 'Failed to restore campaign schedule', campaignId, code: 'PROVIDER_ERROR' });
+        });
+
+        it('should duplicate a campaign as an unscheduled draft', async function () {
+            const campaignId = await schedule('now');
+
+            const copy = await TwilioSendGrid.duplicateCampaign(campaignId, { name: 'Encore' });
+
+            expect(copy).to.include({ name: 'Encore', status: 'draft', sendAt: null });
+            expect(copy.campaignId).to.not.equal(campaignId);
+            expect(copy.segmentIds).to.deep.equal(fake.singleSends[0].send_to.segment_ids);
+        });
+
+        it('should delete a campaign and release its unused segment', async function () {
+            const first = await schedule();
+            const second = await schedule();
+            const segmentId = fake.segments[0].id;
+
+            expect(await TwilioSendGrid.deleteCampaign(first)).to.deep.equal({ deleted: true, segmentsDeleted: [] });
+            expect(await TwilioSendGrid.deleteCampaign(second)).to.deep.equal({ deleted: true, segmentsDeleted: [segmentId] });
+            expect(fake.singleSends).to.have.lengthOf(0);
+            expect(fake.segments).to.have.lengthOf(0);
+        });
+
+        it('should return delivery and engagement stats', async function () {
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag('a@example.com', list.id, { creator_name: true }, true);
+            await TwilioSendGrid.subscribeOrUnsubscribeRecipientFromSenderListByTag('b@example.com', list.id, { creator_name: true }, true);
+            const campaignId = await schedule('now');
+            Object.assign(fake.singleSendStats[campaignId], { opens: 3, unique_opens: 1, clicks: 1, unique_clicks: 1 });
+
+            const stats = await TwilioSendGrid.getCampaignStats(campaignId);
+
+            expect(stats).to.deep.equal({
+                campaignId,
+                requests: 2,
+                delivered: 2,
+                bounces: 0,
+                opens: 3,
+                uniqueOpens: 1,
+                clicks: 1,
+                uniqueClicks: 1,
+                spamReports: 0,
+                unsubscribes: 0,
+                deliveryRate: 1,
+                openRate: 0.5,
+                clickRate: 0.5
+            });
+        });
+
+        it('should return zero stats before a campaign is sent', async function () {
+            const campaignId = await schedule();
+            const stats = await TwilioSendGrid.getCampaignStats(campaignId);
+            expect(stats).to.include({ requests: 0, delivered: 0, deliveryRate: 0, openRate: 0 });
+        });
+    });
+
+    describe('Campaign Segments', function () {
+
+        let list;
+        const campaign = (overrides = {}) => ({
+            listId: list.id,
+            tag: 'creator_name',
+            templateKey: 'creator-broadcast',
+            dynamicData: { senderId },
+            sendAt: new Date(Date.now() + 3600 * 1000).toISOString(),
+            ...overrides
+        });
+
+        beforeEach(async function () {
+            list = await TwilioSendGrid.ensureSenderListExists(senderId);
+            await TwilioSendGrid.ensureCustomFieldExists('creator_name');
+            await TwilioSendGrid.ensureCustomFieldExists('user_name');
+        });
+
+        it('should reuse the segment for campaigns with the same list and tag', async function () {
+            const first = await TwilioSendGrid.sendCampaignEmail(campaign());
+            const second = await TwilioSendGrid.sendCampaignEmail(campaign());
+
+            expect(first.segmentReused).to.equal(false);
+            expect(second).to.include({ segmentId: first.segmentId, segmentReused: true });
+            expect(fake.segments).to.have.lengthOf(1);
+            expect(fake.segments[0].name).to.match(new RegExp(`^sender_${senderId}_segment_[0-9a-f]{16}$`));
+        });
+
+        it('should create separate segments for other tags and senders', async function () {
+            await TwilioSendGrid.sendCampaignEmail(campaign());
+            await TwilioSendGrid.sendCampaignEmail(campaign({ tag: 'user_name' }));
+            await TwilioSendGrid.sendCampaignEmail(campaign({ dynamicData: { senderId: '999' } }));
+
+            expect(fake.segments).to.have.lengthOf(3);
+            expect(await TwilioSendGrid.listSenderSegments(senderId)).to.have.lengthOf(2);
+        });
+
+        it('should list and clean up segments named by earlier releases', async function () {
+            fake.segments.push({
+                id: 'legacy',
+                name: `segment_${list.id}_creator_name__sender_${senderId}`,
+                list_ids: [list.id],
+                conditions: [{ field: 'custom_fields.creator_name', operator: 'equals', value: true }]
+            });
+
+            const result = await TwilioSendGrid.sendCampaignEmail(campaign());
+            expect(result.segmentReused).to.equal(false);
+            expect((await TwilioSendGrid.listSenderSegments(senderId)).map((s) => s.id))
+                .to.deep.equal(['legacy', result.segmentId]);
+
+            expect(await TwilioSendGrid.cleanupSenderSegments(senderId))
+                .to.deep.equal({ deleted: ['legacy'], kept: [result.segmentId] });
+        });
+
+        it('should list the single sends using each segment', async function () {
+            const first = await TwilioSendGrid.sendCampaignEmail(campaign());
+            const second = await TwilioSendGrid.sendCampaignEmail(campaign());
+
+            const [segment] = await TwilioSendGrid.listSenderSegments(senderId);
+            expect(segment.singleSendIds).to.deep.equal([first.campaignId, second.campaignId]);
+            expect(segment.inUse).to.equal(true);
+        });
+
+        it('should follow single send pagination when tracking references', async function () {
+            const { segmentId } = await TwilioSendGrid.sendCampaignEmail(campaign());
+            for (let i = 0; i < 120; i++) {
+                fake.singleSends.unshift({ id: `old_${i}`, name: 'old', status: 'triggered', send_to: {} });
+            }
+
+            const [segment] = await TwilioSendGrid.listSenderSegments(senderId);
+            expect(segment.id).to.equal(segmentId);
+            expect(segment.inUse).to.equal(true);
+        });
+
+        it('should refuse to delete segments used by pending campaigns', async function () {
+            const { segmentId } = await TwilioSendGrid.sendCampaignEmail(campaign());
+
+            try {
+                await TwilioSendGrid.deleteSenderSegment(senderId, segmentId);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(ConflictError);
+                expect(err.code).to.equal('SEGMENT_IN_USE');
+                expect(err.message).to.match(/^Invalid segment deletion/);
+            }
+
+            try {
+                await TwilioSendGrid.deleteSenderSegment('999', segmentId);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal(`Segment not found for sender 999: ${segmentId}`);
+            }
+            expect(fake.segments).to.have.lengthOf(1);
+        });
+
+        it('should clean up segments no pending campaign uses', async function () {
+            const sent = await TwilioSendGrid.sendCampaignEmail(campaign({ sendAt: 'now' }));
+            const pending = await TwilioSendGrid.sendCampaignEmail(campaign({ tag: 'user_name' }));
+
+            const result = await TwilioSendGrid.cleanupSenderSegments(senderId);
+
+            expect(result).to.deep.equal({ deleted: [sent.segmentId], kept: [pending.segmentId] });
+            expect(fake.segments.map((s) => s.id)).to.deep.equal([pending.segmentId]);
+        });
+
+        it('should remove a newly created segment when the campaign cannot be created', async function () {
+            fake.failNext({ method: 'POST', url: '/v3/marketing/singlesends', status: 400 });
+
+            try {
+                await TwilioSendGrid.sendCampaignEmail(campaign());
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.include({ code: 'PROVIDER_ERROR', upstreamStatus: 400 });
+            }
+            expect(fake.segments).to.have.lengthOf(0);
+        });
+
+        it('should reject past or malformed send times before creating anything', async function () {
+            for (const [sendAt, message] of [
+                ['2001-01-01T00:00:00Z', 'Invalid sendAt: 2001-01-01T00:00:00.000Z is in the past'],
+                ['soon', 'Invalid sendAt: soon']
+            ]) {
+                try {
+                    await TwilioSendGrid.sendCampaignEmail(campaign({ sendAt }));
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err).to.be.instanceOf(ValidationError);
+                    expect(err.message).to.equal(message);
+                    expect(err.fields).to.deep.equal(['sendAt']);
+                }
+            }
+            expect(fake.segments).to.have.lengthOf(0);
+            expect(fake.singleSends).to.have.lengthOf(0);
+        });
+
+        it('should remove the draft and a newly created segment when the campaign cannot be scheduled', async function () {
+            const first = await TwilioSendGrid.sendCampaignEmail(campaign());
+
+            for (const tag of ['creator_name', 'user_name']) {
+                fake.failNext({ method: 'PUT', url: /\/schedule$/, status: 400 });
+                try {
+                    await TwilioSendGrid.sendCampaignEmail(campaign({ tag }));
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err).to.include({ code: 'PROVIDER_ERROR', upstreamStatus: 400 });
+                }
+            }
+
+            // The reused segment stays for the campaign already scheduled on it
+            expect(fake.singleSends.map((s) => s.id)).to.deep.equal([first.campaignId]);
+            expect(fake.segments.map((s) => s.id)).to.deep.equal([first.segmentId]);
+        });
+    });
+
+    describe('Typed Errors', function () {
+
+        it('should name the offending field of invalid input', async function () {
+            try {
+                await TwilioSendGrid.clearRecipientTags('not-an-email');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(ValidationError);
+                expect(err).to.include({ code: 'VALIDATION_ERROR' });
+                expect(err.fields).to.deep.equal(['email']);
+            }
+        });
+
+        it('should report missing resources with the upstream status', async function () {
+            try {
+                await TwilioSendGrid.getCampaignStatus('missing');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(NotFoundError);
+                expect(err).to.include({ code: 'NOT_FOUND', upstreamStatus: 404 });
+            }
+
+            try {
+                await TwilioSendGrid.clearRecipientTags(testEmail);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(NotFoundError);
+                expect(err.message).to.equal(`Recipient not found for tag clearing: ${testEmail}`);
+            }
+        });
+
+        it('should report SendGrid outages as retryable provider errors', async function () {
+            TwilioSendGrid.configureRetryPolicy({ sleep: async () => {}, retries: 0 });
+            fake.failNext({ method: 'GET', url: '/v3/marketing/lists', status: 503, errors: 'Service Unavailable' });
+
+            try {
+                await TwilioSendGrid.fetchAllSenderLists();
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(ProviderError);
+                expect(err.message).to.equal('Failed to fetch lists: Service Unavailable');
+                expect(err).to.include({ code: 'PROVIDER_ERROR', upstreamStatus: 503, retryable: true });
+            }
+        });
+
+        it('should report rate limits with the wait SendGrid asked for', async function () {
+            TwilioSendGrid.configureRetryPolicy({ sleep: async () => {}, retries: 0 });
+            fake.failNext({ method: 'GET', url: '/v3/marketing/lists', status: 429, headers: { 'retry-after': '60' } });
+
+            try {
+                await TwilioSendGrid.fetchAllSenderLists();
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(RateLimitError);
+                expect(err).to.include({ code: 'RATE_LIMITED', upstreamStatus: 429, retryAfter: 60 });
+            }
+        });
     });
 
 });
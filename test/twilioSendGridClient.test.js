@@ -0,0 +1,178 @@
+const { expect } = require('chai');
+const TwilioSendGrid = require('../services/TwilioSendGrid');
+const { TwilioSendGridClient } = require('../services/TwilioSendGrid');
+const InMemorySendGridTransport = require('../services/transports/InMemorySendGridTransport');
+const { EmailTemplateMap } = require('../config/emailTemplatesMap');
+
+describe('TwilioSendGridClient', function () {
+
+    const senderId = '123';
+    const order = {
+        order_id: '123ABC',
+        user_name: 'Test User',
+        items: [{ item_name: 'T-Shirt', price: '$19.99' }]
+    };
+    let fakeA;
+    let fakeB;
+    let brandA;
+    let brandB;
+
+    beforeEach(function () {
+        fakeA = new InMemorySendGridTransport();
+        fakeB = new InMemorySendGridTransport();
+        const retryPolicy = { sleep: async () => {} };
+        brandA = new TwilioSendGridClient({ transport: fakeA, senderId: 111, retryPolicy });
+        brandB = new TwilioSendGridClient({
+            transport: fakeB,
+            senderId: 222,
+            retryPolicy,
+            templateMap: {
+                'new-order-email': { ...EmailTemplateMap['new-order-email'], templateId: 'd-bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb' },
+                'creator-broadcast': EmailTemplateMap['creator-broadcast']
+            }
+        });
+        brandA.listCreationDelay = 0;
+        brandB.listCreationDelay = 0;
+    });
+
+    describe('Isolation', function () {
+
+        it('should keep lists and list caches per client', async function () {
+            const listA = await brandA.ensureSenderListExists(senderId);
+
+            expect(fakeA.lists).to.have.lengthOf(1);
+            expect(fakeB.lists).to.have.lengthOf(0);
+            expect(brandA.listCache).to.have.lengthOf(1);
+            expect(brandB.listCache).to.equal(null);
+            expect(await brandB.fetchAllSenderLists()).to.deep.equal([]);
+
+            const listB = await brandB.ensureSenderListExists(senderId);
+            expect(fakeB.lists).to.have.lengthOf(1);
+            expect(brandA.listCache.map((l) => l.id)).to.deep.equal([listA.id]);
+            expect(brandB.listCache.map((l) => l.id)).to.deep.equal([listB.id]);
+        });
+
+        it('should keep field caches per client', async function () {
+            await brandA.ensureCustomFieldExists('creator_name');
+
+            expect(brandA.fieldDefinitionCache).to.have.property('creator_name');
+            expect(brandB.fieldDefinitionCache).to.equal(null);
+
+            try {
+                await brandB.getCustomFieldId('creator_name');
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Custom field not found: creator_name');
+            }
+        });
+
+        it('should send with each client\'s template map', async function () {
+            const send = (client) => client.sendSimpleEmail({
+                to: 'test@example.com',
+                from: 'orders@example.com',
+                templateKey: 'new-order-email',
+                dynamicTemplateData: order
+            });
+
+            await send(brandA);
+            await send(brandB);
+
+            expect(fakeA.mailSends.map((m) => m.templateId)).to.deep.equal(['d-1234567890abcdef1234567890abcdef']);
+            expect(fakeB.mailSends.map((m) => m.templateId)).to.deep.equal(['d-bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb']);
+            expect(Object.keys(brandB.loadEmailTemplateConfig())).to.deep.equal(['new-order-email', 'creator-broadcast']);
+        });
+
+        it('should not share idempotency keys between clients', async function () {
+            const send = (client) => client.sendSimpleEmail({
+                to: 'test@example.com',
+                from: 'orders@example.com',
+                templateKey: 'new-order-email',
+                dynamicTemplateData: order,
+                idempotencyKey: 'order-123ABC'
+            });
+
+            await send(brandA);
+            await send(brandA);
+            await send(brandB);
+
+            expect(fakeA.mailSends).to.have.lengthOf(1);
+            expect(fakeB.mailSends).to.have.lengthOf(1);
+            expect(brandA.getIdempotencyStore()).to.not.equal(brandB.getIdempotencyStore());
+        });
+
+        it('should send campaigns from each client\'s sender', async function () {
+            for (const client of [brandA, brandB]) {
+                await client.ensureCustomFieldExists('creator_name');
+                const list = await client.ensureSenderListExists(senderId);
+                await client.sendCampaignEmail({
+                    listId: list.id,
+                    tag: 'creator_name',
+                    templateKey: 'creator-broadcast',
+                    dynamicData: { senderId }
+                });
+            }
+
+            expect(fakeA.singleSends.map((s) => s.email_config.sender_id)).to.deep.equal([111]);
+            expect(fakeB.singleSends.map((s) => s.email_config.sender_id)).to.deep.equal([222]);
+        });
+
+        it('should keep retry policies and circuit breakers per client', async function () {
+            brandA.configureRetryPolicy({ sleep: async () => {}, retries: 0, failureThreshold: 1 });
+            fakeA.failNext({ method: 'GET', url: '/v3/marketing/lists', status: 500 });
+
+            await brandA.fetchAllSenderLists().catch(() => {});
+
+            expect(brandA.getCircuitState()).to.equal('open');
+            expect(brandB.getCircuitState()).to.equal('closed');
+        });
+    });
+
+    describe('Credentials', function () {
+
+        it('should require an API key and sender ID without a transport', function () {
+            const env = { SENDGRID_API_KEY: process.env.SENDGRID_API_KEY, SENDGRID_SENDER_ID: process.env.SENDGRID_SENDER_ID };
+            delete process.env.SENDGRID_API_KEY;
+            delete process.env.SENDGRID_SENDER_ID;
+
+            try {
+                new TwilioSendGridClient({ apiKey: 'SG.brand' }).getTransport();
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.match(/^Missing required/);
+            } finally {
+                for (const [key, value] of Object.entries(env)) {
+                    if (value !== undefined) process.env[key] = value;
+                }
+            }
+
+            const client = new TwilioSendGridClient({ apiKey: 'SG.brand', senderId: 7 });
+            client.getTransport();
+            expect(client.transport.constructor.name).to.equal('SendGridTransport');
+        });
+    });
+
+    describe('Static API', function () {
+
+        afterEach(function () {
+            TwilioSendGrid.setDefaultClient(null);
+        });
+
+        it('should act on the default client', async function () {
+            TwilioSendGrid.setDefaultClient(brandB);
+
+            expect(TwilioSendGrid.getDefaultClient()).to.equal(brandB);
+            await TwilioSendGrid.ensureSenderListExists(senderId);
+
+            expect(fakeB.lists).to.have.lengthOf(1);
+            expect(TwilioSendGrid.listCache).to.equal(brandB.listCache);
+            expect(brandA.listCache).to.equal(null);
+        });
+
+        it('should proxy state to the default client', function () {
+            TwilioSendGrid.listCreationDelay = 5;
+
+            expect(TwilioSendGrid.getDefaultClient().listCreationDelay).to.equal(5);
+            expect(brandA.listCreationDelay).to.equal(0);
+        });
+    });
+});
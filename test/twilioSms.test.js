@@ -0,0 +1,185 @@
+const { expect } = require('chai');
+const TwilioSms = require('../services/TwilioSms');
+const { startTwilioStandIn } = require('./helpers/twilioStandIn');
+const { ValidationError, ForbiddenError, ProviderError, RateLimitError } = require('../services/errors');
+
+const { MemoryOptOutStore } = TwilioSms;
+
+describe('TwilioSms Class', function () {
+
+    const testPhone = '+15005550006';
+    let standIn;
+    const env = {};
+
+    before(async function () {
+        standIn = await startTwilioStandIn();
+    });
+
+    after(async function () {
+        await standIn.close();
+    });
+
+    beforeEach(function () {
+        for (const key of ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM_NUMBER', 'TWILIO_MESSAGING_SERVICE_SID']) {
+            env[key] = process.env[key];
+        }
+        process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+        process.env.TWILIO_AUTH_TOKEN = 'token';
+        process.env.TWILIO_FROM_NUMBER = '+15005550001';
+        delete process.env.TWILIO_MESSAGING_SERVICE_SID;
+
+        standIn.messages.length = 0;
+        TwilioSms.baseUrl = standIn.url;
+        TwilioSms.setOptOutStore(new MemoryOptOutStore());
+        TwilioSms.resetInternalCache();
+    });
+
+    afterEach(function () {
+        for (const [key, value] of Object.entries(env)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    const shipped = {
+        to: testPhone,
+        templateKey: 'order-shipped',
+        templateData: { user_name: 'Ali', order_id: '123', tracking_url: 'https://t.example.com/123' }
+    };
+
+    describe('Basic Methods', function () {
+
+        it('should load sms template config', function () {
+            const config = TwilioSms.loadSmsTemplateConfig();
+            expect(config).to.have.property('order-shipped');
+        });
+
+        it('should render template placeholders', function () {
+            expect(TwilioSms.renderSmsBody('Hi {{ name }}, {{missing}}!', { name: 'Ali' })).to.equal('Hi Ali, !');
+        });
+    });
+
+    describe('Sending', function () {
+
+        it('should send a rendered template to the Messages endpoint', async function () {
+            const message = await TwilioSms.sendSms(shipped);
+
+            expect(message.status).to.equal('queued');
+            expect(standIn.messages).to.have.lengthOf(1);
+            expect(standIn.messages[0]).to.include({
+                account_sid: 'ACtest',
+                to: testPhone,
+                from: '+15005550001',
+                body: 'Hi Ali, your order 123 has shipped. Track it at https://t.example.com/123'
+            });
+            expect(standIn.messages[0].authorization).to.equal(`Basic ${Buffer.from('ACtest:token').toString('base64')}`);
+        });
+
+        it('should fall back to the messaging service', async function () {
+            delete process.env.TWILIO_FROM_NUMBER;
+            process.env.TWILIO_MESSAGING_SERVICE_SID = 'MGtest';
+
+            await TwilioSms.sendSms(shipped);
+            expect(standIn.messages[0].messaging_service_sid).to.equal('MGtest');
+            expect(standIn.messages[0].from).to.equal(null);
+        });
+
+        it('should reject numbers that are not E.164', async function () {
+            for (const to of ['5005550006', '+0123', '+1 500 555 0006', 42]) {
+                try {
+                    await TwilioSms.sendSms({ ...shipped, to });
+                    expect.fail('should have thrown');
+                } catch (err) {
+                    expect(err).to.be.instanceOf(ValidationError);
+                    expect(err.message).to.equal(`Invalid recipient phone number: ${to}`);
+                    expect(err.fields).to.deep.equal(['to']);
+                }
+            }
+            expect(standIn.messages).to.have.lengthOf(0);
+        });
+
+        it('should apply the same required field and type checks as email', async function () {
+            try {
+                await TwilioSms.sendSms({ ...shipped, templateData: { user_name: 'Ali' } });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Missing required template fields: order_id, tracking_url');
+            }
+
+            try {
+                await TwilioSms.sendSms({ ...shipped, templateData: { ...shipped.templateData, order_id: 123 } });
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err.message).to.equal('Invalid type for order_id: expected string');
+            }
+        });
+
+        it('should wrap Twilio failures and keep the upstream response', async function () {
+            standIn.failNext(429, { code: 20429, message: 'Too Many Requests' });
+            try {
+                await TwilioSms.sendSms(shipped);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(RateLimitError);
+                expect(err).to.include({ message: 'Failed to send SMS: Too Many Requests', upstreamStatus: 429 });
+                expect(err.cause.code).to.equal(429);
+            }
+        });
+        it('should report unreachable Twilio as a transient provider error', async function () {
+            const originalFetch = global.fetch;
+            global.fetch = async () => {
+                throw new TypeError('fetch failed', { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) });
+            };
+            try {
+                await TwilioSms.sendSms(shipped);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(ProviderError);
+                expect(err).to.include({ message: 'Failed to send SMS: fetch failed', transient: true, retryable: true });
+                expect(err.cause.cause.code).to.equal('ECONNREFUSED');
+            } finally {
+                global.fetch = originalFetch;
+            }
+        });
+    });
+
+    describe('Opt-out Handling', function () {
+
+        it('should opt out on STOP and back in on START', async function () {
+            expect(await TwilioSms.handleInboundSms({ From: testPhone, Body: ' stop ' })).to.deep.equal({ action: 'opt-out' });
+            expect(await TwilioSms.isOptedOut(testPhone)).to.equal(true);
+
+            try {
+                await TwilioSms.sendSms(shipped);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(ForbiddenError);
+                expect(err).to.include({ message: `Recipient has opted out of SMS: ${testPhone}`, code: 'RECIPIENT_OPTED_OUT' });
+            }
+            expect(standIn.messages).to.have.lengthOf(0);
+
+            expect(await TwilioSms.handleInboundSms({ From: testPhone, Body: 'START' })).to.deep.equal({ action: 'opt-in' });
+            await TwilioSms.sendSms(shipped);
+            expect(standIn.messages).to.have.lengthOf(1);
+        });
+
+        it('should ignore keywords inside longer messages', async function () {
+            const result = await TwilioSms.handleInboundSms({ From: testPhone, Body: 'please do not stop' });
+            expect(result).to.deep.equal({ action: null });
+            expect(await TwilioSms.isOptedOut(testPhone)).to.equal(false);
+        });
+
+        it('should record opt-outs reported by Twilio', async function () {
+            standIn.failNext(400, { code: 21610, message: 'Attempt to send to unsubscribed recipient' });
+            try {
+                await TwilioSms.sendSms(shipped);
+                expect.fail('should have thrown');
+            } catch (err) {
+                expect(err).to.be.instanceOf(ForbiddenError);
+                expect(err).to.include({ message: `Recipient has opted out of SMS: ${testPhone}`, code: 'RECIPIENT_OPTED_OUT' });
+            }
+            expect(await TwilioSms.isOptedOut(testPhone)).to.equal(true);
+        });
+    });
+
+});